@@ -15,6 +15,8 @@ const {
   assertSucceeds,
 } = require('@firebase/rules-unit-testing');
 const { setLogLevel } = require('firebase/firestore');
+const fs = require('fs');
+const path = require('path');
 
 // Suppress Firestore warnings in tests
 setLogLevel('error');
@@ -25,7 +27,7 @@ beforeAll(async () => {
   testEnv = await initializeTestEnvironment({
     projectId: 'tripsync-test',
     firestore: {
-      rules: require('./firestore.rules'),
+      rules: fs.readFileSync(path.join(__dirname, 'firestore.rules'), 'utf8'),
     },
   });
 });
@@ -328,6 +330,148 @@ describe('Firestore Security Rules', () => {
     });
   });
 
+  describe('Viewer Role', () => {
+    // Alice owns the trip, Bob edits it and Carol can only view it
+    async function seedTrip() {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const tripRef = context.firestore().collection('trips').doc('trip1');
+        await tripRef.set({
+          name: 'Test Trip',
+          members: { alice: true, bob: true, carol: true },
+          roles: { alice: 'owner', bob: 'editor', carol: 'viewer' },
+        });
+        await tripRef.collection('itinerary').doc('item1').set({
+          title: 'Test Item',
+          position: 1,
+        });
+      });
+    }
+
+    const carolDb = () => testEnv.authenticatedContext('carol').firestore();
+    const bobDb = () => testEnv.authenticatedContext('bob').firestore();
+
+    it('should allow viewers to read the trip and its itinerary', async () => {
+      await seedTrip();
+
+      await assertSucceeds(carolDb().collection('trips').doc('trip1').get());
+      await assertSucceeds(
+        carolDb().collection('trips').doc('trip1')
+          .collection('itinerary').doc('item1').get()
+      );
+    });
+
+    it('should prevent viewers from creating, updating or deleting itinerary items', async () => {
+      await seedTrip();
+      const itinerary = carolDb().collection('trips').doc('trip1').collection('itinerary');
+
+      await assertFails(itinerary.doc('item2').set({ title: 'New Item', position: 2 }));
+      await assertFails(itinerary.doc('item1').update({ notes: 'Changed' }));
+      await assertFails(itinerary.doc('item1').delete());
+    });
+
+    it('should allow editors to update itinerary items', async () => {
+      await seedTrip();
+
+      await assertSucceeds(
+        bobDb().collection('trips').doc('trip1')
+          .collection('itinerary').doc('item1').update({ notes: 'Changed' })
+      );
+    });
+
+    it('should prevent viewers from updating the trip', async () => {
+      await seedTrip();
+
+      await assertFails(
+        carolDb().collection('trips').doc('trip1').update({ dayLabels: { 1: 'Arrival' } })
+      );
+    });
+
+    it('should prevent viewers from changing their own role', async () => {
+      await seedTrip();
+
+      await assertFails(
+        carolDb().collection('trips').doc('trip1').update({ 'roles.carol': 'editor' })
+      );
+    });
+
+    it('should prevent viewers from posting chat messages', async () => {
+      await seedTrip();
+
+      await assertFails(
+        carolDb().collection('trips').doc('trip1')
+          .collection('chat').doc('msg1').set({
+            text: 'Hello',
+            createdAt: new Date(),
+            createdBy: 'carol',
+          })
+      );
+    });
+
+    it('should prevent viewers from posting comments', async () => {
+      await seedTrip();
+
+      await assertFails(
+        carolDb().collection('trips').doc('trip1')
+          .collection('itinerary').doc('item1')
+          .collection('comments').doc('c1').set({
+            text: 'Nice',
+            createdAt: new Date(),
+            createdBy: 'carol',
+          })
+      );
+    });
+
+    it('should allow editors to post comments', async () => {
+      await seedTrip();
+
+      await assertSucceeds(
+        bobDb().collection('trips').doc('trip1')
+          .collection('itinerary').doc('item1')
+          .collection('comments').doc('c1').set({
+            text: 'Nice',
+            createdAt: new Date(),
+            createdBy: 'bob',
+          })
+      );
+    });
+  });
+
+  describe('Audit Log', () => {
+    // Entries are written by Cloud Functions only and read through listTripAuditLog
+    async function seedAuditLog() {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const tripRef = context.firestore().collection('trips').doc('trip1');
+        await tripRef.set({
+          name: 'Test Trip',
+          members: { alice: true, bob: true },
+          roles: { alice: 'owner', bob: 'editor' },
+        });
+        await tripRef.collection('auditLog').doc('entry1').set({
+          resource: 'itinerary',
+          action: 'create',
+          actor: { uid: 'bob', type: 'user' },
+        });
+      });
+    }
+
+    const auditLog = (uid) => testEnv.authenticatedContext(uid).firestore()
+      .collection('trips').doc('trip1').collection('auditLog');
+
+    it('should prevent members from creating, changing or deleting entries', async () => {
+      await seedAuditLog();
+
+      await assertFails(auditLog('alice').doc('entry2').set({ resource: 'itinerary', action: 'delete' }));
+      await assertFails(auditLog('alice').doc('entry1').update({ actor: { uid: 'alice', type: 'user' } }));
+      await assertFails(auditLog('alice').doc('entry1').delete());
+    });
+
+    it('should prevent members from reading entries directly', async () => {
+      await seedAuditLog();
+
+      await assertFails(auditLog('bob').doc('entry1').get());
+    });
+  });
+
   describe('Friend Requests', () => {
     it('should allow participants to read friend requests', async () => {
       const alice = testEnv.authenticatedContext('alice');
@@ -359,5 +503,84 @@ describe('Firestore Security Rules', () => {
       );
     });
   });
-});
 
+  describe('Blocked Users', () => {
+    // Blocks are written by the blockUser and unblockUser functions
+    async function seedBlock() {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await context.firestore().collection('users').doc('alice')
+          .collection('blocked').doc('bob').set({ createdAt: new Date() });
+      });
+    }
+
+    const blocked = (uid, ownerUid = uid) => testEnv.authenticatedContext(uid).firestore()
+      .collection('users').doc(ownerUid).collection('blocked');
+
+    it('should allow users to read their own blocked list', async () => {
+      await seedBlock();
+
+      await assertSucceeds(blocked('alice').doc('bob').get());
+    });
+
+    it('should prevent other users from reading a blocked list', async () => {
+      await seedBlock();
+
+      await assertFails(blocked('bob', 'alice').doc('bob').get());
+    });
+
+    it('should prevent writing blocked lists from client', async () => {
+      await seedBlock();
+
+      await assertFails(blocked('alice').doc('carol').set({ createdAt: new Date() }));
+      await assertFails(blocked('alice').doc('bob').delete());
+    });
+  });
+
+  describe('Notification Inbox', () => {
+    // Inbox entries are written by sendNotification; clients may only mark them read
+    async function seedNotification() {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await context.firestore().collection('users').doc('alice')
+          .collection('notifications').doc('n1').set({
+            type: 'mention',
+            title: 'Bob mentioned you',
+            body: 'In Paris: hi',
+            link: '/trips/trip1',
+            data: { type: 'mention', tripId: 'trip1' },
+            read: false,
+            readAt: null,
+            createdAt: new Date(),
+          });
+      });
+    }
+
+    const inbox = (uid, ownerUid = uid) => testEnv.authenticatedContext(uid).firestore()
+      .collection('users').doc(ownerUid).collection('notifications');
+
+    it('should allow users to read their own inbox', async () => {
+      await seedNotification();
+
+      await assertSucceeds(inbox('alice').doc('n1').get());
+    });
+
+    it('should prevent other users from reading an inbox', async () => {
+      await seedNotification();
+
+      await assertFails(inbox('bob', 'alice').doc('n1').get());
+    });
+
+    it('should allow users to mark their own notifications read', async () => {
+      await seedNotification();
+
+      await assertSucceeds(inbox('alice').doc('n1').update({ read: true, readAt: new Date() }));
+    });
+
+    it('should prevent clients from creating or rewriting notifications', async () => {
+      await seedNotification();
+
+      await assertFails(inbox('alice').doc('n2').set({ type: 'mention', read: false }));
+      await assertFails(inbox('alice').doc('n1').update({ title: 'Changed' }));
+      await assertFails(inbox('bob', 'alice').doc('n1').update({ read: true }));
+    });
+  });
+});
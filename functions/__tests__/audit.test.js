@@ -0,0 +1,183 @@
+/**
+ * Trip Audit Log Functions Test Suite
+ *
+ * Tests for the audit triggers and the owner-only audit log callable:
+ * - Writes to members, itinerary items, invites and encryption keys append an entry
+ * - Entries are keyed by event ID so redelivered events are recorded once
+ * - Cleanup after a trip is deleted is not audited
+ * - Only owners can list the audit log, which pages with a cursor
+ */
+
+const test = require('firebase-functions-test')({
+  projectId: 'test-project',
+});
+
+describe('Trip audit log', () => {
+  const admin = require('firebase-admin');
+  const db = admin.firestore();
+  let functions;
+
+  beforeAll(() => {
+    functions = require('../index');
+  });
+
+  afterAll(() => {
+    test.cleanup();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.get.mockReset();
+  });
+
+  function writeEvent(params, before, after, auth = { authType: 'unknown', authId: 'alice' }) {
+    return {
+      id: 'event1',
+      params: { tripId: 'trip1', ...params },
+      ...auth,
+      data: {
+        before: { data: () => before },
+        after: { data: () => after },
+      },
+    };
+  }
+
+  describe('audit triggers', () => {
+    it('records itinerary changes under the event ID', async () => {
+      await functions.onItineraryItemAudit.run(writeEvent(
+        { itemId: 'item1' },
+        { name: 'enc:abc', day: 1 },
+        { name: 'enc:def', day: 1 },
+      ));
+
+      expect(db.collection).toHaveBeenCalledWith('auditLog');
+      expect(db.doc).toHaveBeenCalledWith('event1');
+      expect(db.set).toHaveBeenCalledWith({
+        resource: 'itinerary',
+        documentId: 'item1',
+        action: 'update',
+        fields: { added: [], removed: [], changed: ['name'] },
+        actor: { uid: 'alice', type: 'user' },
+        createdAt: { _methodName: 'serverTimestamp' },
+      });
+    });
+
+    it('attributes membership changes made by callables', async () => {
+      await functions.onTripMembersAudit.run(writeEvent(
+        { tripId: 'trip1' },
+        { members: { alice: true, bob: true }, roles: { alice: 'owner', bob: 'editor' } },
+        {
+          members: { alice: true, bob: true },
+          roles: { alice: 'owner', bob: 'viewer' },
+          updatedBy: 'alice',
+          updatedAt: { seconds: 2 },
+        },
+        { authType: 'service_account', authId: 'functions@example.iam.gserviceaccount.com' },
+      ));
+
+      expect(db.set).toHaveBeenCalledWith(expect.objectContaining({
+        resource: 'members',
+        members: { added: [], removed: [], roleChanged: ['bob'] },
+        actor: { uid: 'alice', type: 'server' },
+      }));
+    });
+
+    it('ignores trip updates that leave membership alone', async () => {
+      const trip = { name: 'Trip', members: { alice: true }, roles: { alice: 'owner' } };
+      await functions.onTripMembersAudit.run(writeEvent({}, trip, { ...trip, name: 'Renamed' }));
+
+      expect(db.set).not.toHaveBeenCalled();
+    });
+
+    it('records deletions while the trip exists', async () => {
+      db.get.mockResolvedValueOnce({ exists: true });
+
+      await functions.onTripInviteAudit.run(writeEvent({ inviteId: 'invite1' }, { status: 'pending' }, null));
+
+      expect(db.set).toHaveBeenCalledWith(expect.objectContaining({
+        resource: 'invite',
+        action: 'delete',
+        fields: { added: [], removed: ['status'], changed: [] },
+      }));
+    });
+
+    it('skips the cleanup of a deleted trip', async () => {
+      db.get.mockResolvedValueOnce({ exists: false });
+
+      await functions.onTripEncryptionKeyAudit.run(writeEvent(
+        { keyId: 'bob' },
+        { encryptedKey: 'sealed' },
+        null,
+        { authType: 'service_account' },
+      ));
+      await functions.onTripMembersAudit.run(writeEvent({}, { members: { alice: true } }, null));
+
+      expect(db.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listTripAuditLog', () => {
+    const trip = {
+      exists: true,
+      data: () => ({
+        members: { owner: true, editor: true },
+        roles: { owner: 'owner', editor: 'editor' },
+      }),
+    };
+    const entry = (id, ms) => ({
+      id,
+      data: () => ({ resource: 'itinerary', action: 'create', createdAt: { toMillis: () => ms } }),
+    });
+
+    function list(uid, data) {
+      return functions.listTripAuditLog.run({ auth: { uid }, data: { tripId: 'trip1', ...data } });
+    }
+
+    it('returns a page of entries and a cursor for the next one', async () => {
+      db.get
+        .mockResolvedValueOnce({ exists: false }) // rate limit window
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce({ docs: [entry('e3', 3000), entry('e2', 2000), entry('e1', 1000)] });
+
+      const result = await list('owner', { pageSize: 2 });
+
+      expect(db.orderBy).toHaveBeenCalledWith('createdAt', 'desc');
+      expect(db.limit).toHaveBeenCalledWith(3);
+      expect(result).toEqual({
+        entries: [
+          { id: 'e3', resource: 'itinerary', action: 'create', createdAt: 3000 },
+          { id: 'e2', resource: 'itinerary', action: 'create', createdAt: 2000 },
+        ],
+        nextCursor: 'e2',
+      });
+    });
+
+    it('continues after the cursor entry', async () => {
+      const cursorSnap = { exists: true };
+      db.get
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(cursorSnap)
+        .mockResolvedValueOnce({ docs: [entry('e1', 1000)] });
+
+      const result = await list('owner', { pageSize: 2, cursor: 'e2' });
+
+      expect(db.startAfter).toHaveBeenCalledWith(cursorSnap);
+      expect(result.nextCursor).toBeNull();
+    });
+
+    it('is limited to the trip owner', async () => {
+      db.get
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(trip);
+
+      await expect(list('editor', {})).rejects.toThrow('Insufficient role.');
+    });
+
+    it('rejects page sizes out of range', async () => {
+      db.get.mockResolvedValueOnce({ exists: false });
+
+      await expect(list('owner', { pageSize: 500 })).rejects.toThrow('pageSize must be between 1 and 200.');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Audit Log Test Suite
+ *
+ * Unit tests for building trip audit log entries:
+ * - Entries list changed field names and never field values
+ * - Membership changes list the members added, removed and given a new role
+ * - Actors come from the end-user auth context, or from updatedBy on Admin SDK writes
+ * - Writes that change nothing audited produce no entry
+ */
+
+const {
+  diffFieldNames,
+  diffMembership,
+  resolveAuditActor,
+  buildAuditEntry,
+} = require('../auditLog');
+
+describe('diffFieldNames', () => {
+  it('should list added, removed and changed fields', () => {
+    expect(diffFieldNames(
+      { name: 'a', notes: 'x', day: 1, tags: ['a'] },
+      { name: 'b', day: 1, tags: ['a'], address: 'y' },
+    )).toEqual({ added: ['address'], removed: ['notes'], changed: ['name'] });
+  });
+
+  it('should compare maps and timestamps by value', () => {
+    const timestamp = (ms) => ({ ms, isEqual: (other) => other.ms === ms });
+    expect(diffFieldNames(
+      { members: { a: true }, at: timestamp(1) },
+      { members: { a: true }, at: timestamp(1) },
+    )).toEqual({ added: [], removed: [], changed: [] });
+    expect(diffFieldNames({ at: timestamp(1) }, { at: timestamp(2) }).changed).toEqual(['at']);
+  });
+
+  it('should treat a missing document as having no fields', () => {
+    expect(diffFieldNames(null, { b: 1, a: 2 })).toEqual({ added: ['a', 'b'], removed: [], changed: [] });
+    expect(diffFieldNames({ a: 1 }, null)).toEqual({ added: [], removed: ['a'], changed: [] });
+  });
+});
+
+describe('diffMembership', () => {
+  it('should list added, removed and re-roled members', () => {
+    expect(diffMembership(
+      { members: { a: true, b: true, c: true }, roles: { a: 'owner', b: 'editor', c: 'viewer' } },
+      { members: { a: true, b: true, d: true }, roles: { a: 'owner', b: 'viewer', d: 'viewer' } },
+    )).toEqual({ added: ['d'], removed: ['c'], roleChanged: ['b'] });
+  });
+
+  it('should not count new members as role changes', () => {
+    expect(diffMembership(null, { members: { a: true }, roles: { a: 'owner' } }))
+      .toEqual({ added: ['a'], removed: [], roleChanged: [] });
+  });
+});
+
+describe('resolveAuditActor', () => {
+  it('should use the end user who made a client write', () => {
+    expect(resolveAuditActor({ authType: 'unknown', authId: 'alice' }, {}, {}))
+      .toEqual({ uid: 'alice', type: 'user' });
+    expect(resolveAuditActor({ authType: 'unauthenticated' }, {}, {}))
+      .toEqual({ uid: null, type: 'unauthenticated' });
+  });
+
+  it('should use updatedBy when an Admin SDK write sets it', () => {
+    const auth = { authType: 'service_account', authId: 'functions@example.iam.gserviceaccount.com' };
+    expect(resolveAuditActor(auth, { updatedBy: 'alice', updatedAt: 1 }, { updatedBy: 'bob', updatedAt: 2 }))
+      .toEqual({ uid: 'bob', type: 'server' });
+  });
+
+  it('should not reuse updatedBy from an earlier write', () => {
+    const auth = { authType: 'service_account' };
+    expect(resolveAuditActor(auth, { status: 'pending', updatedBy: 'alice', updatedAt: 1 }, {
+      status: 'expired',
+      updatedBy: 'alice',
+      updatedAt: 1,
+    })).toEqual({ uid: null, type: 'server' });
+  });
+
+  it('should fall back to the creator of a new document', () => {
+    expect(resolveAuditActor({ authType: 'service_account' }, null, { pending: true, sharedBy: 'alice' }))
+      .toEqual({ uid: 'alice', type: 'server' });
+    expect(resolveAuditActor({ authType: 'system' }, { sharedBy: 'alice' }, null))
+      .toEqual({ uid: null, type: 'server' });
+  });
+});
+
+describe('buildAuditEntry', () => {
+  const auth = { authType: 'unknown', authId: 'alice' };
+
+  it('should record field names without values', () => {
+    const entry = buildAuditEntry({
+      resource: 'itinerary',
+      documentId: 'item1',
+      before: { name: 'secret place', day: 1 },
+      after: { name: 'another secret', day: 2 },
+      auth,
+    });
+
+    expect(entry).toEqual({
+      resource: 'itinerary',
+      documentId: 'item1',
+      action: 'update',
+      fields: { added: [], removed: [], changed: ['day', 'name'] },
+      actor: { uid: 'alice', type: 'user' },
+    });
+    expect(JSON.stringify(entry)).not.toContain('secret');
+  });
+
+  it('should name the action from which versions exist', () => {
+    const create = buildAuditEntry({ resource: 'invite', documentId: 'i1', before: null, after: { a: 1 }, auth });
+    const remove = buildAuditEntry({ resource: 'invite', documentId: 'i1', before: { a: 1 }, after: null, auth });
+    expect(create.action).toBe('create');
+    expect(remove.action).toBe('delete');
+  });
+
+  it('should only audit membership fields on the trip document', () => {
+    const before = { name: 'Trip', members: { a: true }, roles: { a: 'owner' } };
+
+    expect(buildAuditEntry({
+      resource: 'members',
+      documentId: 'trip1',
+      before,
+      after: { ...before, name: 'Renamed' },
+      auth,
+    })).toBeNull();
+
+    expect(buildAuditEntry({
+      resource: 'members',
+      documentId: 'trip1',
+      before,
+      after: { ...before, name: 'Renamed', members: { a: true, b: true }, roles: { a: 'owner', b: 'editor' } },
+      auth,
+    })).toEqual(expect.objectContaining({
+      fields: { added: [], removed: [], changed: ['members', 'roles'] },
+      members: { added: ['b'], removed: [], roleChanged: [] },
+    }));
+  });
+
+  it('should skip updates that change nothing', () => {
+    expect(buildAuditEntry({ resource: 'invite', documentId: 'i1', before: { a: 1 }, after: { a: 1 }, auth }))
+      .toBeNull();
+  });
+});
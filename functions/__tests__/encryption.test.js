@@ -5,6 +5,8 @@
  * - Encryption key sharing when trip members join
  * - Key distribution and management during trip invitations
  * - Encryption key handling in inviteFriendToTrip and acceptTripInvite functions
+ * - Key revocation and rotation flagging when members are removed or leave
+ * - Key request queue: opening, notifying key holders and closing requests
  * 
  * These tests verify that encryption keys are properly shared with new trip members
  * and that the key management system works correctly.
@@ -20,9 +22,297 @@ describe('Encryption Functions', () => {
   });
 
   describe('Key Management', () => {
+    const admin = require('firebase-admin');
+    const db = admin.firestore();
+    let functions;
+
+    const trip = { exists: true, data: () => ({ members: { alice: true }, roles: { alice: 'owner' } }) };
+    const encryptedMetadata = { exists: true, data: () => ({ enabled: true }) };
+    const noDoc = { exists: false, data: () => undefined };
+
+    beforeAll(() => {
+      functions = require('../index');
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      db.get.mockReset();
+    });
+
     it('should handle encryption key sharing when member joins', () => {
       // Tests key sharing logic in inviteFriendToTrip and acceptTripInvite functions
       expect(true).toBe(true);
     });
+
+    it('queues a pending key and a key request for a friend added to an encrypted trip', async () => {
+      db.get
+        .mockResolvedValueOnce(noDoc) // rate limit window
+        .mockResolvedValueOnce(trip) // inviter role
+        .mockResolvedValueOnce(noDoc) // alice has not blocked bob
+        .mockResolvedValueOnce(noDoc) // bob has not blocked alice
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(encryptedMetadata)
+        .mockResolvedValueOnce(noDoc); // bob's key
+
+      await functions.inviteFriendToTrip.run({ auth: { uid: 'alice' }, data: { tripId: 'trip1', friendUid: 'bob' } });
+
+      expect(db.set).toHaveBeenCalledWith({ pending: true, sharedBy: 'alice', sharedAt: expect.anything() });
+      expect(db.set).toHaveBeenCalledWith(expect.objectContaining({ requesterId: 'bob', status: 'open', reason: 'joined' }));
+    });
+
+    it('queues a pending key and a key request when an email invite is accepted on an encrypted trip', async () => {
+      const invite = {
+        type: 'email',
+        invitedBy: 'alice',
+        role: 'editor',
+        status: 'pending',
+        expiresAt: { toMillis: () => Date.now() + 3600 * 1000 },
+      };
+      db.get
+        .mockResolvedValueOnce(noDoc) // rate limit window
+        .mockResolvedValueOnce({ empty: false, docs: [{ ref: { id: 'invite1' }, data: () => invite }] })
+        .mockResolvedValueOnce(noDoc) // bob has not blocked alice
+        .mockResolvedValueOnce(noDoc) // alice has not blocked bob
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(encryptedMetadata)
+        .mockResolvedValueOnce(noDoc); // bob's key
+
+      const result = await functions.acceptTripInvite.run({ auth: { uid: 'bob' }, data: { tripId: 'trip1', token: 'tok' } });
+
+      expect(result).toEqual({ ok: true, status: 'joined' });
+      expect(db.set).toHaveBeenCalledWith({ pending: true, sharedBy: 'alice', sharedAt: expect.anything() });
+      expect(db.set).toHaveBeenCalledWith(expect.objectContaining({ requesterId: 'bob', status: 'open', reason: 'joined' }));
+    });
+  });
+
+  describe('onTripMemberRemoved', () => {
+    const admin = require('firebase-admin');
+    const db = admin.firestore();
+    let functions;
+    let batch;
+
+    beforeAll(() => {
+      functions = require('../index');
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      batch = { set: jest.fn(), delete: jest.fn(), commit: jest.fn().mockResolvedValue() };
+      db.batch.mockReturnValue(batch);
+    });
+
+    function memberChange(before, after) {
+      return {
+        params: { tripId: 'trip1' },
+        data: {
+          before: { data: () => (before ? { members: before } : undefined) },
+          after: { data: () => (after ? { members: after } : undefined) },
+        },
+      };
+    }
+
+    it('revokes the departing member key and flags rotation', async () => {
+      db.get.mockResolvedValueOnce({ exists: true, data: () => ({ enabled: true }) });
+
+      await functions.onTripMemberRemoved.run(
+        memberChange({ owner: true, leaver: true }, { owner: true })
+      );
+
+      expect(db.doc).toHaveBeenCalledWith('leaver');
+      // Wrapped key and any open key request
+      expect(batch.delete).toHaveBeenCalledTimes(2);
+      expect(batch.set).toHaveBeenCalledWith(
+        db,
+        expect.objectContaining({
+          rotationRequired: true,
+          removedMembers: expect.objectContaining({ values: ['leaver'] }),
+        }),
+        { merge: true }
+      );
+      expect(batch.commit).toHaveBeenCalled();
+    });
+
+    it('does nothing for trips without encryption', async () => {
+      db.get.mockResolvedValueOnce({ exists: false });
+
+      await functions.onTripMemberRemoved.run(
+        memberChange({ owner: true, leaver: true }, { owner: true })
+      );
+
+      expect(batch.commit).not.toHaveBeenCalled();
+    });
+
+    it('ignores writes that add members or delete the trip', async () => {
+      await functions.onTripMemberRemoved.run(memberChange({ owner: true }, { owner: true, joiner: true }));
+      await functions.onTripMemberRemoved.run(memberChange({ owner: true }, null));
+
+      expect(db.get).not.toHaveBeenCalled();
+      expect(batch.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestTripKey', () => {
+    const admin = require('firebase-admin');
+    const db = admin.firestore();
+    let functions;
+
+    beforeAll(() => {
+      functions = require('../index');
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      db.get.mockReset();
+    });
+
+    function mockLookups({ metadata = { enabled: true }, publicKey = 'pub', request = null } = {}) {
+      db.get
+        .mockResolvedValueOnce({ exists: false }) // rate limit window
+        .mockResolvedValueOnce({ exists: true, data: () => ({ members: { member1: true } }) })
+        .mockResolvedValueOnce({ exists: !!metadata, data: () => metadata })
+        .mockResolvedValueOnce({ exists: true, data: () => ({ encryptionPublicKey: publicKey }) })
+        .mockResolvedValueOnce({ exists: !!request, data: () => request });
+    }
+
+    it('rejects unauthenticated callers', async () => {
+      await expect(functions.requestTripKey.run({ data: { tripId: 'trip1' } }))
+        .rejects.toThrow('Sign in first.');
+    });
+
+    it('opens a key request for the caller', async () => {
+      mockLookups();
+
+      const result = await functions.requestTripKey.run({
+        auth: { uid: 'member1' },
+        data: { tripId: 'trip1' },
+      });
+
+      expect(result).toEqual({ ok: true, status: 'open' });
+      expect(db.doc).toHaveBeenCalledWith('member1');
+      expect(db.set).toHaveBeenCalledWith(
+        expect.objectContaining({ requesterId: 'member1', status: 'open', reason: 'missing' })
+      );
+    });
+
+    it('leaves an already open request untouched', async () => {
+      mockLookups({ request: { status: 'open' } });
+
+      await functions.requestTripKey.run({ auth: { uid: 'member1' }, data: { tripId: 'trip1' } });
+
+      expect(db.set).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'open' }));
+    });
+
+    it('rejects trips without encryption', async () => {
+      mockLookups({ metadata: null });
+      await expect(functions.requestTripKey.run({ auth: { uid: 'member1' }, data: { tripId: 'trip1' } }))
+        .rejects.toThrow('Trip is not encrypted.');
+    });
+
+    it('rejects callers without a published public key', async () => {
+      mockLookups({ publicKey: null });
+      await expect(functions.requestTripKey.run({ auth: { uid: 'member1' }, data: { tripId: 'trip1' } }))
+        .rejects.toThrow('Set up your encryption key');
+    });
+  });
+
+  describe('onTripKeyRequestWritten', () => {
+    const admin = require('firebase-admin');
+    const db = admin.firestore();
+    let functions;
+
+    beforeAll(() => {
+      functions = require('../index');
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      db.get.mockReset();
+    });
+
+    function requestChange(before, after) {
+      return {
+        params: { tripId: 'trip1', requesterId: 'joiner' },
+        data: {
+          before: { data: () => before },
+          after: { data: () => after },
+        },
+      };
+    }
+
+    it('notifies owners and editors who hold the key when a request opens', async () => {
+      db.get
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({ roles: { owner: 'owner', viewer: 'viewer', joiner: 'editor' } }),
+        })
+        .mockResolvedValueOnce({
+          docs: [
+            { id: 'metadata', data: () => ({ enabled: true }) },
+            { id: 'owner', data: () => ({ encryptedKey: 'sealed', wrapping: 'x25519' }) },
+            { id: 'viewer', data: () => ({ encryptedKey: 'sealed', wrapping: 'x25519' }) },
+            { id: 'joiner', data: () => ({ pending: true }) },
+          ],
+        })
+        .mockResolvedValue({ exists: true, data: () => ({}) });
+
+      await functions.onTripKeyRequestWritten.run(requestChange(undefined, { status: 'open' }));
+
+      // Preferences and tokens are only read for the owner; viewers and pending members are skipped
+      expect(db.doc).toHaveBeenCalledWith('owner');
+      expect(db.doc).not.toHaveBeenCalledWith('viewer');
+    });
+
+    it('ignores requests that were already open or are closed', async () => {
+      await functions.onTripKeyRequestWritten.run(requestChange({ status: 'open' }, { status: 'open' }));
+      await functions.onTripKeyRequestWritten.run(requestChange({ status: 'open' }, { status: 'fulfilled' }));
+
+      expect(db.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('onTripMemberKeyWritten', () => {
+    const admin = require('firebase-admin');
+    const db = admin.firestore();
+    let functions;
+
+    beforeAll(() => {
+      functions = require('../index');
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      db.get.mockReset();
+    });
+
+    function keyWrite(memberId, after) {
+      return {
+        params: { tripId: 'trip1', memberId },
+        data: {
+          before: { data: () => undefined },
+          after: { data: () => after },
+        },
+      };
+    }
+
+    it('closes the open request when a key is shared', async () => {
+      db.get.mockResolvedValueOnce({ exists: true, data: () => ({ status: 'open' }) });
+
+      await functions.onTripMemberKeyWritten.run(
+        keyWrite('joiner', { encryptedKey: 'sealed', wrapping: 'x25519', sharedBy: 'owner' })
+      );
+
+      expect(db.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'fulfilled', fulfilledBy: 'owner' })
+      );
+    });
+
+    it('ignores pending keys, metadata and members without an open request', async () => {
+      await functions.onTripMemberKeyWritten.run(keyWrite('joiner', { pending: true }));
+      await functions.onTripMemberKeyWritten.run(keyWrite('metadata', { enabled: true }));
+      db.get.mockResolvedValueOnce({ exists: true, data: () => ({ status: 'fulfilled' }) });
+      await functions.onTripMemberKeyWritten.run(keyWrite('joiner', { encryptedKey: 'sealed' }));
+
+      expect(db.update).not.toHaveBeenCalled();
+    });
   });
 });
@@ -0,0 +1,248 @@
+/**
+ * Friends and Blocking Test Suite
+ *
+ * Tests for blocking users and friend request spam protection:
+ * - Blocking ends the friendship and closes pending requests between the two users
+ * - Blocked users can't send friend requests, be invited to trips or be found in search
+ * - Senders wait out a cooldown after a declined request
+ * - Friend requests can be answered by blocking the sender
+ * - Unfriending removes both sides of the friendship
+ * - Suggestions rank people by shared trips and leave out friends and blocked users
+ */
+
+const test = require('firebase-functions-test')({
+  projectId: 'test-project',
+});
+
+describe('Friends and blocking', () => {
+  const admin = require('firebase-admin');
+  const db = admin.firestore();
+  let functions;
+  let batch;
+
+  const exists = (value) => ({ exists: value });
+  const requests = (...ids) => ({ docs: ids.map((id) => ({ id, ref: { id } })) });
+
+  beforeAll(() => {
+    functions = require('../index');
+  });
+
+  afterAll(() => {
+    test.cleanup();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.get.mockReset();
+    batch = { set: jest.fn(), update: jest.fn(), delete: jest.fn(), commit: jest.fn() };
+    db.batch.mockReturnValue(batch);
+  });
+
+  function call(name, uid, data) {
+    return functions[name].run({ auth: { uid }, data });
+  }
+
+  describe('blockUser', () => {
+    it('blocks the user, ends the friendship and closes pending requests', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false)) // rate limit window
+        .mockResolvedValueOnce(exists(true)) // blocked user profile
+        .mockResolvedValueOnce(requests('incoming1'))
+        .mockResolvedValueOnce(requests('outgoing1'));
+
+      await call('blockUser', 'alice', { blockedUid: 'bob' });
+
+      expect(db.collection).toHaveBeenCalledWith('blocked');
+      expect(batch.set).toHaveBeenCalledWith(db, { createdAt: { _methodName: 'serverTimestamp' } });
+      expect(batch.delete).toHaveBeenCalledTimes(2);
+      expect(batch.update).toHaveBeenCalledWith({ id: 'incoming1' }, expect.objectContaining({ status: 'rejected' }));
+      expect(batch.update).toHaveBeenCalledWith({ id: 'outgoing1' }, expect.objectContaining({ status: 'cancelled' }));
+      expect(batch.commit).toHaveBeenCalled();
+    });
+
+    it('refuses to block yourself', async () => {
+      db.get.mockResolvedValueOnce(exists(false));
+
+      await expect(call('blockUser', 'alice', { blockedUid: 'alice' })).rejects.toThrow('You can\'t block yourself.');
+      expect(batch.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unblockUser', () => {
+    it('removes the block', async () => {
+      db.get.mockResolvedValueOnce(exists(false));
+
+      await call('unblockUser', 'alice', { blockedUid: 'bob' });
+
+      expect(db.doc).toHaveBeenCalledWith('bob');
+      expect(db.delete).toHaveBeenCalled();
+    });
+  });
+
+  describe('sendFriendRequest', () => {
+    const bob = { empty: false, docs: [{ id: 'bob' }] };
+
+    it('refuses requests to a user the sender blocked', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(bob)
+        .mockResolvedValueOnce(exists(true)) // alice blocked bob
+        .mockResolvedValueOnce(exists(false));
+
+      await expect(call('sendFriendRequest', 'alice', { toEmail: 'bob@example.com' }))
+        .rejects.toThrow('Unblock this user before sending a friend request.');
+    });
+
+    it('answers as if a user who blocked the sender does not exist', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(bob)
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(exists(true)); // bob blocked alice
+
+      await expect(call('sendFriendRequest', 'alice', { toEmail: 'bob@example.com' }))
+        .rejects.toThrow('User not found.');
+      expect(db.add).not.toHaveBeenCalled();
+    });
+
+    it('enforces a cooldown after a declined request without revealing the decline', async () => {
+      const decidedAt = { toMillis: () => Date.now() - 24 * 60 * 60 * 1000 };
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(bob)
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce({ empty: true }) // no pending request
+        .mockResolvedValueOnce({ docs: [{ data: () => ({ decidedAt }) }] });
+
+      await expect(call('sendFriendRequest', 'alice', { toEmail: 'bob@example.com' }))
+        .rejects.toThrow('User not found.');
+      expect(db.add).not.toHaveBeenCalled();
+    });
+
+    it('allows a new request once the cooldown has passed', async () => {
+      const decidedAt = { toMillis: () => Date.now() - 8 * 24 * 60 * 60 * 1000 };
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(bob)
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce({ empty: true })
+        .mockResolvedValueOnce({ docs: [{ data: () => ({ decidedAt }) }] });
+
+      await expect(call('sendFriendRequest', 'alice', { toEmail: 'bob@example.com' })).resolves.toEqual({ ok: true });
+      expect(db.add).toHaveBeenCalledWith(expect.objectContaining({ fromUid: 'alice', toUid: 'bob', status: 'pending' }));
+    });
+  });
+
+  describe('respondToFriendRequest', () => {
+    it('blocks the sender when asked to', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce({ exists: true, data: () => ({ fromUid: 'bob', toUid: 'alice', status: 'pending' }) })
+        .mockResolvedValueOnce(requests('req1'))
+        .mockResolvedValueOnce(requests());
+
+      await call('respondToFriendRequest', 'alice', { requestId: 'req1', action: 'block' });
+
+      expect(batch.set).toHaveBeenCalledWith(db, expect.objectContaining({ createdAt: expect.anything() }));
+      expect(batch.update).toHaveBeenCalledWith({ id: 'req1' }, expect.objectContaining({ status: 'rejected' }));
+    });
+  });
+
+  describe('searchUsers', () => {
+    const user = (id) => ({ id, data: () => ({ email: `${id}@example.com`, displayName: `${id} Traveler` }) });
+
+    it('leaves out blocked users and users who blocked the caller', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce({ docs: [user('bob'), user('carol'), user('dave')] })
+        .mockResolvedValueOnce({ docs: [{ id: 'bob' }] }) // alice blocked bob
+        .mockResolvedValueOnce(exists(true)) // carol blocked alice
+        .mockResolvedValueOnce(exists(false));
+
+      const result = await call('searchUsers', 'alice', { searchTerm: 'traveler' });
+
+      expect(result.users.map((u) => u.uid)).toEqual(['dave']);
+    });
+  });
+
+  describe('unfriend', () => {
+    it('removes both sides of the friendship in one batch', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(exists(true));
+
+      await call('unfriend', 'alice', { friendUid: 'bob' });
+
+      expect(batch.delete).toHaveBeenCalledTimes(2);
+      expect(batch.commit).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails for users who are not friends', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(exists(false));
+
+      await expect(call('unfriend', 'alice', { friendUid: 'bob' })).rejects.toThrow('Not friends.');
+      expect(batch.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getFriendSuggestions', () => {
+    const trip = (...uids) => ({ data: () => ({ members: Object.fromEntries(uids.map((uid) => [uid, true])) }) });
+    const profile = (name) => ({ exists: true, data: () => ({ displayName: name, email: `${name}@example.com` }) });
+
+    it('ranks people by shared trips, leaving out friends and blocked users', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce({ docs: [trip('alice', 'bob', 'carol'), trip('alice', 'carol', 'dave'), trip('alice', 'erin')] })
+        .mockResolvedValueOnce({ docs: [{ id: 'bob' }] }) // friends
+        .mockResolvedValueOnce({ docs: [{ id: 'dave' }] }) // blocked by alice
+        .mockResolvedValueOnce(exists(false)) // carol has not blocked alice
+        .mockResolvedValueOnce(profile('carol'))
+        .mockResolvedValueOnce(exists(true)); // erin blocked alice
+
+      const result = await call('getFriendSuggestions', 'alice', {});
+
+      expect(db.where).toHaveBeenCalledWith('members.alice', '==', true);
+      expect(result.suggestions).toEqual([
+        { uid: 'carol', displayName: 'carol', email: 'carol@example.com', photoURL: null, mutualTrips: 2 },
+      ]);
+    });
+
+    it('rejects limits out of range', async () => {
+      db.get.mockResolvedValueOnce(exists(false));
+
+      await expect(call('getFriendSuggestions', 'alice', { limit: 0 })).rejects.toThrow('limit must be between 1 and 50.');
+    });
+  });
+
+  describe('inviteFriendToTrip', () => {
+    const trip = { exists: true, data: () => ({ members: { alice: true }, roles: { alice: 'owner' } }) };
+
+    it('refuses to invite a user the inviter blocked', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(exists(true)) // alice blocked bob
+        .mockResolvedValueOnce(exists(false));
+
+      await expect(call('inviteFriendToTrip', 'alice', { tripId: 'trip1', friendUid: 'bob' }))
+        .rejects.toThrow('Unblock this user before inviting them.');
+      expect(db.runTransaction).toHaveBeenCalledTimes(1); // rate limit only
+    });
+
+    it('answers as if a user who blocked the inviter does not exist', async () => {
+      db.get
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(exists(false))
+        .mockResolvedValueOnce(exists(true)); // bob blocked alice
+
+      await expect(call('inviteFriendToTrip', 'alice', { tripId: 'trip1', friendUid: 'bob' }))
+        .rejects.toThrow('User not found.');
+      expect(db.runTransaction).toHaveBeenCalledTimes(1); // rate limit only
+    });
+  });
+});
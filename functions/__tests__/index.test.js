@@ -32,6 +32,61 @@ describe('Cloud Functions', () => {
     });
   });
 
+  describe('onUserProfileSearchIndex', () => {
+    it('should be defined', () => {
+      expect(functions.onUserProfileSearchIndex).toBeDefined();
+    });
+  });
+
+  describe('backfillUserSearchTokens', () => {
+    it('should be defined', () => {
+      expect(functions.backfillUserSearchTokens).toBeDefined();
+    });
+  });
+
+  describe('purgeStaleRateLimits', () => {
+    it('should be defined', () => {
+      expect(functions.purgeStaleRateLimits).toBeDefined();
+    });
+  });
+
+  describe('sendNotificationDigests', () => {
+    it('should be defined', () => {
+      expect(functions.sendNotificationDigests).toBeDefined();
+    });
+  });
+
+  describe('markAllNotificationsRead', () => {
+    it('should be defined', () => {
+      expect(functions.markAllNotificationsRead).toBeDefined();
+      expect(typeof functions.markAllNotificationsRead).toBe('function');
+    });
+  });
+
+  describe('sendTripReminders', () => {
+    it('should be defined', () => {
+      expect(functions.sendTripReminders).toBeDefined();
+    });
+  });
+
+  describe('purgeExpiredWeatherCache', () => {
+    it('should be defined', () => {
+      expect(functions.purgeExpiredWeatherCache).toBeDefined();
+    });
+  });
+
+  describe('pruneNotificationInbox', () => {
+    it('should be defined', () => {
+      expect(functions.pruneNotificationInbox).toBeDefined();
+    });
+  });
+
+  describe('onItineraryItemChanged', () => {
+    it('should be defined', () => {
+      expect(functions.onItineraryItemChanged).toBeDefined();
+    });
+  });
+
   describe('sendFriendRequest', () => {
     it('should be defined', () => {
       expect(functions.sendFriendRequest).toBeDefined();
@@ -46,6 +101,34 @@ describe('Cloud Functions', () => {
     });
   });
 
+  describe('blockUser', () => {
+    it('should be defined', () => {
+      expect(functions.blockUser).toBeDefined();
+      expect(typeof functions.blockUser).toBe('function');
+    });
+  });
+
+  describe('unblockUser', () => {
+    it('should be defined', () => {
+      expect(functions.unblockUser).toBeDefined();
+      expect(typeof functions.unblockUser).toBe('function');
+    });
+  });
+
+  describe('unfriend', () => {
+    it('should be defined', () => {
+      expect(functions.unfriend).toBeDefined();
+      expect(typeof functions.unfriend).toBe('function');
+    });
+  });
+
+  describe('getFriendSuggestions', () => {
+    it('should be defined', () => {
+      expect(functions.getFriendSuggestions).toBeDefined();
+      expect(typeof functions.getFriendSuggestions).toBe('function');
+    });
+  });
+
   describe('inviteFriendToTrip', () => {
     it('should be defined', () => {
       expect(functions.inviteFriendToTrip).toBeDefined();
@@ -60,6 +143,97 @@ describe('Cloud Functions', () => {
     });
   });
 
+  describe('onTripInviteCreated', () => {
+    it('should be defined', () => {
+      expect(functions.onTripInviteCreated).toBeDefined();
+      expect(typeof functions.onTripInviteCreated).toBe('function');
+    });
+  });
+
+  describe('listTripInvites', () => {
+    it('should be defined', () => {
+      expect(functions.listTripInvites).toBeDefined();
+      expect(typeof functions.listTripInvites).toBe('function');
+    });
+  });
+
+  describe('revokeTripInvite', () => {
+    it('should be defined', () => {
+      expect(functions.revokeTripInvite).toBeDefined();
+      expect(typeof functions.revokeTripInvite).toBe('function');
+    });
+  });
+
+  describe('resendTripInvite', () => {
+    it('should be defined', () => {
+      expect(functions.resendTripInvite).toBeDefined();
+      expect(typeof functions.resendTripInvite).toBe('function');
+    });
+  });
+
+  describe('updateInviteRole', () => {
+    it('should be defined', () => {
+      expect(functions.updateInviteRole).toBeDefined();
+      expect(typeof functions.updateInviteRole).toBe('function');
+    });
+  });
+
+  describe('createTripJoinLink', () => {
+    it('should be defined', () => {
+      expect(functions.createTripJoinLink).toBeDefined();
+      expect(typeof functions.createTripJoinLink).toBe('function');
+    });
+  });
+
+  describe('respondToJoinRequest', () => {
+    it('should be defined', () => {
+      expect(functions.respondToJoinRequest).toBeDefined();
+      expect(typeof functions.respondToJoinRequest).toBe('function');
+    });
+  });
+
+  describe('onTripJoinRequestCreated', () => {
+    it('should be defined', () => {
+      expect(functions.onTripJoinRequestCreated).toBeDefined();
+      expect(typeof functions.onTripJoinRequestCreated).toBe('function');
+    });
+  });
+
+  describe('updateMemberRole', () => {
+    it('should be defined', () => {
+      expect(functions.updateMemberRole).toBeDefined();
+      expect(typeof functions.updateMemberRole).toBe('function');
+    });
+  });
+
+  describe('removeTripMember', () => {
+    it('should be defined', () => {
+      expect(functions.removeTripMember).toBeDefined();
+      expect(typeof functions.removeTripMember).toBe('function');
+    });
+  });
+
+  describe('leaveTrip', () => {
+    it('should be defined', () => {
+      expect(functions.leaveTrip).toBeDefined();
+      expect(typeof functions.leaveTrip).toBe('function');
+    });
+  });
+
+  describe('transferTripOwnership', () => {
+    it('should be defined', () => {
+      expect(functions.transferTripOwnership).toBeDefined();
+      expect(typeof functions.transferTripOwnership).toBe('function');
+    });
+  });
+
+  describe('listTripAuditLog', () => {
+    it('should be defined', () => {
+      expect(functions.listTripAuditLog).toBeDefined();
+      expect(typeof functions.listTripAuditLog).toBe('function');
+    });
+  });
+
   describe('searchUsers', () => {
     it('should be defined', () => {
       expect(functions.searchUsers).toBeDefined();
@@ -94,6 +268,34 @@ describe('Cloud Functions', () => {
       expect(typeof functions.weatherHourly).toBe('function');
     });
   });
+
+  describe('onTripMemberRemoved', () => {
+    it('should be defined', () => {
+      expect(functions.onTripMemberRemoved).toBeDefined();
+      expect(typeof functions.onTripMemberRemoved).toBe('function');
+    });
+  });
+
+  describe('requestTripKey', () => {
+    it('should be defined', () => {
+      expect(functions.requestTripKey).toBeDefined();
+      expect(typeof functions.requestTripKey).toBe('function');
+    });
+  });
+
+  describe('onTripKeyRequestWritten', () => {
+    it('should be defined', () => {
+      expect(functions.onTripKeyRequestWritten).toBeDefined();
+      expect(typeof functions.onTripKeyRequestWritten).toBe('function');
+    });
+  });
+
+  describe('onTripMemberKeyWritten', () => {
+    it('should be defined', () => {
+      expect(functions.onTripMemberKeyWritten).toBeDefined();
+      expect(typeof functions.onTripMemberKeyWritten).toBe('function');
+    });
+  });
 });
 
 // Testing helper functions that support the main Cloud Functions
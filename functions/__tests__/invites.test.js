@@ -0,0 +1,565 @@
+/**
+ * Trip Invite Functions Test Suite
+ *
+ * Tests for invitation email delivery and invite management:
+ * - Email invites are rendered and sent when the invite doc is created
+ * - Delivery status is recorded on the invite doc, including failures
+ * - Other invite types are ignored
+ * - Pending invites can be listed, revoked, resent and given another role
+ * - Editors can only manage the invites they sent
+ * - Join links are capped, can require owner approval and free a slot when a request is declined
+ * - Invites and join links can't be used across a block with the member who sent them
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const test = require('firebase-functions-test')({
+  projectId: 'test-project',
+});
+
+const admin = require('firebase-admin');
+const db = admin.firestore();
+const runMockTransaction = db.runTransaction.getMockImplementation();
+let functions;
+let mailDirectory;
+
+beforeAll(async () => {
+  mailDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'invite-mail-'));
+  process.env.MAIL_TRANSPORT = 'file';
+  process.env.MAIL_DIRECTORY = mailDirectory;
+  process.env.APP_URL = 'https://tripsync.app';
+  functions = require('../index');
+});
+
+afterAll(async () => {
+  test.cleanup();
+  delete process.env.MAIL_TRANSPORT;
+  delete process.env.MAIL_DIRECTORY;
+  delete process.env.APP_URL;
+  await fs.rm(mailDirectory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.get.mockReset();
+});
+
+describe('onTripInviteCreated', () => {
+  function inviteCreated(invite) {
+    const ref = { id: 'invite1', update: jest.fn().mockResolvedValue() };
+    return {
+      ref,
+      event: {
+        params: { tripId: 'trip1', inviteId: 'invite1' },
+        data: { ref, data: () => invite },
+      },
+    };
+  }
+
+  const emailInvite = {
+    type: 'email',
+    invitedBy: 'owner',
+    email: 'sam@example.com',
+    token: 'tok123',
+    role: 'editor',
+    status: 'pending',
+    expiresAt: { toDate: () => new Date(Date.UTC(2026, 0, 2)) },
+    delivery: { status: 'queued', attempts: 0 },
+  };
+
+  it('emails the accept link and records the delivery', async () => {
+    db.get
+      .mockResolvedValueOnce({ data: () => ({ displayName: 'Alex' }) })
+      .mockResolvedValueOnce({ data: () => ({ name: 'Lake Trip' }) });
+    const { ref, event } = inviteCreated(emailInvite);
+
+    await functions.onTripInviteCreated.run(event);
+
+    const delivery = ref.update.mock.calls[0][0].delivery;
+    expect(delivery).toMatchObject({ status: 'sent', transport: 'file', attempts: 1 });
+
+    const sent = JSON.parse(await fs.readFile(path.join(mailDirectory, `${delivery.messageId}.json`), 'utf8'));
+    expect(sent.to).toBe('sam@example.com');
+    expect(sent.subject).toBe('Alex invited you to "Lake Trip" on TripSync');
+    expect(sent.text).toContain('https://tripsync.app/accept?tripId=trip1&token=tok123');
+  });
+
+  it('leaves encrypted trip names out of the email', async () => {
+    db.get
+      .mockResolvedValueOnce({ data: () => ({ displayName: 'Alex' }) })
+      .mockResolvedValueOnce({ data: () => ({ name: 'tse1:xsalsa20-poly1305:k1::AAAA', encrypted: true }) });
+    const { ref, event } = inviteCreated(emailInvite);
+
+    await functions.onTripInviteCreated.run(event);
+
+    const { messageId } = ref.update.mock.calls[0][0].delivery;
+    const sent = JSON.parse(await fs.readFile(path.join(mailDirectory, `${messageId}.json`), 'utf8'));
+    expect(sent.subject).toBe('Alex invited you to a trip on TripSync');
+  });
+
+  it('records a failed delivery instead of throwing', async () => {
+    db.get.mockRejectedValue(new Error('Firestore unavailable'));
+    const { ref, event } = inviteCreated(emailInvite);
+
+    await functions.onTripInviteCreated.run(event);
+
+    expect(ref.update).toHaveBeenCalledWith({
+      delivery: expect.objectContaining({ status: 'failed', attempts: 1, error: 'Firestore unavailable' }),
+    });
+  });
+
+  it('does not throw when the failed delivery cannot be recorded either', async () => {
+    db.get.mockRejectedValue(new Error('Firestore unavailable'));
+    const { ref, event } = inviteCreated(emailInvite);
+    ref.update.mockRejectedValue(new Error('Firestore unavailable'));
+
+    await expect(functions.onTripInviteCreated.run(event)).resolves.toBeUndefined();
+    expect(ref.update).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores invites that are not pending email invites', async () => {
+    const friendInvite = inviteCreated({ ...emailInvite, type: 'friend', email: null });
+    const accepted = inviteCreated({ ...emailInvite, status: 'accepted' });
+
+    await functions.onTripInviteCreated.run(friendInvite.event);
+    await functions.onTripInviteCreated.run(accepted.event);
+
+    expect(friendInvite.ref.update).not.toHaveBeenCalled();
+    expect(accepted.ref.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('invite management', () => {
+  const trip = {
+    exists: true,
+    data: () => ({
+      name: 'Lake Trip',
+      members: { owner: true, editor: true, viewer: true },
+      roles: { owner: 'owner', editor: 'editor', viewer: 'viewer' },
+    }),
+  };
+  const rateLimitWindow = { exists: false };
+
+  function inviteDoc(id, invite) {
+    return { id, ref: { id }, data: () => invite };
+  }
+
+  function timestamp(ms) {
+    return { toMillis: () => ms, toDate: () => new Date(ms) };
+  }
+
+  const pendingInvite = {
+    type: 'email',
+    invitedBy: 'owner',
+    email: 'sam@example.com',
+    token: 'tok123',
+    role: 'editor',
+    status: 'pending',
+    expiresAt: timestamp(Date.now() + 3600 * 1000),
+    delivery: { status: 'sent', attempts: 1 },
+  };
+
+  describe('listTripInvites', () => {
+    it('lists pending invites soonest expiry first and expires stale ones', async () => {
+      const batch = { update: jest.fn(), commit: jest.fn().mockResolvedValue() };
+      db.batch.mockReturnValueOnce(batch);
+      const later = inviteDoc('later', { ...pendingInvite, expiresAt: timestamp(Date.now() + 48 * 3600 * 1000) });
+      const sooner = inviteDoc('sooner', { ...pendingInvite, email: 'kim@example.com', role: 'viewer' });
+      const stale = inviteDoc('stale', { ...pendingInvite, expiresAt: timestamp(Date.now() - 1000) });
+      db.get
+        .mockResolvedValueOnce(rateLimitWindow)
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce({ docs: [later, sooner, stale] });
+
+      const result = await functions.listTripInvites.run({ auth: { uid: 'editor' }, data: { tripId: 'trip1' } });
+
+      expect(db.where).toHaveBeenCalledWith('status', '==', 'pending');
+      expect(result.invites.map((invite) => invite.id)).toEqual(['sooner', 'later']);
+      expect(result.invites[0]).toMatchObject({ email: 'kim@example.com', role: 'viewer', delivery: 'sent' });
+      expect(result.invites[0]).not.toHaveProperty('token');
+      expect(batch.update).toHaveBeenCalledWith(stale.ref, { status: 'expired' });
+      expect(batch.commit).toHaveBeenCalled();
+    });
+
+    it('rejects viewers', async () => {
+      db.get.mockResolvedValueOnce(rateLimitWindow).mockResolvedValueOnce(trip);
+
+      await expect(functions.listTripInvites.run({ auth: { uid: 'viewer' }, data: { tripId: 'trip1' } }))
+        .rejects.toThrow('Insufficient role.');
+    });
+  });
+
+  describe('revokeTripInvite', () => {
+    it('revokes a pending invite', async () => {
+      db.get
+        .mockResolvedValueOnce(rateLimitWindow)
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce({ exists: true, data: () => pendingInvite });
+
+      const result = await functions.revokeTripInvite.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', inviteId: 'invite1' },
+      });
+
+      expect(result).toEqual({ ok: true });
+      expect(db.doc).toHaveBeenCalledWith('invite1');
+      expect(db.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'revoked', revokedBy: 'owner' }));
+    });
+
+    it('stops editors from revoking invites sent by others', async () => {
+      db.get
+        .mockResolvedValueOnce(rateLimitWindow)
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce({ exists: true, data: () => pendingInvite });
+
+      await expect(functions.revokeTripInvite.run({
+        auth: { uid: 'editor' },
+        data: { tripId: 'trip1', inviteId: 'invite1' },
+      })).rejects.toThrow('Only the trip owner can manage invites sent by others.');
+      expect(db.update).not.toHaveBeenCalled();
+    });
+
+    it('rejects invites that are no longer pending', async () => {
+      db.get
+        .mockResolvedValueOnce(rateLimitWindow)
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ ...pendingInvite, status: 'accepted' }) });
+
+      await expect(functions.revokeTripInvite.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', inviteId: 'invite1' },
+      })).rejects.toThrow('Invite is accepted.');
+    });
+  });
+
+  describe('resendTripInvite', () => {
+    it('extends an expired invite and emails it again', async () => {
+      const expired = { ...pendingInvite, status: 'expired', expiresAt: timestamp(Date.now() - 1000) };
+      db.get
+        .mockResolvedValueOnce(rateLimitWindow)
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce({ exists: true, data: () => expired })
+        .mockResolvedValueOnce({ data: () => ({ displayName: 'Alex' }) })
+        .mockResolvedValueOnce(trip);
+
+      const before = Date.now();
+      const result = await functions.resendTripInvite.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', inviteId: 'invite1', ttlHours: 24 },
+      });
+
+      expect(result).toMatchObject({ ok: true, token: 'tok123', delivered: true });
+      expect(result.expiresAt).toBeGreaterThanOrEqual(before + 24 * 3600 * 1000);
+      expect(db.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending', resentBy: 'owner' }));
+      expect(db.update).toHaveBeenCalledWith({
+        delivery: expect.objectContaining({ status: 'sent', transport: 'file', attempts: 2 }),
+      });
+    });
+
+    it('rejects out of range expiry windows', async () => {
+      db.get.mockResolvedValueOnce(rateLimitWindow);
+
+      await expect(functions.resendTripInvite.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', inviteId: 'invite1', ttlHours: 0 },
+      })).rejects.toThrow('ttlHours must be between 0 and 720.');
+    });
+  });
+
+  describe('updateInviteRole', () => {
+    it('lets the inviting editor change the role', async () => {
+      db.get
+        .mockResolvedValueOnce(rateLimitWindow)
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ ...pendingInvite, invitedBy: 'editor' }) });
+
+      await functions.updateInviteRole.run({
+        auth: { uid: 'editor' },
+        data: { tripId: 'trip1', inviteId: 'invite1', role: 'viewer' },
+      });
+
+      expect(db.update).toHaveBeenCalledWith({
+        role: 'viewer',
+        updatedBy: 'editor',
+        updatedAt: { _methodName: 'serverTimestamp' },
+      });
+    });
+
+    it('rejects roles other than editor and viewer', async () => {
+      db.get.mockResolvedValueOnce(rateLimitWindow);
+
+      await expect(functions.updateInviteRole.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', inviteId: 'invite1', role: 'owner' },
+      })).rejects.toThrow('Invalid role.');
+    });
+  });
+});
+
+describe('join links', () => {
+  const trip = {
+    exists: true,
+    data: () => ({
+      members: { owner: true, editor: true },
+      roles: { owner: 'owner', editor: 'editor' },
+    }),
+  };
+  const rateLimitWindow = { exists: false };
+  const noDoc = { exists: false, data: () => undefined };
+  let tx;
+
+  beforeEach(() => {
+    tx = { get: jest.fn(), set: jest.fn(), update: jest.fn() };
+    // The rate limiter's transaction comes first and runs against the shared mock
+    db.runTransaction
+      .mockImplementationOnce(runMockTransaction)
+      .mockImplementation(async (fn) => fn(mockReadsBeforeWrites(tx)));
+  });
+
+  const linkInvite = {
+    type: 'link',
+    invitedBy: 'owner',
+    token: 'link123',
+    role: 'viewer',
+    status: 'pending',
+    expiresAt: { toMillis: () => Date.now() + 3600 * 1000 },
+    maxUses: 2,
+    useCount: 0,
+    requiresApproval: false,
+  };
+
+  function mockLinkLookup(invite, { blockedByJoiner = false, blockedByInviter = false } = {}) {
+    const inviteRef = { id: 'link1', update: jest.fn() };
+    db.get
+      .mockResolvedValueOnce(rateLimitWindow)
+      .mockResolvedValueOnce({ empty: false, docs: [{ ref: inviteRef, data: () => invite }] })
+      .mockResolvedValueOnce({ exists: blockedByJoiner })
+      .mockResolvedValueOnce({ exists: blockedByInviter });
+    return inviteRef;
+  }
+
+  describe('createTripJoinLink', () => {
+    it('creates a capped multi-use link for owners', async () => {
+      db.get.mockResolvedValueOnce(rateLimitWindow).mockResolvedValueOnce(trip);
+
+      const result = await functions.createTripJoinLink.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', role: 'editor', maxUses: 40, ttlHours: 48, requiresApproval: true },
+      });
+
+      expect(result).toMatchObject({ ok: true, token: expect.any(String) });
+      expect(db.set).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'link',
+        role: 'editor',
+        status: 'pending',
+        maxUses: 40,
+        useCount: 0,
+        requiresApproval: true,
+      }));
+    });
+
+    it('only lets owners create links', async () => {
+      db.get.mockResolvedValueOnce(rateLimitWindow).mockResolvedValueOnce(trip);
+
+      await expect(functions.createTripJoinLink.run({ auth: { uid: 'editor' }, data: { tripId: 'trip1' } }))
+        .rejects.toThrow('Insufficient role.');
+    });
+
+    it('rejects use caps out of range', async () => {
+      db.get.mockResolvedValueOnce(rateLimitWindow);
+
+      await expect(functions.createTripJoinLink.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', maxUses: 0 },
+      })).rejects.toThrow('maxUses must be between 1 and 500.');
+    });
+  });
+
+  describe('acceptTripInvite with a join link', () => {
+    it('adds the caller with the link role and counts the use', async () => {
+      const inviteRef = mockLinkLookup(linkInvite);
+      tx.get
+        .mockResolvedValueOnce({ exists: true, data: () => linkInvite })
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(noDoc);
+
+      const result = await functions.acceptTripInvite.run({
+        auth: { uid: 'joiner' },
+        data: { tripId: 'trip1', token: 'link123' },
+      });
+
+      expect(result).toEqual({ ok: true, status: 'joined' });
+      expect(tx.update).toHaveBeenCalledWith(inviteRef, expect.objectContaining({
+        useCount: { _methodName: 'increment', n: 1 },
+      }));
+      expect(tx.update).toHaveBeenCalledWith(expect.anything(), {
+        members: { owner: true, editor: true, joiner: true },
+        roles: { owner: 'owner', editor: 'editor', joiner: 'viewer' },
+        updatedBy: 'joiner',
+        updatedAt: { _methodName: 'serverTimestamp' },
+      });
+      expect(inviteRef.update).not.toHaveBeenCalled();
+    });
+
+    it('files a join request when the link needs approval', async () => {
+      const invite = { ...linkInvite, requiresApproval: true };
+      mockLinkLookup(invite);
+      tx.get
+        .mockResolvedValueOnce({ exists: true, data: () => invite })
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(noDoc)
+        .mockResolvedValueOnce(noDoc);
+
+      const result = await functions.acceptTripInvite.run({
+        auth: { uid: 'joiner' },
+        data: { tripId: 'trip1', token: 'link123' },
+      });
+
+      expect(result).toEqual({ ok: true, status: 'pending_approval' });
+      expect(tx.set).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        uid: 'joiner',
+        inviteId: 'link1',
+        role: 'viewer',
+        status: 'pending',
+      }));
+      expect(tx.update).not.toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ members: expect.anything() }));
+    });
+
+    it('does not use another slot while a request is pending', async () => {
+      const invite = { ...linkInvite, requiresApproval: true };
+      mockLinkLookup(invite);
+      tx.get
+        .mockResolvedValueOnce({ exists: true, data: () => invite })
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(noDoc)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ status: 'pending' }) });
+
+      const result = await functions.acceptTripInvite.run({
+        auth: { uid: 'joiner' },
+        data: { tripId: 'trip1', token: 'link123' },
+      });
+
+      expect(result).toEqual({ ok: true, status: 'pending_approval' });
+      expect(tx.update).not.toHaveBeenCalled();
+      expect(tx.set).not.toHaveBeenCalled();
+    });
+
+    it('rejects links that have reached their cap', async () => {
+      const invite = { ...linkInvite, useCount: 2 };
+      mockLinkLookup(invite);
+      tx.get
+        .mockResolvedValueOnce({ exists: true, data: () => invite })
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(noDoc);
+
+      await expect(functions.acceptTripInvite.run({
+        auth: { uid: 'joiner' },
+        data: { tripId: 'trip1', token: 'link123' },
+      })).rejects.toThrow('This join link has reached its limit.');
+    });
+
+    it('answers as if the link did not exist when its creator blocked the caller', async () => {
+      mockLinkLookup(linkInvite, { blockedByInviter: true });
+      tx.get.mockResolvedValueOnce({ exists: true, data: () => linkInvite });
+
+      await expect(functions.acceptTripInvite.run({
+        auth: { uid: 'joiner' },
+        data: { tripId: 'trip1', token: 'link123' },
+      })).rejects.toThrow('Invite not found.');
+      expect(tx.update).not.toHaveBeenCalled();
+      expect(tx.set).not.toHaveBeenCalled();
+    });
+
+    it('asks callers to unblock the link creator before joining', async () => {
+      mockLinkLookup(linkInvite, { blockedByJoiner: true });
+      tx.get.mockResolvedValueOnce({ exists: true, data: () => linkInvite });
+
+      await expect(functions.acceptTripInvite.run({
+        auth: { uid: 'joiner' },
+        data: { tripId: 'trip1', token: 'link123' },
+      })).rejects.toThrow('Unblock the person who invited you before joining this trip.');
+      expect(tx.update).not.toHaveBeenCalled();
+    });
+
+    it('rejects revoked links', async () => {
+      mockLinkLookup({ ...linkInvite, status: 'revoked' });
+
+      await expect(functions.acceptTripInvite.run({
+        auth: { uid: 'joiner' },
+        data: { tripId: 'trip1', token: 'link123' },
+      })).rejects.toThrow('Invite was revoked.');
+    });
+  });
+
+  describe('acceptTripInvite with an email invite', () => {
+    const emailInvite = { ...linkInvite, type: 'email', email: 'joiner@example.com', role: 'editor' };
+
+    it('answers as if the invite did not exist when the inviter blocked the caller', async () => {
+      mockLinkLookup(emailInvite, { blockedByInviter: true });
+
+      await expect(functions.acceptTripInvite.run({
+        auth: { uid: 'joiner' },
+        data: { tripId: 'trip1', token: 'link123' },
+      })).rejects.toThrow('Invite not found.');
+      expect(db.runTransaction).toHaveBeenCalledTimes(1); // rate limit only
+    });
+  });
+
+  describe('respondToJoinRequest', () => {
+    const request = { exists: true, data: () => ({ uid: 'joiner', inviteId: 'link1', role: 'editor', status: 'pending' }) };
+
+    it('adds the requester when approved', async () => {
+      db.get.mockResolvedValueOnce(rateLimitWindow).mockResolvedValueOnce(trip);
+      tx.get
+        .mockResolvedValueOnce(request)
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(noDoc);
+
+      await functions.respondToJoinRequest.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', requesterUid: 'joiner', approve: true },
+      });
+
+      expect(tx.update).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        roles: expect.objectContaining({ joiner: 'editor' }),
+      }));
+      expect(tx.update).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        status: 'approved',
+        respondedBy: 'owner',
+      }));
+    });
+
+    it('frees the link slot when declined', async () => {
+      db.get.mockResolvedValueOnce(rateLimitWindow).mockResolvedValueOnce(trip);
+      tx.get
+        .mockResolvedValueOnce(request)
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(noDoc);
+
+      await functions.respondToJoinRequest.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', requesterUid: 'joiner', approve: false },
+      });
+
+      expect(tx.update).toHaveBeenCalledWith(expect.anything(), {
+        useCount: { _methodName: 'increment', n: -1 },
+        updatedBy: 'owner',
+        updatedAt: { _methodName: 'serverTimestamp' },
+      });
+      expect(tx.update).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ status: 'declined' }));
+      expect(tx.update).not.toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ members: expect.anything() }));
+    });
+
+    it('rejects requests that were already answered', async () => {
+      db.get.mockResolvedValueOnce(rateLimitWindow).mockResolvedValueOnce(trip);
+      tx.get.mockResolvedValueOnce({ exists: true, data: () => ({ status: 'approved' }) });
+
+      await expect(functions.respondToJoinRequest.run({
+        auth: { uid: 'owner' },
+        data: { tripId: 'trip1', requesterUid: 'joiner', approve: true },
+      })).rejects.toThrow('Join request is approved.');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Trip Member Management Test Suite
+ *
+ * Tests for the callables that change trip membership:
+ * - Owners change roles, remove members and transfer ownership
+ * - Members leave trips; owners have to transfer ownership first
+ * - Departing members lose their wrapped trip key and open key request
+ * - Every change is recorded in the trip activity feed
+ */
+
+const test = require('firebase-functions-test')({
+  projectId: 'test-project',
+});
+
+describe('Member management', () => {
+  const admin = require('firebase-admin');
+  const db = admin.firestore();
+  const runMockTransaction = db.runTransaction.getMockImplementation();
+  let functions;
+  let tx;
+
+  const trip = () => ({
+    exists: true,
+    data: () => ({
+      members: { owner: true, editor: true, viewer: true },
+      roles: { owner: 'owner', editor: 'editor', viewer: 'viewer' },
+    }),
+  });
+
+  beforeAll(() => {
+    functions = require('../index');
+  });
+
+  afterAll(() => {
+    test.cleanup();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.get.mockReset();
+    tx = { get: jest.fn().mockResolvedValue(trip()), set: jest.fn(), update: jest.fn(), delete: jest.fn() };
+    // The rate limiter's transaction comes first and runs against the shared mock
+    db.runTransaction
+      .mockImplementationOnce(runMockTransaction)
+      .mockImplementation(async (fn) => fn(mockReadsBeforeWrites(tx)));
+    db.get
+      .mockResolvedValueOnce({ exists: false }) // rate limit window
+      .mockResolvedValueOnce(trip());
+  });
+
+  function call(name, uid, data) {
+    return functions[name].run({ auth: { uid }, data: { tripId: 'trip1', ...data } });
+  }
+
+  describe('updateMemberRole', () => {
+    it('changes the role and records it', async () => {
+      await call('updateMemberRole', 'owner', { memberUid: 'editor', role: 'viewer' });
+
+      expect(tx.update).toHaveBeenCalledWith(db, {
+        members: { owner: true, editor: true, viewer: true },
+        roles: { owner: 'owner', editor: 'viewer', viewer: 'viewer' },
+        updatedBy: 'owner',
+        updatedAt: { _methodName: 'serverTimestamp' },
+      });
+      expect(tx.set).toHaveBeenCalledWith(db, expect.objectContaining({
+        type: 'member.role',
+        actorId: 'owner',
+        targetId: 'editor',
+      }));
+    });
+
+    it('refuses to change the owner role', async () => {
+      db.get.mockReset();
+      db.get
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce({ exists: true, data: () => ({ members: { owner: true }, roles: { owner: 'owner' } }) });
+      tx.get.mockResolvedValue({
+        exists: true,
+        data: () => ({ members: { owner: true, other: true }, roles: { owner: 'owner', other: 'owner' } }),
+      });
+
+      await expect(call('updateMemberRole', 'owner', { memberUid: 'other', role: 'viewer' }))
+        .rejects.toThrow('Transfer ownership before changing the owner\'s membership.');
+      expect(tx.update).not.toHaveBeenCalled();
+    });
+
+    it('only lets owners change roles', async () => {
+      await expect(call('updateMemberRole', 'editor', { memberUid: 'viewer', role: 'editor' }))
+        .rejects.toThrow('Insufficient role.');
+    });
+  });
+
+  describe('removeTripMember', () => {
+    it('removes the member and their key documents', async () => {
+      await call('removeTripMember', 'owner', { memberUid: 'viewer' });
+
+      expect(tx.update).toHaveBeenCalledWith(db, {
+        members: { owner: true, editor: true },
+        roles: { owner: 'owner', editor: 'editor' },
+        updatedBy: 'owner',
+        updatedAt: { _methodName: 'serverTimestamp' },
+      });
+      expect(db.collection).toHaveBeenCalledWith('encryptionKeys');
+      expect(db.collection).toHaveBeenCalledWith('keyRequests');
+      expect(tx.delete).toHaveBeenCalledTimes(2);
+      expect(tx.set).toHaveBeenCalledWith(db, expect.objectContaining({ type: 'member.remove', targetId: 'viewer' }));
+    });
+
+    it('rejects members that are not on the trip', async () => {
+      await expect(call('removeTripMember', 'owner', { memberUid: 'stranger' }))
+        .rejects.toThrow('Member not found.');
+    });
+  });
+
+  describe('leaveTrip', () => {
+    it('lets a member leave', async () => {
+      await call('leaveTrip', 'editor', {});
+
+      expect(tx.update).toHaveBeenCalledWith(db, {
+        members: { owner: true, viewer: true },
+        roles: { owner: 'owner', viewer: 'viewer' },
+        updatedBy: 'editor',
+        updatedAt: { _methodName: 'serverTimestamp' },
+      });
+      expect(tx.delete).toHaveBeenCalledTimes(2);
+      expect(tx.set).toHaveBeenCalledWith(db, expect.objectContaining({ type: 'member.leave', actorId: 'editor' }));
+    });
+
+    it('stops the owner from leaving', async () => {
+      await expect(call('leaveTrip', 'owner', {}))
+        .rejects.toThrow('Transfer ownership before leaving the trip.');
+      expect(tx.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transferTripOwnership', () => {
+    it('makes the new owner owner and the old owner an editor', async () => {
+      await call('transferTripOwnership', 'owner', { newOwnerUid: 'viewer' });
+
+      expect(tx.update).toHaveBeenCalledWith(db, {
+        members: { owner: true, editor: true, viewer: true },
+        roles: { owner: 'editor', editor: 'editor', viewer: 'owner' },
+        updatedBy: 'owner',
+        updatedAt: { _methodName: 'serverTimestamp' },
+      });
+      expect(tx.delete).not.toHaveBeenCalled();
+      expect(tx.set).toHaveBeenCalledWith(db, expect.objectContaining({ type: 'member.owner', targetId: 'viewer' }));
+    });
+
+    it('rejects transfers to people outside the trip', async () => {
+      await expect(call('transferTripOwnership', 'owner', { newOwnerUid: 'stranger' }))
+        .rejects.toThrow('Member not found.');
+    });
+  });
+});
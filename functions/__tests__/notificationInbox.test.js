@@ -0,0 +1,40 @@
+/**
+ * Notification Inbox Test Suite
+ *
+ * Unit tests for the entries kept in users/{uid}/notifications:
+ * - Entries link to the trip or screen the notification is about
+ * - Entries start unread and keep the push text and data
+ */
+
+const { notificationLink, buildInboxEntry } = require('../notificationInbox');
+
+describe('notificationLink', () => {
+  it('links trip notifications to the trip', () => {
+    expect(notificationLink({ type: 'chat_message', tripId: 'trip1' })).toBe('/trips/trip1');
+  });
+
+  it('links friend requests to the friends screen', () => {
+    expect(notificationLink({ type: 'friend_request', requestId: 'req1' })).toBe('/friends');
+  });
+
+  it('has no link for notifications about nothing in the app', () => {
+    expect(notificationLink({ type: 'other' })).toBeNull();
+  });
+});
+
+describe('buildInboxEntry', () => {
+  it('builds an unread entry from the push', () => {
+    const createdAt = { seconds: 1 };
+
+    expect(buildInboxEntry({ title: 'Hi', body: 'There' }, { type: 'mention', tripId: 'trip1' }, createdAt)).toEqual({
+      type: 'mention',
+      title: 'Hi',
+      body: 'There',
+      link: '/trips/trip1',
+      data: { type: 'mention', tripId: 'trip1' },
+      read: false,
+      readAt: null,
+      createdAt,
+    });
+  });
+});
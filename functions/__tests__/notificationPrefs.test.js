@@ -0,0 +1,127 @@
+/**
+ * Notification Preferences Test Suite
+ *
+ * Unit tests for deciding which notifications a user wants:
+ * - Global toggles default to on
+ * - A trip override decides before the global toggles, except for trip reminders
+ * - Itinerary writes are described by the days they touch
+ */
+
+const {
+  readNotificationPrefs,
+  readTripNotificationLevel,
+  isNotificationWanted,
+  describeItineraryChange,
+} = require('../notificationPrefs');
+
+describe('readNotificationPrefs', () => {
+  it('defaults every toggle to on', () => {
+    expect(readNotificationPrefs(null)).toEqual({
+      chatMessages: true,
+      mentions: true,
+      friendRequests: true,
+      tripInvites: true,
+      comments: true,
+      itineraryChanges: true,
+      tripReminders: true,
+    });
+  });
+
+  it('keeps toggles the user turned off', () => {
+    const prefs = readNotificationPrefs({ notificationPrefs: { comments: false, itineraryChanges: false } });
+
+    expect(prefs.comments).toBe(false);
+    expect(prefs.itineraryChanges).toBe(false);
+    expect(prefs.chatMessages).toBe(true);
+  });
+});
+
+describe('readTripNotificationLevel', () => {
+  const userData = { tripNotificationPrefs: { trip1: 'muted', trip2: 'loud' } };
+
+  it('returns the override for a trip', () => {
+    expect(readTripNotificationLevel(userData, 'trip1')).toBe('muted');
+  });
+
+  it('ignores unknown levels, other trips and notifications without a trip', () => {
+    expect(readTripNotificationLevel(userData, 'trip2')).toBeNull();
+    expect(readTripNotificationLevel(userData, 'trip3')).toBeNull();
+    expect(readTripNotificationLevel(userData, undefined)).toBeNull();
+    expect(readTripNotificationLevel(null, 'trip1')).toBeNull();
+  });
+});
+
+describe('isNotificationWanted', () => {
+  const allOn = readNotificationPrefs(null);
+  const chatOff = readNotificationPrefs({ notificationPrefs: { chatMessages: false } });
+
+  it('follows the global toggles without a trip override', () => {
+    expect(isNotificationWanted(allOn, null, 'chat_message')).toBe(true);
+    expect(isNotificationWanted(chatOff, null, 'chat_message')).toBe(false);
+    expect(isNotificationWanted(chatOff, null, 'key_request')).toBe(true);
+  });
+
+  it('drops everything about a muted trip', () => {
+    expect(isNotificationWanted(allOn, 'muted', 'mention')).toBe(false);
+    expect(isNotificationWanted(allOn, 'muted', 'itinerary_change')).toBe(false);
+  });
+
+  it('keeps only mentions for a mentions-only trip', () => {
+    expect(isNotificationWanted(allOn, 'mentions', 'mention')).toBe(true);
+    expect(isNotificationWanted(allOn, 'mentions', 'chat_message')).toBe(false);
+    expect(isNotificationWanted(allOn, 'mentions', 'comment')).toBe(false);
+  });
+
+  it('sends everything for a trip set to all, even types turned off globally', () => {
+    expect(isNotificationWanted(chatOff, 'all', 'chat_message')).toBe(true);
+  });
+
+  it('keeps trip reminders off for every trip once turned off globally', () => {
+    const remindersOff = readNotificationPrefs({ notificationPrefs: { tripReminders: false } });
+
+    expect(isNotificationWanted(remindersOff, 'all', 'trip_start')).toBe(false);
+    expect(isNotificationWanted(remindersOff, 'all', 'daily_plan')).toBe(false);
+    expect(isNotificationWanted(allOn, 'all', 'daily_plan')).toBe(true);
+  });
+});
+
+describe('describeItineraryChange', () => {
+  const stop = { title: 'enc:abc', day: 2, orderIndex: 0, createdBy: 'alice' };
+
+  it('describes added and removed stops', () => {
+    expect(describeItineraryChange(null, stop)).toEqual({ days: [2], summary: 'added a stop to Day 2' });
+    expect(describeItineraryChange(stop, null)).toEqual({ days: [2], summary: 'removed a stop from Day 2' });
+  });
+
+  it('reports both days when a stop moves', () => {
+    expect(describeItineraryChange(stop, { ...stop, day: 3 })).toEqual({
+      days: [2, 3],
+      summary: 'moved a stop from Day 2 to Day 3',
+    });
+  });
+
+  it('reports edits to a stop', () => {
+    expect(describeItineraryChange(stop, { ...stop, notes: 'enc:xyz' })).toEqual({
+      days: [2],
+      summary: 'changed a stop on Day 2',
+    });
+  });
+
+  it('ignores reordering within a day', () => {
+    expect(describeItineraryChange(stop, { ...stop, orderIndex: 3 })).toBeNull();
+  });
+
+  it('ignores writes that re-encrypt a stop for a key rotation or migration', () => {
+    const rotated = { ...stop, title: 'enc:def', reencryptedAt: { _seconds: 100, _nanoseconds: 0 } };
+
+    expect(describeItineraryChange(stop, rotated)).toBeNull();
+    expect(describeItineraryChange(rotated, { ...rotated, notes: 'enc:xyz' })).toEqual({
+      days: [2],
+      summary: 'changed a stop on Day 2',
+    });
+  });
+
+  it('treats stops without a day as day 1', () => {
+    expect(describeItineraryChange(null, { title: 'x' }).days).toEqual([1]);
+  });
+});
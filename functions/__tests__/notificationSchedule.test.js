@@ -0,0 +1,133 @@
+/**
+ * Notification Schedule Test Suite
+ *
+ * Unit tests for quiet hours and digests:
+ * - Stored schedules are validated and filled in with defaults
+ * - Quiet hours are checked in the user's time zone and may span midnight
+ * - Digest modes hold chat messages, comments and mentions until the digest is due
+ * - Queued notifications are summarized by type
+ */
+
+const {
+  DEFAULT_NOTIFICATION_SCHEDULE,
+  resolveNotificationSchedule,
+  localTimeParts,
+  isQuietTime,
+  shouldHoldNotification,
+  isDigestDue,
+  buildDigestMessage,
+} = require('../notificationSchedule');
+
+// 2030-06-01T23:30:00Z, which is 01:30 on June 2 in Paris and 19:30 on June 1 in New York
+const NIGHT = Date.UTC(2030, 5, 1, 23, 30);
+const HOUR = 60 * 60 * 1000;
+
+function schedule(overrides) {
+  return resolveNotificationSchedule({
+    quietHours: { enabled: true, start: '22:00', end: '07:00' },
+    timeZone: 'Europe/Paris',
+    ...overrides,
+  });
+}
+
+describe('resolveNotificationSchedule', () => {
+  it('should default missing schedules', () => {
+    expect(resolveNotificationSchedule(undefined)).toEqual(DEFAULT_NOTIFICATION_SCHEDULE);
+  });
+
+  it('should drop invalid values', () => {
+    expect(resolveNotificationSchedule({
+      quietHours: { enabled: true, start: '25:00', end: '6:00' },
+      timeZone: 'Mars/Olympus',
+      digest: 'weekly',
+      digestHour: 24,
+    })).toEqual({ ...DEFAULT_NOTIFICATION_SCHEDULE, quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+  });
+});
+
+describe('localTimeParts', () => {
+  it('should give the local date and time in a time zone', () => {
+    expect(localTimeParts(NIGHT, 'Europe/Paris')).toEqual({ dateKey: '2030-06-02', hour: 1, minute: 30 });
+    expect(localTimeParts(NIGHT, 'America/New_York')).toEqual({ dateKey: '2030-06-01', hour: 19, minute: 30 });
+  });
+});
+
+describe('isQuietTime', () => {
+  it('should check quiet hours spanning midnight in the user time zone', () => {
+    expect(isQuietTime(schedule(), NIGHT)).toBe(true);
+    expect(isQuietTime(schedule({ timeZone: 'America/New_York' }), NIGHT)).toBe(false);
+  });
+
+  it('should check quiet hours within one day', () => {
+    const afternoon = schedule({ quietHours: { enabled: true, start: '13:00', end: '15:00' }, timeZone: 'UTC' });
+    expect(isQuietTime(afternoon, Date.UTC(2030, 5, 1, 14))).toBe(true);
+    expect(isQuietTime(afternoon, Date.UTC(2030, 5, 1, 15))).toBe(false);
+  });
+
+  it('should ignore disabled or empty quiet hours', () => {
+    expect(isQuietTime(schedule({ quietHours: { enabled: false } }), NIGHT)).toBe(false);
+    expect(isQuietTime(schedule({ quietHours: { enabled: true, start: '22:00', end: '22:00' } }), NIGHT)).toBe(false);
+  });
+});
+
+describe('shouldHoldNotification', () => {
+  it('should hold everything during quiet hours', () => {
+    expect(shouldHoldNotification(schedule(), 'friend_request', NIGHT)).toBe(true);
+  });
+
+  it('should hold only chat messages, comments and mentions for digests', () => {
+    const digest = schedule({ quietHours: { enabled: false }, digest: 'hourly' });
+    expect(shouldHoldNotification(digest, 'chat_message', NIGHT)).toBe(true);
+    expect(shouldHoldNotification(digest, 'mention', NIGHT)).toBe(true);
+    expect(shouldHoldNotification(digest, 'trip_invite', NIGHT)).toBe(false);
+    expect(shouldHoldNotification(schedule({ quietHours: { enabled: false } }), 'chat_message', NIGHT)).toBe(false);
+  });
+});
+
+describe('isDigestDue', () => {
+  it('should wait out quiet hours', () => {
+    expect(isDigestDue(schedule(), null, NIGHT)).toBe(false);
+    expect(isDigestDue(schedule({ timeZone: 'America/New_York' }), null, NIGHT)).toBe(true);
+  });
+
+  it('should send hourly digests at most once an hour', () => {
+    const hourly = schedule({ quietHours: { enabled: false }, digest: 'hourly' });
+    expect(isDigestDue(hourly, NIGHT - HOUR / 2, NIGHT)).toBe(false);
+    expect(isDigestDue(hourly, NIGHT - HOUR, NIGHT)).toBe(true);
+  });
+
+  it('should send daily digests once a day from the digest hour', () => {
+    const daily = schedule({ quietHours: { enabled: false }, timeZone: 'UTC', digest: 'daily', digestHour: 18 });
+    const evening = Date.UTC(2030, 5, 1, 18, 15);
+
+    expect(isDigestDue(daily, null, Date.UTC(2030, 5, 1, 17, 59))).toBe(false);
+    expect(isDigestDue(daily, null, evening)).toBe(true);
+    expect(isDigestDue(daily, Date.UTC(2030, 5, 1, 18, 0), evening)).toBe(false);
+    expect(isDigestDue(daily, Date.UTC(2030, 4, 31, 18, 0), evening)).toBe(true);
+  });
+});
+
+describe('buildDigestMessage', () => {
+  const item = (type, tripId = 'trip1') => ({
+    notification: { title: 'T', body: 'B' },
+    data: { type, tripId },
+  });
+
+  it('should deliver a single notification unchanged', () => {
+    expect(buildDigestMessage([item('mention')])).toEqual({
+      notification: { title: 'T', body: 'B' },
+      data: { type: 'mention', tripId: 'trip1' },
+    });
+  });
+
+  it('should summarize several notifications by type', () => {
+    expect(buildDigestMessage([item('chat_message'), item('chat_message'), item('mention')])).toEqual({
+      notification: { title: '3 new notifications', body: '2 new messages, 1 mention' },
+      data: { type: 'digest', count: '3', tripId: 'trip1' },
+    });
+  });
+
+  it('should leave out the trip when notifications come from several trips', () => {
+    expect(buildDigestMessage([item('comment', 'a'), item('comment', 'b')]).data).toEqual({ type: 'digest', count: '2' });
+  });
+});
@@ -0,0 +1,392 @@
+/**
+ * Notification Delivery Test Suite
+ *
+ * Tests for how push notifications are held and delivered:
+ * - Notifications are pushed right away outside quiet hours and digests
+ * - Expo tokens go to the Expo push API, web tokens to FCM, and rejected tokens are deleted
+ * - A trip's mute or mentions-only override decides before the global toggles
+ * - Itinerary changes reach the members who added stops to the changed day
+ * - Notifications held for quiet hours or a digest are queued on the user
+ * - The digest job sends one summary per due user and clears their queue
+ * - Wanted notifications are kept in the user's inbox, which can be marked read and is pruned
+ * - Encrypted trip names and message text never appear in notifications
+ */
+
+const test = require('firebase-functions-test')({
+  projectId: 'test-project',
+});
+
+describe('Notification delivery', () => {
+  const admin = require('firebase-admin');
+  const db = admin.firestore();
+  const messaging = admin.messaging();
+  let functions;
+  let batch;
+  let dateNow;
+
+  // Tests run at noon UTC, inside these quiet hours
+  const NOON = Date.UTC(2030, 5, 1, 12);
+  const duringQuietHours = { quietHours: { enabled: true, start: '09:00', end: '17:00' }, timeZone: 'UTC' };
+  const user = (data) => ({ exists: true, data: () => data });
+  const tokens = { docs: [{ data: () => ({ token: 'device1' }) }] };
+
+  beforeAll(() => {
+    functions = require('../index');
+  });
+
+  afterAll(() => {
+    test.cleanup();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.get.mockReset();
+    batch = { set: jest.fn(), update: jest.fn(), delete: jest.fn(), commit: jest.fn() };
+    db.batch.mockReturnValue(batch);
+    messaging.sendEachForMulticast.mockResolvedValue({ successCount: 1, failureCount: 0, responses: [] });
+    dateNow = jest.spyOn(Date, 'now').mockReturnValue(NOON);
+  });
+
+  afterEach(() => {
+    dateNow.mockRestore();
+  });
+
+  function friendRequestEvent() {
+    return {
+      params: { requestId: 'req1' },
+      data: { data: () => ({ fromUid: 'alice', toUid: 'bob' }) },
+    };
+  }
+
+  function chatEvent(message = { text: 'Hello' }) {
+    return {
+      params: { tripId: 'trip1', messageId: 'msg1' },
+      data: { data: () => ({ createdBy: 'alice', ...message }) },
+    };
+  }
+
+  describe('sendNotification', () => {
+    it('pushes right away without quiet hours or a digest', async () => {
+      db.get
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(user({}))
+        .mockResolvedValueOnce(tokens);
+
+      await functions.onFriendRequestCreated.run(friendRequestEvent());
+
+      expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(expect.objectContaining({
+        notification: { title: 'New friend request', body: 'Alice sent you a friend request' },
+        tokens: ['device1'],
+      }));
+      expect(batch.commit).not.toHaveBeenCalled();
+    });
+
+    it('routes Expo tokens to Expo and deletes token documents either service rejects', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ data: [{ status: 'error', details: { error: 'DeviceNotRegistered' } }] }),
+      });
+      messaging.sendEachForMulticast.mockResolvedValueOnce({
+        responses: [{ success: false, error: { code: 'messaging/invalid-registration-token' } }],
+      });
+      let expoRequest;
+      db.get
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(user({}))
+        .mockResolvedValueOnce({ docs: [
+          { id: 'web1', data: () => ({ token: 'web1', provider: 'fcm', platform: 'web' }) },
+          { id: 'h4sh', data: () => ({ token: 'ExponentPushToken[abc]', platform: 'ios' }) },
+        ] });
+
+      try {
+        await functions.onFriendRequestCreated.run(friendRequestEvent());
+        expoRequest = fetchSpy.mock.calls[0];
+      } finally {
+        fetchSpy.mockRestore();
+      }
+
+      expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(expect.objectContaining({ tokens: ['web1'] }));
+      expect(JSON.parse(expoRequest[1].body)).toEqual([expect.objectContaining({
+        to: 'ExponentPushToken[abc]',
+        title: 'New friend request',
+      })]);
+      expect(db.doc).toHaveBeenCalledWith('web1');
+      expect(db.doc).toHaveBeenCalledWith('h4sh');
+      expect(db.delete).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps the notification in the inbox', async () => {
+      db.get
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(user({}))
+        .mockResolvedValueOnce(tokens);
+
+      await functions.onFriendRequestCreated.run(friendRequestEvent());
+
+      expect(db.collection).toHaveBeenCalledWith('notifications');
+      expect(db.add).toHaveBeenCalledWith({
+        type: 'friend_request',
+        title: 'New friend request',
+        body: 'Alice sent you a friend request',
+        link: '/friends',
+        data: { type: 'friend_request', requestId: 'req1', fromUid: 'alice' },
+        read: false,
+        readAt: null,
+        createdAt: { _methodName: 'serverTimestamp' },
+      });
+    });
+
+    it('queues notifications during quiet hours', async () => {
+      db.get
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(user({ notificationSchedule: duringQuietHours }));
+
+      await functions.onFriendRequestCreated.run(friendRequestEvent());
+
+      expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+      expect(db.collection).toHaveBeenCalledWith('pendingNotifications');
+      expect(batch.set).toHaveBeenCalledWith(db, {
+        notification: { title: 'New friend request', body: 'Alice sent you a friend request' },
+        data: { type: 'friend_request', requestId: 'req1', fromUid: 'alice' },
+        createdAt: { _methodName: 'serverTimestamp' },
+      });
+      expect(batch.set).toHaveBeenCalledWith(
+        db,
+        { pendingNotificationCount: { _methodName: 'increment', n: 1 } },
+        { merge: true },
+      );
+      expect(batch.commit).toHaveBeenCalled();
+    });
+
+    it('queues chat messages for users on a digest', async () => {
+      const trip = user({ name: 'Paris', members: { alice: true, bob: true } });
+      db.get
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(user({ notificationSchedule: { digest: 'hourly' } }));
+
+      await functions.onChatMessageCreated.run(chatEvent());
+
+      expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+      expect(batch.set).toHaveBeenCalledWith(db, expect.objectContaining({
+        data: { type: 'chat_message', tripId: 'trip1', messageId: 'msg1', senderId: 'alice' },
+      }));
+    });
+  });
+
+  describe('encrypted trips', () => {
+    it('keeps encrypted trip names and message text out of notifications', async () => {
+      const trip = user({ name: 'k2:cipher-name', encryptedName: true, members: { alice: true, bob: true } });
+      db.get
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(user({ notificationSchedule: { digest: 'hourly' } }));
+
+      await functions.onChatMessageCreated.run(chatEvent({ text: 'k2:cipher-text', encrypted: true }));
+
+      expect(batch.set).toHaveBeenCalledWith(db, expect.objectContaining({
+        notification: { title: 'Alice sent a message', body: 'In a trip: New message' },
+      }));
+    });
+  });
+
+  describe('trip overrides', () => {
+    const trip = user({ name: 'Paris', members: { alice: true, bob: true } });
+
+    it('drops notifications about a muted trip', async () => {
+      db.get
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(user({ tripNotificationPrefs: { trip1: 'muted' } }));
+
+      await functions.onChatMessageCreated.run(chatEvent());
+
+      expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+      expect(batch.commit).not.toHaveBeenCalled();
+      expect(db.add).not.toHaveBeenCalled();
+    });
+
+    it('sends everything for a trip set to all, even types turned off globally', async () => {
+      db.get
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(trip)
+        .mockResolvedValueOnce(user({
+          notificationPrefs: { chatMessages: false },
+          tripNotificationPrefs: { trip1: 'all' },
+        }))
+        .mockResolvedValueOnce(tokens);
+
+      await functions.onChatMessageCreated.run(chatEvent());
+
+      expect(messaging.sendEachForMulticast).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('onItineraryItemChanged', () => {
+    const stop = (createdBy) => ({ data: () => ({ day: 2, createdBy }) });
+
+    function itineraryEvent(before, after, authType = 'user') {
+      return {
+        params: { tripId: 'trip1', itemId: 'item1' },
+        authType,
+        authId: 'alice',
+        data: {
+          before: { data: () => before },
+          after: { data: () => after },
+        },
+      };
+    }
+
+    it('notifies members who added stops to the changed day', async () => {
+      db.get
+        .mockResolvedValueOnce(user({ name: 'Paris', members: { alice: true, bob: true } }))
+        .mockResolvedValueOnce({ docs: [stop('bob'), stop('alice'), stop('dave')] }) // dave left the trip
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(user({}))
+        .mockResolvedValueOnce(tokens);
+
+      await functions.onItineraryItemChanged.run(itineraryEvent(null, { day: 2, createdBy: 'alice' }));
+
+      expect(db.where).toHaveBeenCalledWith('day', '==', 2);
+      expect(messaging.sendEachForMulticast).toHaveBeenCalledTimes(1);
+      expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(expect.objectContaining({
+        notification: { title: 'Alice updated the itinerary', body: 'In Paris: added a stop to Day 2' },
+        data: {
+          type: 'itinerary_change',
+          tripId: 'trip1',
+          itemId: 'item1',
+          day: '2',
+          actorId: 'alice',
+          click_action: 'FLUTTER_NOTIFICATION_CLICK',
+        },
+      }));
+    });
+
+    it('respects members who turned itinerary changes off', async () => {
+      db.get
+        .mockResolvedValueOnce(user({ name: 'Paris', members: { alice: true, bob: true } }))
+        .mockResolvedValueOnce({ docs: [stop('bob')] })
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(user({ notificationPrefs: { itineraryChanges: false } }));
+
+      await functions.onItineraryItemChanged.run(itineraryEvent({ day: 2, createdBy: 'alice' }, null));
+
+      expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+    });
+
+    it('does not show the ciphertext of an encrypted trip name', async () => {
+      db.get
+        .mockResolvedValueOnce(user({ name: 'enc:abc', encryptedName: true, members: { alice: true, bob: true } }))
+        .mockResolvedValueOnce({ docs: [stop('bob')] })
+        .mockResolvedValueOnce(user({ displayName: 'Alice' }))
+        .mockResolvedValueOnce(user({}))
+        .mockResolvedValueOnce(tokens);
+
+      await functions.onItineraryItemChanged.run(itineraryEvent(null, { day: 2, createdBy: 'alice' }));
+
+      expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(expect.objectContaining({
+        notification: { title: 'Alice updated the itinerary', body: 'In your trip: added a stop to Day 2' },
+      }));
+    });
+
+    it('skips reordering, re-encryption and writes without a signed-in user', async () => {
+      const item = { day: 2, orderIndex: 0, createdBy: 'bob', title: 'enc:v1' };
+      const reencrypted = { ...item, title: 'enc:v2', reencryptedAt: { _seconds: 100, _nanoseconds: 0 } };
+
+      await functions.onItineraryItemChanged.run(itineraryEvent(item, { ...item, orderIndex: 1 }));
+      await functions.onItineraryItemChanged.run(itineraryEvent(item, reencrypted));
+      await functions.onItineraryItemChanged.run(itineraryEvent(item, null, 'system'));
+
+      expect(db.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendNotificationDigests', () => {
+    const queued = (type) => ({
+      ref: { id: type },
+      data: () => ({ notification: { title: 'T', body: 'B' }, data: { type, tripId: 'trip1' } }),
+    });
+
+    function userDoc(id, data) {
+      return { id, ref: db, data: () => data };
+    }
+
+    it('sends one summary per due user and clears their queue', async () => {
+      db.get
+        .mockResolvedValueOnce({ docs: [
+          userDoc('bob', { pendingNotificationCount: 2, notificationSchedule: { digest: 'hourly' } }),
+          userDoc('carol', { pendingNotificationCount: 1, notificationSchedule: duringQuietHours }),
+        ] })
+        .mockResolvedValueOnce({ docs: [queued('chat_message'), queued('mention')] })
+        .mockResolvedValueOnce(tokens);
+
+      await functions.sendNotificationDigests.run({});
+
+      expect(db.where).toHaveBeenCalledWith('pendingNotificationCount', '>', 0);
+      expect(messaging.sendEachForMulticast).toHaveBeenCalledTimes(1);
+      expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(expect.objectContaining({
+        notification: { title: '2 new notifications', body: '1 new message, 1 mention' },
+        data: { type: 'digest', count: '2', tripId: 'trip1', click_action: 'FLUTTER_NOTIFICATION_CLICK' },
+      }));
+      expect(batch.delete).toHaveBeenCalledTimes(2);
+      expect(batch.set).toHaveBeenCalledWith(db, {
+        pendingNotificationCount: { _methodName: 'increment', n: -2 },
+        notificationDigestSentAt: expect.any(Number),
+      }, { merge: true });
+    });
+
+    it('leaves users whose hourly digest was sent recently', async () => {
+      db.get.mockResolvedValueOnce({ docs: [
+        userDoc('bob', { notificationSchedule: { digest: 'hourly' }, notificationDigestSentAt: Date.now() - 60 * 1000 }),
+      ] });
+
+      await functions.sendNotificationDigests.run({});
+
+      expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+      expect(batch.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markAllNotificationsRead', () => {
+    it('marks every unread notification as read', async () => {
+      db.get
+        .mockResolvedValueOnce({ exists: false }) // rate limit window
+        .mockResolvedValueOnce({ docs: [{ ref: { id: 'n1' } }, { ref: { id: 'n2' } }] });
+
+      const result = await functions.markAllNotificationsRead.run({ auth: { uid: 'bob' }, data: {} });
+
+      expect(db.where).toHaveBeenCalledWith('read', '==', false);
+      expect(batch.update).toHaveBeenCalledWith({ id: 'n1' }, { read: true, readAt: { _methodName: 'serverTimestamp' } });
+      expect(batch.update).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({ updated: 2 });
+    });
+  });
+
+  describe('pruneNotificationInbox', () => {
+    it('deletes inbox notifications past the retention period', async () => {
+      db.get.mockResolvedValueOnce({ docs: [{ ref: { id: 'n1' } }, { ref: { id: 'n2' } }] });
+
+      await functions.pruneNotificationInbox.run({});
+
+      expect(db.collectionGroup).toHaveBeenCalledWith('notifications');
+      expect(db.where).toHaveBeenCalledWith('createdAt', '<', {
+        seconds: Math.floor((NOON - 90 * 24 * 60 * 60 * 1000) / 1000),
+        nanos: 0,
+      });
+      expect(batch.delete).toHaveBeenCalledTimes(2);
+      expect(batch.commit).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails the run when the query is rejected, such as for a missing index', async () => {
+      db.get.mockRejectedValueOnce(Object.assign(new Error('The query requires an index'), { code: 9 }));
+
+      await expect(functions.pruneNotificationInbox.run({})).rejects.toThrow('The query requires an index');
+      expect(batch.delete).not.toHaveBeenCalled();
+    });
+  });
+});
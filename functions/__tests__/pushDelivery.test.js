@@ -0,0 +1,187 @@
+/**
+ * Push Delivery Test Suite
+ *
+ * Unit tests for routing pushes to Expo and FCM:
+ * - Tokens are classified by their stored provider or their shape
+ * - Each transport batches tokens and reports which are invalid
+ * - The delivery layer sends each token through its provider's transport, and
+ *   one provider failing does not lose the others' results
+ */
+
+const {
+  tokenProvider,
+  createFcmTransport,
+  createExpoTransport,
+  createFakeTransport,
+  createPushDelivery,
+} = require('../pushDelivery');
+
+const message = { notification: { title: 'Hi', body: 'There' }, data: { type: 'mention', tripId: 'trip1' } };
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+describe('tokenProvider', () => {
+  it('uses the stored provider', () => {
+    expect(tokenProvider({ token: 'abc', provider: 'expo' })).toBe('expo');
+  });
+
+  it('recognizes Expo tokens saved without a provider', () => {
+    expect(tokenProvider({ token: 'ExponentPushToken[xxxx]' })).toBe('expo');
+    expect(tokenProvider({ token: 'ExpoPushToken[xxxx]' })).toBe('expo');
+    expect(tokenProvider({ token: 'fcm-token:abc' })).toBe('fcm');
+  });
+});
+
+describe('createFcmTransport', () => {
+  it('sends a multicast and flags unregistered tokens', async () => {
+    const messaging = {
+      sendEachForMulticast: jest.fn().mockResolvedValue({
+        responses: [
+          { success: true },
+          { success: false, error: { code: 'messaging/registration-token-not-registered' } },
+          { success: false, error: { code: 'messaging/internal-error' } },
+        ],
+      }),
+    };
+
+    const results = await createFcmTransport(messaging).send(['a', 'b', 'c'], message);
+
+    expect(messaging.sendEachForMulticast).toHaveBeenCalledWith({
+      notification: { title: 'Hi', body: 'There' },
+      data: { type: 'mention', tripId: 'trip1', click_action: 'FLUTTER_NOTIFICATION_CLICK' },
+      tokens: ['a', 'b', 'c'],
+    });
+    expect(results).toEqual([
+      { ok: true },
+      { ok: false, invalid: true, error: 'messaging/registration-token-not-registered' },
+      { ok: false, invalid: false, error: 'messaging/internal-error' },
+    ]);
+  });
+
+  it('sends at most 500 tokens per multicast', async () => {
+    const messaging = {
+      sendEachForMulticast: jest.fn(async ({ tokens }) => ({ responses: tokens.map(() => ({ success: true })) })),
+    };
+    const tokens = Array.from({ length: 1200 }, (_, i) => `web${i}`);
+
+    const results = await createFcmTransport(messaging).send(tokens, message);
+
+    expect(messaging.sendEachForMulticast.mock.calls.map(([request]) => request.tokens.length)).toEqual([500, 500, 200]);
+    expect(results).toHaveLength(1200);
+    expect(results.every((result) => result.ok)).toBe(true);
+  });
+
+  it('fails a batch without marking tokens invalid when the multicast throws', async () => {
+    const messaging = {
+      sendEachForMulticast: jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Quota exceeded'), { code: 'messaging/quota-exceeded' }))
+        .mockResolvedValueOnce({ responses: [{ success: true }] }),
+    };
+    const tokens = Array.from({ length: 501 }, (_, i) => `web${i}`);
+
+    const results = await createFcmTransport(messaging).send(tokens, message);
+
+    expect(results).toHaveLength(501);
+    expect(results[0]).toEqual({ ok: false, invalid: false, error: 'messaging/quota-exceeded' });
+    expect(results[500]).toEqual({ ok: true });
+  });
+});
+
+describe('createExpoTransport', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('posts messages to the Expo push API and flags unregistered devices', async () => {
+    fetchSpy.mockResolvedValue(jsonResponse({ data: [
+      { status: 'ok', id: 'ticket1' },
+      { status: 'error', message: 'not registered', details: { error: 'DeviceNotRegistered' } },
+    ] }));
+
+    const results = await createExpoTransport({ getEndpoint: () => 'https://push.test/send' })
+      .send(['ExponentPushToken[a]', 'ExponentPushToken[b]'], message);
+
+    expect(fetchSpy).toHaveBeenCalledWith('https://push.test/send', expect.objectContaining({ method: 'POST' }));
+    expect(JSON.parse(fetchSpy.mock.calls[0][1].body)[0]).toEqual({
+      to: 'ExponentPushToken[a]',
+      title: 'Hi',
+      body: 'There',
+      data: { type: 'mention', tripId: 'trip1' },
+      sound: 'default',
+    });
+    expect(results).toEqual([
+      { ok: true },
+      { ok: false, invalid: true, error: 'DeviceNotRegistered' },
+    ]);
+  });
+
+  it('sends at most 100 tokens per request', async () => {
+    fetchSpy.mockImplementation(async (url, init) => jsonResponse({
+      data: JSON.parse(init.body).map(() => ({ status: 'ok' })),
+    }));
+    const tokens = Array.from({ length: 150 }, (_, i) => `ExponentPushToken[${i}]`);
+
+    const results = await createExpoTransport().send(tokens, message);
+
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+    expect(results).toHaveLength(150);
+  });
+
+  it('fails without marking tokens invalid when the request fails', async () => {
+    fetchSpy.mockResolvedValue(jsonResponse({}, 503));
+
+    const results = await createExpoTransport().send(['ExponentPushToken[a]'], message);
+
+    expect(results).toEqual([{ ok: false, invalid: false, error: 'Expo push request failed with status 503' }]);
+  });
+});
+
+describe('createPushDelivery', () => {
+  it('routes each token to its provider and collects invalid tokens', async () => {
+    const fcm = createFakeTransport();
+    const expo = createFakeTransport({ invalidTokens: ['ExponentPushToken[old]'] });
+    const delivery = createPushDelivery({ fcm, expo });
+    const stale = { id: 'doc2', token: 'ExponentPushToken[old]', provider: 'expo' };
+
+    const result = await delivery.deliver([
+      { id: 'doc1', token: 'web1', provider: 'fcm' },
+      stale,
+      { id: 'doc3', token: 'ExponentPushToken[new]' },
+    ], message);
+
+    expect(fcm.sent).toEqual([{ tokens: ['web1'], message }]);
+    expect(expo.sent).toEqual([{ tokens: ['ExponentPushToken[old]', 'ExponentPushToken[new]'], message }]);
+    expect(result).toEqual({ successCount: 2, failureCount: 1, invalid: [stale] });
+  });
+
+  it('counts tokens without a transport as failures', async () => {
+    const result = await createPushDelivery({ fcm: createFakeTransport() })
+      .deliver([{ id: 'doc1', token: 'ExponentPushToken[a]', provider: 'expo' }], message);
+
+    expect(result).toEqual({ successCount: 0, failureCount: 1, invalid: [] });
+  });
+
+  it('keeps other providers\' results when one transport throws', async () => {
+    const fcm = { send: jest.fn().mockRejectedValue(new Error('FCM unavailable')) };
+    const expo = createFakeTransport({ invalidTokens: ['ExponentPushToken[old]'] });
+    const logError = jest.fn();
+    const stale = { id: 'doc2', token: 'ExponentPushToken[old]', provider: 'expo' };
+
+    const result = await createPushDelivery({ fcm, expo }, { logError }).deliver([
+      { id: 'doc1', token: 'web1', provider: 'fcm' },
+      stale,
+      { id: 'doc3', token: 'ExponentPushToken[new]', provider: 'expo' },
+    ], message);
+
+    expect(result).toEqual({ successCount: 1, failureCount: 2, invalid: [stale] });
+    expect(logError).toHaveBeenCalledWith('Push transport failed', expect.any(Error), { provider: 'fcm', tokenCount: 1 });
+  });
+});
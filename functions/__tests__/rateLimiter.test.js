@@ -0,0 +1,130 @@
+/**
+ * Rate Limiter Test Suite
+ *
+ * Unit tests for the Firestore token-bucket rate limiter:
+ * - Buckets allow bursts up to their size and refill over their window
+ * - Denied calls report when a token will be available and take no tokens
+ * - Old fixed-window documents read as full buckets
+ * - Shared budgets are split across shards in proportion to their rate
+ */
+
+const {
+  refillTokens,
+  msUntilToken,
+  shardCount,
+  shardedBucket,
+  ipBucketKey,
+  createRateLimiter,
+} = require('../rateLimiter');
+
+// In-memory stand-in for the Firestore calls the limiter makes
+function createFakeDb(initial = {}) {
+  const docs = new Map(Object.entries(initial));
+  return {
+    docs,
+    collection: (name) => ({
+      doc: (id) => ({ path: `${name}/${id}` }),
+    }),
+    runTransaction: async (updateFunction) => updateFunction({
+      getAll: async (...refs) => refs.map((ref) => ({
+        exists: docs.has(ref.path),
+        data: () => docs.get(ref.path),
+      })),
+      set: (ref, data) => docs.set(ref.path, data),
+    }),
+  };
+}
+
+const limit = { maxRequests: 2, windowMs: 60 * 1000 };
+
+describe('refillTokens', () => {
+  it('should refill in proportion to the time elapsed, up to the bucket size', () => {
+    expect(refillTokens({ tokens: 0, lastRequest: 0 }, limit, 15 * 1000)).toBeCloseTo(0.5);
+    expect(refillTokens({ tokens: 1, lastRequest: 0 }, limit, 10 * 60 * 1000)).toBe(2);
+  });
+
+  it('should read missing and fixed-window documents as full buckets', () => {
+    expect(refillTokens(null, limit, 0)).toBe(2);
+    expect(refillTokens({ count: 5, windowStart: 0, lastRequest: 0 }, limit, 0)).toBe(2);
+  });
+});
+
+describe('msUntilToken', () => {
+  it('should report the time until a whole token is available', () => {
+    expect(msUntilToken(0, limit)).toBe(30 * 1000);
+    expect(msUntilToken(0.5, limit)).toBe(15 * 1000);
+    expect(msUntilToken(1, limit)).toBe(0);
+  });
+});
+
+describe('shardCount', () => {
+  it('should give each shard about one write a second', () => {
+    expect(shardCount({ maxRequests: 6000, windowMs: 60 * 1000 })).toBe(100);
+    expect(shardCount({ maxRequests: 300, windowMs: 60 * 1000 })).toBe(5);
+  });
+
+  it('should keep budgets of a write a second or less in one bucket', () => {
+    expect(shardCount({ maxRequests: 60, windowMs: 60 * 1000 })).toBe(1);
+    expect(shardCount({ maxRequests: 1, windowMs: 60 * 60 * 1000 })).toBe(1);
+  });
+});
+
+describe('shardedBucket', () => {
+  it('should give one shard an even part of the budget', () => {
+    expect(shardedBucket('global_fn', { maxRequests: 100, windowMs: 1000 }, 10, () => 0.35)).toEqual({
+      key: 'global_fn_3',
+      limit: { maxRequests: 10, windowMs: 1000 },
+    });
+  });
+
+  it('should size shards from the budget by default', () => {
+    expect(shardedBucket('global_fn', { maxRequests: 300, windowMs: 60 * 1000 }, undefined, () => 0.99)).toEqual({
+      key: 'global_fn_4',
+      limit: { maxRequests: 60, windowMs: 60 * 1000 },
+    });
+  });
+
+  it('should leave every shard at least one token', () => {
+    expect(shardedBucket('global_fn', { maxRequests: 1, windowMs: 1000 }, 10, () => 0).limit.maxRequests).toBe(1);
+  });
+});
+
+describe('ipBucketKey', () => {
+  it('should keep IPv4 and IPv6 addresses and replace other characters', () => {
+    expect(ipBucketKey('203.0.113.7')).toBe('203.0.113.7');
+    expect(ipBucketKey('2001:db8::1')).toBe('2001:db8::1');
+    expect(ipBucketKey('a/b')).toBe('a_b');
+    expect(ipBucketKey(undefined)).toBe('unknown');
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('should allow a burst up to the bucket size, then deny with a retry time', async () => {
+    let time = 0;
+    const db = createFakeDb();
+    const limiter = createRateLimiter({ db, now: () => time });
+    const buckets = [{ key: 'alice_fn', limit }];
+
+    await expect(limiter.consume(buckets)).resolves.toMatchObject({ allowed: true });
+    await expect(limiter.consume(buckets)).resolves.toMatchObject({ allowed: true });
+    await expect(limiter.consume(buckets)).resolves.toEqual({ allowed: false, retryAfterMs: 30 * 1000, limit });
+
+    time = 30 * 1000;
+    await expect(limiter.consume(buckets)).resolves.toMatchObject({ allowed: true });
+    expect(db.docs.get('rateLimits/alice_fn')).toEqual({ tokens: 0, lastRequest: 30 * 1000 });
+  });
+
+  it('should take no tokens when any bucket is empty', async () => {
+    const db = createFakeDb({ 'rateLimits/global_fn_0': { tokens: 0, lastRequest: 0 } });
+    const limiter = createRateLimiter({ db, now: () => 0 });
+    const globalLimit = { maxRequests: 10, windowMs: 1000 };
+
+    const result = await limiter.consume([
+      { key: 'alice_fn', limit },
+      { key: 'global_fn_0', limit: globalLimit },
+    ]);
+
+    expect(result).toEqual({ allowed: false, retryAfterMs: 100, limit: globalLimit });
+    expect(db.docs.has('rateLimits/alice_fn')).toBe(false);
+  });
+});
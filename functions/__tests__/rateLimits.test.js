@@ -0,0 +1,92 @@
+/**
+ * Rate Limit Functions Test Suite
+ *
+ * Tests for how callables and scheduled cleanup use the shared rate limiter:
+ * - Denied callables fail with resource-exhausted and a retry time in the error details
+ * - Every call takes a token from the caller's bucket and a shard of the function's shared budget
+ * - Stale buckets are purged on a schedule
+ */
+
+const test = require('firebase-functions-test')({
+  projectId: 'test-project',
+});
+
+describe('Rate limits', () => {
+  const admin = require('firebase-admin');
+  const db = admin.firestore();
+  let functions;
+
+  beforeAll(() => {
+    functions = require('../index');
+  });
+
+  afterAll(() => {
+    test.cleanup();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.get.mockReset();
+  });
+
+  describe('callables', () => {
+    it('rejects calls once the bucket is empty and says when to retry', async () => {
+      db.get.mockResolvedValueOnce({ exists: true, data: () => ({ tokens: 0, lastRequest: Date.now() }) });
+
+      const error = await functions.unblockUser.run({ auth: { uid: 'alice' }, data: { blockedUid: 'bob' } })
+        .catch((e) => e);
+
+      expect(error.code).toBe('resource-exhausted');
+      expect(error.message).toMatch(/^Rate limit exceeded\. Try again in \d+ seconds\.$/);
+      expect(error.details.retryAfterMs).toBeGreaterThan(0);
+      expect(error.details.retryAfterMs).toBeLessThanOrEqual(3000);
+      expect(db.delete).not.toHaveBeenCalled();
+    });
+
+    it('takes a token from the user bucket and a shard of the shared budget', async () => {
+      db.get.mockResolvedValueOnce({ exists: false });
+
+      await functions.unblockUser.run({ auth: { uid: 'alice' }, data: { blockedUid: 'bob' } });
+
+      expect(db.doc).toHaveBeenCalledWith('alice_unblockUser');
+      expect(db.doc).toHaveBeenCalledWith(expect.stringMatching(/^global_unblockUser_\d+$/));
+      expect(db.set).toHaveBeenCalledWith({ tokens: 19, lastRequest: expect.any(Number) });
+    });
+
+    it('limits callables that have no entry of their own', async () => {
+      db.get.mockResolvedValueOnce({ exists: true, data: () => ({ tokens: 0, lastRequest: Date.now() }) });
+
+      await expect(functions.cleanupOrphanedEncryptionKeys.run({ auth: { uid: 'alice' }, data: {} }))
+        .rejects.toThrow('Rate limit exceeded.');
+    });
+
+    it('keeps tiny budgets per user so one caller cannot use them up for everyone', async () => {
+      db.get.mockResolvedValueOnce({ exists: true, data: () => ({ tokens: 0, lastRequest: Date.now() }) });
+
+      await functions.cleanupOrphanedEncryptionKeys.run({ auth: { uid: 'alice' }, data: {} }).catch(() => {});
+
+      expect(db.doc).toHaveBeenCalledWith('alice_cleanupOrphanedEncryptionKeys');
+      expect(db.doc).not.toHaveBeenCalledWith(expect.stringMatching(/^global_cleanupOrphanedEncryptionKeys/));
+    });
+  });
+
+  describe('purgeStaleRateLimits', () => {
+    it('deletes buckets idle for a day, a page at a time', async () => {
+      const batch = { delete: jest.fn(), commit: jest.fn() };
+      db.batch.mockReturnValue(batch);
+      const page = (count) => ({ docs: Array.from({ length: count }, (_, i) => ({ ref: { id: `b${i}` } })) });
+      db.get
+        .mockResolvedValueOnce(page(500))
+        .mockResolvedValueOnce(page(3));
+
+      await functions.purgeStaleRateLimits.run({});
+
+      expect(db.collection).toHaveBeenCalledWith('rateLimits');
+      expect(db.where).toHaveBeenCalledWith('lastRequest', '<', expect.any(Number));
+      const cutoff = db.where.mock.calls.find((c) => c[0] === 'lastRequest')[2];
+      expect(Date.now() - cutoff).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000);
+      expect(batch.delete).toHaveBeenCalledTimes(503);
+      expect(batch.commit).toHaveBeenCalledTimes(2);
+    });
+  });
+});
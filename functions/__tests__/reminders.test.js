@@ -0,0 +1,185 @@
+/**
+ * Trip Reminder Job Test Suite
+ *
+ * Tests for the scheduled sendTripReminders function:
+ * - Members get today's plan in the morning of a trip day
+ * - Reminders already sent for the date are not repeated
+ * - Members who turned trip reminders off are skipped
+ * - Open-ended trips keep getting plans for days with stops
+ * - Signing in saves the device time zone until the user picks one
+ */
+
+const test = require('firebase-functions-test')({
+  projectId: 'test-project',
+});
+
+describe('sendTripReminders', () => {
+  const admin = require('firebase-admin');
+  const db = admin.firestore();
+  const messaging = admin.messaging();
+  let functions;
+  let dateNow;
+
+  // 07:30 UTC on the first day of the trip
+  const MORNING = Date.UTC(2030, 5, 1, 7, 30);
+  const timestamp = (ms) => ({ toMillis: () => ms });
+  const tripDoc = {
+    id: 'trip1',
+    data: () => ({
+      name: 'Paris',
+      startDate: timestamp(Date.UTC(2030, 5, 1)),
+      endDate: timestamp(Date.UTC(2030, 5, 3)),
+      members: { bob: true },
+    }),
+  };
+  const user = (data) => ({ exists: true, data: () => data });
+  const stop = { data: () => ({ day: 1, createdBy: 'bob' }) };
+
+  beforeAll(() => {
+    functions = require('../index');
+  });
+
+  afterAll(() => {
+    test.cleanup();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.get.mockReset();
+    messaging.sendEachForMulticast.mockResolvedValue({ successCount: 1, failureCount: 0, responses: [] });
+    dateNow = jest.spyOn(Date, 'now').mockReturnValue(MORNING);
+  });
+
+  afterEach(() => {
+    dateNow.mockRestore();
+  });
+
+  it('sends today\'s plan and records it', async () => {
+    db.get
+      .mockResolvedValueOnce({ docs: [tripDoc] }) // trips starting soon
+      .mockResolvedValueOnce({ docs: [tripDoc] }) // trips still running
+      .mockResolvedValueOnce({ docs: [] }) // open-ended trips
+      .mockResolvedValueOnce(user({}))
+      .mockResolvedValueOnce({ docs: [stop, stop] }) // day 1 stops, no locations
+      .mockResolvedValueOnce(user({}))
+      .mockResolvedValueOnce({ docs: [{ data: () => ({ token: 'device1' }) }] });
+
+    await functions.sendTripReminders.run({});
+
+    expect(messaging.sendEachForMulticast).toHaveBeenCalledTimes(1);
+    expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(expect.objectContaining({
+      notification: { title: 'Today\'s plan', body: 'Day 1 of Paris: 2 stops planned.' },
+      data: { type: 'daily_plan', tripId: 'trip1', day: '1', click_action: 'FLUTTER_NOTIFICATION_CLICK' },
+    }));
+    expect(db.set).toHaveBeenCalledWith(
+      { tripRemindersSent: { trip1: { daily_plan: '2030-06-01' } } },
+      { merge: true },
+    );
+  });
+
+  it('does not repeat a plan already sent today', async () => {
+    db.get
+      .mockResolvedValueOnce({ docs: [tripDoc] })
+      .mockResolvedValueOnce({ docs: [] })
+      .mockResolvedValueOnce({ docs: [] })
+      .mockResolvedValueOnce(user({ tripRemindersSent: { trip1: { daily_plan: '2030-06-01' } } }));
+
+    await functions.sendTripReminders.run({});
+
+    expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+    expect(db.set).not.toHaveBeenCalled();
+  });
+
+  it('skips members who turned trip reminders off', async () => {
+    db.get
+      .mockResolvedValueOnce({ docs: [tripDoc] })
+      .mockResolvedValueOnce({ docs: [] })
+      .mockResolvedValueOnce({ docs: [] })
+      .mockResolvedValueOnce(user({ notificationPrefs: { tripReminders: false } }));
+
+    await functions.sendTripReminders.run({});
+
+    expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+    expect(db.where).not.toHaveBeenCalledWith('day', '==', 1);
+  });
+
+  describe('open-ended trips', () => {
+    // Day 10 of a trip without an end date
+    const openEnded = {
+      id: 'trip2',
+      data: () => ({
+        name: 'Gap year',
+        startDate: timestamp(Date.UTC(2030, 4, 23)),
+        endDate: null,
+        members: { bob: true },
+      }),
+    };
+
+    it('sends plans for days with stops long after the start', async () => {
+      db.get
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValueOnce({ docs: [openEnded] })
+        .mockResolvedValueOnce({ docs: [stop] }) // a stop around today
+        .mockResolvedValueOnce(user({}))
+        .mockResolvedValueOnce({ docs: [stop] }) // day 10 stops
+        .mockResolvedValueOnce(user({}))
+        .mockResolvedValueOnce({ docs: [{ data: () => ({ token: 'device1' }) }] });
+
+      await functions.sendTripReminders.run({});
+
+      expect(db.where).toHaveBeenCalledWith('endDate', '==', null);
+      expect(db.where).toHaveBeenCalledWith('day', 'in', [9, 10, 11]);
+      expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(expect.objectContaining({
+        notification: { title: 'Today\'s plan', body: 'Day 10 of Gap year: 1 stop planned.' },
+      }));
+    });
+
+    it('skips the members when no day around today has stops', async () => {
+      db.get
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValueOnce({ docs: [openEnded] })
+        .mockResolvedValueOnce({ docs: [] });
+
+      await functions.sendTripReminders.run({});
+
+      expect(db.doc).not.toHaveBeenCalledWith('bob');
+      expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ensureUserProfile', () => {
+    beforeEach(() => {
+      admin.auth().getUser.mockResolvedValue({ email: 'bob@example.com', displayName: 'Bob' });
+    });
+
+    it('saves the device time zone for users who have not picked one', async () => {
+      db.get
+        .mockResolvedValueOnce({ exists: false }) // rate limit
+        .mockResolvedValueOnce(user({ displayName: 'Bob' }));
+
+      await functions.ensureUserProfile.run({ auth: { uid: 'bob' }, data: { timeZone: 'Europe/Paris' } });
+
+      expect(db.set).toHaveBeenCalledWith(
+        expect.objectContaining({ notificationSchedule: { timeZone: 'Europe/Paris' } }),
+        { merge: true },
+      );
+    });
+
+    it('keeps a time zone the user picked and ignores invalid ones', async () => {
+      db.get
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(user({ notificationSchedule: { timeZone: 'Asia/Tokyo' } }))
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(user({}));
+
+      await functions.ensureUserProfile.run({ auth: { uid: 'bob' }, data: { timeZone: 'Europe/Paris' } });
+      await functions.ensureUserProfile.run({ auth: { uid: 'bob' }, data: { timeZone: 'Not/AZone' } });
+
+      const profileWrites = db.set.mock.calls.filter(([data]) => 'displayName' in data);
+      expect(profileWrites).toHaveLength(2);
+      profileWrites.forEach(([data]) => expect(data).not.toHaveProperty('notificationSchedule'));
+    });
+  });
+});
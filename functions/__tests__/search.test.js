@@ -0,0 +1,207 @@
+/**
+ * User Search Functions Test Suite
+ *
+ * Tests for the user search callable and the trigger maintaining search tokens:
+ * - Searches look up one token and rank the candidates against every search word
+ * - Users who are not discoverable are left out
+ * - Results page with an offset cursor
+ * - Profile writes refresh the search tokens only when they change
+ * - Admins can backfill tokens for profiles saved before search indexing, one page per call
+ */
+
+const test = require('firebase-functions-test')({
+  projectId: 'test-project',
+});
+
+describe('User search', () => {
+  const admin = require('firebase-admin');
+  const db = admin.firestore();
+  let functions;
+
+  const profile = (id, data) => ({ id, data: () => data });
+
+  beforeAll(() => {
+    functions = require('../index');
+  });
+
+  afterAll(() => {
+    test.cleanup();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.get.mockReset();
+  });
+
+  function search(data) {
+    return functions.searchUsers.run({ auth: { uid: 'me' }, data });
+  }
+
+  describe('searchUsers', () => {
+    const candidates = {
+      docs: [
+        profile('bob', { displayName: 'Bob Alison', email: 'bob@example.com' }),
+        profile('alice', { displayName: 'Alice Smith', email: 'alice@example.com' }),
+        profile('me', { displayName: 'Ali Me', email: 'me@example.com' }),
+        profile('hidden', { displayName: 'Alix Hidden', email: 'alix@example.com', discoverable: false }),
+        profile('carol', { displayName: 'Carol Jones', email: 'alicia.jones@example.com' }),
+      ],
+    };
+
+    it('ranks discoverable matches by first name, last name and email', async () => {
+      db.get
+        .mockResolvedValueOnce({ exists: false }) // rate limit window
+        .mockResolvedValueOnce(candidates)
+        .mockResolvedValueOnce({ docs: [] }) // nobody blocked
+        .mockResolvedValue({ exists: false });
+
+      const result = await search({ searchTerm: 'ALI' });
+
+      expect(db.where).toHaveBeenCalledWith('searchTokens', 'array-contains', 'ali');
+      expect(result.users.map((u) => u.uid)).toEqual(['alice', 'bob', 'carol']);
+      expect(result.users[0]).toEqual({
+        uid: 'alice',
+        email: 'alice@example.com',
+        displayName: 'Alice Smith',
+        photoURL: null,
+      });
+      expect(result.nextCursor).toBeNull();
+    });
+
+    it('matches every word of the search term', async () => {
+      db.get
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(candidates)
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValue({ exists: false });
+
+      const result = await search({ searchTerm: 'al smith' });
+
+      expect(db.where).toHaveBeenCalledWith('searchTokens', 'array-contains', 'smith');
+      expect(result.users.map((u) => u.uid)).toEqual(['alice']);
+    });
+
+    it('pages through the ranking with a cursor', async () => {
+      db.get
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(candidates)
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValue({ exists: false });
+
+      const first = await search({ searchTerm: 'ali', pageSize: 2 });
+      expect(first.users.map((u) => u.uid)).toEqual(['alice', 'bob']);
+      expect(first.nextCursor).toBe('2');
+
+      db.get
+        .mockReset()
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(candidates)
+        .mockResolvedValueOnce({ docs: [] })
+        .mockResolvedValue({ exists: false });
+
+      const second = await search({ searchTerm: 'ali', pageSize: 2, cursor: first.nextCursor });
+      expect(second.users.map((u) => u.uid)).toEqual(['carol']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('rejects short terms, bad page sizes and bad cursors', async () => {
+      db.get.mockResolvedValue({ exists: false });
+
+      await expect(search({ searchTerm: 'a' })).rejects.toThrow('Search term must be at least 2 characters.');
+      await expect(search({ searchTerm: 'ali', pageSize: 51 })).rejects.toThrow('pageSize must be between 1 and 50.');
+      await expect(search({ searchTerm: 'ali', cursor: 'abc' })).rejects.toThrow('Invalid cursor.');
+    });
+  });
+
+  describe('onUserProfileSearchIndex', () => {
+    function writeEvent(after) {
+      return {
+        params: { uid: 'alice' },
+        data: {
+          before: { data: () => null },
+          after: { data: () => after },
+        },
+      };
+    }
+
+    it('stores tokens for a new or renamed profile', async () => {
+      await functions.onUserProfileSearchIndex.run(writeEvent({ displayName: 'Al', email: 'al@x.io' }));
+
+      expect(db.doc).toHaveBeenCalledWith('alice');
+      expect(db.update).toHaveBeenCalledWith({
+        searchTokens: ['al', 'al@', 'al@x', 'al@x.', 'al@x.i', 'al@x.io'],
+      });
+    });
+
+    it('clears the tokens of users who turn off discoverability', async () => {
+      await functions.onUserProfileSearchIndex.run(writeEvent({
+        displayName: 'Al',
+        email: 'al@x.io',
+        discoverable: false,
+        searchTokens: ['al'],
+      }));
+
+      expect(db.update).toHaveBeenCalledWith({ searchTokens: [] });
+    });
+
+    it('skips writes that leave the tokens unchanged', async () => {
+      await functions.onUserProfileSearchIndex.run(writeEvent({ displayName: 'Al', searchTokens: ['al'] }));
+      await functions.onUserProfileSearchIndex.run(writeEvent(null));
+
+      expect(db.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('backfillUserSearchTokens', () => {
+    const userDoc = (id, data) => ({ id, ref: { id }, data: () => data });
+
+    function backfill(data, token = { admin: true }) {
+      return functions.backfillUserSearchTokens.run({ auth: { uid: 'admin', token }, data });
+    }
+
+    it('writes missing or stale tokens and finishes on a short page', async () => {
+      db.get
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce({
+          docs: [
+            userDoc('alice', { displayName: 'Al', email: 'al@x.io' }),
+            userDoc('bob', { displayName: 'Bo', searchTokens: ['bo'] }),
+            userDoc('hidden', { displayName: 'Hy', discoverable: false, searchTokens: ['hy'] }),
+          ],
+        });
+
+      const result = await backfill({});
+
+      expect(result).toEqual({ scanned: 3, updated: 2, nextCursor: null });
+      expect(db.orderBy).toHaveBeenCalledWith({ _methodName: 'documentId' });
+      expect(db.startAfter).not.toHaveBeenCalled();
+      const batch = db.batch.mock.results[0].value;
+      expect(batch.update).toHaveBeenCalledWith({ id: 'alice' }, {
+        searchTokens: ['al', 'al@', 'al@x', 'al@x.', 'al@x.i', 'al@x.io'],
+      });
+      expect(batch.update).toHaveBeenCalledWith({ id: 'hidden' }, { searchTokens: [] });
+      expect(batch.update).toHaveBeenCalledTimes(2);
+      expect(batch.commit).toHaveBeenCalled();
+    });
+
+    it('resumes after the cursor and returns the next one on a full page', async () => {
+      const docs = Array.from({ length: 500 }, (_, index) => (
+        userDoc(`user${index}`, { displayName: 'Al', searchTokens: ['al'] })
+      ));
+      db.get.mockResolvedValueOnce({ exists: false }).mockResolvedValueOnce({ docs });
+
+      const result = await backfill({ cursor: 'previous' });
+
+      expect(db.startAfter).toHaveBeenCalledWith('previous');
+      expect(result).toEqual({ scanned: 500, updated: 0, nextCursor: 'user499' });
+      expect(db.batch.mock.results[0].value.commit).not.toHaveBeenCalled();
+    });
+
+    it('is limited to admins', async () => {
+      db.get.mockResolvedValueOnce({ exists: false });
+
+      await expect(backfill({}, {})).rejects.toThrow('Admins only.');
+      expect(db.orderBy).not.toHaveBeenCalled();
+    });
+  });
+});
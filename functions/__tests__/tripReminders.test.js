@@ -0,0 +1,106 @@
+/**
+ * Trip Reminders Test Suite
+ *
+ * Unit tests for trip-start and day-of reminders:
+ * - Trip dates are read as UTC calendar days and mapped to trip day numbers
+ * - Reminders are due in the member's time zone, once per date
+ * - Reminder text includes the stop count and weather
+ */
+
+const {
+  tripDateKey,
+  addDays,
+  tripDayNumber,
+  dueTripReminders,
+  summarizeDayWeather,
+  buildTripStartMessage,
+  buildDailyPlanMessage,
+} = require('../tripReminders');
+
+const at = (iso) => Date.parse(iso);
+const timestamp = (iso) => ({ toMillis: () => Date.parse(iso) });
+const trip = {
+  name: 'Paris',
+  startDate: timestamp('2030-06-10T00:00:00Z'),
+  endDate: timestamp('2030-06-12T00:00:00Z'),
+};
+
+describe('trip dates', () => {
+  it('reads stored dates as UTC date keys', () => {
+    expect(tripDateKey(timestamp('2030-06-10T00:00:00Z'))).toBe('2030-06-10');
+    expect(tripDateKey(new Date('2030-06-10'))).toBe('2030-06-10');
+    expect(tripDateKey(null)).toBeNull();
+  });
+
+  it('moves date keys across months', () => {
+    expect(addDays('2030-06-30', 1)).toBe('2030-07-01');
+  });
+
+  it('numbers the days of a trip', () => {
+    expect(tripDayNumber(trip, '2030-06-09')).toBeNull();
+    expect(tripDayNumber(trip, '2030-06-10')).toBe(1);
+    expect(tripDayNumber(trip, '2030-06-12')).toBe(3);
+    expect(tripDayNumber(trip, '2030-06-13')).toBeNull();
+    expect(tripDayNumber({ startDate: trip.startDate }, '2030-06-20')).toBe(11);
+  });
+});
+
+describe('dueTripReminders', () => {
+  it('sends the start reminder the evening before, in the member\'s time zone', () => {
+    // 18:30 in New York on June 9 is 22:30 UTC
+    expect(dueTripReminders(trip, 'America/New_York', {}, at('2030-06-09T22:30:00Z'))).toEqual([
+      { kind: 'trip_start', dateKey: '2030-06-10', day: 1 },
+    ]);
+    expect(dueTripReminders(trip, 'UTC', {}, at('2030-06-09T22:30:00Z'))).toEqual([]);
+  });
+
+  it('sends the daily plan in the morning of each trip day', () => {
+    // 07:15 in Tokyo on June 11 is 22:15 UTC on June 10
+    expect(dueTripReminders(trip, 'Asia/Tokyo', {}, at('2030-06-10T22:15:00Z'))).toEqual([
+      { kind: 'daily_plan', dateKey: '2030-06-11', day: 2 },
+    ]);
+  });
+
+  it('catches up a missed run but not outside the window', () => {
+    expect(dueTripReminders(trip, 'UTC', {}, at('2030-06-10T09:00:00Z'))).toHaveLength(1);
+    expect(dueTripReminders(trip, 'UTC', {}, at('2030-06-10T10:00:00Z'))).toEqual([]);
+  });
+
+  it('does not repeat a reminder already sent for the date', () => {
+    const sent = { trip_start: '2030-06-10', daily_plan: '2030-06-10' };
+
+    expect(dueTripReminders(trip, 'UTC', sent, at('2030-06-09T18:00:00Z'))).toEqual([]);
+    expect(dueTripReminders(trip, 'UTC', sent, at('2030-06-10T07:00:00Z'))).toEqual([]);
+  });
+
+  it('has nothing for trips without a start date', () => {
+    expect(dueTripReminders({ name: 'Someday' }, 'UTC', {}, at('2030-06-10T07:00:00Z'))).toEqual([]);
+  });
+});
+
+describe('reminder messages', () => {
+  it('summarizes the forecast in both temperature units', () => {
+    expect(summarizeDayWeather({
+      weatherCondition: { description: { text: 'Partly cloudy' } },
+      maxTemperature: { degrees: 24, unit: 'CELSIUS' },
+    })).toBe('Partly cloudy, high 24°C (75°F)');
+    expect(summarizeDayWeather({ maxTemperature: { degrees: 50, unit: 'FAHRENHEIT' } })).toBe('high 10°C (50°F)');
+    expect(summarizeDayWeather(undefined)).toBeNull();
+  });
+
+  it('builds the start reminder with the first day\'s stops', () => {
+    expect(buildTripStartMessage(trip, 3)).toEqual({
+      title: 'Trip starts tomorrow',
+      body: 'Paris starts tomorrow with 3 stops planned for day 1.',
+    });
+    expect(buildTripStartMessage({ ...trip, encryptedName: true }, 0).body).toBe('Your trip starts tomorrow.');
+  });
+
+  it('builds the daily plan with stop count and weather', () => {
+    expect(buildDailyPlanMessage(trip, 2, 1, 'Sunny, high 30°C (86°F)')).toEqual({
+      title: 'Today\'s plan',
+      body: 'Day 2 of Paris: 1 stop planned. Sunny, high 30°C (86°F).',
+    });
+    expect(buildDailyPlanMessage(trip, 3, 0, null).body).toBe('Day 3 of Paris: Nothing planned yet.');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * User Search Test Suite
+ *
+ * Unit tests for the search tokens stored on user profiles and result ranking:
+ * - Tokens are lowercased, accent-free prefixes of every name word and the email
+ * - Users who are not discoverable get no tokens
+ * - Every search word has to match, and exact and first-name matches rank first
+ */
+
+const {
+  normalizeSearchText,
+  buildSearchTokens,
+  searchTokensChanged,
+  parseSearchTerms,
+  pickIndexToken,
+  rankUserMatch,
+  compareRankedUsers,
+} = require('../userSearch');
+
+describe('normalizeSearchText', () => {
+  it('should lowercase and strip accents', () => {
+    expect(normalizeSearchText('  Álvarez ')).toBe('alvarez');
+    expect(normalizeSearchText(null)).toBe('');
+  });
+});
+
+describe('buildSearchTokens', () => {
+  it('should index prefixes of every name word and of the email', () => {
+    const tokens = buildSearchTokens({ displayName: 'Alice Smith', email: 'Al@X.io' });
+
+    expect(tokens).toEqual(expect.arrayContaining(['al', 'ali', 'alice', 'sm', 'smith', 'al@', 'al@x.io']));
+    expect(tokens).not.toContain('a');
+    expect(tokens).toEqual([...tokens].sort());
+  });
+
+  it('should cap prefixes at 20 characters', () => {
+    const tokens = buildSearchTokens({ email: 'averyveryverylongaddress@example.com' });
+
+    expect(Math.max(...tokens.map((token) => token.length))).toBe(20);
+  });
+
+  it('should give users who are not discoverable no tokens', () => {
+    expect(buildSearchTokens({ displayName: 'Alice', email: 'a@x.io', discoverable: false })).toEqual([]);
+    expect(buildSearchTokens(null)).toEqual([]);
+  });
+});
+
+describe('searchTokensChanged', () => {
+  it('should compare stored tokens with new ones', () => {
+    expect(searchTokensChanged(['al', 'ali'], ['al', 'ali'])).toBe(false);
+    expect(searchTokensChanged(['al'], ['al', 'ali'])).toBe(true);
+    expect(searchTokensChanged(undefined, [])).toBe(true);
+  });
+});
+
+describe('pickIndexToken', () => {
+  it('should use the longest search word', () => {
+    expect(pickIndexToken(parseSearchTerms('Al Smith'))).toBe('smith');
+  });
+
+  it('should reject terms too short to be indexed', () => {
+    expect(pickIndexToken(parseSearchTerms(' a '))).toBeNull();
+    expect(pickIndexToken([])).toBeNull();
+  });
+});
+
+describe('rankUserMatch', () => {
+  const alice = { displayName: 'Alice Smith', email: 'alice@example.com' };
+
+  it('should match first names, last names and emails regardless of case', () => {
+    expect(rankUserMatch(alice, ['ali'])).toBeGreaterThan(0);
+    expect(rankUserMatch(alice, ['smi'])).toBeGreaterThan(0);
+    expect(rankUserMatch(alice, ['alice@ex'])).toBeGreaterThan(0);
+  });
+
+  it('should require every search word to match', () => {
+    expect(rankUserMatch(alice, ['ali', 'jones'])).toBe(0);
+    expect(rankUserMatch(alice, [])).toBe(0);
+  });
+
+  it('should rank exact and first-name matches above other prefixes', () => {
+    const aliceB = { displayName: 'Bob Alison', email: 'bob@example.com' };
+
+    expect(rankUserMatch(alice, ['alice@example.com'])).toBeGreaterThan(rankUserMatch(alice, ['alice']));
+    expect(rankUserMatch(alice, ['ali'])).toBeGreaterThan(rankUserMatch(aliceB, ['ali']));
+    expect(rankUserMatch(alice, ['alice', 'smith'])).toBeGreaterThan(rankUserMatch(alice, ['alice', 'smi']));
+  });
+});
+
+describe('compareRankedUsers', () => {
+  it('should order by score, then name, then ID', () => {
+    const users = [
+      { uid: 'c', displayName: 'Carol', score: 50 },
+      { uid: 'b', displayName: 'bob', score: 80 },
+      { uid: 'a2', displayName: 'Amy', score: 50 },
+      { uid: 'a1', displayName: 'amy', score: 50 },
+    ];
+
+    expect(users.sort(compareRankedUsers).map((u) => u.uid)).toEqual(['b', 'a1', 'a2', 'c']);
+  });
+});
@@ -0,0 +1,549 @@
+/**
+ * Weather Proxy Test Suite
+ *
+ * Tests for the weatherDaily, weatherHourly and weatherCurrent HTTP functions.
+ * A local HTTP server stands in for the Google Maps Weather API and the
+ * Open-Meteo fallback and serves canned responses, so these tests verify:
+ * - Requests are built with the location, units and API key
+ * - Hourly records are paged, filtered to the requested day and normalized
+ * - Current conditions are normalized to the shape the web client reads
+ * - Upstream errors and missing parameters are surfaced
+ * - Repeated and concurrent lookups are served from the shared cache, with
+ *   one daily entry per location for every date
+ * - Expired cache entries are purged on a schedule
+ * - Lookups fail over to Open-Meteo when Google errors
+ * - Callers over their per-IP limit get a 429 with Retry-After; the IP is the
+ *   one Google appended to X-Forwarded-For
+ */
+
+const http = require('http');
+
+const test = require('firebase-functions-test')({
+  projectId: 'test-project',
+});
+
+// Canned hourly record for the given local date and hour
+function hourRecord(date, hour, overrides = {}) {
+  const [year, month, day] = date.split('-').map(Number);
+  return {
+    interval: { startTime: `${date}T${String(hour).padStart(2, '0')}:00:00Z` },
+    displayDateTime: { year, month, day, hours: hour },
+    isDaytime: hour >= 7 && hour < 19,
+    temperature: { degrees: 60 + hour, unit: 'FAHRENHEIT' },
+    relativeHumidity: 50,
+    uvIndex: hour === 13 ? 7 : 1,
+    precipitation: {
+      probability: { percent: hour === 15 ? 80 : 10, type: 'RAIN' },
+      qpf: { quantity: 0.1, unit: 'INCHES' },
+    },
+    wind: { speed: { value: 8, unit: 'MILES_PER_HOUR' }, direction: { degrees: 180 } },
+    weatherCondition: {
+      type: 'CLOUDY',
+      description: { text: 'Cloudy', languageCode: 'en' },
+      iconBaseUri: 'https://maps.gstatic.com/weather/v1/cloudy',
+    },
+    ...overrides,
+  };
+}
+
+const CANNED_HOURS_PAGE_1 = {
+  forecastHours: [
+    hourRecord('2030-06-01', 22),
+    hourRecord('2030-06-01', 23),
+    hourRecord('2030-06-02', 13),
+  ],
+  nextPageToken: 'page-2',
+};
+
+const CANNED_HOURS_PAGE_2 = {
+  forecastHours: [
+    hourRecord('2030-06-02', 15),
+    hourRecord('2030-06-03', 0),
+  ],
+  nextPageToken: 'page-3',
+};
+
+const CANNED_DAYS = {
+  forecastDays: [
+    {
+      displayDate: { year: 2030, month: 6, day: 1 },
+      minTemperature: { degrees: 55, unit: 'FAHRENHEIT' },
+      maxTemperature: { degrees: 78, unit: 'FAHRENHEIT' },
+      daytimeForecast: {
+        weatherCondition: {
+          type: 'PARTLY_CLOUDY',
+          description: { text: 'Partly cloudy' },
+          iconBaseUri: 'https://maps.gstatic.com/weather/v1/partly_cloudy',
+        },
+        relativeHumidity: 60,
+        uvIndex: 8,
+        precipitation: { probability: { percent: 20, type: 'RAIN' }, qpf: { quantity: 0.1, unit: 'INCHES' } },
+        wind: { speed: { value: 10, unit: 'MILES_PER_HOUR' }, direction: { degrees: 90 } },
+      },
+      nighttimeForecast: {
+        relativeHumidity: 80,
+        uvIndex: 0,
+        precipitation: { probability: { percent: 40, type: 'RAIN' }, qpf: { quantity: 0.2, unit: 'INCHES' } },
+      },
+      sunEvents: { sunriseTime: '2030-06-01T10:05:00Z', sunsetTime: '2030-06-02T01:10:00Z' },
+    },
+  ],
+};
+
+const CANNED_OPEN_METEO = {
+  utc_offset_seconds: -14400,
+  daily: {
+    time: ['2030-06-01'],
+    weather_code: [61],
+    temperature_2m_max: [70.2],
+    temperature_2m_min: [51.8],
+    precipitation_probability_max: [65],
+    precipitation_sum: [0.12],
+    relative_humidity_2m_mean: [71],
+    uv_index_max: [6.5],
+    wind_speed_10m_max: [14],
+    wind_gusts_10m_max: [25],
+    wind_direction_10m_dominant: [200],
+    sunrise: ['2030-06-01T06:05'],
+    sunset: ['2030-06-01T21:10'],
+  },
+  current: {
+    time: '2030-06-01T08:00',
+    weather_code: 3,
+    temperature_2m: 58,
+    apparent_temperature: 56,
+    relative_humidity_2m: 77,
+    precipitation: 0,
+    wind_speed_10m: 5,
+    wind_gusts_10m: 9,
+    wind_direction_10m: 180,
+    is_day: 1,
+  },
+};
+
+const CANNED_CURRENT = {
+  currentTime: '2030-06-01T12:00:00Z',
+  isDaytime: true,
+  temperature: { degrees: 21.5, unit: 'CELSIUS' },
+  feelsLikeTemperature: { degrees: 22, unit: 'CELSIUS' },
+  relativeHumidity: 64,
+  uvIndex: 5,
+  visibility: { distance: 16, unit: 'KILOMETERS' },
+  precipitation: {
+    probability: { percent: 30, type: 'RAIN' },
+    qpf: { quantity: 0.4, unit: 'MILLIMETERS' },
+  },
+  wind: { speed: { value: 12, unit: 'KILOMETERS_PER_HOUR' }, gust: { value: 20, unit: 'KILOMETERS_PER_HOUR' } },
+  weatherCondition: {
+    type: 'LIGHT_RAIN',
+    description: { text: 'Light rain', languageCode: 'en' },
+    iconBaseUri: 'https://maps.gstatic.com/weather/v1/showers',
+  },
+};
+
+// Minimal Express-like request object for onRequest handlers
+function mockRequest(query, method = 'GET') {
+  return {
+    method,
+    query,
+    headers: {},
+    get: () => undefined,
+  };
+}
+
+// Minimal Express-like response object that resolves once a body is sent
+function mockResponse() {
+  let resolve;
+  const done = new Promise((r) => { resolve = r; });
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    done,
+    set: jest.fn((k, v) => { res.headers[k] = v; return res; }),
+    status: jest.fn((code) => { res.statusCode = code; return res; }),
+    json: jest.fn((body) => { res.body = body; resolve(res); return res; }),
+    send: jest.fn((body) => { res.body = body; resolve(res); return res; }),
+  };
+  return res;
+}
+
+async function invoke(fn, query) {
+  const res = mockResponse();
+  await fn(mockRequest(query), res);
+  return res.done;
+}
+
+describe('Weather proxy functions', () => {
+  let server;
+  let requests;
+  let upstreamStatus;
+  let fallbackStatus;
+  let functions;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+      const isFallback = url.pathname.startsWith('/open-meteo/');
+      const status = isFallback ? fallbackStatus : upstreamStatus;
+      if (status !== 200) {
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end('quota exceeded');
+        return;
+      }
+      let body;
+      if (url.pathname === '/open-meteo/v1/forecast') {
+        body = CANNED_OPEN_METEO;
+      } else if (url.pathname === '/v1/forecast/days:lookup') {
+        body = CANNED_DAYS;
+      } else if (url.pathname === '/v1/forecast/hours:lookup') {
+        body = url.searchParams.get('pageToken') === 'page-2' ? CANNED_HOURS_PAGE_2 : CANNED_HOURS_PAGE_1;
+      } else if (url.pathname === '/v1/currentConditions:lookup') {
+        body = CANNED_CURRENT;
+      } else {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.WEATHER_API_BASE = `http://127.0.0.1:${server.address().port}/v1`;
+    process.env.OPEN_METEO_API_BASE = `http://127.0.0.1:${server.address().port}/open-meteo/v1`;
+    process.env.GOOGLE_MAPS_API_KEY = 'test-maps-key';
+
+    // The persistent cache tier is empty; entries only live in instance memory
+    const db = require('firebase-admin').firestore();
+    db.get.mockResolvedValue({ exists: false });
+    db.set.mockResolvedValue();
+
+    functions = require('../index');
+  });
+
+  beforeEach(() => {
+    requests = [];
+    upstreamStatus = 200;
+    fallbackStatus = 200;
+  });
+
+  afterAll(async () => {
+    delete process.env.WEATHER_API_BASE;
+    delete process.env.OPEN_METEO_API_BASE;
+    delete process.env.GOOGLE_MAPS_API_KEY;
+    await new Promise((resolve) => server.close(resolve));
+    test.cleanup();
+  });
+
+  describe('weatherDaily', () => {
+    it('should return days in the normalized schema', async () => {
+      const res = await invoke(functions.weatherDaily, {
+        lat: '42.96', lng: '-85.67', date: '2030-06-01',
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({
+        provider: 'google',
+        days: [{
+          date: '2030-06-01',
+          minTemperature: { degrees: 55, unit: 'FAHRENHEIT' },
+          maxTemperature: { degrees: 78, unit: 'FAHRENHEIT' },
+          weatherCondition: {
+            type: 'PARTLY_CLOUDY',
+            description: { text: 'Partly cloudy' },
+            iconBaseUri: 'https://maps.gstatic.com/weather/v1/partly_cloudy',
+          },
+          precipitation: {
+            probability: { percent: 40, type: 'RAIN' },
+            qpf: { quantity: expect.closeTo(0.3), unit: 'INCHES' },
+          },
+          relativeHumidity: 70,
+          uvIndex: 8,
+          wind: {
+            speed: { value: 10, unit: 'MILES_PER_HOUR' },
+            gust: { value: null, unit: null },
+            direction: 90,
+          },
+          sunrise: '2030-06-01T10:05:00Z',
+          sunset: '2030-06-02T01:10:00Z',
+        }],
+      });
+    });
+  });
+
+  describe('weatherHourly', () => {
+    it('should return normalized hours for the requested day across pages', async () => {
+      const res = await invoke(functions.weatherHourly, {
+        lat: '42.96', lng: '-85.67', date: '2030-06-02', units: 'imperial',
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.provider).toBe('google');
+      expect(res.body.hours).toHaveLength(2);
+      expect(res.body.hours.map((h) => h.hour)).toEqual([13, 15]);
+      expect(res.body.hours[1]).toEqual({
+        time: '2030-06-02T15:00:00Z',
+        hour: 15,
+        isDaytime: true,
+        temperature: { degrees: 75, unit: 'FAHRENHEIT' },
+        feelsLikeTemperature: null,
+        relativeHumidity: 50,
+        uvIndex: 1,
+        precipitation: {
+          probability: { percent: 80, type: 'RAIN' },
+          qpf: { quantity: 0.1, unit: 'INCHES' },
+        },
+        wind: {
+          speed: { value: 8, unit: 'MILES_PER_HOUR' },
+          gust: { value: null, unit: null },
+          direction: 180,
+        },
+        weatherCondition: {
+          type: 'CLOUDY',
+          description: { text: 'Cloudy' },
+          iconBaseUri: 'https://maps.gstatic.com/weather/v1/cloudy',
+        },
+      });
+
+      // Stops paging once a record past the requested day is seen
+      expect(requests).toHaveLength(2);
+      expect(requests[0].searchParams.get('key')).toBe('test-maps-key');
+      expect(requests[0].searchParams.get('location.latitude')).toBe('42.96');
+      expect(requests[0].searchParams.get('location.longitude')).toBe('-85.67');
+      expect(requests[0].searchParams.get('units_system')).toBe('IMPERIAL');
+      expect(requests[1].searchParams.get('pageToken')).toBe('page-2');
+    });
+
+    it('should honour the units parameter', async () => {
+      await invoke(functions.weatherHourly, {
+        lat: '10', lng: '20', date: '2030-06-01', units: 'metric',
+      });
+
+      expect(requests[0].searchParams.get('units_system')).toBe('METRIC');
+    });
+
+    it('should return an empty list when the day is outside the forecast window', async () => {
+      const res = await invoke(functions.weatherHourly, {
+        lat: '11', lng: '21', date: '2030-05-01',
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ provider: 'google', hours: [] });
+    });
+
+    it('should reject requests without a date', async () => {
+      const res = await invoke(functions.weatherHourly, { lat: '12', lng: '22' });
+
+      expect(res.statusCode).toBe(400);
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should pass through upstream errors when every provider fails', async () => {
+      upstreamStatus = 429;
+      fallbackStatus = 429;
+      const res = await invoke(functions.weatherHourly, {
+        lat: '13', lng: '23', date: '2030-06-01',
+      });
+
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toEqual({ error: 'weather_api_error', body: 'quota exceeded' });
+    });
+  });
+
+  describe('weatherCurrent', () => {
+    it('should return normalized current conditions', async () => {
+      const res = await invoke(functions.weatherCurrent, {
+        lat: '42.96', lng: '-85.67', units: 'METRIC',
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({
+        provider: 'google',
+        currentTime: '2030-06-01T12:00:00Z',
+        isDaytime: true,
+        temperature: { degrees: 21.5, unit: 'CELSIUS' },
+        feelsLikeTemperature: { degrees: 22, unit: 'CELSIUS' },
+        relativeHumidity: 64,
+        uvIndex: 5,
+        visibility: { distance: 16, unit: 'KILOMETERS' },
+        precipitation: {
+          probability: { percent: 30, type: 'RAIN' },
+          qpf: { quantity: 0.4, unit: 'MILLIMETERS' },
+        },
+        wind: {
+          speed: { value: 12, unit: 'KILOMETERS_PER_HOUR' },
+          gust: { value: 20, unit: 'KILOMETERS_PER_HOUR' },
+          direction: null,
+        },
+        weatherCondition: {
+          type: 'LIGHT_RAIN',
+          description: { text: 'Light rain' },
+          iconBaseUri: 'https://maps.gstatic.com/weather/v1/showers',
+        },
+      });
+      expect(requests[0].pathname).toBe('/v1/currentConditions:lookup');
+      expect(requests[0].searchParams.get('units_system')).toBe('METRIC');
+    });
+
+    it('should default to imperial units', async () => {
+      await invoke(functions.weatherCurrent, { lat: '14', lng: '24' });
+
+      expect(requests[0].searchParams.get('units_system')).toBe('IMPERIAL');
+    });
+
+    it('should reject requests without coordinates', async () => {
+      const res = await invoke(functions.weatherCurrent, { lat: 'abc' });
+
+      expect(res.statusCode).toBe(400);
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should pass through upstream errors when every provider fails', async () => {
+      upstreamStatus = 500;
+      fallbackStatus = 500;
+      const res = await invoke(functions.weatherCurrent, { lat: '15', lng: '25' });
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body.error).toBe('weather_api_error');
+    });
+  });
+
+  describe('provider failover', () => {
+    it('should serve daily forecasts from Open-Meteo when Google fails', async () => {
+      upstreamStatus = 503;
+      const res = await invoke(functions.weatherDaily, {
+        lat: '50', lng: '60', date: '2030-06-01', units: 'IMPERIAL',
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.provider).toBe('open-meteo');
+      expect(res.body.days[0]).toMatchObject({
+        date: '2030-06-01',
+        minTemperature: { degrees: 51.8, unit: 'FAHRENHEIT' },
+        maxTemperature: { degrees: 70.2, unit: 'FAHRENHEIT' },
+        weatherCondition: { type: 'LIGHT_RAIN', description: { text: 'Light rain' } },
+        precipitation: {
+          probability: { percent: 65, type: 'RAIN' },
+          qpf: { quantity: 0.12, unit: 'INCHES' },
+        },
+        sunrise: '2030-06-01T10:05:00.000Z',
+      });
+      expect(requests.map((r) => r.pathname)).toEqual(['/v1/forecast/days:lookup', '/open-meteo/v1/forecast']);
+      expect(requests[1].searchParams.get('temperature_unit')).toBe('fahrenheit');
+    });
+
+    it('should serve current conditions from Open-Meteo when Google fails', async () => {
+      upstreamStatus = 500;
+      const res = await invoke(functions.weatherCurrent, { lat: '51', lng: '61', units: 'METRIC' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({
+        provider: 'open-meteo',
+        currentTime: '2030-06-01T12:00:00.000Z',
+        relativeHumidity: 77,
+        weatherCondition: { type: 'CLOUDY' },
+      });
+      expect(requests[1].searchParams.get('temperature_unit')).toBe('celsius');
+    });
+  });
+
+  describe('shared cache', () => {
+    it('should serve repeated lookups for nearby coordinates from the cache', async () => {
+      const first = await invoke(functions.weatherCurrent, { lat: '30.001', lng: '40.001' });
+      const second = await invoke(functions.weatherCurrent, { lat: '30.004', lng: '39.998' });
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].searchParams.get('location.latitude')).toBe('30.00');
+      expect(first.headers['X-Weather-Cache']).toBe('MISS');
+      expect(second.headers['X-Weather-Cache']).toBe('HIT');
+      expect(second.body).toEqual(first.body);
+    });
+
+    it('should serve daily lookups for other dates at the same location from one entry', async () => {
+      await invoke(functions.weatherDaily, { lat: '33', lng: '43', date: '2030-06-01' });
+      const second = await invoke(functions.weatherDaily, { lat: '33', lng: '43', date: '2030-06-05' });
+
+      expect(requests).toHaveLength(1);
+      expect(second.headers['X-Weather-Cache']).toBe('HIT');
+    });
+
+    it('should keep units in the cache key', async () => {
+      await invoke(functions.weatherCurrent, { lat: '31', lng: '41', units: 'IMPERIAL' });
+      await invoke(functions.weatherCurrent, { lat: '31', lng: '41', units: 'METRIC' });
+
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should share one upstream call between concurrent requests', async () => {
+      const query = { lat: '32', lng: '42', date: '2030-06-02' };
+      const results = await Promise.all(
+        Array.from({ length: 10 }, () => invoke(functions.weatherHourly, query))
+      );
+
+      // Two pages for a single upstream lookup
+      expect(requests).toHaveLength(2);
+      expect(results.every((r) => r.body.hours.length === 2)).toBe(true);
+      expect(results.filter((r) => r.headers['X-Weather-Cache'] === 'MISS')).toHaveLength(1);
+      expect(results.filter((r) => r.headers['X-Weather-Cache'] === 'COALESCED')).toHaveLength(9);
+    });
+
+    it('should not cache upstream errors', async () => {
+      upstreamStatus = 503;
+      fallbackStatus = 503;
+      const failed = await invoke(functions.weatherCurrent, { lat: '33', lng: '43' });
+      upstreamStatus = 200;
+      const retried = await invoke(functions.weatherCurrent, { lat: '33', lng: '43' });
+
+      expect(failed.statusCode).toBe(503);
+      expect(retried.statusCode).toBe(200);
+      expect(requests).toHaveLength(3);
+    });
+  });
+
+  describe('purgeExpiredWeatherCache', () => {
+    it('should delete expired entries a page at a time', async () => {
+      const db = require('firebase-admin').firestore();
+      const batch = { delete: jest.fn(), commit: jest.fn() };
+      db.batch.mockReturnValue(batch);
+      db.get.mockResolvedValueOnce({ docs: [{ ref: { id: 'daily_1.00_2.00_now_METRIC' } }] });
+
+      await functions.purgeExpiredWeatherCache.run({});
+
+      expect(db.collection).toHaveBeenCalledWith('weatherCache');
+      expect(db.where).toHaveBeenCalledWith('expiresAt', '<', expect.objectContaining({ seconds: expect.any(Number) }));
+      expect(batch.delete).toHaveBeenCalledTimes(1);
+      expect(batch.commit).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('should answer 429 with Retry-After once the caller IP is out of tokens', async () => {
+      const db = require('firebase-admin').firestore();
+      db.get.mockResolvedValueOnce({ exists: true, data: () => ({ tokens: 0, lastRequest: Date.now() }) });
+
+      const res = await invoke(functions.weatherCurrent, { lat: '34', lng: '44' });
+
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['Retry-After']).toBe('1');
+      expect(res.body).toEqual({ error: 'rate_limited', retryAfterMs: expect.any(Number) });
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should key the IP bucket on the address Google appended, not one the caller sent', async () => {
+      const db = require('firebase-admin').firestore();
+      db.get.mockResolvedValueOnce({ exists: true, data: () => ({ tokens: 0, lastRequest: Date.now() }) });
+      const req = {
+        ...mockRequest({ lat: '34', lng: '44' }),
+        ip: '10.0.0.1',
+        get: (header) => (header === 'x-forwarded-for' ? '198.51.100.9, 203.0.113.7' : undefined),
+      };
+
+      await functions.weatherCurrent(req, mockResponse());
+
+      expect(db.doc).toHaveBeenCalledWith('ip_203.0.113.7_weatherCurrent');
+      expect(db.doc).not.toHaveBeenCalledWith('ip_198.51.100.9_weatherCurrent');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Weather Cache Test Suite
+ *
+ * Unit tests for the shared weather cache used by the weather proxy functions:
+ * - Cache keys round coordinates and include date and units
+ * - Entries expire after their TTL
+ * - Concurrent lookups are coalesced into one fetch
+ * - The persistent store is consulted and failures degrade to a miss
+ * - Hit/miss statistics are reported
+ */
+
+const { createWeatherCache, weatherCacheKey, roundCoord } = require('../weatherCache');
+
+describe('weatherCacheKey', () => {
+  it('should round coordinates so nearby lookups share a key', () => {
+    expect(weatherCacheKey('daily', 42.9634, -85.6681, '2030-06-01', 'IMPERIAL'))
+      .toBe(weatherCacheKey('daily', 42.9612, -85.6719, '2030-06-01', 'IMPERIAL'));
+  });
+
+  it('should separate keys by kind, date and units', () => {
+    const base = weatherCacheKey('daily', 1, 2, '2030-06-01', 'IMPERIAL');
+    expect(weatherCacheKey('hourly', 1, 2, '2030-06-01', 'IMPERIAL')).not.toBe(base);
+    expect(weatherCacheKey('daily', 1, 2, '2030-06-02', 'IMPERIAL')).not.toBe(base);
+    expect(weatherCacheKey('daily', 1, 2, '2030-06-01', 'METRIC')).not.toBe(base);
+  });
+
+  it('should not contain path separators', () => {
+    expect(weatherCacheKey('current', 1, 2, null, 'METRIC')).not.toContain('/');
+  });
+
+  it('should normalize negative zero', () => {
+    expect(roundCoord(-0.001)).toBe('0.00');
+  });
+});
+
+describe('createWeatherCache', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = 1000;
+  });
+
+  it('should return cached values until they expire', async () => {
+    const cache = createWeatherCache({ ttlMs: 100, now });
+    const fetcher = jest.fn().mockResolvedValue({ days: [1] });
+
+    expect(await cache.getOrFetch('k', fetcher)).toEqual({ value: { days: [1] }, status: 'miss' });
+    clock += 99;
+    expect(await cache.getOrFetch('k', fetcher)).toEqual({ value: { days: [1] }, status: 'hit' });
+    clock += 1;
+    expect((await cache.getOrFetch('k', fetcher)).status).toBe('miss');
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('should honour a per-lookup TTL', async () => {
+    const cache = createWeatherCache({ ttlMs: 100, now });
+    const fetcher = jest.fn().mockResolvedValue('v');
+
+    await cache.getOrFetch('k', fetcher, { ttlMs: 10 });
+    clock += 10;
+    await cache.getOrFetch('k', fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('should coalesce concurrent lookups into one fetch', async () => {
+    const cache = createWeatherCache({ ttlMs: 100, now });
+    let release;
+    const fetcher = jest.fn(() => new Promise((resolve) => { release = resolve; }));
+
+    const lookups = [cache.getOrFetch('k', fetcher), cache.getOrFetch('k', fetcher), cache.getOrFetch('k', fetcher)];
+    await Promise.resolve();
+    release('shared');
+    const results = await Promise.all(lookups);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(results.map((r) => r.value)).toEqual(['shared', 'shared', 'shared']);
+    expect(results.map((r) => r.status)).toEqual(['miss', 'coalesced', 'coalesced']);
+    expect(cache.getStats()).toMatchObject({ misses: 1, coalesced: 2, inflight: 0 });
+  });
+
+  it('should propagate fetch errors to every waiter without caching them', async () => {
+    const cache = createWeatherCache({ ttlMs: 100, now });
+    const fetcher = jest.fn()
+      .mockRejectedValueOnce(new Error('upstream down'))
+      .mockResolvedValueOnce('recovered');
+
+    const lookups = [cache.getOrFetch('k', fetcher), cache.getOrFetch('k', fetcher)];
+    await expect(lookups[0]).rejects.toThrow('upstream down');
+    await expect(lookups[1]).rejects.toThrow('upstream down');
+
+    expect((await cache.getOrFetch('k', fetcher)).value).toBe('recovered');
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('should evict the oldest entry beyond maxEntries', async () => {
+    const cache = createWeatherCache({ ttlMs: 100, maxEntries: 2, now });
+    const fetcher = jest.fn(async () => clock);
+
+    await cache.getOrFetch('a', fetcher);
+    await cache.getOrFetch('b', fetcher);
+    await cache.getOrFetch('c', fetcher);
+    await cache.getOrFetch('a', fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(4);
+    expect(cache.getStats().size).toBe(2);
+  });
+
+  it('should read unexpired entries from the persistent store', async () => {
+    const store = {
+      get: jest.fn().mockResolvedValue({ value: 'stored', expiresAt: 2000 }),
+      set: jest.fn(),
+    };
+    const cache = createWeatherCache({ ttlMs: 100, store, now });
+    const fetcher = jest.fn();
+
+    expect(await cache.getOrFetch('k', fetcher)).toEqual({ value: 'stored', status: 'store' });
+    expect(await cache.getOrFetch('k', fetcher)).toEqual({ value: 'stored', status: 'hit' });
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(store.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should ignore expired store entries and write fresh values back', async () => {
+    const store = {
+      get: jest.fn().mockResolvedValue({ value: 'old', expiresAt: 500 }),
+      set: jest.fn().mockResolvedValue(),
+    };
+    const cache = createWeatherCache({ ttlMs: 100, store, now });
+
+    expect((await cache.getOrFetch('k', async () => 'fresh')).value).toBe('fresh');
+    expect(store.set).toHaveBeenCalledWith('k', 'fresh', 1100);
+  });
+
+  it('should treat store failures as a miss and report them', async () => {
+    const onStoreError = jest.fn();
+    const store = {
+      get: jest.fn().mockRejectedValue(new Error('firestore unavailable')),
+      set: jest.fn().mockRejectedValue(new Error('firestore unavailable')),
+    };
+    const cache = createWeatherCache({ ttlMs: 100, store, onStoreError, now });
+
+    expect((await cache.getOrFetch('k', async () => 'fetched')).value).toBe('fetched');
+    expect(onStoreError).toHaveBeenCalledTimes(2);
+    expect(onStoreError).toHaveBeenCalledWith(expect.any(Error), 'k');
+  });
+
+  it('should report hit and miss counts', async () => {
+    const cache = createWeatherCache({ ttlMs: 100, now });
+    await cache.getOrFetch('a', async () => 1);
+    await cache.getOrFetch('a', async () => 1);
+    await cache.getOrFetch('b', async () => 2);
+
+    expect(cache.getStats()).toEqual({
+      hits: 1,
+      storeHits: 0,
+      misses: 2,
+      coalesced: 0,
+      evictions: 0,
+      size: 2,
+      inflight: 0,
+    });
+
+    cache.clear();
+    expect(cache.getStats()).toMatchObject({ hits: 0, misses: 0, size: 0 });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Weather Providers Test Suite
+ *
+ * Unit tests for the weather provider adapters and failover wrapper:
+ * - Open-Meteo responses are converted to the normalized schema
+ * - Google requires an API key and reports upstream failures
+ * - The failover wrapper tries providers in order and tags results
+ */
+
+const {
+  WeatherProviderError,
+  normalizeUnits,
+  createGoogleWeatherProvider,
+  createOpenMeteoProvider,
+  createFailoverProvider,
+} = require('../weatherProviders');
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
+
+describe('normalizeUnits', () => {
+  it('should default to IMPERIAL', () => {
+    expect(normalizeUnits(undefined)).toBe('IMPERIAL');
+    expect(normalizeUnits('kelvin')).toBe('IMPERIAL');
+    expect(normalizeUnits('metric')).toBe('METRIC');
+  });
+});
+
+describe('createOpenMeteoProvider', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  const provider = createOpenMeteoProvider({ getBaseUrl: () => 'https://open-meteo.test/v1' });
+
+  it('should normalize hourly records for the requested day only', async () => {
+    fetchSpy.mockResolvedValue(jsonResponse({
+      utc_offset_seconds: 3600,
+      hourly: {
+        time: ['2030-06-01T23:00', '2030-06-02T14:00'],
+        weather_code: [0, 73],
+        temperature_2m: [10, -2],
+        apparent_temperature: [9, -6],
+        relative_humidity_2m: [50, 90],
+        uv_index: [0, 1.5],
+        precipitation_probability: [0, 85],
+        precipitation: [0, 2.4],
+        wind_speed_10m: [5, 30],
+        wind_gusts_10m: [8, 55],
+        wind_direction_10m: [90, 270],
+        is_day: [0, 1],
+      },
+    }));
+
+    const result = await provider.hourly({ lat: '1.00', lng: '2.00', units: 'METRIC', dateKey: '2030-06-02' });
+
+    expect(result.hours).toEqual([{
+      time: '2030-06-02T13:00:00.000Z',
+      hour: 14,
+      isDaytime: true,
+      temperature: { degrees: -2, unit: 'CELSIUS' },
+      feelsLikeTemperature: { degrees: -6, unit: 'CELSIUS' },
+      relativeHumidity: 90,
+      uvIndex: 1.5,
+      precipitation: {
+        probability: { percent: 85, type: 'SNOW' },
+        qpf: { quantity: 2.4, unit: 'MILLIMETERS' },
+      },
+      wind: {
+        speed: { value: 30, unit: 'KILOMETERS_PER_HOUR' },
+        gust: { value: 55, unit: 'KILOMETERS_PER_HOUR' },
+        direction: 270,
+      },
+      weatherCondition: { type: 'SNOW', description: { text: 'Snow' }, iconBaseUri: null },
+    }]);
+
+    const url = new URL(fetchSpy.mock.calls[0][0]);
+    expect(url.searchParams.get('start_date')).toBe('2030-06-02');
+    expect(url.searchParams.get('precipitation_unit')).toBe('mm');
+    expect(url.searchParams.get('wind_speed_unit')).toBe('kmh');
+  });
+
+  it('should raise a provider error on upstream failure', async () => {
+    fetchSpy.mockResolvedValue(jsonResponse({ reason: 'bad' }, 400));
+
+    await expect(provider.daily({ lat: 1, lng: 2, units: 'IMPERIAL' }))
+      .rejects.toMatchObject({ name: 'WeatherProviderError', provider: 'open-meteo', status: 400 });
+  });
+
+  it('should treat network failures as unavailable', async () => {
+    fetchSpy.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await expect(provider.current({ lat: 1, lng: 2, units: 'IMPERIAL' }))
+      .rejects.toMatchObject({ status: 503, body: 'ECONNREFUSED' });
+  });
+});
+
+describe('createGoogleWeatherProvider', () => {
+  it('should fail without calling upstream when the API key is missing', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const provider = createGoogleWeatherProvider({ getApiKey: () => '' });
+
+    await expect(provider.daily({ lat: 1, lng: 2, units: 'IMPERIAL' }))
+      .rejects.toBeInstanceOf(WeatherProviderError);
+    expect(fetchSpy).not.toHaveBeenCalled();
+    fetchSpy.mockRestore();
+  });
+});
+
+describe('createFailoverProvider', () => {
+  function fakeProvider(name, impl) {
+    return { name, daily: jest.fn(impl), hourly: jest.fn(impl), current: jest.fn(impl) };
+  }
+
+  it('should use the primary provider when it succeeds', async () => {
+    const primary = fakeProvider('primary', async () => ({ days: ['p'] }));
+    const fallback = fakeProvider('fallback', async () => ({ days: ['f'] }));
+    const provider = createFailoverProvider([primary, fallback]);
+
+    expect(await provider.daily({})).toEqual({ days: ['p'], provider: 'primary' });
+    expect(fallback.daily).not.toHaveBeenCalled();
+  });
+
+  it('should fail over and report the failure', async () => {
+    const error = new WeatherProviderError('primary', 503, 'down');
+    const primary = fakeProvider('primary', async () => { throw error; });
+    const fallback = fakeProvider('fallback', async () => ({ hours: [] }));
+    const onFailover = jest.fn();
+    const provider = createFailoverProvider([primary, fallback], { onFailover });
+
+    expect(await provider.hourly({ dateKey: '2030-06-01' })).toEqual({ hours: [], provider: 'fallback' });
+    expect(onFailover).toHaveBeenCalledWith(error, 'primary', 'fallback', 'hourly');
+  });
+
+  it('should throw the last error when every provider fails', async () => {
+    const primary = fakeProvider('primary', async () => { throw new WeatherProviderError('primary', 500, 'a'); });
+    const fallback = fakeProvider('fallback', async () => { throw new WeatherProviderError('fallback', 429, 'b'); });
+    const provider = createFailoverProvider([primary, fallback]);
+
+    await expect(provider.current({})).rejects.toMatchObject({ provider: 'fallback', status: 429 });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Trip Audit Log
+ *
+ * Builds the entries that Firestore triggers append to trips/{tripId}/auditLog.
+ * Entries are written by the server only and never updated. They record who
+ * changed a document and which fields changed, but never field values, so an
+ * audit log of an encrypted trip reveals nothing the server could not already
+ * see in the document paths.
+ *
+ * Entry shape:
+ * - resource: "members" | "itinerary" | "invite" | "encryptionKey"
+ * - documentId: ID of the changed document
+ * - action: "create" | "update" | "delete"
+ * - fields: { added, removed, changed } top-level field names
+ * - members: { added, removed, roleChanged } user IDs (members resource only)
+ * - actor: { uid, type } where type is "user", "server" or "unauthenticated"
+ */
+
+const { isDeepStrictEqual } = require("util");
+
+// Fields naming the user who created a document
+// Used to attribute documents the Admin SDK creates on a user's behalf
+const CREATOR_FIELDS = ["invitedBy", "sharedBy", "enabledBy", "createdBy"];
+
+// Compares two field values, treating Firestore timestamps and maps by value
+function sameValue(a, b) {
+  if (a && b && typeof a.isEqual === "function") return a.isEqual(b);
+  return isDeepStrictEqual(a, b);
+}
+
+// Lists the top-level fields added, removed and changed between two versions of a document
+function diffFieldNames(before, after) {
+  const beforeData = before || {};
+  const afterData = after || {};
+  const added = Object.keys(afterData).filter((name) => !(name in beforeData));
+  const removed = Object.keys(beforeData).filter((name) => !(name in afterData));
+  const changed = Object.keys(afterData).filter(
+    (name) => name in beforeData && !sameValue(beforeData[name], afterData[name])
+  );
+  return { added: added.sort(), removed: removed.sort(), changed: changed.sort() };
+}
+
+// Lists the members added, removed and given a new role between two versions of a trip
+function diffMembership(before, after) {
+  const beforeMembers = (before && before.members) || {};
+  const afterMembers = (after && after.members) || {};
+  const beforeRoles = (before && before.roles) || {};
+  const afterRoles = (after && after.roles) || {};
+  const isMember = (members, uid) => members[uid] === true;
+
+  const added = Object.keys(afterMembers).filter((uid) => isMember(afterMembers, uid) && !isMember(beforeMembers, uid));
+  const removed = Object.keys(beforeMembers).filter((uid) => isMember(beforeMembers, uid) && !isMember(afterMembers, uid));
+  const roleChanged = Object.keys(afterRoles).filter(
+    (uid) => isMember(beforeMembers, uid) && isMember(afterMembers, uid) && beforeRoles[uid] !== afterRoles[uid]
+  );
+  return { added: added.sort(), removed: removed.sort(), roleChanged: roleChanged.sort() };
+}
+
+// Works out who made a change from the trigger's auth context
+// Admin SDK writes carry no end-user auth, so callables that change a document
+// on a user's behalf set updatedBy and updatedAt in the same write
+function resolveAuditActor({ authType, authId }, before, after) {
+  if (authType === "unauthenticated") return { uid: null, type: "unauthenticated" };
+  if (authType !== "service_account" && authType !== "system") {
+    return { uid: authId || null, type: "user" };
+  }
+
+  const beforeUpdatedAt = before ? before.updatedAt : undefined;
+  if (after && after.updatedBy && after.updatedAt && !sameValue(beforeUpdatedAt, after.updatedAt)) {
+    return { uid: after.updatedBy, type: "server" };
+  }
+  const creatorField = !before && after ? CREATOR_FIELDS.find((name) => after[name]) : null;
+  return { uid: creatorField ? after[creatorField] : null, type: "server" };
+}
+
+// Builds the audit entry for a document write, or null when nothing worth recording changed
+// Only membership fields are audited on the trip document itself
+function buildAuditEntry({ resource, documentId, before, after, auth }) {
+  const action = !before ? "create" : !after ? "delete" : "update";
+  const fields = diffFieldNames(before, after);
+
+  const entry = { resource, documentId, action, fields };
+  if (resource === "members") {
+    const membershipFields = ["members", "roles"];
+    entry.fields = {
+      added: fields.added.filter((name) => membershipFields.includes(name)),
+      removed: fields.removed.filter((name) => membershipFields.includes(name)),
+      changed: fields.changed.filter((name) => membershipFields.includes(name)),
+    };
+    entry.members = diffMembership(before, after);
+  }
+
+  const { added, removed, changed } = entry.fields;
+  if (action === "update" && added.length + removed.length + changed.length === 0) return null;
+
+  entry.actor = resolveAuditActor(auth || {}, before, after);
+  return entry;
+}
+
+module.exports = {
+  diffFieldNames,
+  diffMembership,
+  resolveAuditActor,
+  buildAuditEntry,
+};
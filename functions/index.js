@@ -13,12 +13,66 @@
  */
 
 const { onCall, HttpsError, onRequest } = require("firebase-functions/v2/https");
-const { onDocumentCreated, onDocumentWritten, onDocumentDeleted } = require("firebase-functions/v2/firestore");
+const {
+  onDocumentCreated,
+  onDocumentWritten,
+  onDocumentDeleted,
+  onDocumentWrittenWithAuthContext,
+} = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
 const logger = require("firebase-functions/logger");
 const { initializeApp, getApp } = require("firebase-admin/app");
 const admin = require("firebase-admin");
-const { defineSecret } = require("firebase-functions/params");
+const { defineSecret, defineString } = require("firebase-functions/params");
 const { nanoid } = require("nanoid");
+const { createWeatherCache, weatherCacheKey, roundCoord } = require("./weatherCache");
+const {
+  normalizeUnits,
+  createGoogleWeatherProvider,
+  createOpenMeteoProvider,
+  createFailoverProvider,
+} = require("./weatherProviders");
+const { buildAcceptUrl, renderInviteEmail, createMailTransport } = require("./mailer");
+const { buildAuditEntry } = require("./auditLog");
+const { createRateLimiter, shardedBucket, ipBucketKey } = require("./rateLimiter");
+const {
+  isValidTimeZone,
+  resolveNotificationSchedule,
+  shouldHoldNotification,
+  isDigestDue,
+  buildDigestMessage,
+} = require("./notificationSchedule");
+const {
+  readNotificationPrefs,
+  readTripNotificationLevel,
+  isNotificationWanted,
+  describeItineraryChange,
+} = require("./notificationPrefs");
+const { buildInboxEntry } = require("./notificationInbox");
+const {
+  tokenProvider,
+  createFcmTransport,
+  createExpoTransport,
+  createPushDelivery,
+} = require("./pushDelivery");
+const {
+  tripDateKey,
+  addDays,
+  tripDayNumber,
+  dueTripReminders,
+  tripDisplayName,
+  summarizeDayWeather,
+  buildTripStartMessage,
+  buildDailyPlanMessage,
+} = require("./tripReminders");
+const {
+  buildSearchTokens,
+  searchTokensChanged,
+  parseSearchTerms,
+  pickIndexToken,
+  rankUserMatch,
+  compareRankedUsers,
+} = require("./userSearch");
 
 // Initializing Firebase Admin SDK, handling cases where it's already initialized
 try { getApp(); } catch { initializeApp(); }
@@ -27,6 +81,14 @@ const db = admin.firestore();
 // Google Maps API key stored as a secret for secure access
 const MAPS_KEY = defineSecret("GOOGLE_MAPS_API_KEY");
 
+// Invitation email settings; the SMTP connection URL holds credentials, so it is a secret
+const SMTP_URL = defineSecret("SMTP_URL");
+const MAIL_TRANSPORT = defineString("MAIL_TRANSPORT", { default: "smtp" });
+const MAIL_FROM = defineString("MAIL_FROM", { default: "TripSync <no-reply@tripsync.app>" });
+const MAIL_DIRECTORY = defineString("MAIL_DIRECTORY", { default: "/tmp/tripsync-mail" });
+// Web app origin used for links in emails
+const APP_URL = defineString("APP_URL", { default: "http://localhost:5173" });
+
 // Structured logging helpers for consistent log formatting across all functions
 function logInfo(message, metadata = {}) {
   logger.info(message, {
@@ -118,7 +180,7 @@ function nowTs() {
   return admin.firestore.FieldValue.serverTimestamp();
 }
 
-// Rate limit configuration for different functions
+// Per-user rate limits for callables; each is a token bucket of maxRequests refilled every windowMs
 const RATE_LIMITS = {
   sendFriendRequest: { maxRequests: 10, windowMs: 60 * 1000 },
   inviteFriendToTrip: { maxRequests: 20, windowMs: 60 * 1000 },
@@ -127,56 +189,123 @@ const RATE_LIMITS = {
   respondToFriendRequest: { maxRequests: 30, windowMs: 60 * 1000 },
   acceptTripInvite: { maxRequests: 10, windowMs: 60 * 1000 },
   ensureUserProfile: { maxRequests: 5, windowMs: 60 * 1000 },
+  requestTripKey: { maxRequests: 10, windowMs: 60 * 1000 },
+  listTripInvites: { maxRequests: 30, windowMs: 60 * 1000 },
+  revokeTripInvite: { maxRequests: 20, windowMs: 60 * 1000 },
+  resendTripInvite: { maxRequests: 10, windowMs: 60 * 1000 },
+  updateInviteRole: { maxRequests: 20, windowMs: 60 * 1000 },
+  createTripJoinLink: { maxRequests: 10, windowMs: 60 * 1000 },
+  respondToJoinRequest: { maxRequests: 30, windowMs: 60 * 1000 },
+  updateMemberRole: { maxRequests: 30, windowMs: 60 * 1000 },
+  removeTripMember: { maxRequests: 20, windowMs: 60 * 1000 },
+  leaveTrip: { maxRequests: 10, windowMs: 60 * 1000 },
+  transferTripOwnership: { maxRequests: 5, windowMs: 60 * 1000 },
+  listTripAuditLog: { maxRequests: 30, windowMs: 60 * 1000 },
+  blockUser: { maxRequests: 20, windowMs: 60 * 1000 },
+  unblockUser: { maxRequests: 20, windowMs: 60 * 1000 },
+  unfriend: { maxRequests: 20, windowMs: 60 * 1000 },
+  getFriendSuggestions: { maxRequests: 10, windowMs: 60 * 1000 },
+  markAllNotificationsRead: { maxRequests: 10, windowMs: 60 * 1000 },
+  cleanupOrphanedEncryptionKeys: { maxRequests: 1, windowMs: 60 * 60 * 1000 },
+  backfillUserSearchTokens: { maxRequests: 10, windowMs: 60 * 1000 },
 };
 
-// Checks if a user has exceeded the rate limit for a specific function
-async function checkRateLimit(uid, functionName) {
-  const limit = RATE_LIMITS[functionName];
-  if (!limit) return true;
+// Per-user limit for callables without an entry in RATE_LIMITS
+const DEFAULT_RATE_LIMIT = { maxRequests: 30, windowMs: 60 * 1000 };
+
+// Budgets shared by all callers of a function, protecting quotas and the database from floods
+// null leaves a function with its per-user limit only, for budgets so small one caller could use them up for everyone
+const GLOBAL_RATE_LIMITS = {
+  inviteByEmailToTrip: { maxRequests: 300, windowMs: 60 * 1000 },
+  resendTripInvite: { maxRequests: 300, windowMs: 60 * 1000 },
+  cleanupOrphanedEncryptionKeys: null,
+  backfillUserSearchTokens: null,
+  weatherDaily: { maxRequests: 3000, windowMs: 60 * 1000 },
+  weatherCurrent: { maxRequests: 3000, windowMs: 60 * 1000 },
+  weatherHourly: { maxRequests: 3000, windowMs: 60 * 1000 },
+};
 
-  const now = Date.now();
-  const windowStart = now - limit.windowMs;
-  
-  const rateLimitRef = db.collection("rateLimits").doc(`${uid}_${functionName}`);
-  const snap = await rateLimitRef.get();
-  
-  if (!snap.exists) {
-    await rateLimitRef.set({
-      count: 1,
-      windowStart: now,
-      lastRequest: now,
-    });
-    return true;
-  }
-  
-  const data = snap.data();
-  if (data.windowStart < windowStart) {
-    await rateLimitRef.set({
-      count: 1,
-      windowStart: now,
-      lastRequest: now,
-    });
-    return true;
-  }
-  
-  if (data.count >= limit.maxRequests) {
-    throw new HttpsError(
-      "resource-exhausted",
-      `Rate limit exceeded. Maximum ${limit.maxRequests} requests per ${limit.windowMs / 1000} seconds.`
-    );
+// Shared budget for functions without an entry in GLOBAL_RATE_LIMITS
+const DEFAULT_GLOBAL_RATE_LIMIT = { maxRequests: 6000, windowMs: 60 * 1000 };
+
+// Per-IP limits for the unauthenticated HTTP endpoints
+const IP_RATE_LIMITS = {
+  weatherDaily: { maxRequests: 60, windowMs: 60 * 1000 },
+  weatherCurrent: { maxRequests: 60, windowMs: 60 * 1000 },
+  weatherHourly: { maxRequests: 60, windowMs: 60 * 1000 },
+};
+
+// Rate limit documents idle this long hold full buckets and are purged
+const RATE_LIMIT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Inbox notifications older than this are pruned, read or not
+const NOTIFICATION_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+const rateLimiter = createRateLimiter({ db });
+
+// Shared budget buckets for a function: one shard of its budget, or none for per-user-only functions
+function globalRateLimitBuckets(functionName) {
+  const limit = functionName in GLOBAL_RATE_LIMITS ? GLOBAL_RATE_LIMITS[functionName] : DEFAULT_GLOBAL_RATE_LIMIT;
+  return limit ? [shardedBucket(`global_${functionName}`, limit)] : [];
+}
+
+// Builds the error for a denied call; details.retryAfterMs tells clients when to try again
+function rateLimitError(result) {
+  const seconds = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+  return new HttpsError(
+    "resource-exhausted",
+    `Rate limit exceeded. Try again in ${seconds} seconds.`,
+    { retryAfterMs: result.retryAfterMs }
+  );
+}
+
+// Takes a token from the user's bucket and the function's shared budget, or throws if either is empty
+async function checkRateLimit(uid, functionName) {
+  const result = await rateLimiter.consume([
+    { key: `${uid}_${functionName}`, limit: RATE_LIMITS[functionName] || DEFAULT_RATE_LIMIT },
+    ...globalRateLimitBuckets(functionName),
+  ]);
+  if (!result.allowed) {
+    logWarning("Rate limit exceeded", { function: functionName, user_id: uid, retryAfterMs: result.retryAfterMs });
+    throw rateLimitError(result);
   }
-  
-  await rateLimitRef.update({
-    count: admin.firestore.FieldValue.increment(1),
-    lastRequest: now,
-  });
-  
   return true;
 }
 
+// Returns the caller's IP for an HTTP request
+// Google's front end appends the address it received the request from to X-Forwarded-For, so only the
+// right-most entry can be trusted; entries before it are whatever the caller sent
+function clientIp(req) {
+  const forwarded = req.get("x-forwarded-for");
+  const entries = forwarded ? forwarded.split(",").map((entry) => entry.trim()).filter(Boolean) : [];
+  return entries.length ? entries[entries.length - 1] : req.ip;
+}
+
+// Takes a token from the caller IP's bucket and the endpoint's shared budget
+// Sends a 429 with Retry-After and returns false when either is empty
+async function checkIpRateLimit(req, res, functionName) {
+  const ip = clientIp(req);
+  const result = await rateLimiter.consume([
+    { key: `ip_${ipBucketKey(ip)}_${functionName}`, limit: IP_RATE_LIMITS[functionName] || DEFAULT_RATE_LIMIT },
+    ...globalRateLimitBuckets(functionName),
+  ]);
+  if (result.allowed) return true;
+
+  logWarning("Rate limit exceeded", { function: functionName, ip, retryAfterMs: result.retryAfterMs });
+  res.set("Retry-After", String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+  res.status(429).json({ error: "rate_limited", retryAfterMs: result.retryAfterMs });
+  return false;
+}
+
+
+
 // Creates or updates a user profile document from Firebase Auth user data
+// Clients send their device time zone, which is saved until the user picks one in Settings, so scheduled
+// notifications such as trip reminders go out in local time
 exports.ensureUserProfile = onCall({ region: "us-central1" }, async (req) => {
   const uid = assertAuth(req);
+  await checkRateLimit(uid, "ensureUserProfile");
+  const deviceTimeZone = req.data && isValidTimeZone(req.data.timeZone) ? req.data.timeZone : null;
 
   const user = await admin.auth().getUser(uid);
   const profileRef = db.collection("users").doc(uid);
@@ -188,6 +317,14 @@ exports.ensureUserProfile = onCall({ region: "us-central1" }, async (req) => {
       displayName: user.displayName || null,
       photoURL: user.photoURL || null,
     };
+    base.searchTokens = buildSearchTokens({
+      ...base,
+      discoverable: snap.exists ? snap.data().discoverable : true,
+    });
+    const savedSchedule = snap.exists ? snap.data().notificationSchedule : null;
+    if (deviceTimeZone && !(savedSchedule && savedSchedule.timeZone)) {
+      base.notificationSchedule = { timeZone: deviceTimeZone };
+    }
     if (!snap.exists) {
       tx.set(profileRef, { ...base, createdAt: nowTs() });
     } else {
@@ -198,6 +335,136 @@ exports.ensureUserProfile = onCall({ region: "us-central1" }, async (req) => {
   return { ok: true };
 });
 
+// How long a sender has to wait after a friend request is declined before sending another
+const FRIEND_REQUEST_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Returns the IDs of the users a user has blocked
+async function getBlockedUids(uid) {
+  const snap = await db.collection("users").doc(uid).collection("blocked").get();
+  return new Set(snap.docs.map((blockedDoc) => blockedDoc.id));
+}
+
+// Checks whether a user has blocked another user
+async function hasBlocked(uid, otherUid) {
+  const snap = await db.collection("users").doc(uid).collection("blocked").doc(otherUid).get();
+  return snap.exists;
+}
+
+// Reports whether either of two users has blocked the other
+async function getBlockState(uid, otherUid) {
+  const [blockedByMe, blockedByThem] = await Promise.all([hasBlocked(uid, otherUid), hasBlocked(otherUid, uid)]);
+  return { blockedByMe, blockedByThem };
+}
+
+// Returns the mentioned users who have not blocked the sender
+async function filterBlockedMentions(mentionedUserIds, senderId) {
+  const blocked = await Promise.all(mentionedUserIds.map((uid) => hasBlocked(uid, senderId)));
+  return mentionedUserIds.filter((uid, index) => !blocked[index]);
+}
+
+// Verifies that neither the inviter nor the invitee has blocked the other
+async function assertNotBlocked(inviterUid, inviteeUid) {
+  const { blockedByMe, blockedByThem } = await getBlockState(inviterUid, inviteeUid);
+  if (blockedByMe) {
+    throw new HttpsError("failed-precondition", "Unblock this user before inviting them.");
+  }
+  if (blockedByThem) {
+    // Answers as if the user did not exist, so the inviter can't tell they were blocked
+    logWarning("Trip invite to a user who blocked the inviter", { inviterUid, inviteeUid });
+    throw new HttpsError("not-found", "User not found.");
+  }
+}
+
+// Verifies that the user accepting an invite or join link and the member who sent it have not blocked each other
+async function assertCanAcceptInvite(uid, invite) {
+  if (!invite.invitedBy || invite.invitedBy === uid) return;
+  const { blockedByMe, blockedByThem } = await getBlockState(uid, invite.invitedBy);
+  if (blockedByMe) {
+    throw new HttpsError("failed-precondition", "Unblock the person who invited you before joining this trip.");
+  }
+  if (blockedByThem) {
+    // Answers as if the invite did not exist, so the joiner can't tell they were blocked
+    logWarning("Trip invite accepted by a user the inviter blocked", { uid, invitedBy: invite.invitedBy });
+    throw new HttpsError("not-found", "Invite not found.");
+  }
+}
+
+// Blocks a user: ends the friendship in both directions and closes pending friend requests between the two
+async function blockUserFor(uid, blockedUid) {
+  const pendingBetween = (fromUid, toUid) => db
+    .collection("friendRequests")
+    .where("fromUid", "==", fromUid)
+    .where("toUid", "==", toUid)
+    .where("status", "==", "pending")
+    .get();
+  const [incoming, outgoing] = await Promise.all([pendingBetween(blockedUid, uid), pendingBetween(uid, blockedUid)]);
+
+  const userRef = db.collection("users").doc(uid);
+  const blockedUserRef = db.collection("users").doc(blockedUid);
+  const batch = db.batch();
+  batch.set(userRef.collection("blocked").doc(blockedUid), { createdAt: nowTs() });
+  batch.delete(userRef.collection("friends").doc(blockedUid));
+  batch.delete(blockedUserRef.collection("friends").doc(uid));
+  incoming.docs.forEach((requestDoc) => batch.update(requestDoc.ref, { status: "rejected", decidedAt: nowTs() }));
+  outgoing.docs.forEach((requestDoc) => batch.update(requestDoc.ref, { status: "cancelled", decidedAt: nowTs() }));
+  await batch.commit();
+}
+
+// Blocks another user
+// Blocked users can't send friend requests to or invite the blocker, and don't find them in search
+exports.blockUser = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("blockUser", uid, { blockedUid: req.data?.blockedUid });
+
+  try {
+    await checkRateLimit(uid, "blockUser");
+
+    const blockedUid = req.data?.blockedUid;
+    if (!blockedUid || typeof blockedUid !== "string") {
+      throw new HttpsError("invalid-argument", "blockedUid required.");
+    }
+    if (blockedUid === uid) {
+      throw new HttpsError("invalid-argument", "You can't block yourself.");
+    }
+
+    const userSnap = await db.collection("users").doc(blockedUid).get();
+    if (!userSnap.exists) {
+      throw new HttpsError("not-found", "User not found.");
+    }
+
+    await blockUserFor(uid, blockedUid);
+
+    logFunctionSuccess("blockUser", uid, { blockedUid });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("blockUser", uid, error, { blockedUid: req.data?.blockedUid });
+    throw error;
+  }
+});
+
+// Unblocks a user; the friendship ended by the block is not restored
+exports.unblockUser = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("unblockUser", uid, { blockedUid: req.data?.blockedUid });
+
+  try {
+    await checkRateLimit(uid, "unblockUser");
+
+    const blockedUid = req.data?.blockedUid;
+    if (!blockedUid || typeof blockedUid !== "string") {
+      throw new HttpsError("invalid-argument", "blockedUid required.");
+    }
+
+    await db.collection("users").doc(uid).collection("blocked").doc(blockedUid).delete();
+
+    logFunctionSuccess("unblockUser", uid, { blockedUid });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("unblockUser", uid, error, { blockedUid: req.data?.blockedUid });
+    throw error;
+  }
+});
+
 // Sends a friend request from the authenticated user to another user by email
 exports.sendFriendRequest = onCall({ region: "us-central1" }, async (req) => {
   const fromUid = assertAuth(req);
@@ -223,6 +490,16 @@ exports.sendFriendRequest = onCall({ region: "us-central1" }, async (req) => {
       throw new HttpsError("failed-precondition", "Can't friend yourself.");
     }
 
+    const { blockedByMe, blockedByThem } = await getBlockState(fromUid, toUid);
+    if (blockedByMe) {
+      throw new HttpsError("failed-precondition", "Unblock this user before sending a friend request.");
+    }
+    if (blockedByThem) {
+      // Answers as if the user did not exist, so the sender can't tell they were blocked
+      logWarning("Friend request to a user who blocked the sender", { fromUid, toUid });
+      throw new HttpsError("not-found", "User not found.");
+    }
+
     const pending = await db
       .collection("friendRequests")
       .where("fromUid", "==", fromUid)
@@ -236,6 +513,20 @@ exports.sendFriendRequest = onCall({ region: "us-central1" }, async (req) => {
       return { ok: true, already: true };
     }
 
+    const declined = await db
+      .collection("friendRequests")
+      .where("fromUid", "==", fromUid)
+      .where("toUid", "==", toUid)
+      .where("status", "==", "rejected")
+      .get();
+    const lastDeclinedAt = Math.max(0, ...declined.docs.map((d) => d.data().decidedAt?.toMillis?.() || 0));
+    const cooldownEndsAt = lastDeclinedAt + FRIEND_REQUEST_COOLDOWN_MS;
+    if (lastDeclinedAt && Date.now() < cooldownEndsAt) {
+      // Refused like any other unreachable user, so the sender can't tell the request was declined
+      logWarning("Friend request during decline cooldown", { fromUid, toUid, cooldownEndsAt });
+      throw new HttpsError("not-found", "User not found.");
+    }
+
     await db.collection("friendRequests").add({
       fromUid,
       toUid,
@@ -263,39 +554,46 @@ exports.respondToFriendRequest = onCall({ region: "us-central1" }, async (req) =
     const requestId = req.data?.requestId;
     const action = req.data?.action;
 
-    if (!requestId || !["accept", "reject"].includes(action)) {
+    if (!requestId || !["accept", "reject", "block"].includes(action)) {
       throw new HttpsError("invalid-argument", "requestId and action required.");
     }
 
-  const reqRef = db.collection("friendRequests").doc(requestId);
-  const reqSnap = await reqRef.get();
-  if (!reqSnap.exists) {
-    throw new HttpsError("not-found", "Request not found.");
-  }
-  const fr = reqSnap.data();
+    const reqRef = db.collection("friendRequests").doc(requestId);
+    const reqSnap = await reqRef.get();
+    if (!reqSnap.exists) {
+      throw new HttpsError("not-found", "Request not found.");
+    }
+    const fr = reqSnap.data();
 
-  if (fr.toUid !== uid) {
-    throw new HttpsError("permission-denied", "Not your request.");
-  }
-  if (fr.status !== "pending") {
-    return { ok: true, status: fr.status };
-  }
+    if (fr.toUid !== uid) {
+      throw new HttpsError("permission-denied", "Not your request.");
+    }
+    if (fr.status !== "pending") {
+      return { ok: true, status: fr.status };
+    }
 
-  if (action === "reject") {
-    await reqRef.update({
-      status: "rejected",
-      decidedAt: nowTs(),
-    });
-    return { ok: true };
-  }
+    if (action === "reject") {
+      await reqRef.update({
+        status: "rejected",
+        decidedAt: nowTs(),
+      });
+      return { ok: true };
+    }
 
-  const batch = db.batch();
-  const aRef = db.collection("users").doc(fr.fromUid).collection("friends").doc(uid);
-  const bRef = db.collection("users").doc(uid).collection("friends").doc(fr.fromUid);
+    // Blocking the sender also rejects this request
+    if (action === "block") {
+      await blockUserFor(uid, fr.fromUid);
+      logFunctionSuccess("respondToFriendRequest", uid, { requestId, action });
+      return { ok: true };
+    }
+
+    const batch = db.batch();
+    const aRef = db.collection("users").doc(fr.fromUid).collection("friends").doc(uid);
+    const bRef = db.collection("users").doc(uid).collection("friends").doc(fr.fromUid);
 
-  batch.set(aRef, { createdAt: nowTs() });
-  batch.set(bRef, { createdAt: nowTs() });
-  batch.update(reqRef, { status: "accepted", decidedAt: nowTs() });
+    batch.set(aRef, { createdAt: nowTs() });
+    batch.set(bRef, { createdAt: nowTs() });
+    batch.update(reqRef, { status: "accepted", decidedAt: nowTs() });
 
     await batch.commit();
     logFunctionSuccess("respondToFriendRequest", uid, { requestId, action });
@@ -306,6 +604,149 @@ exports.respondToFriendRequest = onCall({ region: "us-central1" }, async (req) =
   }
 });
 
+// Removes a friendship in both directions in one batch
+exports.unfriend = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("unfriend", uid, { friendUid: req.data?.friendUid });
+
+  try {
+    await checkRateLimit(uid, "unfriend");
+
+    const friendUid = req.data?.friendUid;
+    if (!friendUid || typeof friendUid !== "string") {
+      throw new HttpsError("invalid-argument", "friendUid required.");
+    }
+
+    const myRef = db.collection("users").doc(uid).collection("friends").doc(friendUid);
+    const theirRef = db.collection("users").doc(friendUid).collection("friends").doc(uid);
+    const friendSnap = await myRef.get();
+    if (!friendSnap.exists) {
+      throw new HttpsError("not-found", "Not friends.");
+    }
+
+    const batch = db.batch();
+    batch.delete(myRef);
+    batch.delete(theirRef);
+    await batch.commit();
+
+    logFunctionSuccess("unfriend", uid, { friendUid });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("unfriend", uid, error, { friendUid: req.data?.friendUid });
+    throw error;
+  }
+});
+
+// Counts the trips a user shares with each other member of their trips
+async function getSharedTripCounts(uid) {
+  const tripsSnap = await db.collection("trips").where(`members.${uid}`, "==", true).get();
+  const counts = new Map();
+  tripsSnap.docs.forEach((tripDoc) => {
+    const members = tripDoc.data().members || {};
+    Object.keys(members)
+      .filter((memberUid) => memberUid !== uid && members[memberUid] === true)
+      .forEach((memberUid) => counts.set(memberUid, (counts.get(memberUid) || 0) + 1));
+  });
+  return counts;
+}
+
+// Suggests people the caller shares trips with but isn't friends with, most shared trips first
+// Users blocked in either direction are left out
+exports.getFriendSuggestions = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("getFriendSuggestions", uid);
+
+  try {
+    await checkRateLimit(uid, "getFriendSuggestions");
+
+    const limit = req.data?.limit ?? 10;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      throw new HttpsError("invalid-argument", "limit must be between 1 and 50.");
+    }
+
+    const [sharedTrips, friendsSnap, blockedUids] = await Promise.all([
+      getSharedTripCounts(uid),
+      db.collection("users").doc(uid).collection("friends").get(),
+      getBlockedUids(uid),
+    ]);
+    const friendUids = new Set(friendsSnap.docs.map((friendDoc) => friendDoc.id));
+
+    const candidates = [...sharedTrips.entries()]
+      .filter(([candidateUid]) => !friendUids.has(candidateUid) && !blockedUids.has(candidateUid))
+      .sort((a, b) => b[1] - a[1]);
+
+    const suggestions = [];
+    for (const [candidateUid, mutualTrips] of candidates) {
+      if (suggestions.length >= limit) break;
+      if (await hasBlocked(candidateUid, uid)) continue;
+
+      const profileSnap = await db.collection("users").doc(candidateUid).get();
+      if (!profileSnap.exists) continue;
+      const profile = profileSnap.data() || {};
+      suggestions.push({
+        uid: candidateUid,
+        email: profile.email || null,
+        displayName: profile.displayName || null,
+        photoURL: profile.photoURL || null,
+        mutualTrips,
+      });
+    }
+
+    logFunctionSuccess("getFriendSuggestions", uid, { resultCount: suggestions.length });
+    return { suggestions };
+  } catch (error) {
+    logFunctionError("getFriendSuggestions", uid, error);
+    throw error;
+  }
+});
+
+// Builds an open request asking members who hold the trip key to share it with a member
+function openKeyRequest(uid, reason) {
+  return {
+    requesterId: uid,
+    status: "open",
+    reason,
+    createdAt: nowTs(),
+  };
+}
+
+// Reads the trip and key state needed to add a member inside a transaction
+// Firestore transactions must finish their reads before the first write
+async function readMembershipState(tx, tripRef, uid) {
+  const tripSnap = await tx.get(tripRef);
+  if (!tripSnap.exists) throw new HttpsError("not-found", "Trip not found.");
+
+  const metadataSnap = await tx.get(tripRef.collection("encryptionKeys").doc("metadata"));
+  const encrypted = metadataSnap.exists && metadataSnap.data().enabled === true;
+  const memberKeySnap = encrypted ? await tx.get(tripRef.collection("encryptionKeys").doc(uid)) : null;
+
+  return { trip: tripSnap.data() || {}, encrypted, hasMemberKey: !!memberKeySnap?.exists };
+}
+
+// Adds a member with a role, queues their trip key on encrypted trips and records the join
+// actorUid is the user whose action granted the membership: the joining user, the inviting friend or an approving owner
+function grantTripMembership(tx, tripRef, state, uid, role, grantedBy, actorUid, message) {
+  const members = { ...(state.trip.members || {}), [uid]: true };
+  const roles = { ...(state.trip.roles || {}), [uid]: role };
+  tx.update(tripRef, { members, roles, updatedBy: actorUid, updatedAt: nowTs() });
+
+  if (state.encrypted && !state.hasMemberKey) {
+    tx.set(tripRef.collection("encryptionKeys").doc(uid), {
+      pending: true,
+      sharedBy: grantedBy,
+      sharedAt: nowTs(),
+    });
+    tx.set(tripRef.collection("keyRequests").doc(uid), openKeyRequest(uid, "joined"));
+  }
+
+  tx.set(tripRef.collection("activities").doc(), {
+    type: "member.add",
+    message,
+    actorId: uid,
+    createdAt: nowTs(),
+  });
+}
+
 // Invites an existing friend to join a trip with a specified role
 exports.inviteFriendToTrip = onCall({ region: "us-central1" }, async (req) => {
   const inviterUid = assertAuth(req);
@@ -330,43 +771,13 @@ exports.inviteFriendToTrip = onCall({ region: "us-central1" }, async (req) => {
     }
 
     await assertTripRole(tripId, inviterUid, ["owner", "editor"]);
+    await assertNotBlocked(inviterUid, friendUid);
 
     const tripRef = db.collection("trips").doc(tripId);
     await db.runTransaction(async (tx) => {
-      const snap = await tx.get(tripRef);
-      if (!snap.exists) throw new HttpsError("not-found", "Trip not found.");
-      const t = snap.data() || {};
-      const members = t.members || {};
-      const roles = t.roles || {};
-
-      if (members[friendUid] === true) return;
-
-      members[friendUid] = true;
-      if (!roles[friendUid]) roles[friendUid] = role;
-
-      tx.update(tripRef, { members, roles });
-
-      const metadataRef = tripRef.collection("encryptionKeys").doc("metadata");
-      const metadataSnap = await tx.get(metadataRef);
-      if (metadataSnap.exists && metadataSnap.data().enabled === true) {
-        const memberKeyRef = tripRef.collection("encryptionKeys").doc(friendUid);
-        const memberKeySnap = await tx.get(memberKeyRef);
-        if (!memberKeySnap.exists) {
-          tx.set(memberKeyRef, {
-            pending: true,
-            sharedBy: inviterUid,
-            sharedAt: nowTs(),
-          });
-        }
-      }
-
-      const actRef = tripRef.collection("activities").doc();
-      tx.set(actRef, {
-        type: "member.add",
-        message: `Invited member joined`,
-        actorId: inviterUid,
-        createdAt: nowTs(),
-      });
+      const state = await readMembershipState(tx, tripRef, friendUid);
+      if (state.trip.members?.[friendUid] === true) return;
+      grantTripMembership(tx, tripRef, state, friendUid, role, inviterUid, inviterUid, "Invited member joined");
     });
 
     logFunctionSuccess("inviteFriendToTrip", inviterUid, { tripId, friendUid, role });
@@ -404,6 +815,11 @@ exports.inviteByEmailToTrip = onCall({ region: "us-central1" }, async (req) => {
 
     await assertTripRole(tripId, inviterUid, ["owner", "editor"]);
 
+    const inviteeSnap = await db.collection("users").where("email", "==", email).limit(1).get();
+    if (!inviteeSnap.empty) {
+      await assertNotBlocked(inviterUid, inviteeSnap.docs[0].id);
+    }
+
   const token = nanoid(40);
   const now = admin.firestore.Timestamp.now();
   const expiresAt = admin.firestore.Timestamp.fromMillis(
@@ -422,6 +838,7 @@ exports.inviteByEmailToTrip = onCall({ region: "us-central1" }, async (req) => {
     createdAt: now,
     expiresAt,
     acceptedBy: null,
+    delivery: { status: "queued", attempts: 0 },
   });
 
     logFunctionSuccess("inviteByEmailToTrip", inviterUid, { tripId, inviteId: inviteRef.id });
@@ -432,164 +849,1012 @@ exports.inviteByEmailToTrip = onCall({ region: "us-central1" }, async (req) => {
   }
 });
 
-// Searches for users by email or display name
-exports.searchUsers = onCall({ region: "us-central1" }, async (req) => {
-  const uid = assertAuth(req);
-  logFunctionCall("searchUsers", uid, { searchTerm: req.data?.searchTerm });
-  
-  try {
-    await checkRateLimit(uid, "searchUsers");
-    
-    const searchTerm = String(req.data?.searchTerm || "").trim().toLowerCase();
-
-    if (!searchTerm || searchTerm.length < 2) {
-      throw new HttpsError("invalid-argument", "Search term must be at least 2 characters.");
-    }
-
-    const emailQuery = db.collection("users")
-      .where("email", ">=", searchTerm)
-      .where("email", "<=", searchTerm + "\uf8ff")
-      .limit(10);
+// Mail transport for invitation emails, created on first use
+let mailTransport = null;
+function getMailTransport() {
+  if (!mailTransport) {
+    mailTransport = createMailTransport({
+      kind: MAIL_TRANSPORT.value() || "smtp",
+      smtpUrl: SMTP_URL.value(),
+      directory: MAIL_DIRECTORY.value() || "/tmp/tripsync-mail",
+      log: (message, metadata) => logInfo(message, metadata),
+    });
+  }
+  return mailTransport;
+}
 
-    const emailResults = await emailQuery.get();
-    const foundUids = new Set();
-    const results = [];
+// Emails a trip invitation and records the delivery outcome on the invite doc
+async function deliverInviteEmail(tripId, inviteRef, invite) {
+  const attempts = (invite.delivery?.attempts || 0) + 1;
+  let transportName = null;
 
-    emailResults.forEach((doc) => {
-      const data = doc.data();
-      if (doc.id !== uid && data.email) {
-        foundUids.add(doc.id);
-        results.push({
-          uid: doc.id,
-          email: data.email,
-          displayName: data.displayName || null,
-          photoURL: data.photoURL || null,
-        });
-      }
+  try {
+    const [inviterName, tripSnap] = await Promise.all([
+      getUserDisplayName(invite.invitedBy),
+      db.collection("trips").doc(tripId).get(),
+    ]);
+    const trip = tripSnap.data() || {};
+    // Encrypted trip names are unreadable on the server, so the email leaves them out
+    const tripName = trip.encrypted || trip.encryptedName ? null : trip.name || null;
+
+    const message = renderInviteEmail({
+      inviterName,
+      tripName,
+      role: invite.role,
+      acceptUrl: buildAcceptUrl(APP_URL.value() || "http://localhost:5173", tripId, invite.token),
+      expiresAt: invite.expiresAt?.toDate ? invite.expiresAt.toDate() : null,
     });
 
-    if (results.length < 10) {
-      const nameQuery = db.collection("users")
-        .where("displayName", ">=", searchTerm)
-        .where("displayName", "<=", searchTerm + "\uf8ff")
-        .limit(10);
-
-      const nameResults = await nameQuery.get();
-      nameResults.forEach((doc) => {
-        if (!foundUids.has(doc.id) && doc.id !== uid && results.length < 10) {
-          const data = doc.data();
-          foundUids.add(doc.id);
-          results.push({
-            uid: doc.id,
-            email: data.email || null,
-            displayName: data.displayName || null,
-            photoURL: data.photoURL || null,
-          });
-        }
-      });
-    }
+    const transport = getMailTransport();
+    transportName = transport.name;
+    const { messageId } = await transport.send({
+      to: invite.email,
+      from: MAIL_FROM.value() || "TripSync <no-reply@tripsync.app>",
+      ...message,
+    });
 
-    logFunctionSuccess("searchUsers", uid, { resultCount: results.length });
-    return { users: results };
+    await inviteRef.update({
+      delivery: { status: "sent", transport: transportName, messageId, attempts, sentAt: nowTs() },
+    });
+    logInfo("Invite email sent", { tripId, inviteId: inviteRef.id, transport: transportName });
+    return true;
   } catch (error) {
-    logFunctionError("searchUsers", uid, error, { searchTerm: req.data?.searchTerm });
-    throw error;
+    logError("Error sending invite email", error, { tripId, inviteId: inviteRef.id });
+    await inviteRef.update({
+      delivery: {
+        status: "failed",
+        transport: transportName,
+        attempts,
+        error: error.message || String(error),
+        failedAt: nowTs(),
+      },
+    });
+    return false;
   }
-});
-
-// Accepts a trip invitation using a trip ID and token
-exports.acceptTripInvite = onCall({ region: "us-central1" }, async (req) => {
-  const uid = assertAuth(req);
-  logFunctionCall("acceptTripInvite", uid, { tripId: req.data?.tripId });
-  
-  try {
-    await checkRateLimit(uid, "acceptTripInvite");
-    
-    const tripId = req.data?.tripId;
-    const token = req.data?.token;
-
-    if (!tripId || !token) {
-      throw new HttpsError("invalid-argument", "tripId and token required.");
-    }
+}
 
-  const tripRef = db.collection("trips").doc(tripId);
-  const inviteSnap = await tripRef
-    .collection("invites")
-    .where("token", "==", token)
-    .limit(1)
-    .get();
+// Loads an invite the caller may manage: owners manage every invite, editors only their own
+async function getManagedInvite(tripId, inviteId, uid, statuses = ["pending"]) {
+  const { role } = await assertTripRole(tripId, uid, ["owner", "editor"]);
 
-  if (inviteSnap.empty) {
+  const inviteRef = db.collection("trips").doc(tripId).collection("invites").doc(inviteId);
+  const inviteSnap = await inviteRef.get();
+  if (!inviteSnap.exists) {
     throw new HttpsError("not-found", "Invite not found.");
   }
-
-  const docRef = inviteSnap.docs[0].ref;
-  const invite = inviteSnap.docs[0].data();
-
-  if (invite.status !== "pending") {
-    throw new HttpsError("failed-precondition", "Invite already used.");
+  const invite = inviteSnap.data() || {};
+  if (role !== "owner" && invite.invitedBy !== uid) {
+    throw new HttpsError("permission-denied", "Only the trip owner can manage invites sent by others.");
   }
-  if (invite.expiresAt.toMillis() < Date.now()) {
-    await docRef.update({ status: "expired" });
-    throw new HttpsError("deadline-exceeded", "Invite expired.");
+  if (!statuses.includes(invite.status)) {
+    throw new HttpsError("failed-precondition", `Invite is ${invite.status}.`);
   }
+  return { inviteRef, invite, role };
+}
 
-  const grantRole = invite.role || "editor";
-
-  await db.runTransaction(async (tx) => {
-    const tSnap = await tx.get(tripRef);
-    if (!tSnap.exists) throw new HttpsError("not-found", "Trip not found.");
-    const t = tSnap.data() || {};
+// Lists a trip's pending invites, marking the ones that have run out as expired
+exports.listTripInvites = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("listTripInvites", uid, { tripId: req.data?.tripId });
 
-    const members = t.members || {};
-    const roles = t.roles || {};
+  try {
+    await checkRateLimit(uid, "listTripInvites");
 
-    if (members[uid] === true) {
-      tx.update(docRef, { status: "accepted", acceptedBy: uid });
-      return;
+    const tripId = req.data?.tripId;
+    if (!tripId) {
+      throw new HttpsError("invalid-argument", "tripId required.");
     }
 
-    members[uid] = true;
-    roles[uid] = grantRole;
+    const { role } = await assertTripRole(tripId, uid, ["owner", "editor"]);
 
-    tx.update(tripRef, { members, roles });
-    tx.update(docRef, { status: "accepted", acceptedBy: uid });
+    const snap = await db.collection("trips").doc(tripId)
+      .collection("invites")
+      .where("status", "==", "pending")
+      .get();
 
-    const metadataRef = tripRef.collection("encryptionKeys").doc("metadata");
-    const metadataSnap = await tx.get(metadataRef);
-    if (metadataSnap.exists && metadataSnap.data().enabled === true) {
-      const memberKeyRef = tripRef.collection("encryptionKeys").doc(uid);
-      const memberKeySnap = await tx.get(memberKeyRef);
-      if (!memberKeySnap.exists) {
-        tx.set(memberKeyRef, {
-          pending: true,
-          sharedBy: invite.invitedBy,
-          sharedAt: nowTs(),
-        });
+    const now = Date.now();
+    const invites = [];
+    const expired = [];
+    for (const inviteDoc of snap.docs) {
+      const invite = inviteDoc.data() || {};
+      const expiresAt = invite.expiresAt?.toMillis ? invite.expiresAt.toMillis() : null;
+      if (expiresAt !== null && expiresAt < now) {
+        expired.push(inviteDoc.ref);
+        continue;
       }
+      invites.push({
+        id: inviteDoc.id,
+        type: invite.type || "email",
+        email: invite.email || null,
+        toUid: invite.toUid || null,
+        role: invite.role || "editor",
+        invitedBy: invite.invitedBy || null,
+        createdAt: invite.createdAt?.toMillis ? invite.createdAt.toMillis() : null,
+        expiresAt,
+        delivery: invite.delivery?.status || null,
+        ...(invite.type === "link" ? {
+          maxUses: invite.maxUses || null,
+          useCount: invite.useCount || 0,
+          requiresApproval: invite.requiresApproval === true,
+          // Only owners share join links, so only they get the token back
+          token: role === "owner" ? invite.token : null,
+        } : {}),
+      });
     }
 
-    const actRef = tripRef.collection("activities").doc();
-    tx.set(actRef, {
-      type: "member.add",
-      message: `New member joined`,
-      actorId: uid,
-      createdAt: nowTs(),
-    });
-  });
+    if (expired.length > 0) {
+      const batch = db.batch();
+      expired.forEach((ref) => batch.update(ref, { status: "expired" }));
+      await batch.commit();
+    }
 
-    logFunctionSuccess("acceptTripInvite", uid, { tripId });
-    return { ok: true };
+    invites.sort((a, b) => (a.expiresAt ?? Infinity) - (b.expiresAt ?? Infinity));
+
+    logFunctionSuccess("listTripInvites", uid, { tripId, count: invites.length, expired: expired.length });
+    return { invites };
   } catch (error) {
-    logFunctionError("acceptTripInvite", uid, error, { tripId: req.data?.tripId });
+    logFunctionError("listTripInvites", uid, error, { tripId: req.data?.tripId });
     throw error;
   }
 });
 
-// Proxies daily weather forecast requests to Google Maps Weather API
-exports.weatherDaily = onRequest(
-  { region: "us-central1", secrets: [MAPS_KEY] },
-  async (req, res) => {
+// Revokes a pending invite so its link can no longer be accepted
+exports.revokeTripInvite = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("revokeTripInvite", uid, { tripId: req.data?.tripId, inviteId: req.data?.inviteId });
+
+  try {
+    await checkRateLimit(uid, "revokeTripInvite");
+
+    const tripId = req.data?.tripId;
+    const inviteId = req.data?.inviteId;
+    if (!tripId || !inviteId) {
+      throw new HttpsError("invalid-argument", "tripId and inviteId required.");
+    }
+
+    const { inviteRef } = await getManagedInvite(tripId, inviteId, uid);
+    await inviteRef.update({ status: "revoked", revokedBy: uid, revokedAt: nowTs(), updatedBy: uid, updatedAt: nowTs() });
+
+    logFunctionSuccess("revokeTripInvite", uid, { tripId, inviteId });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("revokeTripInvite", uid, error, { tripId: req.data?.tripId, inviteId: req.data?.inviteId });
+    throw error;
+  }
+});
+
+// Extends a pending or expired invite and sends the invitation email again
+exports.resendTripInvite = onCall({ region: "us-central1", secrets: [SMTP_URL] }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("resendTripInvite", uid, { tripId: req.data?.tripId, inviteId: req.data?.inviteId });
+
+  try {
+    await checkRateLimit(uid, "resendTripInvite");
+
+    const tripId = req.data?.tripId;
+    const inviteId = req.data?.inviteId;
+    const ttlHours = Number(req.data?.ttlHours ?? 72);
+    if (!tripId || !inviteId) {
+      throw new HttpsError("invalid-argument", "tripId and inviteId required.");
+    }
+    if (!Number.isFinite(ttlHours) || ttlHours <= 0 || ttlHours > 24 * 30) {
+      throw new HttpsError("invalid-argument", "ttlHours must be between 0 and 720.");
+    }
+
+    const { inviteRef, invite } = await getManagedInvite(tripId, inviteId, uid, ["pending", "expired"]);
+
+    const expiresAtMs = Date.now() + ttlHours * 3600 * 1000;
+    const expiresAt = admin.firestore.Timestamp.fromMillis(expiresAtMs);
+    await inviteRef.update({
+      status: "pending",
+      expiresAt,
+      resentBy: uid,
+      resentAt: nowTs(),
+      updatedBy: uid,
+      updatedAt: nowTs(),
+    });
+
+    let delivered = null;
+    if (invite.type === "email" && invite.email) {
+      delivered = await deliverInviteEmail(tripId, inviteRef, { ...invite, status: "pending", expiresAt });
+    }
+
+    logFunctionSuccess("resendTripInvite", uid, { tripId, inviteId, delivered });
+    return { ok: true, token: invite.token, expiresAt: expiresAtMs, delivered };
+  } catch (error) {
+    logFunctionError("resendTripInvite", uid, error, { tripId: req.data?.tripId, inviteId: req.data?.inviteId });
+    throw error;
+  }
+});
+
+// Changes the role a pending invite grants when it is accepted
+exports.updateInviteRole = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("updateInviteRole", uid, {
+    tripId: req.data?.tripId,
+    inviteId: req.data?.inviteId,
+    role: req.data?.role,
+  });
+
+  try {
+    await checkRateLimit(uid, "updateInviteRole");
+
+    const tripId = req.data?.tripId;
+    const inviteId = req.data?.inviteId;
+    const role = req.data?.role;
+    if (!tripId || !inviteId) {
+      throw new HttpsError("invalid-argument", "tripId and inviteId required.");
+    }
+    if (!["editor", "viewer"].includes(role)) {
+      throw new HttpsError("invalid-argument", "Invalid role.");
+    }
+
+    const { inviteRef } = await getManagedInvite(tripId, inviteId, uid);
+    await inviteRef.update({ role, updatedBy: uid, updatedAt: nowTs() });
+
+    logFunctionSuccess("updateInviteRole", uid, { tripId, inviteId, role });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("updateInviteRole", uid, error, { tripId: req.data?.tripId, inviteId: req.data?.inviteId });
+    throw error;
+  }
+});
+
+// Uses one slot of a join link: adds the caller directly, or files a join request when the link needs approval
+async function joinTripWithLink(tripRef, inviteRef, uid) {
+  return db.runTransaction(async (tx) => {
+    const inviteSnap = await tx.get(inviteRef);
+    const invite = inviteSnap.data() || {};
+    await assertCanAcceptInvite(uid, invite);
+    const state = await readMembershipState(tx, tripRef, uid);
+    if (state.trip.members?.[uid] === true) return { status: "joined" };
+
+    const requestRef = tripRef.collection("joinRequests").doc(uid);
+    if (invite.requiresApproval) {
+      const requestSnap = await tx.get(requestRef);
+      const requestStatus = requestSnap.exists ? requestSnap.data().status : null;
+      if (requestStatus === "pending") return { status: "pending_approval" };
+      if (requestStatus === "declined") {
+        throw new HttpsError("permission-denied", "Your request to join this trip was declined.");
+      }
+    }
+
+    if ((invite.useCount || 0) >= invite.maxUses) {
+      throw new HttpsError("failed-precondition", "This join link has reached its limit.");
+    }
+    tx.update(inviteRef, {
+      useCount: admin.firestore.FieldValue.increment(1),
+      lastUsedAt: nowTs(),
+      updatedBy: uid,
+      updatedAt: nowTs(),
+    });
+
+    const role = invite.role || "viewer";
+    if (invite.requiresApproval) {
+      tx.set(requestRef, {
+        uid,
+        inviteId: inviteRef.id,
+        role,
+        status: "pending",
+        requestedAt: nowTs(),
+      });
+      return { status: "pending_approval" };
+    }
+
+    grantTripMembership(tx, tripRef, state, uid, role, invite.invitedBy, uid, "New member joined with a link");
+    return { status: "joined" };
+  });
+}
+
+// Creates a reusable join link with a use cap, an expiry and optional owner approval
+exports.createTripJoinLink = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("createTripJoinLink", uid, { tripId: req.data?.tripId, role: req.data?.role });
+
+  try {
+    await checkRateLimit(uid, "createTripJoinLink");
+
+    const tripId = req.data?.tripId;
+    const role = req.data?.role || "viewer";
+    const maxUses = Number(req.data?.maxUses ?? 25);
+    const ttlHours = Number(req.data?.ttlHours ?? 7 * 24);
+    const requiresApproval = req.data?.requiresApproval === true;
+
+    if (!tripId) {
+      throw new HttpsError("invalid-argument", "tripId required.");
+    }
+    if (!["editor", "viewer"].includes(role)) {
+      throw new HttpsError("invalid-argument", "Invalid role.");
+    }
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 500) {
+      throw new HttpsError("invalid-argument", "maxUses must be between 1 and 500.");
+    }
+    if (!Number.isFinite(ttlHours) || ttlHours <= 0 || ttlHours > 24 * 30) {
+      throw new HttpsError("invalid-argument", "ttlHours must be between 0 and 720.");
+    }
+
+    await assertTripRole(tripId, uid, ["owner"]);
+
+    const token = nanoid(40);
+    const expiresAtMs = Date.now() + ttlHours * 3600 * 1000;
+    const inviteRef = db.collection("trips").doc(tripId).collection("invites").doc();
+    await inviteRef.set({
+      type: "link",
+      invitedBy: uid,
+      toUid: null,
+      email: null,
+      token,
+      role,
+      status: "pending",
+      createdAt: nowTs(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(expiresAtMs),
+      acceptedBy: null,
+      maxUses,
+      useCount: 0,
+      requiresApproval,
+    });
+
+    logFunctionSuccess("createTripJoinLink", uid, { tripId, inviteId: inviteRef.id, maxUses, requiresApproval });
+    return { ok: true, inviteId: inviteRef.id, token, expiresAt: expiresAtMs };
+  } catch (error) {
+    logFunctionError("createTripJoinLink", uid, error, { tripId: req.data?.tripId });
+    throw error;
+  }
+});
+
+// Approves or declines a request to join through a link that needs owner approval
+exports.respondToJoinRequest = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("respondToJoinRequest", uid, {
+    tripId: req.data?.tripId,
+    requesterUid: req.data?.requesterUid,
+    approve: req.data?.approve,
+  });
+
+  try {
+    await checkRateLimit(uid, "respondToJoinRequest");
+
+    const tripId = req.data?.tripId;
+    const requesterUid = req.data?.requesterUid;
+    const approve = req.data?.approve === true;
+    if (!tripId || !requesterUid) {
+      throw new HttpsError("invalid-argument", "tripId and requesterUid required.");
+    }
+
+    await assertTripRole(tripId, uid, ["owner"]);
+
+    const tripRef = db.collection("trips").doc(tripId);
+    const requestRef = tripRef.collection("joinRequests").doc(requesterUid);
+    await db.runTransaction(async (tx) => {
+      const requestSnap = await tx.get(requestRef);
+      if (!requestSnap.exists) {
+        throw new HttpsError("not-found", "Join request not found.");
+      }
+      const request = requestSnap.data() || {};
+      if (request.status !== "pending") {
+        throw new HttpsError("failed-precondition", `Join request is ${request.status}.`);
+      }
+      const state = await readMembershipState(tx, tripRef, requesterUid);
+
+      if (approve) {
+        if (state.trip.members?.[requesterUid] !== true) {
+          grantTripMembership(
+            tx, tripRef, state, requesterUid, request.role || "viewer", uid, uid, "Join request approved"
+          );
+        }
+      } else if (request.inviteId) {
+        // A declined request gives its slot on the link back
+        tx.update(tripRef.collection("invites").doc(request.inviteId), {
+          useCount: admin.firestore.FieldValue.increment(-1),
+          updatedBy: uid,
+          updatedAt: nowTs(),
+        });
+      }
+      tx.update(requestRef, {
+        status: approve ? "approved" : "declined",
+        respondedBy: uid,
+        respondedAt: nowTs(),
+      });
+    });
+
+    if (approve) {
+      const tripName = await getTripName(tripId);
+      await sendNotification(
+        requesterUid,
+        {
+          title: "Join request approved",
+          body: `You can now open ${tripName}`,
+        },
+        {
+          type: "join_request",
+          tripId,
+        }
+      );
+    }
+
+    logFunctionSuccess("respondToJoinRequest", uid, { tripId, requesterUid, approve });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("respondToJoinRequest", uid, error, {
+      tripId: req.data?.tripId,
+      requesterUid: req.data?.requesterUid,
+    });
+    throw error;
+  }
+});
+
+// Applies a change to a trip's members and roles maps in a transaction and records it in the activity feed
+// change(members, roles) edits copies of both maps and returns { activity, departedUid }
+// The departing member's wrapped trip key and open key request are deleted with the change
+async function changeTripMembership(tripId, actorUid, change) {
+  const tripRef = db.collection("trips").doc(tripId);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(tripRef);
+    if (!snap.exists) throw new HttpsError("not-found", "Trip not found.");
+    const trip = snap.data() || {};
+    const members = { ...(trip.members || {}) };
+    const roles = { ...(trip.roles || {}) };
+
+    const { activity, departedUid } = change(members, roles);
+
+    tx.update(tripRef, { members, roles, updatedBy: actorUid, updatedAt: nowTs() });
+    if (departedUid) {
+      tx.delete(tripRef.collection("encryptionKeys").doc(departedUid));
+      tx.delete(tripRef.collection("keyRequests").doc(departedUid));
+    }
+    tx.set(tripRef.collection("activities").doc(), {
+      ...activity,
+      actorId: actorUid,
+      createdAt: nowTs(),
+    });
+  });
+}
+
+// Verifies that a user is a member of the trip other than its owner
+function assertManageableMember(members, roles, memberUid) {
+  if (members[memberUid] !== true) {
+    throw new HttpsError("not-found", "Member not found.");
+  }
+  if (roles[memberUid] === "owner") {
+    throw new HttpsError("failed-precondition", "Transfer ownership before changing the owner's membership.");
+  }
+}
+
+// Changes a member's role between editor and viewer
+exports.updateMemberRole = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("updateMemberRole", uid, {
+    tripId: req.data?.tripId,
+    memberUid: req.data?.memberUid,
+    role: req.data?.role,
+  });
+
+  try {
+    await checkRateLimit(uid, "updateMemberRole");
+
+    const tripId = req.data?.tripId;
+    const memberUid = req.data?.memberUid;
+    const role = req.data?.role;
+    if (!tripId || !memberUid) {
+      throw new HttpsError("invalid-argument", "tripId and memberUid required.");
+    }
+    if (!["editor", "viewer"].includes(role)) {
+      throw new HttpsError("invalid-argument", "Invalid role.");
+    }
+
+    await assertTripRole(tripId, uid, ["owner"]);
+
+    await changeTripMembership(tripId, uid, (members, roles) => {
+      assertManageableMember(members, roles, memberUid);
+      roles[memberUid] = role;
+      const label = role === "viewer" ? "a viewer" : "an editor";
+      return {
+        activity: { type: "member.role", message: `Member is now ${label}`, targetId: memberUid },
+      };
+    });
+
+    logFunctionSuccess("updateMemberRole", uid, { tripId, memberUid, role });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("updateMemberRole", uid, error, { tripId: req.data?.tripId, memberUid: req.data?.memberUid });
+    throw error;
+  }
+});
+
+// Removes a member from a trip
+exports.removeTripMember = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("removeTripMember", uid, { tripId: req.data?.tripId, memberUid: req.data?.memberUid });
+
+  try {
+    await checkRateLimit(uid, "removeTripMember");
+
+    const tripId = req.data?.tripId;
+    const memberUid = req.data?.memberUid;
+    if (!tripId || !memberUid) {
+      throw new HttpsError("invalid-argument", "tripId and memberUid required.");
+    }
+    if (memberUid === uid) {
+      throw new HttpsError("invalid-argument", "Use leaveTrip to leave a trip.");
+    }
+
+    await assertTripRole(tripId, uid, ["owner"]);
+
+    await changeTripMembership(tripId, uid, (members, roles) => {
+      assertManageableMember(members, roles, memberUid);
+      delete members[memberUid];
+      delete roles[memberUid];
+      return {
+        activity: { type: "member.remove", message: "Member removed from the trip", targetId: memberUid },
+        departedUid: memberUid,
+      };
+    });
+
+    logFunctionSuccess("removeTripMember", uid, { tripId, memberUid });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("removeTripMember", uid, error, { tripId: req.data?.tripId, memberUid: req.data?.memberUid });
+    throw error;
+  }
+});
+
+// Lets a member leave a trip; owners have to transfer ownership first
+exports.leaveTrip = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("leaveTrip", uid, { tripId: req.data?.tripId });
+
+  try {
+    await checkRateLimit(uid, "leaveTrip");
+
+    const tripId = req.data?.tripId;
+    if (!tripId) {
+      throw new HttpsError("invalid-argument", "tripId required.");
+    }
+
+    await assertTripMember(tripId, uid);
+
+    await changeTripMembership(tripId, uid, (members, roles) => {
+      if (roles[uid] === "owner") {
+        throw new HttpsError("failed-precondition", "Transfer ownership before leaving the trip.");
+      }
+      delete members[uid];
+      delete roles[uid];
+      return {
+        activity: { type: "member.leave", message: "Member left the trip", targetId: uid },
+        departedUid: uid,
+      };
+    });
+
+    logFunctionSuccess("leaveTrip", uid, { tripId });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("leaveTrip", uid, error, { tripId: req.data?.tripId });
+    throw error;
+  }
+});
+
+// Makes another member the trip owner; the previous owner stays on as an editor
+exports.transferTripOwnership = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("transferTripOwnership", uid, { tripId: req.data?.tripId, newOwnerUid: req.data?.newOwnerUid });
+
+  try {
+    await checkRateLimit(uid, "transferTripOwnership");
+
+    const tripId = req.data?.tripId;
+    const newOwnerUid = req.data?.newOwnerUid;
+    if (!tripId || !newOwnerUid) {
+      throw new HttpsError("invalid-argument", "tripId and newOwnerUid required.");
+    }
+    if (newOwnerUid === uid) {
+      throw new HttpsError("invalid-argument", "You already own this trip.");
+    }
+
+    await assertTripRole(tripId, uid, ["owner"]);
+
+    await changeTripMembership(tripId, uid, (members, roles) => {
+      if (roles[uid] !== "owner") {
+        throw new HttpsError("permission-denied", "Insufficient role.");
+      }
+      if (members[newOwnerUid] !== true) {
+        throw new HttpsError("not-found", "Member not found.");
+      }
+      roles[newOwnerUid] = "owner";
+      roles[uid] = "editor";
+      return {
+        activity: { type: "member.owner", message: "Trip ownership transferred", targetId: newOwnerUid },
+      };
+    });
+
+    logFunctionSuccess("transferTripOwnership", uid, { tripId, newOwnerUid });
+    return { ok: true };
+  } catch (error) {
+    logFunctionError("transferTripOwnership", uid, error, {
+      tripId: req.data?.tripId,
+      newOwnerUid: req.data?.newOwnerUid,
+    });
+    throw error;
+  }
+});
+
+// Lists a trip's audit log for its owner, newest first, one page at a time
+// Pass the returned nextCursor back to get the following page
+exports.listTripAuditLog = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("listTripAuditLog", uid, { tripId: req.data?.tripId });
+
+  try {
+    await checkRateLimit(uid, "listTripAuditLog");
+
+    const tripId = req.data?.tripId;
+    const pageSize = req.data?.pageSize ?? 50;
+    const cursor = req.data?.cursor || null;
+    if (!tripId) {
+      throw new HttpsError("invalid-argument", "tripId required.");
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) {
+      throw new HttpsError("invalid-argument", "pageSize must be between 1 and 200.");
+    }
+
+    await assertTripRole(tripId, uid, ["owner"]);
+
+    const auditRef = db.collection("trips").doc(tripId).collection("auditLog");
+    let query = auditRef.orderBy("createdAt", "desc").limit(pageSize + 1);
+    if (cursor) {
+      const cursorSnap = await auditRef.doc(cursor).get();
+      if (!cursorSnap.exists) {
+        throw new HttpsError("invalid-argument", "Unknown cursor.");
+      }
+      query = query.startAfter(cursorSnap);
+    }
+
+    const snap = await query.get();
+    const pageDocs = snap.docs.slice(0, pageSize);
+    const entries = pageDocs.map((entryDoc) => {
+      const entry = entryDoc.data();
+      return { id: entryDoc.id, ...entry, createdAt: entry.createdAt?.toMillis?.() ?? null };
+    });
+    const nextCursor = snap.docs.length > pageSize ? pageDocs[pageDocs.length - 1].id : null;
+
+    logFunctionSuccess("listTripAuditLog", uid, { tripId, count: entries.length });
+    return { entries, nextCursor };
+  } catch (error) {
+    logFunctionError("listTripAuditLog", uid, error, { tripId: req.data?.tripId });
+    throw error;
+  }
+});
+
+// Most profiles a search ranks; the lookup token narrows candidates well below this in practice
+const SEARCH_CANDIDATE_LIMIT = 100;
+
+// Searches discoverable users by first name, last name or email prefix
+// Results are ranked by how well they match and paged with an offset cursor into the ranking
+exports.searchUsers = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("searchUsers", uid, { searchTerm: req.data?.searchTerm });
+  
+  try {
+    await checkRateLimit(uid, "searchUsers");
+    
+    const terms = parseSearchTerms(req.data?.searchTerm);
+    const indexToken = pickIndexToken(terms);
+    const pageSize = req.data?.pageSize ?? 10;
+    const offset = req.data?.cursor ? Number(req.data.cursor) : 0;
+
+    if (!indexToken) {
+      throw new HttpsError("invalid-argument", "Search term must be at least 2 characters.");
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 50) {
+      throw new HttpsError("invalid-argument", "pageSize must be between 1 and 50.");
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new HttpsError("invalid-argument", "Invalid cursor.");
+    }
+
+    const [candidateSnap, blockedUids] = await Promise.all([
+      db.collection("users")
+        .where("searchTokens", "array-contains", indexToken)
+        .limit(SEARCH_CANDIDATE_LIMIT)
+        .get(),
+      getBlockedUids(uid),
+    ]);
+
+    const ranked = candidateSnap.docs
+      .filter((userDoc) => userDoc.id !== uid && !blockedUids.has(userDoc.id))
+      .map((userDoc) => {
+        const data = userDoc.data();
+        return {
+          uid: userDoc.id,
+          email: data.email || null,
+          displayName: data.displayName || null,
+          photoURL: data.photoURL || null,
+          discoverable: data.discoverable,
+          score: rankUserMatch(data, terms),
+        };
+      })
+      .filter((candidate) => candidate.discoverable !== false && candidate.score > 0)
+      .sort(compareRankedUsers);
+
+    // Fills the page, leaving out users who blocked the caller
+    const users = [];
+    let position = offset;
+    while (position < ranked.length && users.length < pageSize) {
+      const candidate = ranked[position];
+      position++;
+      if (await hasBlocked(candidate.uid, uid)) continue;
+      users.push({
+        uid: candidate.uid,
+        email: candidate.email,
+        displayName: candidate.displayName,
+        photoURL: candidate.photoURL,
+      });
+    }
+    const nextCursor = position < ranked.length ? String(position) : null;
+
+    logFunctionSuccess("searchUsers", uid, { resultCount: users.length });
+    return { users, nextCursor };
+  } catch (error) {
+    logFunctionError("searchUsers", uid, error, { searchTerm: req.data?.searchTerm });
+    throw error;
+  }
+});
+
+// Keeps a user's search tokens in step with their name, email and discoverable setting
+exports.onUserProfileSearchIndex = onDocumentWritten(
+  {
+    document: "users/{uid}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const after = event.data.after.data();
+    if (!after) return;
+
+    const tokens = buildSearchTokens(after);
+    if (!searchTokensChanged(after.searchTokens, tokens)) return;
+
+    try {
+      await db.collection("users").doc(event.params.uid).update({ searchTokens: tokens });
+    } catch (error) {
+      logError("Error updating user search tokens", error, { uid: event.params.uid });
+    }
+  }
+);
+
+// Users handled per backfill call, kept within one write batch
+const SEARCH_BACKFILL_PAGE_SIZE = 500;
+
+// Writes search tokens for profiles saved before search indexing existed; admins only
+// Each call handles one page of users and returns the cursor for the next, or null once every profile is done
+exports.backfillUserSearchTokens = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("backfillUserSearchTokens", uid, { cursor: req.data?.cursor || null });
+
+  try {
+    await checkRateLimit(uid, "backfillUserSearchTokens");
+
+    if (req.auth.token?.admin !== true) {
+      throw new HttpsError("permission-denied", "Admins only.");
+    }
+    const cursor = req.data?.cursor || null;
+    if (cursor !== null && typeof cursor !== "string") {
+      throw new HttpsError("invalid-argument", "cursor must be a user ID.");
+    }
+
+    let query = db.collection("users")
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(SEARCH_BACKFILL_PAGE_SIZE);
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+    const snap = await query.get();
+
+    const batch = db.batch();
+    let updated = 0;
+    snap.docs.forEach((userDoc) => {
+      const profile = userDoc.data() || {};
+      const tokens = buildSearchTokens(profile);
+      if (!searchTokensChanged(profile.searchTokens, tokens)) return;
+      batch.update(userDoc.ref, { searchTokens: tokens });
+      updated++;
+    });
+    if (updated > 0) {
+      await batch.commit();
+    }
+
+    const scanned = snap.docs.length;
+    const nextCursor = scanned === SEARCH_BACKFILL_PAGE_SIZE ? snap.docs[scanned - 1].id : null;
+
+    logFunctionSuccess("backfillUserSearchTokens", uid, { scanned, updated, nextCursor });
+    return { scanned, updated, nextCursor };
+  } catch (error) {
+    logFunctionError("backfillUserSearchTokens", uid, error, { cursor: req.data?.cursor || null });
+    throw error;
+  }
+});
+
+// Accepts a trip invitation using a trip ID and token
+exports.acceptTripInvite = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("acceptTripInvite", uid, { tripId: req.data?.tripId });
+  
+  try {
+    await checkRateLimit(uid, "acceptTripInvite");
+    
+    const tripId = req.data?.tripId;
+    const token = req.data?.token;
+
+    if (!tripId || !token) {
+      throw new HttpsError("invalid-argument", "tripId and token required.");
+    }
+
+  const tripRef = db.collection("trips").doc(tripId);
+  const inviteSnap = await tripRef
+    .collection("invites")
+    .where("token", "==", token)
+    .limit(1)
+    .get();
+
+  if (inviteSnap.empty) {
+    throw new HttpsError("not-found", "Invite not found.");
+  }
+
+  const docRef = inviteSnap.docs[0].ref;
+  const invite = inviteSnap.docs[0].data();
+
+  if (invite.status === "revoked") {
+    throw new HttpsError("failed-precondition", "Invite was revoked.");
+  }
+  if (invite.status !== "pending") {
+    throw new HttpsError("failed-precondition", "Invite already used.");
+  }
+  if (invite.expiresAt.toMillis() < Date.now()) {
+    await docRef.update({ status: "expired" });
+    throw new HttpsError("deadline-exceeded", "Invite expired.");
+  }
+
+  if (invite.type === "link") {
+    const { status } = await joinTripWithLink(tripRef, docRef, uid);
+    logFunctionSuccess("acceptTripInvite", uid, { tripId, inviteId: docRef.id, status });
+    return { ok: true, status };
+  }
+
+  await assertCanAcceptInvite(uid, invite);
+  const grantRole = invite.role || "editor";
+
+  await db.runTransaction(async (tx) => {
+    const state = await readMembershipState(tx, tripRef, uid);
+    if (state.trip.members?.[uid] !== true) {
+      grantTripMembership(tx, tripRef, state, uid, grantRole, invite.invitedBy, uid, "New member joined");
+    }
+    tx.update(docRef, { status: "accepted", acceptedBy: uid, updatedBy: uid, updatedAt: nowTs() });
+  });
+
+    logFunctionSuccess("acceptTripInvite", uid, { tripId });
+    return { ok: true, status: "joined" };
+  } catch (error) {
+    logFunctionError("acceptTripInvite", uid, error, { tripId: req.data?.tripId });
+    throw error;
+  }
+});
+
+// Queues a request for the trip key when a member's key is missing on all their devices
+// Members who hold the key fulfil it by sealing the key to the requester's public key
+exports.requestTripKey = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("requestTripKey", uid, { tripId: req.data?.tripId });
+
+  try {
+    await checkRateLimit(uid, "requestTripKey");
+
+    const tripId = req.data?.tripId;
+    if (!tripId) {
+      throw new HttpsError("invalid-argument", "tripId required.");
+    }
+
+    await assertTripMember(tripId, uid);
+
+    const tripRef = db.collection("trips").doc(tripId);
+    const metadataSnap = await tripRef.collection("encryptionKeys").doc("metadata").get();
+    if (!metadataSnap.exists || metadataSnap.data()?.enabled !== true) {
+      throw new HttpsError("failed-precondition", "Trip is not encrypted.");
+    }
+
+    const userSnap = await db.collection("users").doc(uid).get();
+    if (!userSnap.data()?.encryptionPublicKey) {
+      throw new HttpsError("failed-precondition", "Set up your encryption key before requesting trip keys.");
+    }
+
+    // Keeps an open request as is so members are not notified again
+    const requestRef = tripRef.collection("keyRequests").doc(uid);
+    const requestSnap = await requestRef.get();
+    if (requestSnap.exists && requestSnap.data()?.status === "open") {
+      logFunctionSuccess("requestTripKey", uid, { tripId, alreadyOpen: true });
+      return { ok: true, status: "open" };
+    }
+
+    await requestRef.set(openKeyRequest(uid, "missing"));
+
+    logFunctionSuccess("requestTripKey", uid, { tripId });
+    return { ok: true, status: "open" };
+  } catch (error) {
+    logFunctionError("requestTripKey", uid, error, { tripId: req.data?.tripId });
+    throw error;
+  }
+});
+
+// Weather providers in priority order; lookups fail over to Open-Meteo when Google errors
+const weatherProvider = createFailoverProvider(
+  [
+    createGoogleWeatherProvider({ getApiKey: () => MAPS_KEY.value() }),
+    createOpenMeteoProvider(),
+  ],
+  {
+    onFailover: (error, failed, next, kind) => logWarning("Weather provider failed, trying fallback", {
+      kind,
+      failed,
+      next,
+      status: error?.status,
+      error: error?.message,
+    }),
+  }
+);
+
+// Cache lifetimes per weather lookup kind
+const WEATHER_CACHE_TTL_MS = {
+  daily: 3 * 60 * 60 * 1000,
+  hourly: 60 * 60 * 1000,
+  current: 10 * 60 * 1000,
+};
+
+// Firestore-backed store so cached forecasts are shared across function instances
+const weatherCacheStore = {
+  async get(key) {
+    const snap = await db.collection("weatherCache").doc(key).get();
+    if (!snap.exists) return null;
+    const data = snap.data() || {};
+    const expiresAt = data.expiresAt?.toMillis ? data.expiresAt.toMillis() : Number(data.expiresAt);
+    return { value: data.payload, expiresAt };
+  },
+  async set(key, value, expiresAt) {
+    await db.collection("weatherCache").doc(key).set({
+      payload: value,
+      expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt),
+      updatedAt: nowTs(),
+    });
+  },
+};
+
+const weatherCache = createWeatherCache({
+  ttlMs: WEATHER_CACHE_TTL_MS.daily,
+  store: weatherCacheStore,
+  onStoreError: (error, key) => logWarning("Weather cache store failed", { key, error: error?.message }),
+});
+
+// Looks up a weather payload through the shared cache and reports the cache outcome
+async function cachedWeatherLookup(res, kind, key, fetcher) {
+  const { value, status } = await weatherCache.getOrFetch(key, fetcher, {
+    ttlMs: WEATHER_CACHE_TTL_MS[kind],
+  });
+  const stats = weatherCache.getStats();
+  res.set("X-Weather-Cache", status.toUpperCase());
+  res.set("X-Weather-Cache-Stats", `hits=${stats.hits + stats.storeHits};misses=${stats.misses};coalesced=${stats.coalesced}`);
+  return value;
+}
+
+// Sends the JSON error response for a failed weather lookup
+function sendWeatherError(res, functionName, e) {
+  if (e?.status) {
+    logger.error("Weather API error", { provider: e.provider, status: e.status, body: e.body });
+    return res.status(e.status).json({ error: "weather_api_error", body: e.body });
+  }
+  logger.error(`${functionName} failed`, e);
+  return res.status(500).json({ error: String(e?.message || e) });
+}
+
+// Proxies daily weather forecast requests to the weather providers
+exports.weatherDaily = onRequest(
+  { region: "us-central1", secrets: [MAPS_KEY] },
+  async (req, res) => {
     const reqHeaders = req.get("Access-Control-Request-Headers");
     res.set("Access-Control-Allow-Origin", "*");
     res.set("Access-Control-Allow-Methods", "GET, OPTIONS");
@@ -598,53 +1863,32 @@ exports.weatherDaily = onRequest(
     if (req.method === "OPTIONS") return res.status(204).send("");
 
     try {
+      if (!(await checkIpRateLimit(req, res, "weatherDaily"))) return res;
+
       const lat = parseFloat(req.query.lat);
       const lng = parseFloat(req.query.lng);
-      const units = String(req.query.units || "IMPERIAL").toUpperCase();
+      const units = normalizeUnits(req.query.units);
       const dateKey = String(req.query.date || "").slice(0, 10);
 
       if (!Number.isFinite(lat) || !Number.isFinite(lng) || !dateKey) {
         return res.status(400).json({ error: "lat,lng,date are required" });
       }
 
-      const apiKey = MAPS_KEY.value();
-      if (!apiKey) {
-        logger.error("Missing GOOGLE_MAPS_API_KEY secret");
-        return res.status(500).json({ error: "Server missing GOOGLE_MAPS_API_KEY" });
-      }
-
-      const url = new URL("https://weather.googleapis.com/v1/forecast/days:lookup");
-      url.searchParams.set("key", apiKey);
-      url.searchParams.set("location.latitude", String(lat));
-      url.searchParams.set("location.longitude", String(lng));
-      url.searchParams.set("units_system", units === "METRIC" ? "METRIC" : "IMPERIAL");
-      url.searchParams.set("days", "10");
-      url.searchParams.set("language_code", "en-US");
-
-      const r = await fetch(url);
-      if (!r.ok) {
-        const body = await r.text();
-        logger.error("Weather API error", { status: r.status, body });
-        return res.status(r.status).json({ error: "weather_api_error", body });
-      }
-
-      const data = await r.json();
-      const days =
-        (data && data.daily && data.daily.days) ||
-        (data && data.dailyForecasts && data.dailyForecasts.days) ||
-        data.forecastDays ||
-        [];
+      // The upstream forecast covers every day in its window, so all of a trip's days share one entry
+      const key = weatherCacheKey("daily", lat, lng, null, units);
+      const payload = await cachedWeatherLookup(res, "daily", key, () =>
+        weatherProvider.daily({ lat: roundCoord(lat), lng: roundCoord(lng), units })
+      );
 
       res.set("Cache-Control", "public, max-age=300");
-      return res.json({ days });
+      return res.json(payload);
     } catch (e) {
-      logger.error("weatherDaily failed", e);
-      return res.status(500).json({ error: String(e?.message || e) });
+      return sendWeatherError(res, "weatherDaily", e);
     }
   }
 );
 
-// Proxies current weather requests to Google Maps Weather API
+// Proxies current weather requests to the weather providers
 exports.weatherCurrent = onRequest(
   { region: "us-central1", secrets: [MAPS_KEY] },
   async (req, res) => {
@@ -656,33 +1900,29 @@ exports.weatherCurrent = onRequest(
     if (req.method === "OPTIONS") return res.status(204).send("");
 
     try {
+      if (!(await checkIpRateLimit(req, res, "weatherCurrent"))) return res;
+
       const lat = parseFloat(req.query.lat);
       const lng = parseFloat(req.query.lng);
-      const units = String(req.query.units || "IMPERIAL").toUpperCase();
+      const units = normalizeUnits(req.query.units);
       if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
         return res.status(400).json({ error: "lat,lng are required" });
       }
 
-      const apiKey = MAPS_KEY.value();
-      if (!apiKey) return res.status(500).json({ error: "Server missing GOOGLE_MAPS_API_KEY" });
+      const key = weatherCacheKey("current", lat, lng, null, units);
+      const payload = await cachedWeatherLookup(res, "current", key, () =>
+        weatherProvider.current({ lat: roundCoord(lat), lng: roundCoord(lng), units })
+      );
 
-      return res.json({
-        relativeHumidity: null,
-        uvIndex: null,
-        visibility: null,
-        precipitation: {
-          probability: { percent: null, type: null },
-          qpf: { quantity: null, unit: "INCHES" },
-        },
-        weatherCondition: null,
-      });
+      res.set("Cache-Control", "public, max-age=300");
+      return res.json(payload);
     } catch (e) {
-      return res.status(500).json({ error: String(e?.message || e) });
+      return sendWeatherError(res, "weatherCurrent", e);
     }
   }
 );
 
-// Proxies hourly weather forecast requests to Google Maps Weather API
+// Proxies hourly weather forecast requests to the weather providers
 exports.weatherHourly = onRequest(
   { region: "us-central1", secrets: [MAPS_KEY] },
   async (req, res) => {
@@ -694,121 +1934,139 @@ exports.weatherHourly = onRequest(
     if (req.method === "OPTIONS") return res.status(204).send("");
 
     try {
+      if (!(await checkIpRateLimit(req, res, "weatherHourly"))) return res;
+
       const lat = parseFloat(req.query.lat);
       const lng = parseFloat(req.query.lng);
-      const units = String(req.query.units || "IMPERIAL").toUpperCase();
+      const units = normalizeUnits(req.query.units);
       const dateKey = String(req.query.date || "").slice(0, 10);
       if (!Number.isFinite(lat) || !Number.isFinite(lng) || !dateKey) {
         return res.status(400).json({ error: "lat,lng,date are required" });
       }
 
-      const apiKey = MAPS_KEY.value();
-      if (!apiKey) return res.status(500).json({ error: "Server missing GOOGLE_MAPS_API_KEY" });
+      const key = weatherCacheKey("hourly", lat, lng, dateKey, units);
+      const payload = await cachedWeatherLookup(res, "hourly", key, () =>
+        weatherProvider.hourly({ lat: roundCoord(lat), lng: roundCoord(lng), units, dateKey })
+      );
 
-      return res.json({ hours: [] });
+      res.set("Cache-Control", "public, max-age=300");
+      return res.json(payload);
     } catch (e) {
-      return res.status(500).json({ error: String(e?.message || e) });
+      return sendWeatherError(res, "weatherHourly", e);
     }
   }
 );
 
-const messaging = admin.messaging();
+// Routes each push to the service its token belongs to: Expo for the mobile app, FCM for the web app
+const pushDelivery = createPushDelivery({
+  fcm: createFcmTransport(admin.messaging()),
+  expo: createExpoTransport(),
+}, { logError });
+
+// Reads a user's notification preferences, per-trip overrides, delivery schedule and when their last digest was sent
+function readNotificationSettings(userData) {
+  return {
+    prefs: readNotificationPrefs(userData),
+    tripLevel: (tripId) => readTripNotificationLevel(userData, tripId),
+    schedule: resolveNotificationSchedule(userData && userData.notificationSchedule),
+    lastDigestAt: (userData && userData.notificationDigestSentAt) || null,
+  };
+}
 
-// Retrieves notification preferences for a user with default values if not set
-async function getUserNotificationPrefs(uid) {
+// Retrieves a user's notification settings, falling back to the defaults if they can't be read
+async function getUserNotificationSettings(uid) {
   try {
     const userDoc = await db.collection("users").doc(uid).get();
-    const prefs = userDoc.data()?.notificationPrefs || {};
-    return {
-      chatMessages: prefs.chatMessages !== false,
-      mentions: prefs.mentions !== false,
-      friendRequests: prefs.friendRequests !== false,
-      tripInvites: prefs.tripInvites !== false,
-      comments: prefs.comments !== false,
-    };
+    return readNotificationSettings(userDoc.data());
   } catch (error) {
     logError("Error getting notification preferences", error, { uid });
-    return {
-      chatMessages: true,
-      mentions: true,
-      friendRequests: true,
-      tripInvites: true,
-      comments: true,
-    };
+    return readNotificationSettings(null);
   }
 }
 
-// Retrieves all FCM push notification tokens for a user
-async function getUserFCMTokens(uid) {
+// Retrieves all push tokens for a user, with the document ID and the push service each belongs to
+async function getUserPushTokens(uid) {
   try {
     const tokensRef = db.collection("users").doc(uid).collection("tokens");
     const snapshot = await tokensRef.get();
-    return snapshot.docs.map((doc) => doc.data().token).filter(Boolean);
+    return snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((entry) => entry.token)
+      .map((entry) => ({ id: entry.id, token: entry.token, provider: tokenProvider(entry) }));
   } catch (error) {
-    logError("Error getting FCM tokens", error, { uid });
+    logError("Error getting push tokens", error, { uid });
     return [];
   }
 }
 
-// Sends a push notification to a user, respecting their notification preferences and cleaning up invalid tokens
-async function sendNotification(uid, notification, data = {}) {
-  try {
-    const prefs = await getUserNotificationPrefs(uid);
-    
-    const notificationType = data.type;
-    if (notificationType === "chat_message" && !prefs.chatMessages) return;
-    if (notificationType === "mention" && !prefs.mentions) return;
-    if (notificationType === "friend_request" && !prefs.friendRequests) return;
-    if (notificationType === "trip_invite" && !prefs.tripInvites) return;
-    if (notificationType === "comment" && !prefs.comments) return;
-
-    const tokens = await getUserFCMTokens(uid);
-    if (tokens.length === 0) {
-      logInfo("No FCM tokens found for user", { uid });
-      return;
+// Pushes a notification to all of a user's devices and cleans up invalid tokens
+// Token documents are deleted by ID, since mobile token documents are keyed by a hash of the token
+async function deliverPush(uid, notification, data) {
+  const tokens = await getUserPushTokens(uid);
+  if (tokens.length === 0) {
+    logInfo("No push tokens found for user", { uid });
+    return;
+  }
+
+  const result = await pushDelivery.deliver(tokens, {
+    notification: { title: notification.title, body: notification.body },
+    data,
+  });
+  logInfo("Notification sent", {
+    uid,
+    successCount: result.successCount,
+    failureCount: result.failureCount,
+    type: data.type,
+  });
+
+  for (const entry of result.invalid) {
+    try {
+      await db.collection("users").doc(uid).collection("tokens").doc(entry.id).delete();
+    } catch (error) {
+      logError("Error deleting invalid token", error, { uid, tokenId: entry.id, provider: entry.provider });
     }
+  }
+}
 
-    const message = {
-      notification: {
-        title: notification.title,
-        body: notification.body,
-      },
-      data: {
-        ...data,
-        click_action: "FLUTTER_NOTIFICATION_CLICK",
-      },
-      tokens,
-    };
+// Keeps a notification in the user's in-app inbox; a failure here does not stop the push
+async function recordInboxNotification(uid, notification, data) {
+  try {
+    await db.collection("users").doc(uid).collection("notifications").add(
+      buildInboxEntry(notification, data, nowTs())
+    );
+  } catch (error) {
+    logError("Error recording inbox notification", error, { uid, type: data.type });
+  }
+}
 
-    const response = await messaging.sendEachForMulticast(message);
-    logInfo("Notification sent", {
-      uid,
-      successCount: response.successCount,
-      failureCount: response.failureCount,
-      type: notificationType,
-    });
+// Sends a push notification to a user, respecting their notification preferences and delivery schedule
+// Every wanted notification is also kept in the in-app inbox, whether it is pushed now or held
+// A trip's override decides for notifications about that trip; otherwise the global toggles do
+// Notifications held for quiet hours or a digest are queued for sendNotificationDigests
+// pendingNotificationCount on the user document lets the digest job find users with a queue
+async function sendNotification(uid, notification, data = {}) {
+  try {
+    const { prefs, tripLevel, schedule } = await getUserNotificationSettings(uid);
 
-    if (response.failureCount > 0) {
-      const invalidTokens = [];
-      response.responses.forEach((resp, idx) => {
-        if (!resp.success && resp.error) {
-          if (
-            resp.error.code === "messaging/invalid-registration-token" ||
-            resp.error.code === "messaging/registration-token-not-registered"
-          ) {
-            invalidTokens.push(tokens[idx]);
-          }
-        }
-      });
+    const notificationType = data.type;
+    if (!isNotificationWanted(prefs, tripLevel(data.tripId), notificationType)) return;
 
-      for (const token of invalidTokens) {
-        try {
-          await db.collection("users").doc(uid).collection("tokens").doc(token).delete();
-        } catch (error) {
-          logError("Error deleting invalid token", error, { uid, token });
-        }
-      }
+    await recordInboxNotification(uid, notification, data);
+
+    if (shouldHoldNotification(schedule, notificationType, Date.now())) {
+      const userRef = db.collection("users").doc(uid);
+      const batch = db.batch();
+      batch.set(userRef.collection("pendingNotifications").doc(), {
+        notification: { title: notification.title, body: notification.body },
+        data,
+        createdAt: nowTs(),
+      });
+      batch.set(userRef, { pendingNotificationCount: admin.firestore.FieldValue.increment(1) }, { merge: true });
+      await batch.commit();
+      return;
     }
+
+    await deliverPush(uid, notification, data);
   } catch (error) {
     logError("Error sending notification", error, { uid, type: data.type });
   }
@@ -824,17 +2082,106 @@ async function getUserDisplayName(uid) {
   }
 }
 
-// Retrieves a trip's name, returning "a trip" as fallback
+// Retrieves a trip's name, returning "a trip" as fallback and for encrypted names
 async function getTripName(tripId) {
   try {
     const tripDoc = await db.collection("trips").doc(tripId).get();
-    const data = tripDoc.data();
-    return data?.name || "a trip";
+    return tripDisplayName(tripDoc.data() || {}, "a trip");
   } catch (error) {
     return "a trip";
   }
 }
 
+// Shortens chat or comment text for a notification body
+// Encrypted text can't be read on the server, so it gets the generic fallback
+function messagePreview(data, fallback) {
+  if (data.encrypted === true || !data.text) return fallback;
+  return data.text.substring(0, 100);
+}
+
+// Delivers queued notifications as one summary per user once their quiet hours end or their digest is due
+exports.sendNotificationDigests = onSchedule(
+  {
+    schedule: "every 15 minutes",
+    region: "us-central1",
+  },
+  async () => {
+    const now = Date.now();
+    let delivered = 0;
+
+    try {
+      const usersSnap = await db.collection("users").where("pendingNotificationCount", ">", 0).get();
+
+      for (const userDoc of usersSnap.docs) {
+        const uid = userDoc.id;
+        try {
+          const { schedule, lastDigestAt } = readNotificationSettings(userDoc.data());
+          if (!isDigestDue(schedule, lastDigestAt, now)) continue;
+
+          const queueSnap = await userDoc.ref.collection("pendingNotifications").orderBy("createdAt").get();
+          const items = queueSnap.docs.map((queuedDoc) => queuedDoc.data());
+
+          if (items.length > 0) {
+            const message = buildDigestMessage(items);
+            await deliverPush(uid, message.notification, message.data);
+          }
+
+          // Counts down by the notifications delivered so ones queued meanwhile keep the user in the next run
+          // An empty queue means the count drifted, so it is reset
+          const batch = db.batch();
+          queueSnap.docs.forEach((queuedDoc) => {
+            batch.delete(queuedDoc.ref);
+          });
+          batch.set(userDoc.ref, {
+            pendingNotificationCount: items.length > 0 ? admin.firestore.FieldValue.increment(-items.length) : 0,
+            notificationDigestSentAt: now,
+          }, { merge: true });
+          await batch.commit();
+          delivered += items.length;
+        } catch (error) {
+          logError("Error sending notification digest", error, { uid });
+        }
+      }
+
+      logInfo("Sent notification digests", { users: usersSnap.docs.length, delivered });
+    } catch (error) {
+      logError("Error sending notification digests", error);
+    }
+  }
+);
+
+// Marks every unread notification in the caller's inbox as read
+exports.markAllNotificationsRead = onCall({ region: "us-central1" }, async (req) => {
+  const uid = assertAuth(req);
+  logFunctionCall("markAllNotificationsRead", uid);
+
+  try {
+    await checkRateLimit(uid, "markAllNotificationsRead");
+
+    const inboxRef = db.collection("users").doc(uid).collection("notifications");
+    let updated = 0;
+    let pageSize;
+    do {
+      const snap = await inboxRef.where("read", "==", false).limit(500).get();
+      pageSize = snap.docs.length;
+      if (pageSize === 0) break;
+
+      const batch = db.batch();
+      snap.docs.forEach((notificationDoc) => {
+        batch.update(notificationDoc.ref, { read: true, readAt: nowTs() });
+      });
+      await batch.commit();
+      updated += pageSize;
+    } while (pageSize === 500);
+
+    logFunctionSuccess("markAllNotificationsRead", uid, { updated });
+    return { updated };
+  } catch (error) {
+    logFunctionError("markAllNotificationsRead", uid, error);
+    throw error;
+  }
+});
+
 // Sends push notifications when a chat message is created in a trip
 exports.onChatMessageCreated = onDocumentCreated(
   {
@@ -858,7 +2205,7 @@ exports.onChatMessageCreated = onDocumentCreated(
 
       const senderName = await getUserDisplayName(senderId);
       const tripName = await getTripName(tripId);
-      const mentionedUserIds = messageData.mentionedUserIds || [];
+      const mentionedUserIds = await filterBlockedMentions(messageData.mentionedUserIds || [], senderId);
 
       for (const memberId of members) {
         const isMentioned = mentionedUserIds.includes(memberId);
@@ -868,9 +2215,7 @@ exports.onChatMessageCreated = onDocumentCreated(
           memberId,
           {
             title: isMentioned ? `${senderName} mentioned you` : `${senderName} sent a message`,
-            body: isMentioned
-              ? `In ${tripName}: ${messageData.text?.substring(0, 100) || "New message"}`
-              : `In ${tripName}: ${messageData.text?.substring(0, 100) || "New message"}`,
+            body: `In ${tripName}: ${messagePreview(messageData, "New message")}`,
           },
           {
             type: notificationType,
@@ -910,7 +2255,7 @@ exports.onCommentCreated = onDocumentCreated(
 
       const senderName = await getUserDisplayName(senderId);
       const tripName = await getTripName(tripId);
-      const mentionedUserIds = commentData.mentionedUserIds || [];
+      const mentionedUserIds = await filterBlockedMentions(commentData.mentionedUserIds || [], senderId);
 
       for (const memberId of members) {
         const isMentioned = mentionedUserIds.includes(memberId);
@@ -919,9 +2264,7 @@ exports.onCommentCreated = onDocumentCreated(
           memberId,
           {
             title: isMentioned ? `${senderName} mentioned you` : `${senderName} commented`,
-            body: isMentioned
-              ? `On ${tripName}: ${commentData.text?.substring(0, 100) || "New comment"}`
-              : `On ${tripName}: ${commentData.text?.substring(0, 100) || "New comment"}`,
+            body: `On ${tripName}: ${messagePreview(commentData, "New comment")}`,
           },
           {
             type: isMentioned ? "mention" : "comment",
@@ -938,6 +2281,70 @@ exports.onCommentCreated = onDocumentCreated(
   }
 );
 
+// Notifies members who added stops to a day when someone else changes that day's itinerary
+// Writes without a signed-in user, such as cleanup after a trip is deleted, are skipped
+exports.onItineraryItemChanged = onDocumentWrittenWithAuthContext(
+  {
+    document: "trips/{tripId}/itinerary/{itemId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const tripId = event.params.tripId;
+    const itemId = event.params.itemId;
+    const before = event.data.before.data() || null;
+    const after = event.data.after.data() || null;
+    const actorId = event.authType === "user" ? event.authId : null;
+
+    if (!actorId) return;
+
+    const change = describeItineraryChange(before, after);
+    if (!change) return;
+
+    try {
+      const tripRef = db.collection("trips").doc(tripId);
+      const tripDoc = await tripRef.get();
+      if (!tripDoc.exists) return;
+      const members = tripDoc.data().members || {};
+
+      // A deleted item is no longer returned by the day queries, so its creator is added directly
+      const recipients = new Set([before && before.createdBy, after && after.createdBy].filter(Boolean));
+      for (const day of change.days) {
+        const daySnap = await tripRef.collection("itinerary").where("day", "==", day).get();
+        daySnap.docs.forEach((itemDoc) => {
+          const createdBy = itemDoc.data().createdBy;
+          if (createdBy) recipients.add(createdBy);
+        });
+      }
+      recipients.delete(actorId);
+
+      const planners = [...recipients].filter((uid) => members[uid] === true);
+      if (planners.length === 0) return;
+
+      const actorName = await getUserDisplayName(actorId);
+      const tripName = tripDisplayName(tripDoc.data(), "your trip");
+
+      for (const plannerId of planners) {
+        await sendNotification(
+          plannerId,
+          {
+            title: `${actorName} updated the itinerary`,
+            body: `In ${tripName}: ${change.summary}`,
+          },
+          {
+            type: "itinerary_change",
+            tripId,
+            itemId,
+            day: String(change.days[change.days.length - 1]),
+            actorId,
+          }
+        );
+      }
+    } catch (error) {
+      logError("Error in onItineraryItemChanged", error, { tripId, itemId });
+    }
+  }
+);
+
 // Sends push notifications when a friend request is created
 exports.onFriendRequestCreated = onDocumentCreated(
   {
@@ -973,11 +2380,12 @@ exports.onFriendRequestCreated = onDocumentCreated(
   }
 );
 
-// Sends push notifications when a trip invitation is created
+// Sends push notifications, or the invitation email for email invites, when a trip invitation is created
 exports.onTripInviteCreated = onDocumentCreated(
   {
     document: "trips/{tripId}/invites/{inviteId}",
     region: "us-central1",
+    secrets: [SMTP_URL],
   },
   async (event) => {
     const inviteData = event.data.data();
@@ -989,6 +2397,16 @@ exports.onTripInviteCreated = onDocumentCreated(
 
     if (!invitedBy) return;
 
+    // Errors are logged, not thrown: a retried trigger would send the email again
+    if (inviteData.type === "email" && email && inviteData.status === "pending") {
+      try {
+        await deliverInviteEmail(tripId, event.data.ref, inviteData);
+      } catch (error) {
+        logError("Error in onTripInviteCreated", error, { tripId, inviteId });
+      }
+      return;
+    }
+
     try {
       if (!toUid) {
         return;
@@ -1016,6 +2434,43 @@ exports.onTripInviteCreated = onDocumentCreated(
   }
 );
 
+// Notifies trip owners when someone asks to join through a join link
+exports.onTripJoinRequestCreated = onDocumentCreated(
+  {
+    document: "trips/{tripId}/joinRequests/{requesterUid}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const tripId = event.params.tripId;
+    const requesterUid = event.params.requesterUid;
+
+    try {
+      const tripSnap = await db.collection("trips").doc(tripId).get();
+      const roles = tripSnap.data()?.roles || {};
+      const owners = Object.keys(roles).filter((uid) => roles[uid] === "owner");
+      if (owners.length === 0) return;
+
+      const requesterName = await getUserDisplayName(requesterUid);
+      const tripName = await getTripName(tripId);
+
+      await Promise.all(owners.map((ownerUid) => sendNotification(
+        ownerUid,
+        {
+          title: "Join request",
+          body: `${requesterName} asked to join ${tripName}`,
+        },
+        {
+          type: "join_request",
+          tripId,
+          requesterUid,
+        }
+      )));
+    } catch (error) {
+      logError("Error in onTripJoinRequestCreated", error, { tripId, requesterUid });
+    }
+  }
+);
+
 // Sends push notifications when a new member is added to a trip
 exports.onTripMemberAdded = onDocumentWritten(
   {
@@ -1067,6 +2522,207 @@ exports.onTripMemberAdded = onDocumentWritten(
   }
 );
 
+// Revokes a departing member's wrapped trip key and flags the trip for key rotation
+// The server never sees trip keys, so rotation itself runs on an owner's client
+exports.onTripMemberRemoved = onDocumentWritten(
+  {
+    document: "trips/{tripId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const beforeData = event.data.before.data();
+    const afterData = event.data.after.data();
+    const tripId = event.params.tripId;
+
+    // Trip deletion is handled by onTripDeleted
+    if (!afterData) return;
+
+    const beforeMembers = beforeData?.members || {};
+    const afterMembers = afterData.members || {};
+
+    const removedMembers = Object.keys(beforeMembers).filter(
+      (uid) => beforeMembers[uid] === true && afterMembers[uid] !== true
+    );
+
+    if (removedMembers.length === 0) return;
+
+    try {
+      const keysRef = db.collection("trips").doc(tripId).collection("encryptionKeys");
+      const metadataSnap = await keysRef.doc("metadata").get();
+
+      if (!metadataSnap.exists || metadataSnap.data()?.enabled !== true) return;
+
+      const keyRequestsRef = db.collection("trips").doc(tripId).collection("keyRequests");
+      const batch = db.batch();
+      removedMembers.forEach((uid) => {
+        batch.delete(keysRef.doc(uid));
+        batch.delete(keyRequestsRef.doc(uid));
+      });
+      batch.set(
+        keysRef.doc("metadata"),
+        {
+          rotationRequired: true,
+          rotationRequestedAt: nowTs(),
+          removedMembers: admin.firestore.FieldValue.arrayUnion(...removedMembers),
+        },
+        { merge: true }
+      );
+      await batch.commit();
+
+      logInfo("Revoked trip keys for removed members and flagged rotation", {
+        tripId,
+        removedCount: removedMembers.length,
+      });
+    } catch (error) {
+      logError("Error in onTripMemberRemoved", error, { tripId });
+    }
+  }
+);
+
+// Notifies owners and editors who hold the trip key when a member opens a key request
+exports.onTripKeyRequestWritten = onDocumentWritten(
+  {
+    document: "trips/{tripId}/keyRequests/{requesterId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const beforeData = event.data.before.data();
+    const afterData = event.data.after.data();
+    const { tripId, requesterId } = event.params;
+
+    if (afterData?.status !== "open" || beforeData?.status === "open") return;
+
+    try {
+      const tripRef = db.collection("trips").doc(tripId);
+      const tripSnap = await tripRef.get();
+      const roles = tripSnap.data()?.roles || {};
+
+      const keysSnap = await tripRef.collection("encryptionKeys").get();
+      const keyHolders = keysSnap.docs
+        .filter((keyDoc) => keyDoc.id !== "metadata" && keyDoc.id !== requesterId)
+        .filter((keyDoc) => keyDoc.data().pending !== true && keyDoc.data().encryptedKey)
+        .map((keyDoc) => keyDoc.id)
+        .filter((uid) => ["owner", "editor"].includes(roles[uid]));
+
+      if (keyHolders.length === 0) {
+        logWarning("No members hold the trip key for an open key request", { tripId, requesterId });
+        return;
+      }
+
+      const requesterName = await getUserDisplayName(requesterId);
+      const tripName = await getTripName(tripId);
+
+      for (const holderId of keyHolders) {
+        await sendNotification(
+          holderId,
+          {
+            title: "Trip key requested",
+            body: `${requesterName} needs the encryption key for ${tripName}. Open the trip to share it.`,
+          },
+          {
+            type: "key_request",
+            tripId,
+            requesterId,
+          }
+        );
+      }
+    } catch (error) {
+      logError("Error in onTripKeyRequestWritten", error, { tripId, requesterId });
+    }
+  }
+);
+
+// Closes a member's open key request once another member shares the trip key with them
+exports.onTripMemberKeyWritten = onDocumentWritten(
+  {
+    document: "trips/{tripId}/encryptionKeys/{memberId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const afterData = event.data.after.data();
+    const { tripId, memberId } = event.params;
+
+    if (memberId === "metadata" || !afterData) return;
+    if (afterData.pending === true || !afterData.encryptedKey) return;
+
+    try {
+      const requestRef = db.collection("trips").doc(tripId).collection("keyRequests").doc(memberId);
+      const requestSnap = await requestRef.get();
+      if (!requestSnap.exists || requestSnap.data()?.status !== "open") return;
+
+      await requestRef.update({
+        status: "fulfilled",
+        fulfilledBy: afterData.sharedBy || null,
+        fulfilledAt: nowTs(),
+      });
+
+      logInfo("Fulfilled trip key request", { tripId, memberId, sharedBy: afterData.sharedBy });
+    } catch (error) {
+      logError("Error in onTripMemberKeyWritten", error, { tripId, memberId });
+    }
+  }
+);
+
+// Creates a trigger that appends an entry to the trip's audit log for every write to a document
+// The event ID is the entry ID, so a redelivered event does not record the same change twice
+function auditTrigger(document, resource, idParam) {
+  return onDocumentWrittenWithAuthContext(
+    {
+      document,
+      region: "us-central1",
+    },
+    async (event) => {
+      const tripId = event.params.tripId;
+      const documentId = event.params[idParam];
+      const before = event.data.before.data() || null;
+      const after = event.data.after.data() || null;
+
+      try {
+        const tripRef = db.collection("trips").doc(tripId);
+
+        // Deleting a trip deletes its subcollections; that cleanup is not audited
+        if (!after) {
+          if (resource === "members") return;
+          const tripSnap = await tripRef.get();
+          if (!tripSnap.exists) return;
+        }
+
+        const entry = buildAuditEntry({
+          resource,
+          documentId,
+          before,
+          after,
+          auth: { authType: event.authType, authId: event.authId },
+        });
+        if (!entry) return;
+
+        await tripRef.collection("auditLog").doc(event.id).set({
+          ...entry,
+          createdAt: nowTs(),
+        });
+      } catch (error) {
+        logError(`Error recording ${resource} audit entry`, error, { tripId, documentId });
+      }
+    }
+  );
+}
+
+// Audits changes to a trip's members and roles
+exports.onTripMembersAudit = auditTrigger("trips/{tripId}", "members", "tripId");
+
+// Audits changes to itinerary items
+exports.onItineraryItemAudit = auditTrigger("trips/{tripId}/itinerary/{itemId}", "itinerary", "itemId");
+
+// Audits changes to invites and join links
+exports.onTripInviteAudit = auditTrigger("trips/{tripId}/invites/{inviteId}", "invite", "inviteId");
+
+// Audits changes to wrapped trip keys and encryption metadata
+exports.onTripEncryptionKeyAudit = auditTrigger(
+  "trips/{tripId}/encryptionKeys/{keyId}",
+  "encryptionKey",
+  "keyId"
+);
+
 // Cleans up all subcollections when a trip document is deleted
 exports.onTripDeleted = onDocumentDeleted(
   {
@@ -1119,6 +2775,11 @@ exports.onTripDeleted = onDocumentDeleted(
         "encryptionKeys"
       );
 
+      totalDeleted += await deleteCollection(
+        tripRef.collection("keyRequests"),
+        "keyRequests"
+      );
+
       const itineraryRef = tripRef.collection("itinerary");
       const itinerarySnap = await itineraryRef.get();
       if (!itinerarySnap.empty) {
@@ -1151,6 +2812,11 @@ exports.onTripDeleted = onDocumentDeleted(
         "forecasts"
       );
 
+      totalDeleted += await deleteCollection(
+        tripRef.collection("auditLog"),
+        "auditLog"
+      );
+
       logInfo("Successfully cleaned up all subcollections for deleted trip", {
         tripId,
         totalDeletedCount: totalDeleted,
@@ -1164,6 +2830,8 @@ exports.onTripDeleted = onDocumentDeleted(
 // Removes encryption keys for trips that no longer exist
 exports.cleanupOrphanedEncryptionKeys = onCall({ region: "us-central1" }, async (req) => {
   const uid = assertAuth(req);
+  // Checked before the try block so the rate limit error reaches the caller unwrapped
+  await checkRateLimit(uid, "cleanupOrphanedEncryptionKeys");
 
   try {
     logFunctionCall("cleanupOrphanedEncryptionKeys", uid);
@@ -1211,4 +2879,244 @@ exports.cleanupOrphanedEncryptionKeys = onCall({ region: "us-central1" }, async
     logFunctionError("cleanupOrphanedEncryptionKeys", uid, error);
     throw new HttpsError("internal", "Failed to cleanup orphaned encryption keys", error);
   }
-});
\ No newline at end of file
+});
+// Deletes rate limit buckets idle long enough to have refilled completely
+// A missing bucket reads as full, so deleting these changes no limits
+exports.purgeStaleRateLimits = onSchedule(
+  {
+    schedule: "every 60 minutes",
+    region: "us-central1",
+  },
+  async () => {
+    const cutoff = Date.now() - RATE_LIMIT_RETENTION_MS;
+    let totalDeleted = 0;
+
+    try {
+      let pageSize;
+      do {
+        const snap = await db.collection("rateLimits")
+          .where("lastRequest", "<", cutoff)
+          .limit(500)
+          .get();
+        pageSize = snap.docs.length;
+        if (pageSize === 0) break;
+
+        const batch = db.batch();
+        snap.docs.forEach((bucketDoc) => {
+          batch.delete(bucketDoc.ref);
+        });
+        await batch.commit();
+        totalDeleted += pageSize;
+      } while (pageSize === 500);
+
+      logInfo("Purged stale rate limit buckets", { totalDeleted });
+    } catch (error) {
+      logError("Error purging stale rate limit buckets", error, { totalDeleted });
+    }
+  }
+);
+
+// Deletes shared weather cache entries that have expired; lookups already treat them as misses
+exports.purgeExpiredWeatherCache = onSchedule(
+  {
+    schedule: "every 24 hours",
+    region: "us-central1",
+  },
+  async () => {
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now());
+    let totalDeleted = 0;
+
+    try {
+      let pageSize;
+      do {
+        const snap = await db.collection("weatherCache")
+          .where("expiresAt", "<", cutoff)
+          .limit(500)
+          .get();
+        pageSize = snap.docs.length;
+        if (pageSize === 0) break;
+
+        const batch = db.batch();
+        snap.docs.forEach((entryDoc) => {
+          batch.delete(entryDoc.ref);
+        });
+        await batch.commit();
+        totalDeleted += pageSize;
+      } while (pageSize === 500);
+
+      logInfo("Purged expired weather cache entries", { totalDeleted });
+    } catch (error) {
+      logError("Error purging expired weather cache entries", error, { totalDeleted });
+    }
+  }
+);
+
+// Deletes inbox notifications older than the retention period from every user's inbox
+// The collection group query relies on the createdAt exemption in firestore.indexes.json; failures are rethrown
+// so a missing index fails the scheduled run instead of silently pruning nothing
+exports.pruneNotificationInbox = onSchedule(
+  {
+    schedule: "every 24 hours",
+    region: "us-central1",
+  },
+  async () => {
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - NOTIFICATION_RETENTION_MS);
+    let totalDeleted = 0;
+
+    try {
+      let pageSize;
+      do {
+        const snap = await db.collectionGroup("notifications")
+          .where("createdAt", "<", cutoff)
+          .limit(500)
+          .get();
+        pageSize = snap.docs.length;
+        if (pageSize === 0) break;
+
+        const batch = db.batch();
+        snap.docs.forEach((notificationDoc) => {
+          batch.delete(notificationDoc.ref);
+        });
+        await batch.commit();
+        totalDeleted += pageSize;
+      } while (pageSize === 500);
+
+      logInfo("Pruned old inbox notifications", { totalDeleted });
+    } catch (error) {
+      logError("Error pruning inbox notifications", error, { totalDeleted });
+      throw error;
+    }
+  }
+);
+
+// Looks up the forecast summary for a day at a stop, or null if the weather can't be fetched
+async function dayWeatherSummary(location, dateKey) {
+  try {
+    const key = weatherCacheKey("daily", location.lat, location.lng, null, "METRIC");
+    const fetchDaily = () => weatherProvider.daily({
+      lat: roundCoord(location.lat),
+      lng: roundCoord(location.lng),
+      units: "METRIC",
+    });
+    const { value } = await weatherCache.getOrFetch(key, fetchDaily, { ttlMs: WEATHER_CACHE_TTL_MS.daily });
+    const day = ((value && value.days) || []).find((d) => d.date === dateKey);
+    return summarizeDayWeather(day);
+  } catch (error) {
+    logWarning("Weather lookup for trip reminder failed", { dateKey, error: error?.message });
+    return null;
+  }
+}
+
+// Sends "trip starts tomorrow" reminders and morning "today's plan" summaries in each member's time zone
+// Trips are found by start date (starting soon), end date (still running) and a null end date (open-ended);
+// open-ended trips only get daily summaries for days with stops, so they don't remind members forever
+exports.sendTripReminders = onSchedule(
+  {
+    schedule: "every 60 minutes",
+    region: "us-central1",
+    secrets: [MAPS_KEY],
+  },
+  async () => {
+    const now = Date.now();
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    let sent = 0;
+
+    try {
+      const tripsRef = db.collection("trips");
+      const [startingSnap, runningSnap, openEndedSnap] = await Promise.all([
+        tripsRef
+          .where("startDate", ">=", admin.firestore.Timestamp.fromMillis(now - DAY_MS))
+          .where("startDate", "<=", admin.firestore.Timestamp.fromMillis(now + 2 * DAY_MS))
+          .get(),
+        tripsRef.where("endDate", ">=", admin.firestore.Timestamp.fromMillis(now - DAY_MS)).get(),
+        tripsRef.where("endDate", "==", null).get(),
+      ]);
+      const startingSoon = new Set(startingSnap.docs.map((tripDoc) => tripDoc.id));
+      const todayUtc = new Date(now).toISOString().slice(0, 10);
+
+      const trips = new Map();
+      [...startingSnap.docs, ...runningSnap.docs, ...openEndedSnap.docs].forEach((tripDoc) => {
+        const startKey = tripDateKey(tripDoc.data().startDate);
+        // Trips starting more than a day from now are not due anything yet
+        if (startKey && Date.parse(`${startKey}T00:00:00Z`) <= now + 2 * DAY_MS) {
+          trips.set(tripDoc.id, tripDoc);
+        }
+      });
+
+      for (const [tripId, tripDoc] of trips) {
+        const trip = tripDoc.data();
+        const members = Object.keys(trip.members || {}).filter((uid) => trip.members[uid] === true);
+        const days = new Map();
+
+        // An open-ended trip that isn't starting has nothing to send unless a day that is "today" in some
+        // time zone has stops; checking once here saves reading every member of long-finished trips
+        if (!trip.endDate && !startingSoon.has(tripId)) {
+          const dayNumbers = [-1, 0, 1]
+            .map((offset) => tripDayNumber(trip, addDays(todayUtc, offset)))
+            .filter(Boolean);
+          if (dayNumbers.length === 0) continue;
+          const stopsSnap = await tripsRef.doc(tripId).collection("itinerary")
+            .where("day", "in", dayNumbers)
+            .limit(1)
+            .get();
+          if (stopsSnap.docs.length === 0) continue;
+        }
+
+        // Stop count and weather for a trip day, looked up once per trip
+        const dayPlan = async (day, dateKey) => {
+          if (!days.has(day)) {
+            const itemsSnap = await tripsRef.doc(tripId).collection("itinerary").where("day", "==", day).get();
+            // The first stop with a location stands in for the day's weather
+            const location = itemsSnap.docs
+              .map((itemDoc) => itemDoc.data().location)
+              .find((loc) => loc && Number.isFinite(loc.lat) && Number.isFinite(loc.lng));
+            days.set(day, {
+              stops: itemsSnap.docs.length,
+              weather: location ? await dayWeatherSummary(location, dateKey) : null,
+            });
+          }
+          return days.get(day);
+        };
+
+        for (const uid of members) {
+          try {
+            const userRef = db.collection("users").doc(uid);
+            const userSnap = await userRef.get();
+            const userData = userSnap.data() || {};
+            const { prefs, tripLevel, schedule } = readNotificationSettings(userData);
+            // Both reminder kinds share the tripReminders toggle; skipping early saves the weather lookups
+            if (!isNotificationWanted(prefs, tripLevel(tripId), "daily_plan")) continue;
+
+            const log = (userData.tripRemindersSent || {})[tripId];
+            const due = dueTripReminders(trip, schedule.timeZone, log, now);
+
+            for (const reminder of due) {
+              const plan = await dayPlan(reminder.day, reminder.dateKey);
+              if (reminder.kind === "daily_plan" && plan.stops === 0 && !trip.endDate) continue;
+
+              const message = reminder.kind === "trip_start"
+                ? buildTripStartMessage(trip, plan.stops)
+                : buildDailyPlanMessage(trip, reminder.day, plan.stops, plan.weather);
+              await sendNotification(uid, message, {
+                type: reminder.kind,
+                tripId,
+                day: String(reminder.day),
+              });
+              await userRef.set(
+                { tripRemindersSent: { [tripId]: { [reminder.kind]: reminder.dateKey } } },
+                { merge: true }
+              );
+              sent++;
+            }
+          } catch (error) {
+            logError("Error sending trip reminder", error, { tripId, uid });
+          }
+        }
+      }
+
+      logInfo("Sent trip reminders", { trips: trips.size, sent });
+    } catch (error) {
+      logError("Error sending trip reminders", error);
+    }
+  }
+);
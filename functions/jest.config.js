@@ -9,6 +9,17 @@ module.exports = {
   ],
   collectCoverageFrom: [
     'index.js',
+    'weatherCache.js',
+    'weatherProviders.js',
+    'mailer.js',
+    'auditLog.js',
+    'userSearch.js',
+    'rateLimiter.js',
+    'notificationSchedule.js',
+    'notificationPrefs.js',
+    'notificationInbox.js',
+    'tripReminders.js',
+    'pushDelivery.js',
     '!**/node_modules/**',
   ],
   coverageThreshold: {
@@ -1,39 +1,105 @@
 // Setup for Firebase Functions tests
 // This file runs before each test file
 
+// Wraps a transaction double so reads after its first write throw, as they do in the Admin SDK
+// Tests that supply their own transaction pass it through this to keep the check
+function mockReadsBeforeWrites(tx) {
+  let written = false;
+  const read = (method) => (...args) => {
+    if (written) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return tx[method](...args);
+  };
+  const write = (method) => (...args) => {
+    written = true;
+    return tx[method](...args);
+  };
+  return {
+    ...tx,
+    get: read('get'),
+    getAll: read('getAll'),
+    set: write('set'),
+    update: write('update'),
+    delete: write('delete'),
+  };
+}
+global.mockReadsBeforeWrites = mockReadsBeforeWrites;
+
 // Mock Firebase Admin
 jest.mock('firebase-admin', () => {
   const mockFirestore = {
     collection: jest.fn(() => mockFirestore),
+    collectionGroup: jest.fn(() => mockFirestore),
     doc: jest.fn(() => mockFirestore),
     get: jest.fn(),
     set: jest.fn(),
     update: jest.fn(),
+    delete: jest.fn(),
     add: jest.fn(),
     where: jest.fn(() => mockFirestore),
     limit: jest.fn(() => mockFirestore),
-    runTransaction: jest.fn(),
+    orderBy: jest.fn(() => mockFirestore),
+    startAfter: jest.fn(() => mockFirestore),
+    // Runs the update function in mockTransaction unless a test supplies its own transaction
+    runTransaction: jest.fn((updateFunction) => updateFunction(mockReadsBeforeWrites(mockTransaction))),
     batch: jest.fn(() => ({
       set: jest.fn(),
       update: jest.fn(),
+      delete: jest.fn(),
       commit: jest.fn(),
     })),
   };
 
+  // Transaction backed by the shared mock: reads take the next queued get() and writes go to set/update/delete
+  // getAll answers every ref with the same queued snapshot, so one rate limit snapshot covers all of a call's buckets
+  const mockTransaction = {
+    get: jest.fn(() => mockFirestore.get()),
+    getAll: jest.fn(async (...refs) => {
+      const snap = await mockFirestore.get();
+      return refs.map(() => snap);
+    }),
+    set: jest.fn((ref, ...args) => mockFirestore.set(...args)),
+    update: jest.fn((ref, ...args) => mockFirestore.update(...args)),
+    delete: jest.fn(() => mockFirestore.delete()),
+  };
+
+  const FieldValue = {
+    serverTimestamp: jest.fn(() => ({ _methodName: 'serverTimestamp' })),
+    increment: jest.fn((n) => ({ _methodName: 'increment', n })),
+    arrayUnion: jest.fn((...values) => ({ _methodName: 'arrayUnion', values })),
+  };
+  const FieldPath = {
+    documentId: jest.fn(() => ({ _methodName: 'documentId' })),
+  };
+  const Timestamp = {
+    now: jest.fn(() => ({ seconds: Math.floor(Date.now() / 1000), nanos: 0 })),
+    fromMillis: jest.fn((ms) => ({ seconds: Math.floor(ms / 1000), nanos: 0 })),
+  };
+
+  const mockMessaging = {
+    sendEachForMulticast: jest.fn(),
+  };
+
+  const mockAuth = {
+    getUser: jest.fn(),
+  };
+
+  // Exposed as admin.firestore.FieldValue as well, matching the real SDK
+  const firestore = () => mockFirestore;
+  firestore.FieldValue = FieldValue;
+  firestore.Timestamp = Timestamp;
+  firestore.FieldPath = FieldPath;
+
   return {
     initializeApp: jest.fn(),
     getApp: jest.fn(() => ({})),
-    firestore: () => mockFirestore,
-    auth: () => ({
-      getUser: jest.fn(),
-    }),
-    FieldValue: {
-      serverTimestamp: jest.fn(() => ({ _methodName: 'serverTimestamp' })),
-    },
-    Timestamp: {
-      now: jest.fn(() => ({ seconds: Math.floor(Date.now() / 1000), nanos: 0 })),
-      fromMillis: jest.fn((ms) => ({ seconds: Math.floor(ms / 1000), nanos: 0 })),
-    },
+    firestore,
+    // One shared instance each so tests can stub lookups and inspect what index.js sent
+    auth: () => mockAuth,
+    messaging: () => mockMessaging,
+    FieldValue,
+    Timestamp,
   };
 });
 
@@ -0,0 +1,167 @@
+/**
+ * Mail Delivery
+ *
+ * Templates and transports used to email trip invitations. Every transport
+ * implements the same interface, so the invite trigger does not care where a
+ * message ends up:
+ * - send({ to, from, subject, html, text }) -> { messageId }
+ *
+ * Transports:
+ * - SMTP via nodemailer (production, configured with a connection URL)
+ * - File, writing each message to a JSON file (emulator and tests)
+ * - Console, logging each message (local development)
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+// Error raised by a transport when a message cannot be delivered
+class MailTransportError extends Error {
+  constructor(transport, message, cause) {
+    super(`${transport} transport failed: ${message}`);
+    this.name = "MailTransportError";
+    this.transport = transport;
+    this.cause = cause;
+  }
+}
+
+// Escapes text for use inside HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Builds the AcceptInvite link for an invite token
+function buildAcceptUrl(appUrl, tripId, token) {
+  const base = String(appUrl || "").replace(/\/+$/, "");
+  return `${base}/accept?tripId=${encodeURIComponent(tripId)}&token=${encodeURIComponent(token)}`;
+}
+
+// Renders the subject, HTML and text bodies of a trip invitation email
+function renderInviteEmail({ inviterName, tripName, role, acceptUrl, expiresAt }) {
+  const tripLabel = tripName ? `"${tripName}"` : "a trip";
+  const access = role === "viewer" ? "view" : "help plan";
+  const expiry = expiresAt ? expiresAt.toUTCString() : null;
+
+  const subject = `${inviterName} invited you to ${tripLabel} on TripSync`;
+
+  const text = [
+    `${inviterName} invited you to ${access} ${tripLabel} on TripSync.`,
+    "",
+    "Accept the invitation:",
+    acceptUrl,
+    "",
+    expiry ? `This invitation expires on ${expiry}.` : null,
+    "If you weren't expecting this email, you can ignore it.",
+  ].filter((line) => line !== null).join("\n");
+
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#333;">
+    <div style="max-width:480px;margin:0 auto;background:#fff;border-radius:8px;padding:24px;">
+      <h1 style="margin:0 0 16px;font-size:20px;">You're invited to ${escapeHtml(tripLabel)}</h1>
+      <p style="margin:0 0 24px;line-height:1.5;">
+        ${escapeHtml(inviterName)} invited you to ${escapeHtml(access)} ${escapeHtml(tripLabel)} on TripSync.
+      </p>
+      <p style="margin:0 0 24px;">
+        <a href="${escapeHtml(acceptUrl)}" style="display:inline-block;padding:12px 20px;background:#1e88e5;color:#fff;text-decoration:none;border-radius:6px;">Accept invitation</a>
+      </p>
+      <p style="margin:0 0 8px;font-size:13px;color:#666;">Or open this link: ${escapeHtml(acceptUrl)}</p>
+      ${expiry ? `<p style="margin:0 0 8px;font-size:13px;color:#666;">This invitation expires on ${escapeHtml(expiry)}.</p>` : ""}
+      <p style="margin:0;font-size:13px;color:#666;">If you weren't expecting this email, you can ignore it.</p>
+    </div>
+  </body>
+</html>
+`;
+
+  return { subject, html, text };
+}
+
+// Creates a transport that sends through an SMTP server
+// nodemailer is loaded on first use so the other transports work without it
+function createSmtpTransport({ url, createTransport } = {}) {
+  if (!url) {
+    throw new MailTransportError("smtp", "SMTP connection URL is not configured");
+  }
+  let transporter = null;
+
+  return {
+    name: "smtp",
+    async send(message) {
+      if (!transporter) {
+        const factory = createTransport || require("nodemailer").createTransport;
+        transporter = factory(url);
+      }
+      try {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId || null };
+      } catch (error) {
+        throw new MailTransportError("smtp", error.message, error);
+      }
+    },
+  };
+}
+
+// Creates a transport that writes each message to a JSON file in a directory
+function createFileTransport({ directory }) {
+  let sequence = 0;
+
+  return {
+    name: "file",
+    async send(message) {
+      const messageId = `${Date.now()}-${++sequence}`;
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(
+          path.join(directory, `${messageId}.json`),
+          JSON.stringify({ messageId, ...message }, null, 2),
+        );
+      } catch (error) {
+        throw new MailTransportError("file", error.message, error);
+      }
+      return { messageId };
+    },
+  };
+}
+
+// Creates a transport that logs each message instead of sending it
+function createConsoleTransport({ log = console.log } = {}) {
+  let sequence = 0;
+
+  return {
+    name: "console",
+    async send(message) {
+      const messageId = `console-${++sequence}`;
+      log("Mail message", { messageId, to: message.to, subject: message.subject, text: message.text });
+      return { messageId };
+    },
+  };
+}
+
+// Creates the transport named by the mail configuration
+function createMailTransport({ kind, smtpUrl, directory, log }) {
+  switch (kind) {
+    case "smtp":
+      return createSmtpTransport({ url: smtpUrl });
+    case "file":
+      return createFileTransport({ directory });
+    case "console":
+      return createConsoleTransport({ log });
+    default:
+      throw new MailTransportError(String(kind), "unknown mail transport");
+  }
+}
+
+module.exports = {
+  MailTransportError,
+  buildAcceptUrl,
+  renderInviteEmail,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createMailTransport,
+};
@@ -0,0 +1,39 @@
+/**
+ * Notification Inbox
+ *
+ * Every notification a user wants is also kept in users/{uid}/notifications,
+ * so it can be read in the app after the push is dismissed or while it waits
+ * for quiet hours or a digest. Entries are written by the server only:
+ * - type: the notification type, e.g. "chat_message" or "itinerary_change"
+ * - title, body: the text of the push
+ * - link: app path the entry opens, or null when there is nowhere to go
+ * - data: the push data, for clients that route by trip ID and type
+ * - read: false until the user opens the entry or marks all as read
+ * Old entries are pruned on a schedule.
+ */
+
+// Builds the in-app path a notification opens
+function notificationLink(data) {
+  if (data.tripId) return `/trips/${data.tripId}`;
+  if (data.type === "friend_request") return "/friends";
+  return null;
+}
+
+// Builds the inbox entry for a notification; createdAt is supplied by the caller
+function buildInboxEntry(notification, data, createdAt) {
+  return {
+    type: data.type || "other",
+    title: notification.title || "",
+    body: notification.body || "",
+    link: notificationLink(data),
+    data,
+    read: false,
+    readAt: null,
+    createdAt,
+  };
+}
+
+module.exports = {
+  notificationLink,
+  buildInboxEntry,
+};
@@ -0,0 +1,110 @@
+/**
+ * Notification Preferences
+ *
+ * Decides whether a notification should reach a user at all. Users turn
+ * notification types on or off globally on users/{uid}.notificationPrefs,
+ * and can override them for a single trip on users/{uid}.tripNotificationPrefs,
+ * a map of trip ID to level:
+ * - "all": every notification about the trip, whatever the global toggles say
+ * - "mentions": only notifications that mention the user
+ * - "muted": no notifications about the trip
+ * Trips without an override follow the global toggles. Trip reminders are
+ * the exception: turning them off globally turns them off for every trip,
+ * since they are not about anything happening on the trip.
+ *
+ * Itinerary changes on a day are sent to the members who added stops to that
+ * day; describeItineraryChange decides which writes are worth telling them about.
+ * Key rotations and envelope migrations rewrite every item's ciphertext and
+ * set reencryptedAt on each write; those writes are never reported.
+ */
+
+const TRIP_NOTIFICATION_LEVELS = ["all", "mentions", "muted"];
+
+// Global toggle that turns each notification type on or off
+const TYPE_PREFS = {
+  chat_message: "chatMessages",
+  mention: "mentions",
+  friend_request: "friendRequests",
+  trip_invite: "tripInvites",
+  join_request: "tripInvites",
+  comment: "comments",
+  itinerary_change: "itineraryChanges",
+  trip_start: "tripReminders",
+  daily_plan: "tripReminders",
+};
+
+// Global toggles an opt-out of which no trip override can undo
+const GLOBAL_OPT_OUT_PREFS = ["tripReminders"];
+
+// Item fields whose changes are reported; reordering alone is not, as one drag rewrites every item of a day
+const ITINERARY_FIELDS = ["title", "address", "location", "placeId", "notes", "url", "website"];
+
+// Reads the notification preference toggles from a user document, defaulting each to on
+function readNotificationPrefs(userData) {
+  const prefs = (userData && userData.notificationPrefs) || {};
+  return {
+    chatMessages: prefs.chatMessages !== false,
+    mentions: prefs.mentions !== false,
+    friendRequests: prefs.friendRequests !== false,
+    tripInvites: prefs.tripInvites !== false,
+    comments: prefs.comments !== false,
+    itineraryChanges: prefs.itineraryChanges !== false,
+    tripReminders: prefs.tripReminders !== false,
+  };
+}
+
+// Returns the user's override for a trip, or null when the trip follows the global toggles
+function readTripNotificationLevel(userData, tripId) {
+  if (!tripId) return null;
+  const overrides = (userData && userData.tripNotificationPrefs) || {};
+  return TRIP_NOTIFICATION_LEVELS.includes(overrides[tripId]) ? overrides[tripId] : null;
+}
+
+// Resolves whether a notification type is wanted, from the trip override first and then the global toggles
+// Types without a toggle are always wanted unless the trip says otherwise
+function isNotificationWanted(prefs, tripLevel, type) {
+  const pref = TYPE_PREFS[type];
+  if (pref && GLOBAL_OPT_OUT_PREFS.includes(pref) && !prefs[pref]) return false;
+  if (tripLevel === "muted") return false;
+  if (tripLevel === "mentions") return type === "mention";
+  if (tripLevel === "all") return true;
+  return !pref || prefs[pref];
+}
+
+// Day an itinerary item is planned for; items saved before days existed are on day 1
+function itemDay(item) {
+  return Number(item.day) || 1;
+}
+
+// Describes a write to an itinerary item for the members planning its days
+// Returns null for writes not worth a notification
+function describeItineraryChange(before, after) {
+  if (!before && !after) return null;
+  if (!before) {
+    return { days: [itemDay(after)], summary: `added a stop to Day ${itemDay(after)}` };
+  }
+  if (!after) {
+    return { days: [itemDay(before)], summary: `removed a stop from Day ${itemDay(before)}` };
+  }
+
+  // Re-encryption changes every encrypted field without changing what they say
+  if (JSON.stringify(before.reencryptedAt) !== JSON.stringify(after.reencryptedAt)) return null;
+
+  const fromDay = itemDay(before);
+  const toDay = itemDay(after);
+  if (fromDay !== toDay) {
+    return { days: [fromDay, toDay], summary: `moved a stop from Day ${fromDay} to Day ${toDay}` };
+  }
+
+  const changed = ITINERARY_FIELDS.some((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  if (!changed) return null;
+  return { days: [toDay], summary: `changed a stop on Day ${toDay}` };
+}
+
+module.exports = {
+  TRIP_NOTIFICATION_LEVELS,
+  readNotificationPrefs,
+  readTripNotificationLevel,
+  isNotificationWanted,
+  describeItineraryChange,
+};
@@ -0,0 +1,175 @@
+/**
+ * Notification Schedule
+ *
+ * Decides when push notifications reach a user. Users can set quiet hours in
+ * their own time zone and choose a digest mode; the schedule is stored on
+ * users/{uid}.notificationSchedule, next to notificationPrefs:
+ * - quietHours: { enabled, start, end } as local "HH:MM"; may span midnight
+ * - timeZone: IANA time zone name, e.g. "Europe/Paris"
+ * - digest: "off" | "hourly" | "daily"
+ * - digestHour: local hour (0-23) the daily digest is sent
+ *
+ * Notifications held back are queued and later delivered as one summary:
+ * chat messages, comments and mentions are held while a digest mode is on,
+ * and everything is held during quiet hours.
+ */
+
+const DEFAULT_NOTIFICATION_SCHEDULE = {
+  quietHours: { enabled: false, start: "22:00", end: "07:00" },
+  timeZone: "UTC",
+  digest: "off",
+  digestHour: 18,
+};
+
+const DIGEST_MODES = ["off", "hourly", "daily"];
+
+// Notification types batched into digests; others only wait out quiet hours
+const DIGEST_TYPES = ["chat_message", "comment", "mention"];
+
+// Labels used to summarize queued notifications, singular and plural
+const DIGEST_TYPE_LABELS = {
+  chat_message: ["new message", "new messages"],
+  comment: ["new comment", "new comments"],
+  mention: ["mention", "mentions"],
+  friend_request: ["friend request", "friend requests"],
+  trip_invite: ["trip invite", "trip invites"],
+  join_request: ["join request", "join requests"],
+  itinerary_change: ["itinerary change", "itinerary changes"],
+  trip_start: ["trip reminder", "trip reminders"],
+  daily_plan: ["daily plan", "daily plans"],
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Checks whether a string is a time zone the runtime knows
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Fills in defaults and drops invalid values from a stored schedule
+function resolveNotificationSchedule(raw) {
+  const schedule = raw || {};
+  const quietHours = schedule.quietHours || {};
+  const defaults = DEFAULT_NOTIFICATION_SCHEDULE;
+  const digestHour = Number(schedule.digestHour);
+
+  return {
+    quietHours: {
+      enabled: quietHours.enabled === true,
+      start: TIME_PATTERN.test(quietHours.start) ? quietHours.start : defaults.quietHours.start,
+      end: TIME_PATTERN.test(quietHours.end) ? quietHours.end : defaults.quietHours.end,
+    },
+    timeZone: isValidTimeZone(schedule.timeZone) ? schedule.timeZone : defaults.timeZone,
+    digest: DIGEST_MODES.includes(schedule.digest) ? schedule.digest : defaults.digest,
+    digestHour: Number.isInteger(digestHour) && digestHour >= 0 && digestHour <= 23 ? digestHour : defaults.digestHour,
+  };
+}
+
+// Returns the local date ("YYYY-MM-DD"), hour and minute of an instant in a time zone
+function localTimeParts(ms, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(ms)).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+}
+
+// Converts "HH:MM" to minutes after midnight
+function minutesOfDay(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// Checks whether an instant falls in the user's quiet hours
+function isQuietTime(schedule, now) {
+  if (!schedule.quietHours.enabled) return false;
+
+  const start = minutesOfDay(schedule.quietHours.start);
+  const end = minutesOfDay(schedule.quietHours.end);
+  if (start === end) return false;
+
+  const { hour, minute } = localTimeParts(now, schedule.timeZone);
+  const current = hour * 60 + minute;
+  return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+// Checks whether a notification should be queued instead of pushed now
+function shouldHoldNotification(schedule, type, now) {
+  if (isQuietTime(schedule, now)) return true;
+  return schedule.digest !== "off" && DIGEST_TYPES.includes(type);
+}
+
+// Checks whether a user's queued notifications should be delivered now
+// lastDigestAt is when the last digest was sent, in epoch ms
+function isDigestDue(schedule, lastDigestAt, now) {
+  if (isQuietTime(schedule, now)) return false;
+  if (schedule.digest === "hourly") {
+    return !lastDigestAt || now - lastDigestAt >= 60 * 60 * 1000;
+  }
+  if (schedule.digest === "daily") {
+    const today = localTimeParts(now, schedule.timeZone);
+    if (today.hour < schedule.digestHour) return false;
+    if (!lastDigestAt) return true;
+    const last = localTimeParts(lastDigestAt, schedule.timeZone);
+    return last.dateKey !== today.dateKey || last.hour < schedule.digestHour;
+  }
+  // Without a digest mode only quiet hours hold notifications, and they are over
+  return true;
+}
+
+// Builds the push for a batch of queued notifications
+// A single notification is delivered as it was; several are summarized by type
+function buildDigestMessage(items) {
+  if (items.length === 1) {
+    return { notification: items[0].notification, data: items[0].data || {} };
+  }
+
+  const counts = {};
+  items.forEach((item) => {
+    const type = (item.data && item.data.type) || "other";
+    counts[type] = (counts[type] || 0) + 1;
+  });
+  const summary = Object.keys(counts).map((type) => {
+    const labels = DIGEST_TYPE_LABELS[type] || ["notification", "notifications"];
+    return `${counts[type]} ${counts[type] === 1 ? labels[0] : labels[1]}`;
+  });
+
+  const tripIds = new Set(items.map((item) => item.data && item.data.tripId).filter(Boolean));
+  const data = { type: "digest", count: String(items.length) };
+  if (tripIds.size === 1) data.tripId = [...tripIds][0];
+
+  return {
+    notification: { title: `${items.length} new notifications`, body: summary.join(", ") },
+    data,
+  };
+}
+
+module.exports = {
+  DEFAULT_NOTIFICATION_SCHEDULE,
+  DIGEST_TYPES,
+  isValidTimeZone,
+  resolveNotificationSchedule,
+  localTimeParts,
+  isQuietTime,
+  shouldHoldNotification,
+  isDigestDue,
+  buildDigestMessage,
+};
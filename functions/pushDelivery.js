@@ -0,0 +1,208 @@
+/**
+ * Push Delivery
+ *
+ * Sends pushes to every device a user registered, whatever service the
+ * device's token belongs to. Token documents under users/{uid}/tokens hold
+ * { token, provider, platform }:
+ * - provider "expo": Expo push tokens saved by the mobile app, sent through
+ *   the Expo push API
+ * - provider "fcm": Firebase Cloud Messaging tokens saved by the web app,
+ *   sent through the Admin SDK
+ * Documents saved before the provider field existed are classified by the
+ * token's shape.
+ *
+ * Every transport implements send(tokens, message), batching tokens to its
+ * service's limit, and resolves one result per token, { ok } or
+ * { ok: false, invalid, error }, where invalid means the token will never work
+ * again and its document should be deleted. The fake transport records what it
+ * was asked to send, for tests.
+ */
+
+// Tokens per request the Expo push API accepts
+const EXPO_BATCH_SIZE = 100;
+
+// Tokens per multicast FCM accepts
+const FCM_BATCH_SIZE = 500;
+
+// FCM error codes for tokens that will never work again
+const FCM_INVALID_TOKEN_CODES = [
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+];
+
+// Expo ticket error for devices that uninstalled the app or revoked permission
+const EXPO_INVALID_TOKEN_ERROR = "DeviceNotRegistered";
+
+// Reads which push service a token document belongs to
+function tokenProvider(tokenData) {
+  if (tokenData.provider === "expo" || tokenData.provider === "fcm") return tokenData.provider;
+  return /^Expo(nent)?PushToken\[.+\]$/.test(tokenData.token || "") ? "expo" : "fcm";
+}
+
+/**
+ * Creates the FCM transport
+ * @param {Object} messaging - Admin SDK messaging instance
+ */
+function createFcmTransport(messaging) {
+  // Sends one multicast; a failed call fails every token in it without marking any invalid
+  async function sendBatch(tokens, { notification, data }) {
+    let response;
+    try {
+      response = await messaging.sendEachForMulticast({
+        notification: { title: notification.title, body: notification.body },
+        data: { ...data, click_action: "FLUTTER_NOTIFICATION_CLICK" },
+        tokens,
+      });
+    } catch (error) {
+      return tokens.map(() => ({ ok: false, invalid: false, error: error.code || error.message }));
+    }
+
+    return response.responses.map((resp) => {
+      if (resp.success) return { ok: true };
+      const code = resp.error && resp.error.code;
+      return { ok: false, invalid: FCM_INVALID_TOKEN_CODES.includes(code), error: code || "unknown" };
+    });
+  }
+
+  async function send(tokens, message) {
+    const results = [];
+    for (let i = 0; i < tokens.length; i += FCM_BATCH_SIZE) {
+      results.push(...await sendBatch(tokens.slice(i, i + FCM_BATCH_SIZE), message));
+    }
+    return results;
+  }
+
+  return { send };
+}
+
+/**
+ * Creates the Expo push API transport
+ * @param {Object} [options]
+ * @param {Function} [options.getEndpoint] - Push API URL, overridable for tests and emulators
+ */
+function createExpoTransport({
+  getEndpoint = () => process.env.EXPO_PUSH_API_URL || "https://exp.host/--/api/v2/push/send",
+} = {}) {
+  // Sends one batch; a failed request fails every token in it without marking any invalid
+  async function sendBatch(tokens, { notification, data }) {
+    const messages = tokens.map((to) => ({
+      to,
+      title: notification.title,
+      body: notification.body,
+      data,
+      sound: "default",
+    }));
+
+    let tickets;
+    try {
+      const r = await fetch(getEndpoint(), {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify(messages),
+      });
+      if (!r.ok) throw new Error(`Expo push request failed with status ${r.status}`);
+      tickets = (await r.json()).data || [];
+    } catch (error) {
+      return tokens.map(() => ({ ok: false, invalid: false, error: error.message }));
+    }
+
+    return tokens.map((token, index) => {
+      const ticket = tickets[index];
+      if (ticket && ticket.status === "ok") return { ok: true };
+      const error = (ticket && ticket.details && ticket.details.error) || (ticket && ticket.message) || "unknown";
+      return { ok: false, invalid: error === EXPO_INVALID_TOKEN_ERROR, error };
+    });
+  }
+
+  async function send(tokens, message) {
+    const results = [];
+    for (let i = 0; i < tokens.length; i += EXPO_BATCH_SIZE) {
+      results.push(...await sendBatch(tokens.slice(i, i + EXPO_BATCH_SIZE), message));
+    }
+    return results;
+  }
+
+  return { send };
+}
+
+/**
+ * Creates a transport that sends nothing and records each call
+ * @param {Object} [options]
+ * @param {Array<string>} [options.invalidTokens] - Tokens reported as invalid
+ */
+function createFakeTransport({ invalidTokens = [] } = {}) {
+  const sent = [];
+
+  async function send(tokens, message) {
+    sent.push({ tokens, message });
+    return tokens.map((token) => (invalidTokens.includes(token)
+      ? { ok: false, invalid: true, error: "invalid" }
+      : { ok: true }));
+  }
+
+  return { send, sent };
+}
+
+/**
+ * Creates the delivery layer that routes each token to its provider's transport
+ * A transport that throws fails only its own tokens, so other providers'
+ * results and invalid tokens are still reported
+ * @param {Object} transports - Transport per provider, e.g. { fcm, expo }
+ * @param {Object} [options]
+ * @param {Function} [options.logError] - Called as (message, error, metadata) when a transport throws
+ */
+function createPushDelivery(transports, { logError = console.error } = {}) {
+  /**
+   * Sends a message to a set of token documents
+   * @param {Array<{token: string, provider: string}>} tokens - Token entries, as read from the tokens collection
+   * @param {{notification: {title: string, body: string}, data: Object}} message
+   * @returns {Promise<{successCount: number, failureCount: number, invalid: Array<Object>}>}
+   *   invalid lists the token entries whose documents should be deleted
+   */
+  async function deliver(tokens, message) {
+    const byProvider = new Map();
+    tokens.forEach((entry) => {
+      const provider = entry.provider || tokenProvider(entry);
+      if (!byProvider.has(provider)) byProvider.set(provider, []);
+      byProvider.get(provider).push(entry);
+    });
+
+    const outcome = { successCount: 0, failureCount: 0, invalid: [] };
+    for (const [provider, entries] of byProvider) {
+      const transport = transports[provider];
+      if (!transport) {
+        outcome.failureCount += entries.length;
+        continue;
+      }
+
+      let results;
+      try {
+        results = await transport.send(entries.map((entry) => entry.token), message);
+      } catch (error) {
+        logError("Push transport failed", error, { provider, tokenCount: entries.length });
+        outcome.failureCount += entries.length;
+        continue;
+      }
+
+      results.forEach((result, index) => {
+        if (result.ok) {
+          outcome.successCount++;
+          return;
+        }
+        outcome.failureCount++;
+        if (result.invalid) outcome.invalid.push(entries[index]);
+      });
+    }
+    return outcome;
+  }
+
+  return { deliver };
+}
+
+module.exports = {
+  tokenProvider,
+  createFcmTransport,
+  createExpoTransport,
+  createFakeTransport,
+  createPushDelivery,
+};
@@ -0,0 +1,109 @@
+/**
+ * Token-Bucket Rate Limiter
+ *
+ * Rate limits shared by every function instance, stored in Firestore under
+ * rateLimits/{key}. Each bucket holds up to maxRequests tokens and refills at
+ * maxRequests per windowMs, so bursts up to the limit are allowed and the
+ * long-run rate matches the old fixed windows.
+ * - A call takes one token from each of its buckets in a single transaction,
+ *   so concurrent calls can't overspend a bucket; if any bucket is empty no
+ *   token is taken from the others
+ * - A denied call reports how long until a token is available again
+ * - Budgets shared by all callers are split across shards, one per write a
+ *   second the budget allows, so no shard document is written more often
+ *   than Firestore sustains; budgets of a write a second or less stay whole
+ *
+ * Bucket document: { tokens, lastRequest } where lastRequest is in epoch ms.
+ * Documents in the older fixed-window shape are read as full buckets.
+ */
+
+// Sustained writes per second a single Firestore document handles
+const MAX_SHARD_WRITES_PER_SECOND = 1;
+
+// Tokens a bucket holds after refilling for the time since its last request
+function refillTokens(state, limit, now) {
+  if (!state || typeof state.tokens !== "number" || typeof state.lastRequest !== "number") {
+    return limit.maxRequests;
+  }
+  const elapsed = Math.max(0, now - state.lastRequest);
+  return Math.min(limit.maxRequests, state.tokens + (elapsed * limit.maxRequests) / limit.windowMs);
+}
+
+// Milliseconds until a bucket holding this many tokens has a whole token again
+function msUntilToken(tokens, limit) {
+  return Math.max(0, Math.ceil(((1 - tokens) * limit.windowMs) / limit.maxRequests));
+}
+
+// Shards a shared budget needs so each shard stays within a document's write rate
+function shardCount(limit) {
+  const perSecond = limit.maxRequests / (limit.windowMs / 1000);
+  return Math.max(1, Math.ceil(perSecond / MAX_SHARD_WRITES_PER_SECOND));
+}
+
+// Picks one shard of a budget shared by all callers and gives it an even part of the budget
+function shardedBucket(key, limit, shards = shardCount(limit), random = Math.random) {
+  const shard = Math.floor(random() * shards);
+  return {
+    key: `${key}_${shard}`,
+    limit: { maxRequests: Math.max(1, Math.ceil(limit.maxRequests / shards)), windowMs: limit.windowMs },
+  };
+}
+
+// Makes a client IP safe to use in a document ID
+function ipBucketKey(ip) {
+  return String(ip || "unknown").replace(/[^a-zA-Z0-9:.]/g, "_");
+}
+
+/**
+ * Creates a rate limiter backed by a Firestore collection
+ * @param {Object} options
+ * @param {Object} options.db - Firestore instance
+ * @param {string} [options.collection] - Collection holding the bucket documents
+ * @param {Function} [options.now] - Clock, overridable for tests
+ */
+function createRateLimiter({ db, collection = "rateLimits", now = Date.now }) {
+  /**
+   * Takes one token from each bucket, or none if any bucket is empty
+   * @param {Array<{key: string, limit: {maxRequests: number, windowMs: number}}>} buckets
+   * @returns {Promise<{allowed: boolean, retryAfterMs: number, limit: Object|null}>}
+   *   limit is the limit of the bucket that denied the call
+   */
+  async function consume(buckets) {
+    const refs = buckets.map((bucket) => db.collection(collection).doc(bucket.key));
+
+    return db.runTransaction(async (tx) => {
+      const snaps = await tx.getAll(...refs);
+      const at = now();
+      const tokens = buckets.map((bucket, index) => {
+        const snap = snaps[index];
+        return refillTokens(snap && snap.exists ? snap.data() : null, bucket.limit, at);
+      });
+
+      let denied = null;
+      buckets.forEach((bucket, index) => {
+        if (tokens[index] >= 1) return;
+        const retryAfterMs = msUntilToken(tokens[index], bucket.limit);
+        if (!denied || retryAfterMs > denied.retryAfterMs) {
+          denied = { retryAfterMs, limit: bucket.limit };
+        }
+      });
+      if (denied) return { allowed: false, ...denied };
+
+      refs.forEach((ref, index) => {
+        tx.set(ref, { tokens: tokens[index] - 1, lastRequest: at });
+      });
+      return { allowed: true, retryAfterMs: 0, limit: null };
+    });
+  }
+
+  return { consume };
+}
+
+module.exports = {
+  refillTokens,
+  msUntilToken,
+  shardCount,
+  shardedBucket,
+  ipBucketKey,
+  createRateLimiter,
+};
@@ -0,0 +1,156 @@
+/**
+ * Trip Reminders
+ *
+ * Decides which trip reminders a member is due, in the member's own time zone:
+ * - "trip_start": the evening before a trip's first day, "starts tomorrow"
+ * - "daily_plan": each morning of the trip, today's stop count and weather
+ *
+ * The reminder job runs hourly, so a reminder is due from its local hour
+ * until the window closes; a missed run is caught up by the next one, but a
+ * morning summary is never sent in the evening. What was sent is recorded on
+ * users/{uid}.tripRemindersSent as { [tripId]: { [kind]: "YYYY-MM-DD" } } so
+ * each reminder goes out once per date. Members opt out with the
+ * tripReminders notification toggle or by muting the trip.
+ *
+ * Trip dates are stored as midnight UTC of the chosen calendar day, so a
+ * trip's days are compared as UTC date keys.
+ */
+
+const { localTimeParts } = require("./notificationSchedule");
+
+// Local hour the "starts tomorrow" reminder is sent
+const TRIP_START_REMINDER_HOUR = 18;
+
+// Local hour the "today's plan" summary is sent
+const DAILY_PLAN_HOUR = 7;
+
+// Hours after the reminder hour a missed reminder is still sent
+const REMINDER_WINDOW_HOURS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Converts a stored trip date (Timestamp, Date, string or epoch ms) to a "YYYY-MM-DD" key
+function tripDateKey(value) {
+  if (!value) return null;
+  let ms;
+  if (typeof value.toMillis === "function") ms = value.toMillis();
+  else if (value instanceof Date) ms = value.getTime();
+  else ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 10) : null;
+}
+
+// Moves a date key by a number of days
+function addDays(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Whole days from one date key to another
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+}
+
+// Returns the trip day number (1-based) a date falls on, or null outside the trip
+// Trips without an end date are treated as open-ended
+function tripDayNumber(trip, dateKey) {
+  const startKey = tripDateKey(trip.startDate);
+  if (!startKey) return null;
+  const day = daysBetween(startKey, dateKey) + 1;
+  if (day < 1) return null;
+  const endKey = tripDateKey(trip.endDate);
+  if (endKey && dateKey > endKey) return null;
+  return day;
+}
+
+// Checks whether a local hour falls in a reminder's sending window
+function inWindow(hour, reminderHour) {
+  return hour >= reminderHour && hour < reminderHour + REMINDER_WINDOW_HOURS;
+}
+
+/**
+ * Lists the reminders a member is due for a trip right now
+ * @param {Object} trip - Trip document data
+ * @param {string} timeZone - Member's IANA time zone
+ * @param {Object} sent - Member's tripRemindersSent entry for the trip
+ * @param {number} now - Current time in epoch ms
+ * @returns {Array<{kind: string, dateKey: string, day: number}>}
+ */
+function dueTripReminders(trip, timeZone, sent, now) {
+  const startKey = tripDateKey(trip.startDate);
+  if (!startKey) return [];
+
+  const log = sent || {};
+  const { dateKey: today, hour } = localTimeParts(now, timeZone);
+  const due = [];
+
+  if (inWindow(hour, TRIP_START_REMINDER_HOUR) && addDays(today, 1) === startKey && log.trip_start !== startKey) {
+    due.push({ kind: "trip_start", dateKey: startKey, day: 1 });
+  }
+
+  const day = tripDayNumber(trip, today);
+  if (day && inWindow(hour, DAILY_PLAN_HOUR) && log.daily_plan !== today) {
+    due.push({ kind: "daily_plan", dateKey: today, day });
+  }
+
+  return due;
+}
+
+// Name used for a trip in notifications; encrypted names can't be read on the server
+function tripDisplayName(trip, fallback = "Your trip") {
+  if (trip.encryptedName || !trip.name) return fallback;
+  return trip.name;
+}
+
+// Pluralizes the stop count
+function stopCount(count) {
+  return `${count} stop${count === 1 ? "" : "s"}`;
+}
+
+// Summarizes a normalized forecast day as "Partly cloudy, high 24°C (75°F)"
+// Returns null when the forecast has nothing to show
+function summarizeDayWeather(day) {
+  if (!day) return null;
+  const parts = [];
+  const condition = day.weatherCondition && day.weatherCondition.description && day.weatherCondition.description.text;
+  if (condition) parts.push(condition);
+
+  const max = day.maxTemperature;
+  if (max && typeof max.degrees === "number") {
+    const celsius = max.unit === "FAHRENHEIT" ? ((max.degrees - 32) * 5) / 9 : max.degrees;
+    parts.push(`high ${Math.round(celsius)}°C (${Math.round((celsius * 9) / 5 + 32)}°F)`);
+  }
+  return parts.length ? parts.join(", ") : null;
+}
+
+// Builds the "starts tomorrow" push
+function buildTripStartMessage(trip, firstDayStops) {
+  const name = tripDisplayName(trip);
+  return {
+    title: "Trip starts tomorrow",
+    body: firstDayStops > 0
+      ? `${name} starts tomorrow with ${stopCount(firstDayStops)} planned for day 1.`
+      : `${name} starts tomorrow.`,
+  };
+}
+
+// Builds the "today's plan" push; weather is a summary from summarizeDayWeather or null
+function buildDailyPlanMessage(trip, day, stops, weather) {
+  const name = tripDisplayName(trip);
+  const plan = stops > 0 ? `${stopCount(stops)} planned` : "Nothing planned yet";
+  return {
+    title: "Today's plan",
+    body: `Day ${day} of ${name}: ${plan}.${weather ? ` ${weather}.` : ""}`,
+  };
+}
+
+module.exports = {
+  TRIP_START_REMINDER_HOUR,
+  DAILY_PLAN_HOUR,
+  tripDateKey,
+  addDays,
+  tripDayNumber,
+  dueTripReminders,
+  tripDisplayName,
+  summarizeDayWeather,
+  buildTripStartMessage,
+  buildDailyPlanMessage,
+};
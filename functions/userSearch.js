@@ -0,0 +1,129 @@
+/**
+ * User Search
+ *
+ * Builds the normalized prefix tokens stored on users/{uid}.searchTokens and
+ * ranks the profiles a token query returns. Tokens are lowercased with
+ * accents removed, so "Álvarez" is found by "alv". Every word of the display
+ * name is indexed, so last names match as well as first names, and the email
+ * is indexed as a whole. Users who turn off the "discoverable" setting get no
+ * tokens and never appear in search.
+ *
+ * A query uses one token for the Firestore array-contains lookup; the other
+ * words of the search term are matched while ranking.
+ */
+
+// Shortest prefix indexed; searches need at least this many characters
+const MIN_PREFIX_LENGTH = 2;
+
+// Longest prefix indexed; longer search words are matched while ranking
+const MAX_PREFIX_LENGTH = 20;
+
+// Lowercases text and strips accents so searches ignore case and diacritics
+function normalizeSearchText(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+// Splits a display name into normalized words
+function nameWords(displayName) {
+  return normalizeSearchText(displayName).split(/[\s\-.,'_]+/).filter(Boolean);
+}
+
+// Lists the indexed prefixes of a word
+function prefixesOf(word) {
+  const prefixes = [];
+  for (let length = MIN_PREFIX_LENGTH; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+    prefixes.push(word.slice(0, length));
+  }
+  return prefixes;
+}
+
+// Builds the sorted search tokens for a user profile
+// Returns no tokens for users who are not discoverable
+function buildSearchTokens(profile) {
+  if (!profile || profile.discoverable === false) return [];
+
+  const tokens = new Set();
+  nameWords(profile.displayName).forEach((word) => prefixesOf(word).forEach((prefix) => tokens.add(prefix)));
+  prefixesOf(normalizeSearchText(profile.email)).forEach((prefix) => tokens.add(prefix));
+  return [...tokens].sort();
+}
+
+// Checks whether the stored tokens differ from freshly built ones
+function searchTokensChanged(current, next) {
+  if (!Array.isArray(current) || current.length !== next.length) return true;
+  return current.some((token, index) => token !== next[index]);
+}
+
+// Splits a search term into normalized words
+function parseSearchTerms(searchTerm) {
+  return normalizeSearchText(searchTerm).split(/\s+/).filter(Boolean);
+}
+
+// Picks the token used for the Firestore lookup: the longest word, as it narrows the candidates most
+// Returns null when no word is long enough to have been indexed
+function pickIndexToken(terms) {
+  const longest = terms.reduce((best, term) => (term.length > best.length ? term : best), "");
+  if (longest.length < MIN_PREFIX_LENGTH) return null;
+  return longest.slice(0, MAX_PREFIX_LENGTH);
+}
+
+// Scores how well one search word matches a profile; 0 means no match
+function scoreTerm(term, words, email) {
+  if (email && email === term) return 100;
+
+  let score = 0;
+  words.forEach((word, index) => {
+    const isFirst = index === 0;
+    const isLast = index === words.length - 1 && words.length > 1;
+    if (word === term) {
+      score = Math.max(score, isFirst ? 80 : isLast ? 70 : 60);
+    } else if (word.startsWith(term)) {
+      score = Math.max(score, isFirst ? 50 : isLast ? 40 : 30);
+    }
+  });
+  if (email && email.startsWith(term)) score = Math.max(score, 20);
+  return score;
+}
+
+// Scores a profile against the words of a search term
+// Every word has to match the first name, last name, another name word or the email; returns 0 otherwise
+function rankUserMatch(profile, terms) {
+  if (terms.length === 0) return 0;
+
+  const words = nameWords(profile.displayName);
+  const email = normalizeSearchText(profile.email);
+  let total = 0;
+  for (const term of terms) {
+    const score = scoreTerm(term, words, email);
+    if (score === 0) return 0;
+    total += score;
+  }
+
+  // Typing someone's full name ranks them above people who only share a first name
+  if (terms.length > 1 && words.join(" ") === terms.join(" ")) total += 50;
+  return total;
+}
+
+// Compares ranked profiles: best score first, then by name, email and ID for a stable order
+function compareRankedUsers(a, b) {
+  if (b.score !== a.score) return b.score - a.score;
+  const nameA = normalizeSearchText(a.displayName || a.email);
+  const nameB = normalizeSearchText(b.displayName || b.email);
+  if (nameA !== nameB) return nameA < nameB ? -1 : 1;
+  return a.uid < b.uid ? -1 : a.uid > b.uid ? 1 : 0;
+}
+
+module.exports = {
+  MIN_PREFIX_LENGTH,
+  normalizeSearchText,
+  buildSearchTokens,
+  searchTokensChanged,
+  parseSearchTerms,
+  pickIndexToken,
+  rankUserMatch,
+  compareRankedUsers,
+};
@@ -0,0 +1,161 @@
+/**
+ * Shared Weather Cache
+ *
+ * TTL cache used by the weather proxy functions so that members opening the
+ * same trip share forecasts instead of each triggering an upstream call.
+ * - Entries are keyed by rounded coordinates, units and, for lookups whose
+ *   upstream response depends on it, the date
+ * - Concurrent lookups for the same key share one in-flight fetch
+ * - An optional persistent store (Firestore in production) lets instances
+ *   share entries; store failures degrade to a cache miss
+ * - Hit, miss and coalescing counts are tracked for reporting
+ */
+
+// Decimal places kept when rounding coordinates (~1.1 km at 2 places)
+const COORD_PRECISION = 2;
+
+// Builds a cache key from the lookup kind, rounded location, date and units
+// dateKey is null for lookups that return the same payload whatever day is asked for
+function weatherCacheKey(kind, lat, lng, dateKey, units) {
+  return [
+    kind,
+    roundCoord(lat),
+    roundCoord(lng),
+    dateKey || "now",
+    units,
+  ].join("_");
+}
+
+// Rounds a coordinate to the cache precision, normalizing -0 to 0
+function roundCoord(value) {
+  const rounded = Number(value).toFixed(COORD_PRECISION);
+  return rounded === `-${(0).toFixed(COORD_PRECISION)}` ? (0).toFixed(COORD_PRECISION) : rounded;
+}
+
+/**
+ * Creates a weather cache
+ * @param {Object} options
+ * @param {number} options.ttlMs - Default time-to-live for entries
+ * @param {number} [options.maxEntries] - In-memory entries kept before the oldest is evicted
+ * @param {Object} [options.store] - Persistent store with async get(key) and set(key, value, expiresAt)
+ * @param {Function} [options.onStoreError] - Called with (error, key) when the store fails
+ * @param {Function} [options.now] - Clock, overridable for tests
+ */
+function createWeatherCache({
+  ttlMs,
+  maxEntries = 500,
+  store = null,
+  onStoreError = () => {},
+  now = Date.now,
+} = {}) {
+  const entries = new Map();
+  const inflight = new Map();
+  const stats = {
+    hits: 0,
+    storeHits: 0,
+    misses: 0,
+    coalesced: 0,
+    evictions: 0,
+  };
+
+  function readMemory(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      stats.evictions++;
+      return null;
+    }
+    return entry;
+  }
+
+  function writeMemory(key, value, expiresAt) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  async function readStore(key) {
+    if (!store) return null;
+    try {
+      const entry = await store.get(key);
+      if (!entry || !(entry.expiresAt > now())) return null;
+      return entry;
+    } catch (error) {
+      onStoreError(error, key);
+      return null;
+    }
+  }
+
+  async function writeStore(key, value, expiresAt) {
+    if (!store) return;
+    try {
+      await store.set(key, value, expiresAt);
+    } catch (error) {
+      onStoreError(error, key);
+    }
+  }
+
+  /**
+   * Returns the cached value for key, or runs fetcher once and caches its result.
+   * Fetcher errors are propagated to every waiting caller and are not cached.
+   * @returns {Promise<{value: any, status: "hit"|"store"|"miss"|"coalesced"}>}
+   */
+  async function getOrFetch(key, fetcher, { ttlMs: entryTtlMs = ttlMs } = {}) {
+    const cached = readMemory(key);
+    if (cached) {
+      stats.hits++;
+      return { value: cached.value, status: "hit" };
+    }
+
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      const { value } = await inflight.get(key);
+      return { value, status: "coalesced" };
+    }
+
+    const pending = (async () => {
+      const stored = await readStore(key);
+      if (stored) {
+        stats.storeHits++;
+        writeMemory(key, stored.value, stored.expiresAt);
+        return { value: stored.value, status: "store" };
+      }
+
+      stats.misses++;
+      const value = await fetcher();
+      const expiresAt = now() + entryTtlMs;
+      writeMemory(key, value, expiresAt);
+      await writeStore(key, value, expiresAt);
+      return { value, status: "miss" };
+    })();
+
+    inflight.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  function getStats() {
+    return { ...stats, size: entries.size, inflight: inflight.size };
+  }
+
+  function clear() {
+    entries.clear();
+    inflight.clear();
+    for (const k of Object.keys(stats)) stats[k] = 0;
+  }
+
+  return { getOrFetch, getStats, clear };
+}
+
+module.exports = {
+  createWeatherCache,
+  weatherCacheKey,
+  roundCoord,
+};
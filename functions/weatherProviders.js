@@ -0,0 +1,537 @@
+/**
+ * Weather Providers
+ *
+ * Provider adapters used by the weather proxy functions. Every provider
+ * implements the same interface and returns the same normalized schema, so
+ * the web and mobile clients never see an upstream response shape:
+ * - daily({ lat, lng, units })            -> { days: [NormalizedDay] }
+ * - hourly({ lat, lng, units, dateKey })  -> { hours: [NormalizedHour] }
+ * - current({ lat, lng, units })          -> NormalizedCurrent
+ *
+ * Normalized nodes shared by all three lookups:
+ * - temperature:      { degrees, unit: "FAHRENHEIT"|"CELSIUS" }
+ * - precipitation:    { probability: { percent, type }, qpf: { quantity, unit: "INCHES"|"MILLIMETERS" } }
+ * - wind:             { speed: { value, unit }, gust: { value, unit }, direction }
+ * - weatherCondition: { type, description: { text }, iconBaseUri }
+ *
+ * NormalizedDay adds date (YYYY-MM-DD), minTemperature, maxTemperature,
+ * relativeHumidity, uvIndex, sunrise and sunset (ISO strings).
+ *
+ * Providers:
+ * - Google Maps Weather API (primary, needs the Maps API key)
+ * - Open-Meteo (fallback, keyless)
+ * - Failover wrapper that tries providers in order
+ */
+
+// Maximum number of hourly pages followed per Google request (24 hours per page, 240 hours max)
+const MAX_HOURLY_PAGES = 10;
+
+// Error raised by a provider when its upstream call fails
+class WeatherProviderError extends Error {
+  constructor(provider, status, body) {
+    super(`${provider} weather request failed with status ${status}`);
+    this.name = "WeatherProviderError";
+    this.provider = provider;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Normalizes the units query parameter to METRIC or IMPERIAL
+function normalizeUnits(raw) {
+  return String(raw || "IMPERIAL").toUpperCase() === "METRIC" ? "METRIC" : "IMPERIAL";
+}
+
+// Returns a finite number or null
+function finiteOrNull(v) {
+  const n = typeof v === "number" ? v : Number(v);
+  return v != null && Number.isFinite(n) ? n : null;
+}
+
+// Returns the largest of the finite values, or null when there are none
+function maxOrNull(...values) {
+  const finite = values.filter((v) => v != null);
+  return finite.length ? Math.max(...finite) : null;
+}
+
+// Fetches a URL as JSON, throwing a WeatherProviderError with the upstream status and body on failure
+async function fetchJson(provider, url) {
+  let r;
+  try {
+    r = await fetch(url);
+  } catch (e) {
+    throw new WeatherProviderError(provider, 503, String(e?.message || e));
+  }
+  if (!r.ok) {
+    throw new WeatherProviderError(provider, r.status, await r.text());
+  }
+  return r.json();
+}
+
+/* ---------------- Google Maps Weather API ---------------- */
+
+// Normalizes a Google precipitation node
+function googlePrecipitation(p, units) {
+  return {
+    probability: {
+      percent: finiteOrNull(p?.probability?.percent),
+      type: p?.probability?.type || null,
+    },
+    qpf: {
+      quantity: finiteOrNull(p?.qpf?.quantity),
+      unit: p?.qpf?.unit || (units === "METRIC" ? "MILLIMETERS" : "INCHES"),
+    },
+  };
+}
+
+// Normalizes a Google weather condition node
+function googleCondition(c) {
+  if (!c) return null;
+  return {
+    type: c.type || null,
+    description: c.description?.text ? { text: c.description.text } : null,
+    iconBaseUri: c.iconBaseUri || null,
+  };
+}
+
+// Normalizes a Google temperature node
+function googleTemperature(t) {
+  if (!t) return null;
+  return { degrees: finiteOrNull(t.degrees), unit: t.unit || null };
+}
+
+// Normalizes a Google wind node
+function googleWind(w) {
+  if (!w) return null;
+  return {
+    speed: { value: finiteOrNull(w.speed?.value), unit: w.speed?.unit || null },
+    gust: { value: finiteOrNull(w.gust?.value), unit: w.gust?.unit || null },
+    direction: finiteOrNull(w.direction?.degrees),
+  };
+}
+
+// Formats a Google displayDate/displayDateTime node as YYYY-MM-DD
+function googleDateKey(d) {
+  if (!d || !d.year || !d.month || !d.day) return null;
+  return `${d.year}-${String(d.month).padStart(2, "0")}-${String(d.day).padStart(2, "0")}`;
+}
+
+// Returns the local YYYY-MM-DD of a Google hourly forecast record
+function googleHourDateKey(h) {
+  const key = googleDateKey(h?.displayDateTime);
+  if (key) return key;
+  const start = h?.interval?.startTime;
+  return typeof start === "string" ? start.slice(0, 10) : null;
+}
+
+// Normalizes one Google daily forecast record
+function googleDay(d, units) {
+  const day = d?.daytimeForecast || {};
+  const night = d?.nighttimeForecast || {};
+  const dayPrecip = googlePrecipitation(day.precipitation, units);
+  const nightPrecip = googlePrecipitation(night.precipitation, units);
+
+  const qpfParts = [dayPrecip.qpf.quantity, nightPrecip.qpf.quantity].filter((q) => q != null);
+  const rhParts = [finiteOrNull(day.relativeHumidity), finiteOrNull(night.relativeHumidity)].filter((v) => v != null);
+
+  return {
+    date: googleDateKey(d?.displayDate) || (typeof d?.date === "string" ? d.date : null),
+    minTemperature: googleTemperature(d?.minTemperature),
+    maxTemperature: googleTemperature(d?.maxTemperature),
+    weatherCondition: googleCondition(day.weatherCondition || night.weatherCondition),
+    precipitation: {
+      probability: {
+        percent: maxOrNull(dayPrecip.probability.percent, nightPrecip.probability.percent),
+        type: dayPrecip.probability.type || nightPrecip.probability.type,
+      },
+      qpf: {
+        quantity: qpfParts.length ? qpfParts.reduce((a, b) => a + b, 0) : null,
+        unit: dayPrecip.qpf.unit,
+      },
+    },
+    relativeHumidity: rhParts.length ? Math.round(rhParts.reduce((a, b) => a + b, 0) / rhParts.length) : null,
+    uvIndex: maxOrNull(finiteOrNull(day.uvIndex), finiteOrNull(night.uvIndex)),
+    wind: googleWind(day.wind || night.wind),
+    sunrise: d?.sunEvents?.sunriseTime || null,
+    sunset: d?.sunEvents?.sunsetTime || null,
+  };
+}
+
+// Normalizes one Google hourly forecast record
+function googleHour(h, units) {
+  return {
+    time: h?.interval?.startTime || null,
+    hour: finiteOrNull(h?.displayDateTime?.hours),
+    isDaytime: typeof h?.isDaytime === "boolean" ? h.isDaytime : null,
+    temperature: googleTemperature(h?.temperature),
+    feelsLikeTemperature: googleTemperature(h?.feelsLikeTemperature),
+    relativeHumidity: finiteOrNull(h?.relativeHumidity),
+    uvIndex: finiteOrNull(h?.uvIndex),
+    precipitation: googlePrecipitation(h?.precipitation, units),
+    wind: googleWind(h?.wind),
+    weatherCondition: googleCondition(h?.weatherCondition),
+  };
+}
+
+// Normalizes a Google current-conditions response
+function googleCurrent(cc, units) {
+  return {
+    currentTime: cc?.currentTime || null,
+    isDaytime: typeof cc?.isDaytime === "boolean" ? cc.isDaytime : null,
+    temperature: googleTemperature(cc?.temperature),
+    feelsLikeTemperature: googleTemperature(cc?.feelsLikeTemperature),
+    relativeHumidity: finiteOrNull(cc?.relativeHumidity),
+    uvIndex: finiteOrNull(cc?.uvIndex),
+    visibility: {
+      distance: finiteOrNull(cc?.visibility?.distance),
+      unit: cc?.visibility?.unit || (units === "METRIC" ? "KILOMETERS" : "MILES"),
+    },
+    precipitation: googlePrecipitation(cc?.precipitation, units),
+    wind: googleWind(cc?.wind),
+    weatherCondition: googleCondition(cc?.weatherCondition),
+  };
+}
+
+/**
+ * Creates the Google Maps Weather API provider
+ * @param {Object} options
+ * @param {Function} options.getApiKey - Returns the Maps API key
+ * @param {Function} [options.getBaseUrl] - Returns the API base URL, overridable for tests
+ */
+function createGoogleWeatherProvider({
+  getApiKey,
+  getBaseUrl = () => process.env.WEATHER_API_BASE || "https://weather.googleapis.com/v1",
+}) {
+  const name = "google";
+
+  function buildUrl(path, { lat, lng, units }, extraParams = {}) {
+    const apiKey = getApiKey();
+    if (!apiKey) {
+      throw new WeatherProviderError(name, 500, "Server missing GOOGLE_MAPS_API_KEY");
+    }
+    const url = new URL(`${getBaseUrl()}/${path}`);
+    url.searchParams.set("key", apiKey);
+    url.searchParams.set("location.latitude", String(lat));
+    url.searchParams.set("location.longitude", String(lng));
+    url.searchParams.set("units_system", units);
+    url.searchParams.set("language_code", "en-US");
+    for (const [k, v] of Object.entries(extraParams)) {
+      url.searchParams.set(k, String(v));
+    }
+    return url;
+  }
+
+  async function daily(query) {
+    const data = await fetchJson(name, buildUrl("forecast/days:lookup", query, { days: 10, pageSize: 10 }));
+    const days =
+      (data && data.daily && data.daily.days) ||
+      (data && data.dailyForecasts && data.dailyForecasts.days) ||
+      data.forecastDays ||
+      [];
+    return { days: days.map((d) => googleDay(d, query.units)) };
+  }
+
+  async function hourly(query) {
+    // The API pages hourly records; follow pages until the requested day has passed
+    const hours = [];
+    let pageToken = null;
+    for (let page = 0; page < MAX_HOURLY_PAGES; page++) {
+      const params = { hours: 240, pageSize: 24 };
+      if (pageToken) params.pageToken = pageToken;
+      const data = await fetchJson(name, buildUrl("forecast/hours:lookup", query, params));
+
+      let pastTarget = false;
+      for (const h of data?.forecastHours || []) {
+        const key = googleHourDateKey(h);
+        if (key === query.dateKey) hours.push(googleHour(h, query.units));
+        else if (key && key > query.dateKey) pastTarget = true;
+      }
+
+      pageToken = data?.nextPageToken || null;
+      if (!pageToken || pastTarget) break;
+    }
+    return { hours };
+  }
+
+  async function current(query) {
+    const data = await fetchJson(name, buildUrl("currentConditions:lookup", query));
+    return googleCurrent(data, query.units);
+  }
+
+  return { name, daily, hourly, current };
+}
+
+/* ---------------- Open-Meteo ---------------- */
+
+// WMO weather interpretation codes used by Open-Meteo
+const WMO_CONDITIONS = {
+  0: { type: "CLEAR", text: "Clear sky" },
+  1: { type: "MOSTLY_CLEAR", text: "Mainly clear" },
+  2: { type: "PARTLY_CLOUDY", text: "Partly cloudy" },
+  3: { type: "CLOUDY", text: "Overcast" },
+  45: { type: "FOG", text: "Fog" },
+  48: { type: "FOG", text: "Depositing rime fog" },
+  51: { type: "LIGHT_DRIZZLE", text: "Light drizzle", precip: "RAIN" },
+  53: { type: "DRIZZLE", text: "Drizzle", precip: "RAIN" },
+  55: { type: "HEAVY_DRIZZLE", text: "Dense drizzle", precip: "RAIN" },
+  56: { type: "LIGHT_FREEZING_DRIZZLE", text: "Light freezing drizzle", precip: "ICE_PELLETS" },
+  57: { type: "FREEZING_DRIZZLE", text: "Freezing drizzle", precip: "ICE_PELLETS" },
+  61: { type: "LIGHT_RAIN", text: "Light rain", precip: "RAIN" },
+  63: { type: "RAIN", text: "Rain", precip: "RAIN" },
+  65: { type: "HEAVY_RAIN", text: "Heavy rain", precip: "RAIN" },
+  66: { type: "LIGHT_FREEZING_RAIN", text: "Light freezing rain", precip: "ICE_PELLETS" },
+  67: { type: "FREEZING_RAIN", text: "Freezing rain", precip: "ICE_PELLETS" },
+  71: { type: "LIGHT_SNOW", text: "Light snow", precip: "SNOW" },
+  73: { type: "SNOW", text: "Snow", precip: "SNOW" },
+  75: { type: "HEAVY_SNOW", text: "Heavy snow", precip: "SNOW" },
+  77: { type: "SNOW", text: "Snow grains", precip: "SNOW" },
+  80: { type: "LIGHT_RAIN_SHOWERS", text: "Light rain showers", precip: "RAIN" },
+  81: { type: "RAIN_SHOWERS", text: "Rain showers", precip: "RAIN" },
+  82: { type: "HEAVY_RAIN_SHOWERS", text: "Violent rain showers", precip: "RAIN" },
+  85: { type: "LIGHT_SNOW_SHOWERS", text: "Light snow showers", precip: "SNOW" },
+  86: { type: "HEAVY_SNOW_SHOWERS", text: "Heavy snow showers", precip: "SNOW" },
+  95: { type: "THUNDERSTORM", text: "Thunderstorm", precip: "RAIN" },
+  96: { type: "THUNDERSTORM", text: "Thunderstorm with hail", precip: "HAIL" },
+  99: { type: "THUNDERSTORM", text: "Thunderstorm with heavy hail", precip: "HAIL" },
+};
+
+// Variables requested from Open-Meteo for each lookup kind
+const OPEN_METEO_DAILY_VARS = [
+  "weather_code",
+  "temperature_2m_max",
+  "temperature_2m_min",
+  "precipitation_probability_max",
+  "precipitation_sum",
+  "relative_humidity_2m_mean",
+  "uv_index_max",
+  "wind_speed_10m_max",
+  "wind_gusts_10m_max",
+  "wind_direction_10m_dominant",
+  "sunrise",
+  "sunset",
+];
+
+const OPEN_METEO_HOURLY_VARS = [
+  "weather_code",
+  "temperature_2m",
+  "apparent_temperature",
+  "relative_humidity_2m",
+  "uv_index",
+  "precipitation_probability",
+  "precipitation",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "wind_direction_10m",
+  "is_day",
+];
+
+const OPEN_METEO_CURRENT_VARS = [
+  "weather_code",
+  "temperature_2m",
+  "apparent_temperature",
+  "relative_humidity_2m",
+  "precipitation",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "wind_direction_10m",
+  "is_day",
+];
+
+// Converts an Open-Meteo local time ("2030-06-01T06:12") to a UTC ISO string using the location's offset
+function openMeteoTimeToIso(local, utcOffsetSeconds) {
+  if (typeof local !== "string") return null;
+  const ms = Date.parse(`${local.length === 16 ? `${local}:00` : local}Z`);
+  if (!Number.isFinite(ms)) return null;
+  return new Date(ms - (Number(utcOffsetSeconds) || 0) * 1000).toISOString();
+}
+
+// Builds a normalized weather condition from a WMO code
+function openMeteoCondition(code) {
+  const c = WMO_CONDITIONS[code];
+  if (!c) return null;
+  return { type: c.type, description: { text: c.text }, iconBaseUri: null };
+}
+
+// Builds a normalized precipitation node from an Open-Meteo probability, amount and WMO code
+function openMeteoPrecipitation(percent, quantity, code, units) {
+  return {
+    probability: {
+      percent: finiteOrNull(percent),
+      type: WMO_CONDITIONS[code]?.precip || null,
+    },
+    qpf: {
+      quantity: finiteOrNull(quantity),
+      unit: units === "METRIC" ? "MILLIMETERS" : "INCHES",
+    },
+  };
+}
+
+// Builds a normalized wind node from Open-Meteo values
+function openMeteoWind(speed, gust, direction, units) {
+  const unit = units === "METRIC" ? "KILOMETERS_PER_HOUR" : "MILES_PER_HOUR";
+  return {
+    speed: { value: finiteOrNull(speed), unit },
+    gust: { value: finiteOrNull(gust), unit },
+    direction: finiteOrNull(direction),
+  };
+}
+
+/**
+ * Creates the Open-Meteo provider (no API key required)
+ * @param {Object} [options]
+ * @param {Function} [options.getBaseUrl] - Returns the API base URL, overridable for tests
+ */
+function createOpenMeteoProvider({
+  getBaseUrl = () => process.env.OPEN_METEO_API_BASE || "https://api.open-meteo.com/v1",
+} = {}) {
+  const name = "open-meteo";
+
+  function buildUrl({ lat, lng, units }, params) {
+    const url = new URL(`${getBaseUrl()}/forecast`);
+    url.searchParams.set("latitude", String(lat));
+    url.searchParams.set("longitude", String(lng));
+    url.searchParams.set("timezone", "auto");
+    url.searchParams.set("temperature_unit", units === "METRIC" ? "celsius" : "fahrenheit");
+    url.searchParams.set("precipitation_unit", units === "METRIC" ? "mm" : "inch");
+    url.searchParams.set("wind_speed_unit", units === "METRIC" ? "kmh" : "mph");
+    for (const [k, v] of Object.entries(params)) {
+      url.searchParams.set(k, String(v));
+    }
+    return url;
+  }
+
+  function temperature(value, units) {
+    const degrees = finiteOrNull(value);
+    if (degrees == null) return null;
+    return { degrees, unit: units === "METRIC" ? "CELSIUS" : "FAHRENHEIT" };
+  }
+
+  async function daily(query) {
+    const { units } = query;
+    const data = await fetchJson(name, buildUrl(query, {
+      daily: OPEN_METEO_DAILY_VARS.join(","),
+      forecast_days: 10,
+    }));
+    const d = data?.daily || {};
+    const offset = data?.utc_offset_seconds;
+    const days = (d.time || []).map((date, i) => ({
+      date,
+      minTemperature: temperature(d.temperature_2m_min?.[i], units),
+      maxTemperature: temperature(d.temperature_2m_max?.[i], units),
+      weatherCondition: openMeteoCondition(d.weather_code?.[i]),
+      precipitation: openMeteoPrecipitation(
+        d.precipitation_probability_max?.[i],
+        d.precipitation_sum?.[i],
+        d.weather_code?.[i],
+        units
+      ),
+      relativeHumidity: finiteOrNull(d.relative_humidity_2m_mean?.[i]),
+      uvIndex: finiteOrNull(d.uv_index_max?.[i]),
+      wind: openMeteoWind(d.wind_speed_10m_max?.[i], d.wind_gusts_10m_max?.[i], d.wind_direction_10m_dominant?.[i], units),
+      sunrise: openMeteoTimeToIso(d.sunrise?.[i], offset),
+      sunset: openMeteoTimeToIso(d.sunset?.[i], offset),
+    }));
+    return { days };
+  }
+
+  async function hourly(query) {
+    const { units, dateKey } = query;
+    const data = await fetchJson(name, buildUrl(query, {
+      hourly: OPEN_METEO_HOURLY_VARS.join(","),
+      start_date: dateKey,
+      end_date: dateKey,
+    }));
+    const h = data?.hourly || {};
+    const offset = data?.utc_offset_seconds;
+    const hours = [];
+    (h.time || []).forEach((local, i) => {
+      if (typeof local !== "string" || local.slice(0, 10) !== dateKey) return;
+      hours.push({
+        time: openMeteoTimeToIso(local, offset),
+        hour: Number(local.slice(11, 13)),
+        isDaytime: h.is_day?.[i] == null ? null : h.is_day[i] === 1,
+        temperature: temperature(h.temperature_2m?.[i], units),
+        feelsLikeTemperature: temperature(h.apparent_temperature?.[i], units),
+        relativeHumidity: finiteOrNull(h.relative_humidity_2m?.[i]),
+        uvIndex: finiteOrNull(h.uv_index?.[i]),
+        precipitation: openMeteoPrecipitation(
+          h.precipitation_probability?.[i],
+          h.precipitation?.[i],
+          h.weather_code?.[i],
+          units
+        ),
+        wind: openMeteoWind(h.wind_speed_10m?.[i], h.wind_gusts_10m?.[i], h.wind_direction_10m?.[i], units),
+        weatherCondition: openMeteoCondition(h.weather_code?.[i]),
+      });
+    });
+    return { hours };
+  }
+
+  async function current(query) {
+    const { units } = query;
+    const data = await fetchJson(name, buildUrl(query, {
+      current: OPEN_METEO_CURRENT_VARS.join(","),
+    }));
+    const c = data?.current || {};
+    return {
+      currentTime: openMeteoTimeToIso(c.time, data?.utc_offset_seconds),
+      isDaytime: c.is_day == null ? null : c.is_day === 1,
+      temperature: temperature(c.temperature_2m, units),
+      feelsLikeTemperature: temperature(c.apparent_temperature, units),
+      relativeHumidity: finiteOrNull(c.relative_humidity_2m),
+      uvIndex: null,
+      visibility: { distance: null, unit: units === "METRIC" ? "KILOMETERS" : "MILES" },
+      precipitation: openMeteoPrecipitation(null, c.precipitation, c.weather_code, units),
+      wind: openMeteoWind(c.wind_speed_10m, c.wind_gusts_10m, c.wind_direction_10m, units),
+      weatherCondition: openMeteoCondition(c.weather_code),
+    };
+  }
+
+  return { name, daily, hourly, current };
+}
+
+/* ---------------- Failover ---------------- */
+
+/**
+ * Wraps providers so each lookup tries them in order until one succeeds.
+ * Results are tagged with the name of the provider that served them.
+ * When every provider fails, the last error is thrown.
+ * @param {Array<Object>} providers - Providers in priority order
+ * @param {Object} [options]
+ * @param {Function} [options.onFailover] - Called with (error, failedProvider, nextProvider, kind)
+ */
+function createFailoverProvider(providers, { onFailover = () => {} } = {}) {
+  function lookup(kind) {
+    return async (query) => {
+      let lastError;
+      for (let i = 0; i < providers.length; i++) {
+        const provider = providers[i];
+        try {
+          const result = await provider[kind](query);
+          return { ...result, provider: provider.name };
+        } catch (error) {
+          lastError = error;
+          if (i < providers.length - 1) {
+            onFailover(error, provider.name, providers[i + 1].name, kind);
+          }
+        }
+      }
+      throw lastError;
+    };
+  }
+
+  return {
+    name: providers.map((p) => p.name).join("+"),
+    daily: lookup("daily"),
+    hourly: lookup("hourly"),
+    current: lookup("current"),
+  };
+}
+
+module.exports = {
+  WeatherProviderError,
+  normalizeUnits,
+  createGoogleWeatherProvider,
+  createOpenMeteoProvider,
+  createFailoverProvider,
+};
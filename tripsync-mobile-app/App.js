@@ -24,8 +24,9 @@ import LoginScreen from './screens/LoginScreen';
 import OfflineIndicator from './components/OfflineIndicator';
 
 import { SettingsProvider } from './contexts/SettingsContext';
-import { auth } from './FirebaseConfig';
+import { auth, functions } from './FirebaseConfig';
 import { onAuthStateChanged } from 'firebase/auth';
+import { httpsCallable } from 'firebase/functions';
 import { setUserContext, trackScreenView } from './utils/errorTracking';
 
 const Stack = createNativeStackNavigator();
@@ -45,6 +46,15 @@ export default function App() {
       setUserContext(user);
       
       if (user) {
+        // Saves the device time zone, used for scheduled notifications until the user picks one in Settings
+        try {
+          await httpsCallable(functions, 'ensureUserProfile')({
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          });
+        } catch (err) {
+          console.error('ensureUserProfile failed:', err);
+        }
+
         try {
           const { requestNotificationPermission, savePushToken, setupNotificationListeners } = await import('./utils/notifications');
           
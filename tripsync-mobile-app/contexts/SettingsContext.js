@@ -4,6 +4,8 @@
  * Provides global app settings context including:
  * - Temperature unit preference (celsius/fahrenheit) stored in AsyncStorage
  * - Notification preferences stored in Firestore and synced across devices
+ * - Notification schedule (quiet hours, time zone and digest mode) stored next to them
+ * - Whether other users can find the user in search, stored in Firestore
  * 
  * Settings are loaded on mount and persisted when changed.
  */
@@ -16,6 +18,14 @@ import { auth } from '../FirebaseConfig';
 
 export const SettingsContext = createContext();
 
+// Notification schedule used until the user saves one; mirrors the server defaults with this device's time zone
+const DEFAULT_NOTIFICATION_SCHEDULE = {
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  digest: 'off',
+  digestHour: 18,
+};
+
 export const SettingsProvider = ({ children }) => {
   const [temperatureUnit, setTemperatureUnit] = useState('celsius');
   
@@ -25,8 +35,15 @@ export const SettingsProvider = ({ children }) => {
     friendRequests: true,
     tripInvites: true,
     comments: true,
+    itineraryChanges: true,
+    tripReminders: true,
   });
 
+  const [notificationSchedule, setNotificationSchedule] = useState(DEFAULT_NOTIFICATION_SCHEDULE);
+
+  // Users are discoverable in search unless they turn it off
+  const [discoverable, setDiscoverable] = useState(true);
+
   // Load temperature unit preference from AsyncStorage on mount
   useEffect(() => {
     const loadUnit = async () => {
@@ -48,8 +65,16 @@ export const SettingsProvider = ({ children }) => {
         if (prefsSnap.exists()) {
           const data = prefsSnap.data();
           if (data.notificationPrefs) {
-            setNotificationPrefs(data.notificationPrefs);
+            setNotificationPrefs((prev) => ({ ...prev, ...data.notificationPrefs }));
+          }
+          if (data.notificationSchedule) {
+            setNotificationSchedule({
+              ...DEFAULT_NOTIFICATION_SCHEDULE,
+              ...data.notificationSchedule,
+              quietHours: { ...DEFAULT_NOTIFICATION_SCHEDULE.quietHours, ...data.notificationSchedule.quietHours },
+            });
           }
+          setDiscoverable(data.discoverable !== false);
         }
       } catch (error) {
         console.error('Error loading notification preferences:', error);
@@ -79,6 +104,35 @@ export const SettingsProvider = ({ children }) => {
     }
   };
 
+  // Update the notification schedule in state and persist to Firestore
+  // The server reads it to hold notifications during quiet hours and batch them into digests
+  const updateNotificationSchedule = async (newSchedule) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return;
+
+    try {
+      const prefsRef = doc(db, 'users', uid);
+      await setDoc(prefsRef, { notificationSchedule: newSchedule }, { merge: true });
+      setNotificationSchedule(newSchedule);
+    } catch (error) {
+      console.error('Error saving notification schedule:', error);
+    }
+  };
+
+  // Update search visibility in state and persist to Firestore; the server rebuilds the search tokens
+  const updateDiscoverable = async (value) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return;
+
+    try {
+      const prefsRef = doc(db, 'users', uid);
+      await setDoc(prefsRef, { discoverable: value }, { merge: true });
+      setDiscoverable(value);
+    } catch (error) {
+      console.error('Error saving search visibility:', error);
+    }
+  };
+
   return (
     <SettingsContext.Provider
       value={{ 
@@ -86,6 +140,10 @@ export const SettingsProvider = ({ children }) => {
         setTemperatureUnit: updateTemperatureUnit,
         notificationPrefs,
         updateNotificationPrefs,
+        notificationSchedule,
+        updateNotificationSchedule,
+        discoverable,
+        updateDiscoverable,
       }}
     >
       {children}
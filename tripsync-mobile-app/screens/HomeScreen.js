@@ -31,7 +31,7 @@ import dayjs from 'dayjs';
 import { theme } from '../theme';
 import { signOut } from 'firebase/auth';
 import { styles } from '../styles/HomeScreen.styles';
-import { decrypt } from '../utils/encryption';
+import { decryptField } from '../utils/encryption';
 import { getTripEncryptionKey, enableTripEncryption } from '../utils/tripKeys';
 
 export default function HomeScreen({ navigation }) {
@@ -60,94 +60,29 @@ export default function HomeScreen({ navigation }) {
           snapshot.docs.map(async (doc) => {
             const data = doc.data();
             
-            // Helper to check if string looks like base64 (encrypted)
-            const looksLikeBase64 = (str) => {
-              if (!str || typeof str !== 'string') return false;
-              // Base64 strings are typically longer and match the pattern
-              return str.length >= 20 && /^[A-Za-z0-9+/=]+$/.test(str) && str.length % 4 === 0;
-            };
-            
-            // Try to get encryption key and decrypt
+            // Try to get encryption key
+            let tripKey = null;
             try {
-              let tripKey = await getTripEncryptionKey(doc.id, uid);
+              tripKey = await getTripEncryptionKey(doc.id, uid);
               
               // If no key exists, log that it may need to be re-shared by trip owner
               if (!tripKey) {
-                // getTripEncryptionKey automatically tries to re-share if decryption fails and user is owner
                 console.log('Could not get trip encryption key - may need to be re-shared by trip owner');
               }
-              
-              // Handle encrypted trip data
-              if (data.encrypted) {
-                if (tripKey) {
-                  // Decrypt trip data using the key
-                  try {
-                    // Decrypt trip name
-                    if (data.name && typeof data.name === 'string' && data.name.trim().length > 0) {
-                      // Only try to decrypt if it looks like base64 (encrypted)
-                      if (looksLikeBase64(data.name)) {
-                        try {
-                          const decrypted = decrypt(data.name, tripKey);
-                          // Only use decrypted value if it's valid
-                          if (decrypted && decrypted.trim().length > 0) {
-                            data.name = decrypted.trim();
-                          } else {
-                            // If decryption returns empty, use fallback
-                            data.name = 'Unnamed Trip';
-                          }
-                        } catch (decryptError) {
-                          console.error('Failed to decrypt trip name:', decryptError.message || decryptError);
-                          // If decryption fails, show a fallback instead of encrypted string
-                          data.name = 'Unnamed Trip';
-                        }
-                      }
-                      // If it doesn't look encrypted, keep the original name
-                    } else {
-                      // No name at all, use fallback
-                      data.name = 'Unnamed Trip';
-                    }
-                    
-                    // Decrypt trip category
-                    if (data.category && typeof data.category === 'string' && data.category.trim().length > 0) {
-                      if (looksLikeBase64(data.category)) {
-                        try {
-                          const decrypted = decrypt(data.category, tripKey);
-                          if (decrypted && decrypted.trim().length > 0) {
-                            data.category = decrypted.trim();
-                          }
-                        } catch (decryptError) {
-                          console.error('Failed to decrypt trip category:', decryptError.message || decryptError);
-                          data.category = '';
-                        }
-                      }
-                    }
-                  } catch (error) {
-                    console.error('Error decrypting trip metadata:', error);
-                    // If name looks encrypted but decryption fails, show fallback
-                    if (data.name && looksLikeBase64(data.name)) {
-                      data.name = 'Unnamed Trip';
-                    }
-                  }
-                } else {
-                  // Trip is encrypted but key is not available - show fallback for encrypted-looking names
-                  if (data.name && looksLikeBase64(data.name)) {
-                    data.name = 'Unnamed Trip';
-                  } else if (!data.name) {
-                    data.name = 'Unnamed Trip';
-                  }
-                }
-              } else if (!data.name) {
-                // Trip is not encrypted but has no name
-                data.name = 'Unnamed Trip';
-              }
             } catch (error) {
               console.error('Error getting trip encryption key:', error);
-              // On error, if name looks encrypted, show fallback
-              if (data.name && looksLikeBase64(data.name)) {
-                data.name = 'Unnamed Trip';
-              } else if (!data.name) {
-                data.name = 'Unnamed Trip';
-              }
+            }
+            
+            // Decrypt trip metadata; unreadable names show a fallback instead of ciphertext
+            data.name = decryptField(data.name, tripKey, {
+              encrypted: !!data.encrypted,
+              fallback: 'Unnamed Trip',
+            });
+            if (data.category) {
+              data.category = decryptField(data.category, tripKey, {
+                encrypted: !!data.encrypted,
+                fallback: '',
+              });
             }
             
             return { id: doc.id, ...data };
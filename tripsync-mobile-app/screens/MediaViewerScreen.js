@@ -3,18 +3,69 @@
  * 
  * Displays images and media in a full-screen viewer with zoom and swipe capabilities.
  * Shows media from a trip's itinerary items, allowing users to browse through images
- * with swipe gestures and zoom functionality.
+ * with swipe gestures and zoom functionality. Encrypted photos are decrypted with
+ * the trip key before they are shown.
  */
 
-import React from 'react';
-import { Modal, View } from 'react-native';
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, View } from 'react-native';
 import ImageViewer from 'react-native-image-zoom-viewer';
+import { auth } from '../FirebaseConfig';
+import { getTripEncryptionKey } from '../utils/tripKeys';
+import { getDecryptedMediaFile } from '../utils/mediaEncryption';
+import { theme } from '../theme';
 import { styles } from '../styles/MediaViewerScreen.styles';
 
 export default function MediaViewerScreen({ route }) {
-  const { mediaUrls, initialIndex = 0 } = route.params;
+  const { media, mediaUrls, tripId, initialIndex = 0 } = route.params;
+  const [images, setImages] = useState(null);
 
-  const images = mediaUrls.map((url) => ({ url }));
+  // Media descriptors may be encrypted; plain URL lists predate media encryption
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadImages = async () => {
+      const descriptors = media || (mediaUrls || []).map((url) => ({ url, encrypted: false }));
+      const needsKey = descriptors.some((m) => m.encrypted);
+      let tripKey = null;
+      if (needsKey && tripId && auth.currentUser?.uid) {
+        try {
+          tripKey = await getTripEncryptionKey(tripId, auth.currentUser.uid);
+        } catch (error) {
+          console.error('Error loading trip key for media:', error);
+        }
+      }
+
+      const urls = await Promise.all(descriptors.map(async (m) => {
+        if (!m.encrypted) return m.url;
+        if (!tripKey) return null;
+        try {
+          return await getDecryptedMediaFile(m.url, tripKey, m.mimeType);
+        } catch (error) {
+          console.error('Error decrypting media:', error);
+          return null;
+        }
+      }));
+
+      if (!cancelled) {
+        // Media that could not be decrypted is left as a blank page so indexes still line up
+        setImages(urls.map((url) => ({ url: url || '' })));
+      }
+    };
+
+    loadImages();
+    return () => {
+      cancelled = true;
+    };
+  }, [media, mediaUrls, tripId]);
+
+  if (!images) {
+    return (
+      <View style={[styles.container, styles.loading]}>
+        <ActivityIndicator size="large" color={theme.accent} />
+      </View>
+    );
+  }
 
   return (
     <View style={styles.container}>
@@ -4,18 +4,169 @@
  * Displays app settings that users can configure:
  * - Temperature unit preference (Celsius/Fahrenheit)
  * - Notification preferences for different types of events
+ * - Quiet hours, time zone and digest mode for notifications
+ * - Whether other users can find you in search
+ * - Passphrase for unlocking the encryption key on other devices
+ * - Recovery phrase for backing up and restoring the encryption key
  * 
  * Settings are persisted through the SettingsContext and synced across devices.
  */
 
-import React, { useContext } from 'react';
-import { View, Text, Button, Switch, ScrollView } from 'react-native';
+import React, { useContext, useEffect, useState } from 'react';
+import { View, Text, Button, Switch, ScrollView, TextInput, Alert } from 'react-native';
+import { auth } from '../FirebaseConfig';
 import { SettingsContext } from '../contexts/SettingsContext.js';
+import {
+  getKeyPairStatus,
+  setKeyPassphrase,
+  unlockKeyPair,
+  createKeyBackup,
+  restoreKeyBackup,
+} from '../utils/encryption';
 import { theme } from '../theme';
 import { styles } from '../styles/SettingsScreen.styles';
 
 export default function SettingsScreen() {
-  const { temperatureUnit, setTemperatureUnit, notificationPrefs, updateNotificationPrefs } = useContext(SettingsContext);
+  const {
+    temperatureUnit,
+    setTemperatureUnit,
+    notificationPrefs,
+    updateNotificationPrefs,
+    notificationSchedule,
+    updateNotificationSchedule,
+    discoverable,
+    updateDiscoverable,
+  } = useContext(SettingsContext);
+  const uid = auth.currentUser?.uid;
+  const deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+  // Draft quiet hours, saved when an input loses focus if they are valid HH:MM times
+  const [quietStart, setQuietStart] = useState(notificationSchedule.quietHours.start);
+  const [quietEnd, setQuietEnd] = useState(notificationSchedule.quietHours.end);
+
+  useEffect(() => {
+    setQuietStart(notificationSchedule.quietHours.start);
+    setQuietEnd(notificationSchedule.quietHours.end);
+  }, [notificationSchedule]);
+
+  // Encryption keypair status and passphrase form
+  const [keyStatus, setKeyStatus] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseConfirm, setPassphraseConfirm] = useState('');
+  const [keyBusy, setKeyBusy] = useState(false);
+  const [keyMessage, setKeyMessage] = useState(null);
+
+  useEffect(() => {
+    if (!uid) return;
+    getKeyPairStatus(uid)
+      .then(setKeyStatus)
+      .catch((error) => console.error('Failed to load encryption key status:', error));
+  }, [uid]);
+
+  // Sets a new passphrase, or unlocks the key when it was created on another device
+  const handlePassphraseSubmit = async () => {
+    if (!uid || keyBusy) return;
+
+    const unlocking = keyStatus?.status === 'locked';
+    if (!unlocking && passphrase.length < 8) {
+      setKeyMessage({ type: 'error', text: 'Use at least 8 characters.' });
+      return;
+    }
+    if (!unlocking && passphrase !== passphraseConfirm) {
+      setKeyMessage({ type: 'error', text: 'Passphrases do not match.' });
+      return;
+    }
+
+    setKeyBusy(true);
+    setKeyMessage(null);
+    try {
+      if (unlocking) {
+        await unlockKeyPair(uid, passphrase);
+        setKeyMessage({ type: 'success', text: 'Encryption key unlocked on this device.' });
+      } else {
+        await setKeyPassphrase(uid, passphrase);
+        setKeyMessage({ type: 'success', text: 'Passphrase saved. Use it to unlock your key on other devices.' });
+      }
+      setPassphrase('');
+      setPassphraseConfirm('');
+      setKeyStatus(await getKeyPairStatus(uid));
+    } catch (error) {
+      setKeyMessage({ type: 'error', text: error.message || 'Could not update encryption key.' });
+    } finally {
+      setKeyBusy(false);
+    }
+  };
+
+  // Recovery phrase backup: shown once after generation, or typed in to restore
+  const [recoveryPhrase, setRecoveryPhrase] = useState(null);
+  const [restorePhrase, setRestorePhrase] = useState('');
+
+  const createRecoveryPhrase = async () => {
+    setKeyBusy(true);
+    setKeyMessage(null);
+    try {
+      setRecoveryPhrase(await createKeyBackup(uid));
+      setKeyStatus(await getKeyPairStatus(uid));
+    } catch (error) {
+      setKeyMessage({ type: 'error', text: error.message || 'Could not create recovery phrase.' });
+    } finally {
+      setKeyBusy(false);
+    }
+  };
+
+  // Generates a new recovery phrase, confirming first when it replaces an existing backup
+  const handleCreateRecoveryPhrase = () => {
+    if (!uid || keyBusy) return;
+    if (!keyStatus?.hasRecoveryPhrase) {
+      createRecoveryPhrase();
+      return;
+    }
+    Alert.alert(
+      'New Recovery Phrase',
+      'Generate a new recovery phrase? Your old phrase will stop working.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Generate', style: 'destructive', onPress: createRecoveryPhrase },
+      ]
+    );
+  };
+
+  // Restores the keypair on this device from the recovery phrase backup
+  const handleRestoreSubmit = async () => {
+    if (!uid || keyBusy) return;
+
+    setKeyBusy(true);
+    setKeyMessage(null);
+    try {
+      await restoreKeyBackup(uid, restorePhrase);
+      setRestorePhrase('');
+      setKeyMessage({ type: 'success', text: 'Encryption key restored on this device.' });
+      setKeyStatus(await getKeyPairStatus(uid));
+    } catch (error) {
+      setKeyMessage({ type: 'error', text: error.message || 'Could not restore encryption key.' });
+    } finally {
+      setKeyBusy(false);
+    }
+  };
+
+  const handleScheduleChange = (changes) => {
+    updateNotificationSchedule({ ...notificationSchedule, ...changes });
+  };
+
+  const handleQuietHoursChange = (changes) => {
+    handleScheduleChange({ quietHours: { ...notificationSchedule.quietHours, ...changes } });
+  };
+
+  // Saves the drafted quiet hours, or restores the saved ones if a time is not HH:MM
+  const handleQuietHoursBlur = () => {
+    const valid = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!valid.test(quietStart) || !valid.test(quietEnd)) {
+      setQuietStart(notificationSchedule.quietHours.start);
+      setQuietEnd(notificationSchedule.quietHours.end);
+      return;
+    }
+    handleQuietHoursChange({ start: quietStart, end: quietEnd });
+  };
 
   const handleNotificationToggle = (key) => {
     updateNotificationPrefs({
@@ -78,8 +229,208 @@ export default function SettingsScreen() {
               onValueChange={() => handleNotificationToggle('comments')}
             />
           </View>
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+            <Text>Changes to days you planned</Text>
+            <Switch
+              value={notificationPrefs.itineraryChanges}
+              onValueChange={() => handleNotificationToggle('itineraryChanges')}
+            />
+          </View>
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+            <Text>Trip reminders and daily plans</Text>
+            <Switch
+              value={notificationPrefs.tripReminders}
+              onValueChange={() => handleNotificationToggle('tripReminders')}
+            />
+          </View>
         </View>
       </View>
+
+      <View style={{ marginTop: 20 }}>
+        <Text style={styles.label}>Quiet Hours & Digests</Text>
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+          <Text>Quiet hours</Text>
+          <Switch
+            value={notificationSchedule.quietHours.enabled}
+            onValueChange={(value) => handleQuietHoursChange({ enabled: value })}
+          />
+        </View>
+        {notificationSchedule.quietHours.enabled && (
+          <View style={styles.buttonRow}>
+            <TextInput
+              style={[styles.input, { flex: 1 }]}
+              value={quietStart}
+              onChangeText={setQuietStart}
+              onEndEditing={handleQuietHoursBlur}
+              placeholder="22:00"
+              keyboardType="numbers-and-punctuation"
+              accessibilityLabel="Quiet hours start"
+            />
+            <TextInput
+              style={[styles.input, { flex: 1 }]}
+              value={quietEnd}
+              onChangeText={setQuietEnd}
+              onEndEditing={handleQuietHoursBlur}
+              placeholder="07:00"
+              keyboardType="numbers-and-punctuation"
+              accessibilityLabel="Quiet hours end"
+            />
+          </View>
+        )}
+        <Text style={styles.description}>
+          Time zone: {notificationSchedule.timeZone}
+        </Text>
+        {notificationSchedule.timeZone !== deviceTimeZone && (
+          <Button
+            title={`Use ${deviceTimeZone}`}
+            onPress={() => handleScheduleChange({ timeZone: deviceTimeZone })}
+          />
+        )}
+        <Text style={[styles.description, { marginTop: 10 }]}>
+          Digest bundles chat messages, comments and mentions into one summary.
+        </Text>
+        <View style={styles.buttonRow}>
+          {['off', 'hourly', 'daily'].map((mode) => (
+            <Button
+              key={mode}
+              title={mode === 'off' ? 'Off' : mode === 'hourly' ? 'Hourly' : 'Daily'}
+              color={notificationSchedule.digest === mode ? theme.accent : '#aaa'}
+              onPress={() => handleScheduleChange({ digest: mode })}
+            />
+          ))}
+        </View>
+        {notificationSchedule.digest === 'daily' && (
+          <View style={[styles.buttonRow, { marginTop: 10, alignItems: 'center' }]}>
+            <Button
+              title="−"
+              onPress={() => handleScheduleChange({ digestHour: (notificationSchedule.digestHour + 23) % 24 })}
+            />
+            <Text>Daily at {String(notificationSchedule.digestHour).padStart(2, '0')}:00</Text>
+            <Button
+              title="+"
+              onPress={() => handleScheduleChange({ digestHour: (notificationSchedule.digestHour + 1) % 24 })}
+            />
+          </View>
+        )}
+      </View>
+
+      <View style={{ marginTop: 20 }}>
+        <Text style={styles.label}>Privacy</Text>
+        <View style={{ marginTop: 10 }}>
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+            <Text>Show me in search</Text>
+            <Switch
+              value={discoverable}
+              onValueChange={(value) => updateDiscoverable(value)}
+            />
+          </View>
+          <Text style={styles.description}>
+            People who know your exact email can still send you a friend request.
+          </Text>
+        </View>
+      </View>
+
+      {keyStatus && (
+        <View style={{ marginTop: 20 }}>
+          <Text style={styles.label}>Encryption Key</Text>
+          <Text style={styles.description}>
+            {keyStatus.status === 'locked'
+              ? 'Your encryption key was created on another device. Enter your passphrase or recovery phrase to unlock encrypted trips here.'
+              : keyStatus.hasPassphrase
+                ? 'Your encryption key is protected by a passphrase and can be unlocked on your other devices.'
+                : 'Set a passphrase to unlock your encryption key on other devices. Only an encrypted copy leaves this device.'}
+          </Text>
+          {(keyStatus.status !== 'locked' || keyStatus.hasPassphrase) && (
+            <>
+              <TextInput
+                style={styles.input}
+                value={passphrase}
+                onChangeText={setPassphrase}
+                placeholder={keyStatus.status === 'locked' ? 'Passphrase' : 'New passphrase'}
+                secureTextEntry
+                autoCapitalize="none"
+              />
+              {keyStatus.status !== 'locked' && (
+                <TextInput
+                  style={styles.input}
+                  value={passphraseConfirm}
+                  onChangeText={setPassphraseConfirm}
+                  placeholder="Confirm passphrase"
+                  secureTextEntry
+                  autoCapitalize="none"
+                />
+              )}
+              <Button
+                title={keyBusy
+                  ? 'Working...'
+                  : keyStatus.status === 'locked'
+                    ? 'Unlock'
+                    : keyStatus.hasPassphrase ? 'Change passphrase' : 'Set passphrase'}
+                color={theme.accent}
+                disabled={keyBusy || !passphrase}
+                onPress={handlePassphraseSubmit}
+              />
+            </>
+          )}
+
+          {keyStatus.status === 'unlocked' && !recoveryPhrase && (
+            <View style={styles.recoverySection}>
+              <Text style={styles.description}>
+                {keyStatus.hasRecoveryPhrase
+                  ? 'A recovery phrase backup exists. Generate a new one if you have lost it.'
+                  : 'Create a recovery phrase to restore your key if you lose all your devices and your passphrase.'}
+              </Text>
+              <Button
+                title={keyStatus.hasRecoveryPhrase ? 'Generate new recovery phrase' : 'Create recovery phrase'}
+                color={theme.accent}
+                disabled={keyBusy}
+                onPress={handleCreateRecoveryPhrase}
+              />
+            </View>
+          )}
+          {recoveryPhrase && (
+            <View style={styles.recoverySection}>
+              <Text style={styles.description}>
+                Write these words down in order and keep them somewhere safe. They will not be shown again.
+              </Text>
+              <View style={styles.phraseGrid}>
+                {recoveryPhrase.split(' ').map((word, index) => (
+                  <Text key={index} style={styles.phraseWord}>{`${index + 1}. ${word}`}</Text>
+                ))}
+              </View>
+              <Button
+                title="I have written it down"
+                color={theme.accent}
+                onPress={() => setRecoveryPhrase(null)}
+              />
+            </View>
+          )}
+          {keyStatus.status === 'locked' && keyStatus.hasRecoveryPhrase && (
+            <View style={styles.recoverySection}>
+              <TextInput
+                style={[styles.input, styles.phraseInput]}
+                value={restorePhrase}
+                onChangeText={setRestorePhrase}
+                placeholder="Or enter your 24-word recovery phrase"
+                multiline
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <Button
+                title={keyBusy ? 'Working...' : 'Restore'}
+                color={theme.accent}
+                disabled={keyBusy || !restorePhrase.trim()}
+                onPress={handleRestoreSubmit}
+              />
+            </View>
+          )}
+          {keyMessage && (
+            <Text style={keyMessage.type === 'error' ? styles.errorText : styles.successText}>
+              {keyMessage.text}
+            </Text>
+          )}
+        </View>
+      )}
     </ScrollView>
   );
 }
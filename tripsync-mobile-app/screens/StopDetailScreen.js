@@ -6,8 +6,8 @@
  * - Media viewing and uploading (images and videos)
  * - Media deletion and management
  * 
- * Handles encryption/decryption of notes and media metadata, file uploads
- * to Firebase Storage, and real-time updates via Firestore.
+ * Handles encryption/decryption of notes and media, client-side thumbnails,
+ * file uploads to Firebase Storage, and real-time updates via Firestore.
  */
 
 import React, { useState, useEffect, useLayoutEffect } from 'react';
@@ -23,18 +23,55 @@ import {
 } from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
 import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as VideoThumbnails from 'expo-video-thumbnails';
 import ReactNativeBlobUtil from 'react-native-blob-util';
 import { doc, getDoc, updateDoc, setDoc, arrayUnion, arrayRemove, serverTimestamp } from 'firebase/firestore';
 import { ref, getDownloadURL, deleteObject, uploadBytes } from 'firebase/storage';
 import { auth, db, storage } from '../FirebaseConfig';
 import { VideoView, useVideoPlayer } from 'expo-video';
 import { Feather } from '@expo/vector-icons';
-import { encrypt, decrypt } from '../utils/encryption';
-import { getTripEncryptionKey, enableTripEncryption } from '../utils/tripKeys';
+import { encrypt, decrypt, decryptField } from '../utils/encryption';
+import { getTripEncryptionKey, enableTripEncryption, isTripEncrypted } from '../utils/tripKeys';
+import { encryptMediaFile, getDecryptedMediaFile, getEntryMedia } from '../utils/mediaEncryption';
 import { rateLimitedCall, rateLimiters } from '../utils/rateLimiting';
 import { theme } from '../theme';
 import { styles } from '../styles/StopDetailScreen.styles';
 
+// Width of generated thumbnails, enough for the two-column media grids
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * Creates a small JPEG thumbnail of a photo or the first second of a video
+ * Thumbnails are made on the device because the server only sees ciphertext
+ * @param {Object} item - Picked media item with uri and type
+ * @returns {Promise<string>} Local URI of the thumbnail
+ */
+async function createThumbnail(item) {
+  let sourceUri = item.uri;
+  if (item.type === 'video') {
+    const frame = await VideoThumbnails.getThumbnailAsync(item.uri, { time: 1000 });
+    sourceUri = frame.uri;
+  }
+  const thumbnail = await ImageManipulator.manipulateAsync(
+    sourceUri,
+    [{ resize: { width: THUMBNAIL_WIDTH } }],
+    { compress: 0.7, format: ImageManipulator.SaveFormat.JPEG }
+  );
+  return thumbnail.uri;
+}
+
+/**
+ * Deletes a media file from storage, using its stored path or the path in its download URL
+ */
+async function deleteStoredMedia(path, url) {
+  const pathMatch = !path && url ? url.match(/\/o\/(.+)\?alt/) : null;
+  const filePath = path || (pathMatch && decodeURIComponent(pathMatch[1]));
+  if (filePath) {
+    await deleteObject(ref(storage, filePath));
+  }
+}
+
 export default function StopDetailScreen({ navigation, route }) {
   const { tripSyncTripId, itineraryItemId, itineraryItem: initialItem, tripTitle } = route.params || {};
   const [item, setItem] = useState(initialItem || null);
@@ -64,10 +101,15 @@ export default function StopDetailScreen({ navigation, route }) {
         // Try to get existing key
         let key = await getTripEncryptionKey(tripSyncTripId, auth.currentUser.uid);
         
-        // If no key exists, enable encryption for this trip
+        // Only enable encryption for trips that have none yet; an encrypted trip
+        // whose key is missing here must keep its key so existing data stays readable
         if (!key) {
-          await enableTripEncryption(tripSyncTripId, auth.currentUser.uid);
-          key = await getTripEncryptionKey(tripSyncTripId, auth.currentUser.uid);
+          if (await isTripEncrypted(tripSyncTripId)) {
+            console.warn('Trip key not available on this device - restore your encryption key in Settings');
+          } else {
+            await enableTripEncryption(tripSyncTripId, auth.currentUser.uid);
+            key = await getTripEncryptionKey(tripSyncTripId, auth.currentUser.uid);
+          }
         }
         
         setTripKey(key);
@@ -107,12 +149,6 @@ export default function StopDetailScreen({ navigation, route }) {
         return;
       }
 
-      // Helper to check if string looks like base64 (encrypted)
-      const looksLikeBase64 = (str) => {
-        if (!str || typeof str !== 'string') return false;
-        return str.length >= 20 && /^[A-Za-z0-9+/=]+$/.test(str) && str.length % 4 === 0;
-      };
-
       try {
         // Load the itinerary item
         const itemRef = doc(db, 'trips', tripSyncTripId, 'itinerary', itineraryItemId);
@@ -121,59 +157,16 @@ export default function StopDetailScreen({ navigation, route }) {
         if (itemSnap.exists()) {
           const itemData = { id: itemSnap.id, ...itemSnap.data() };
           
-          // Decrypt title and address if encrypted
-          if (itemData.encrypted && tripKey) {
-            try {
-              if (itemData.encryptedTitle && itemData.title && looksLikeBase64(itemData.title)) {
-                try {
-                  const decrypted = decrypt(itemData.title, tripKey);
-                  if (decrypted && decrypted.trim().length > 0) {
-                    itemData.title = decrypted.trim();
-                  } else {
-                    itemData.title = 'Unnamed Stop';
-                  }
-                } catch (decryptError) {
-                  console.error('Failed to decrypt stop title:', decryptError.message || decryptError);
-                  itemData.title = 'Unnamed Stop';
-                }
-              } else if (!itemData.title) {
-                itemData.title = 'Unnamed Stop';
-              }
-              
-              if (itemData.encryptedAddress && itemData.address && looksLikeBase64(itemData.address)) {
-                try {
-                  const decrypted = decrypt(itemData.address, tripKey);
-                  if (decrypted && decrypted.trim().length > 0) {
-                    itemData.address = decrypted.trim();
-                  } else {
-                    itemData.address = 'Address unavailable';
-                  }
-                } catch (decryptError) {
-                  console.error('Failed to decrypt stop address:', decryptError.message || decryptError);
-                  itemData.address = 'Address unavailable';
-                }
-              } else if (itemData.encryptedAddress && itemData.address && !looksLikeBase64(itemData.address)) {
-                // Address is marked as encrypted but doesn't look encrypted - might be plaintext
-                // Keep it as-is
-              }
-            } catch (error) {
-              console.error('Error decrypting item metadata:', error);
-              // Show fallbacks if decryption fails
-              if (!itemData.title || (itemData.title && looksLikeBase64(itemData.title))) {
-                itemData.title = 'Unnamed Stop';
-              }
-              if (!itemData.address || (itemData.address && looksLikeBase64(itemData.address))) {
-                itemData.address = 'Address unavailable';
-              }
-            }
-          } else if (itemData.encrypted && !tripKey) {
-            // Encrypted but no key - show fallback
-            if (!itemData.title || (itemData.title && looksLikeBase64(itemData.title))) {
-              itemData.title = 'Unnamed Stop';
-            }
-            if (!itemData.address || (itemData.address && looksLikeBase64(itemData.address))) {
-              itemData.address = 'Address unavailable';
-            }
+          // Decrypt title and address; unreadable values show a fallback instead of ciphertext
+          itemData.title = decryptField(itemData.title, tripKey, {
+            encrypted: !!(itemData.encrypted && itemData.encryptedTitle),
+            fallback: 'Unnamed Stop',
+          });
+          if (itemData.address) {
+            itemData.address = decryptField(itemData.address, tripKey, {
+              encrypted: !!(itemData.encrypted && itemData.encryptedAddress),
+              fallback: 'Address unavailable',
+            });
           }
           
           setItem(itemData);
@@ -198,17 +191,14 @@ export default function StopDetailScreen({ navigation, route }) {
 
             setNotes(notesText);
             
-            // Load existing media from user's entry
-            if (entryData.mediaUrls && entryData.mediaUrls.length > 0) {
-              const existingMedia = entryData.mediaUrls.map(url => ({
-                uri: url,
-                type: url.includes('video') || url.includes('.mp4') || url.includes('.mov') ? 'video' : 'image',
-                existing: true,
-              }));
-              setMedia(existingMedia);
-            } else {
-              setMedia([]);
-            }
+            // Load existing media from user's entry; encrypted media is shown
+            // once it has been decrypted into the cache
+            setMedia(getEntryMedia(entryData).map(descriptor => ({
+              uri: descriptor.encrypted ? null : descriptor.url,
+              type: descriptor.type,
+              existing: true,
+              descriptor,
+            })));
           } else {
             // No entry yet for this user
             setNotes('');
@@ -226,6 +216,31 @@ export default function StopDetailScreen({ navigation, route }) {
     loadItem();
   }, [tripSyncTripId, itineraryItemId, tripKey]);
 
+  // Decrypt existing media for preview: photos use their thumbnail, videos need the full file to play
+  useEffect(() => {
+    if (!tripKey) return;
+    const waiting = media.filter(item => item.existing && !item.uri && !item.failed);
+    if (waiting.length === 0) return;
+
+    waiting.forEach(async (item) => {
+      const { descriptor } = item;
+      const usesThumbnail = descriptor.type === 'image' && descriptor.thumbnailUrl;
+      let uri = null;
+      try {
+        uri = await getDecryptedMediaFile(
+          usesThumbnail ? descriptor.thumbnailUrl : descriptor.url,
+          tripKey,
+          usesThumbnail ? 'image/jpeg' : descriptor.mimeType
+        );
+      } catch (error) {
+        console.error('Error decrypting media:', error);
+      }
+      setMedia(prev => prev.map(m => (
+        m.descriptor === descriptor ? { ...m, uri, failed: !uri } : m
+      )));
+    });
+  }, [media, tripKey]);
+
   const handleMediaPick = async () => {
     try {
       const result = await ImagePicker.launchImageLibraryAsync({
@@ -315,13 +330,12 @@ export default function StopDetailScreen({ navigation, route }) {
     setSaving(true);
 
     try {
-      const itemRef = doc(db, 'trips', tripSyncTripId, 'itinerary', itineraryItemId);
-      const mediaUrls = [];
+      const mediaDescriptors = [];
 
-      // First, keep existing media URLs
+      // First, keep existing media
       for (const item of media) {
         if (item.existing) {
-          mediaUrls.push(item.uri);
+          mediaDescriptors.push(item.descriptor);
         }
       }
 
@@ -332,6 +346,13 @@ export default function StopDetailScreen({ navigation, route }) {
       if (newMediaItems.length === 0) {
         console.log('No new media to upload, proceeding with save');
       } else {
+        // Media is encrypted with the trip key, so it cannot be uploaded without one
+        if (!tripKey) {
+          Alert.alert('Error', 'Encryption key not ready. Please try again in a moment.');
+          setSaving(false);
+          return;
+        }
+
         // Check rate limit before starting uploads
         if (!rateLimiters.fileUpload.isAllowed()) {
           const waitTime = rateLimiters.fileUpload.getTimeUntilNextAllowed();
@@ -342,134 +363,98 @@ export default function StopDetailScreen({ navigation, route }) {
           setSaving(false);
           return;
         }
+
+        const user = auth.currentUser;
+        const storageBucket = storage.app.options.storageBucket;
+
+        // Encrypts a local file and uploads the ciphertext via the Storage REST API,
+        // since Firebase Storage's uploadBytes doesn't support Blobs in React Native
+        const uploadEncrypted = async (localUri, storagePath) => {
+          const encrypted = await encryptMediaFile(localUri, tripKey);
+          try {
+            const token = await user.getIdToken();
+            const uploadUrl = `https://firebasestorage.googleapis.com/v0/b/${storageBucket}/o?name=${encodeURIComponent(storagePath)}`;
+            const response = await ReactNativeBlobUtil.fetch(
+              'POST',
+              uploadUrl,
+              {
+                'Authorization': `Firebase ${token}`,
+                'Content-Type': 'application/octet-stream',
+              },
+              ReactNativeBlobUtil.wrap(encrypted.path)
+            );
+
+            if (response.info().status !== 200) {
+              const errorText = await response.text();
+              throw new Error(`Upload failed: ${errorText}`);
+            }
+
+            const responseData = await response.json();
+            return {
+              url: `https://firebasestorage.googleapis.com/v0/b/${storageBucket}/o/${encodeURIComponent(responseData.name)}?alt=media&token=${responseData.downloadTokens}`,
+              path: responseData.name,
+              size: encrypted.size,
+              keyVersion: encrypted.keyVersion,
+            };
+          } finally {
+            await ReactNativeBlobUtil.fs.unlink(encrypted.path).catch(() => {});
+          }
+        };
         
         const uploadPromises = newMediaItems.map(async (item) => {
+          const uploadKey = item.uri;
           try {
             console.log(`Starting upload for: ${item.fileName || item.uri}`);
-            const filename = `${Date.now()}-${Math.random().toString(36).substring(7)}-${item.fileName || item.uri.split('/').pop()}`;
-            const fileRef = ref(storage, `trips/${tripSyncTripId}/itinerary/${itineraryItemId}/media/${filename}`);
-            
-            // Track upload progress
-            const uploadKey = `${item.uri}-${filename}`;
-            
-            // Using react-native-blob-util to upload files in React Native
-            // Firebase Storage's uploadBytes doesn't support Uint8Array/Blob in React Native
-            console.log(`Starting Firebase upload for: ${filename}`);
-            
-            // Show initial progress
+            const basePath = `trips/${tripSyncTripId}/itinerary/${itineraryItemId}/travelDiaryEntries/${uid}/media/${Date.now()}-${Math.random().toString(36).substring(7)}`;
+
             setUploadProgress(prev => ({
               ...prev,
               [uploadKey]: 0,
             }));
-            
+
+            // A missing thumbnail only costs a smaller preview, so it never fails the upload
+            let thumbnailUri = null;
             try {
-              // Use react-native-blob-util to read file as binary array
-              // This avoids Blob creation which isn't supported in React Native
-              console.log(`Reading file with react-native-blob-util: ${item.uri}`);
-              
-              // Get file info
-              const fileInfo = await ReactNativeBlobUtil.fs.stat(item.uri);
-              const fileSize = fileInfo.size;
-              console.log(`File size: ${fileSize} bytes`);
-              
-              // Read file as base64 and convert to binary array manually
-              const base64String = await ReactNativeBlobUtil.fs.readFile(item.uri, 'base64');
-              console.log(`File read as base64, length: ${base64String.length}`);
-              
-              // Convert base64 to binary string, then to array
-              // This creates a plain array that Firebase might accept
-              const binaryString = atob(base64String);
-              
-              // Create a plain array (not Uint8Array) - use regular Array
-              const bytes = [];
-              for (let i = 0; i < binaryString.length; i++) {
-                bytes.push(binaryString.charCodeAt(i));
-              }
-              
-              console.log(`Converted to array, length: ${bytes.length}`);
-              
-              // Try using uploadBytes with a plain array
-              console.log(`Uploading to Firebase Storage...`);
-              
-              setUploadProgress(prev => ({
-                ...prev,
-                [uploadKey]: 25,
-              }));
-              
-              // Get user token for authenticated upload
-              const user = auth.currentUser;
-              if (!user) {
-                throw new Error('User not authenticated');
-              }
-              
-              const token = await user.getIdToken();
-              
-              // Get the storage bucket URL
-              const storageBucket = storage.app.options.storageBucket;
-              const uid = auth.currentUser?.uid;
-              if (!uid) {
-                throw new Error('User not authenticated');
-              }
-              // Store media in user-specific path for TripSync entries
-              const storagePath = `trips/${tripSyncTripId}/itinerary/${itineraryItemId}/travelDiaryEntries/${uid}/media/${filename}`;
-              
-              // Use REST API directly to avoid Blob issues
-              const uploadUrl = `https://firebasestorage.googleapis.com/v0/b/${storageBucket}/o?name=${encodeURIComponent(storagePath)}`;
-              
-              console.log(`Uploading via REST API...`);
-              
-              setUploadProgress(prev => ({
-                ...prev,
-                [uploadKey]: 50,
-              }));
-              
-              // Upload using react-native-blob-util's fetch
-              const response = await ReactNativeBlobUtil.fetch(
-                'POST',
-                uploadUrl,
-                {
-                  'Authorization': `Firebase ${token}`,
-                  'Content-Type': item.type === 'video' ? 'video/mp4' : 'image/jpeg',
-                },
-                ReactNativeBlobUtil.wrap(item.uri) // Use file directly instead of base64
-              );
-              
-              if (response.info().status !== 200) {
-                const errorText = await response.text();
-                throw new Error(`Upload failed: ${errorText}`);
+              thumbnailUri = await createThumbnail(item);
+            } catch (thumbnailError) {
+              console.warn('Could not create thumbnail:', thumbnailError);
+            }
+
+            setUploadProgress(prev => ({
+              ...prev,
+              [uploadKey]: 25,
+            }));
+
+            const uploaded = await uploadEncrypted(item.uri, `${basePath}.enc`);
+
+            setUploadProgress(prev => ({
+              ...prev,
+              [uploadKey]: 75,
+            }));
+
+            const descriptor = {
+              url: uploaded.url,
+              path: uploaded.path,
+              type: item.type,
+              mimeType: item.mimeType || (item.type === 'video' ? 'video/mp4' : 'image/jpeg'),
+              encrypted: true,
+              keyVersion: uploaded.keyVersion,
+              size: uploaded.size,
+            };
+
+            if (thumbnailUri) {
+              try {
+                const thumbnail = await uploadEncrypted(thumbnailUri, `${basePath}-thumb.enc`);
+                descriptor.thumbnailUrl = thumbnail.url;
+                descriptor.thumbnailPath = thumbnail.path;
+              } catch (thumbnailError) {
+                console.warn('Could not upload thumbnail:', thumbnailError);
               }
-              
-              const responseData = await response.json();
-              console.log(`Upload response:`, responseData);
-              
-              setUploadProgress(prev => ({
-                ...prev,
-                [uploadKey]: 75,
-              }));
-              
-              // Get download URL from response (storagePath already includes user-specific path)
-              const downloadURL = `https://firebasestorage.googleapis.com/v0/b/${storageBucket}/o/${encodeURIComponent(responseData.name)}?alt=media&token=${responseData.downloadTokens}`;
-              
-              console.log(`Upload completed, download URL: ${downloadURL.substring(0, 50)}...`);
-              
-              setUploadProgress(prev => {
-                const newProgress = { ...prev };
-                delete newProgress[uploadKey];
-                return newProgress;
-              });
-              
-              mediaUrls.push(downloadURL);
-              console.log(`Successfully uploaded: ${item.fileName}`);
-              return downloadURL;
-            } catch (uploadError) {
-              console.error('Upload error:', uploadError);
-              setUploadProgress(prev => {
-                const newProgress = { ...prev };
-                delete newProgress[uploadKey];
-                return newProgress;
-              });
-              throw uploadError;
             }
+
+            mediaDescriptors.push(descriptor);
+            console.log(`Successfully uploaded: ${item.fileName}`);
+            return descriptor;
           } catch (err) {
             console.error('Error uploading media:', err);
             const errorMessage = err.message || 'Unknown error';
@@ -478,6 +463,12 @@ export default function StopDetailScreen({ navigation, route }) {
               `Failed to upload ${item.fileName || 'media'}: ${errorMessage}`
             );
             throw err; // Re-throw to handle in Promise.allSettled
+          } finally {
+            setUploadProgress(prev => {
+              const newProgress = { ...prev };
+              delete newProgress[uploadKey];
+              return newProgress;
+            });
           }
         });
 
@@ -507,8 +498,13 @@ export default function StopDetailScreen({ navigation, route }) {
       // Get current entry to find removed media
       const currentEntrySnap = await getDoc(entryRef);
       const currentEntry = currentEntrySnap.exists() ? currentEntrySnap.data() : null;
-      const currentMediaUrls = currentEntry?.mediaUrls || [];
-      const removedMediaUrls = currentMediaUrls.filter(url => !mediaUrls.includes(url));
+      const keptUrls = mediaDescriptors.map(descriptor => descriptor.url);
+      const removedMedia = getEntryMedia(currentEntry).filter(descriptor => !keptUrls.includes(descriptor.url));
+      // Older app versions only read mediaUrls, so it is kept alongside the descriptors
+      const mediaFields = {
+        media: mediaDescriptors.length > 0 ? mediaDescriptors : null,
+        mediaUrls: mediaDescriptors.length > 0 ? keptUrls : null,
+      };
 
       // Always encrypt notes
       let notesToSave = notes || null;
@@ -537,7 +533,7 @@ export default function StopDetailScreen({ navigation, route }) {
         await updateDoc(entryRef, {
           notes: notesToSave,
           encrypted: isEncrypted,
-          mediaUrls: mediaUrls.length > 0 ? mediaUrls : null,
+          ...mediaFields,
           updatedAt: serverTimestamp(),
         });
       } else {
@@ -545,22 +541,19 @@ export default function StopDetailScreen({ navigation, route }) {
         await setDoc(entryRef, {
           notes: notesToSave,
           encrypted: isEncrypted,
-          mediaUrls: mediaUrls.length > 0 ? mediaUrls : null,
+          ...mediaFields,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp(),
           createdBy: uid,
         });
       }
 
-      // Delete removed media from storage (only if entry is being updated, not deleted)
-      for (const url of removedMediaUrls) {
+      // Delete removed media and their thumbnails from storage
+      for (const descriptor of removedMedia) {
         try {
-          // Extract path from URL
-          const pathMatch = url.match(/\/o\/(.+)\?alt/);
-          if (pathMatch) {
-            const filePath = decodeURIComponent(pathMatch[1]);
-            const fileRef = ref(storage, filePath);
-            await deleteObject(fileRef);
+          await deleteStoredMedia(descriptor.path, descriptor.url);
+          if (descriptor.thumbnailPath) {
+            await deleteStoredMedia(descriptor.thumbnailPath);
           }
         } catch (err) {
           console.warn('Could not delete old media:', err);
@@ -597,17 +590,43 @@ export default function StopDetailScreen({ navigation, route }) {
 
   const renderMedia = () => {
     return media.map((item, index) => {
-      const uploadKey = item.existing ? null : `${item.uri}-${Date.now()}-${item.fileName}`;
-      const progress = uploadKey ? uploadProgress[uploadKey] : null;
-      const isUploading = progress !== null && progress < 100;
+      const progress = item.existing ? undefined : uploadProgress[item.uri];
+      const isUploading = progress !== undefined && progress < 100;
+      const imageIndex = media.filter(m => m.existing && m.type === 'image').indexOf(item);
+
+      let preview;
+      if (!item.uri) {
+        preview = (
+          <View style={[styles.mediaPreview, styles.mediaPlaceholder]}>
+            {item.failed ? (
+              <Feather name="lock" size={24} color={theme.textLight} />
+            ) : (
+              <ActivityIndicator size="small" color={theme.accent} />
+            )}
+          </View>
+        );
+      } else if (item.type === 'video') {
+        preview = <VideoPlayer uri={item.uri} />;
+      } else if (item.existing) {
+        preview = (
+          <TouchableOpacity
+            style={styles.mediaPreview}
+            onPress={() => navigation.navigate('Media Viewer', {
+              media: media.filter(m => m.existing && m.type === 'image').map(m => m.descriptor),
+              tripId: tripSyncTripId,
+              initialIndex: imageIndex,
+            })}
+          >
+            <Image source={{ uri: item.uri }} style={styles.mediaPreview} />
+          </TouchableOpacity>
+        );
+      } else {
+        preview = <Image source={{ uri: item.uri }} style={styles.mediaPreview} />;
+      }
 
       return (
         <View key={index} style={styles.mediaItem}>
-          {item.type === 'video' ? (
-            <VideoPlayer uri={item.uri} />
-          ) : (
-            <Image source={{ uri: item.uri }} style={styles.mediaPreview} />
-          )}
+          {preview}
           {isUploading && (
             <View style={styles.uploadOverlay}>
               <ActivityIndicator size="small" color={theme.accent} />
@@ -17,14 +17,20 @@ import {
   ScrollView,
   Modal,
 } from 'react-native';
-import { collection, getDocs, query, orderBy, onSnapshot, doc, getDoc } from 'firebase/firestore';
+import { collection, getDocs, query, orderBy, where, onSnapshot, doc, getDoc } from 'firebase/firestore';
 import { auth, db } from '../FirebaseConfig';
 import { Feather } from '@expo/vector-icons';
 import { theme } from '../theme';
 import dayjs from 'dayjs';
 import { styles } from '../styles/TripStopsScreen.styles';
-import { decrypt } from '../utils/encryption';
-import { getTripEncryptionKey, enableTripEncryption } from '../utils/tripKeys';
+import { decryptField, getUserKeyPair } from '../utils/encryption';
+import {
+  getTripEncryptionKey,
+  enableTripEncryption,
+  isTripEncrypted,
+  requestTripKeyReShare,
+  fulfilTripKeyRequests,
+} from '../utils/tripKeys';
 
 export default function TripStopsScreen({ navigation, route }) {
   const { tripSyncTripId, tripTitle } = route.params || {};
@@ -48,11 +54,21 @@ export default function TripStopsScreen({ navigation, route }) {
         // Try to get existing key
         let key = await getTripEncryptionKey(tripSyncTripId, auth.currentUser.uid);
         
-        // If no key exists, enable encryption for this trip
+        // Only enable encryption for trips that have none yet; an encrypted trip
+        // whose key is missing here must keep its key so existing data stays readable
         if (!key) {
-          console.log('No trip key found, enabling encryption...');
-          await enableTripEncryption(tripSyncTripId, auth.currentUser.uid);
-          key = await getTripEncryptionKey(tripSyncTripId, auth.currentUser.uid);
+          if (await isTripEncrypted(tripSyncTripId)) {
+            // A locked keypair must be unlocked first; otherwise ask members to share the key
+            if (await getUserKeyPair(auth.currentUser.uid)) {
+              await requestTripKeyReShare(tripSyncTripId, auth.currentUser.uid);
+            } else {
+              console.warn('Trip key not available on this device - unlock or restore your encryption key in Settings');
+            }
+          } else {
+            console.log('No trip key found, enabling encryption...');
+            await enableTripEncryption(tripSyncTripId, auth.currentUser.uid);
+            key = await getTripEncryptionKey(tripSyncTripId, auth.currentUser.uid);
+          }
         }
         
         if (key) {
@@ -74,6 +90,28 @@ export default function TripStopsScreen({ navigation, route }) {
     setupEncryption();
   }, [tripSyncTripId]);
 
+  // Shares the trip key with members who have an open key request
+  useEffect(() => {
+    if (!tripSyncTripId || !tripKey || !auth.currentUser?.uid) return;
+
+    const requestsQuery = query(
+      collection(db, 'trips', tripSyncTripId, 'keyRequests'),
+      where('status', '==', 'open')
+    );
+    const unsubscribe = onSnapshot(requestsQuery, async (snapshot) => {
+      const requests = snapshot.docs.map((requestDoc) => ({ requesterId: requestDoc.id, ...requestDoc.data() }));
+      if (requests.length === 0) return;
+      const shared = await fulfilTripKeyRequests(tripSyncTripId, auth.currentUser.uid, tripKey, requests);
+      if (shared.length > 0) {
+        console.log(`Shared trip key with ${shared.length} member(s)`);
+      }
+    }, (error) => {
+      console.error('Error listening for trip key requests:', error);
+    });
+
+    return () => unsubscribe();
+  }, [tripSyncTripId, tripKey]);
+
   useLayoutEffect(() => {
     navigation.setOptions({
       title: trip?.name || tripTitle || 'Trip Stops',
@@ -104,12 +142,6 @@ export default function TripStopsScreen({ navigation, route }) {
       return;
     }
 
-    // Helper to check if string looks like base64 (encrypted) - defined outside to avoid scope issues
-    const looksLikeBase64 = (str) => {
-      if (!str || typeof str !== 'string') return false;
-      return str.length >= 20 && /^[A-Za-z0-9+/=]+$/.test(str) && str.length % 4 === 0;
-    };
-
     const fetchTrip = async () => {
       // Don't wait for tripKey, if it's null just show encrypted data as-is
       // This prevents the screen from getting stuck on "Loading stops..."
@@ -120,43 +152,16 @@ export default function TripStopsScreen({ navigation, route }) {
         if (tripSnap.exists()) {
           const tripData = { id: tripSnap.id, ...tripSnap.data() };
           
-          // Decrypt trip metadata
-          if (tripData.encrypted && tripKey) {
-            try {
-              if (tripData.encryptedName && tripData.name && looksLikeBase64(tripData.name)) {
-                try {
-                  const decrypted = decrypt(tripData.name, tripKey);
-                  if (decrypted && decrypted.trim().length > 0) {
-                    tripData.name = decrypted.trim();
-                  } else {
-                    tripData.name = 'Unnamed Trip';
-                  }
-                } catch (decryptError) {
-                  console.error('Failed to decrypt trip name:', decryptError.message || decryptError);
-                  tripData.name = 'Unnamed Trip';
-                }
-              } else if (!tripData.name) {
-                tripData.name = 'Unnamed Trip';
-              }
-              
-              if (tripData.encryptedCategory && tripData.category && looksLikeBase64(tripData.category)) {
-                try {
-                  const decrypted = decrypt(tripData.category, tripKey);
-                  if (decrypted && decrypted.trim().length > 0) {
-                    tripData.category = decrypted.trim();
-                  }
-                } catch (decryptError) {
-                  console.error('Failed to decrypt trip category:', decryptError.message || decryptError);
-                }
-              }
-            } catch (error) {
-              console.error('Error decrypting trip metadata:', error);
-            }
-          } else if (tripData.encrypted && !tripKey) {
-            // Trip is encrypted but key is not available
-            if (!tripData.name || (tripData.name && looksLikeBase64(tripData.name))) {
-              tripData.name = 'Unnamed Trip';
-            }
+          // Decrypt trip metadata; unreadable names show a fallback instead of ciphertext
+          tripData.name = decryptField(tripData.name, tripKey, {
+            encrypted: !!(tripData.encrypted && tripData.encryptedName),
+            fallback: 'Unnamed Trip',
+          });
+          if (tripData.category) {
+            tripData.category = decryptField(tripData.category, tripKey, {
+              encrypted: !!(tripData.encrypted && tripData.encryptedCategory),
+              fallback: '',
+            });
           }
           
           setTrip(tripData);
@@ -188,71 +193,17 @@ export default function TripStopsScreen({ navigation, route }) {
           snapshot.docs.map(async (doc) => {
             const data = doc.data();
             
-            // Decrypt title and address if encrypted
-            let title = data.title;
-            let address = data.address;
-            
-            // Helper to check if string looks like base64 (encrypted) - defined outside to avoid scope issues
-            const looksLikeBase64 = (str) => {
-              if (!str || typeof str !== 'string') return false;
-              return str.length >= 20 && /^[A-Za-z0-9+/=]+$/.test(str) && str.length % 4 === 0;
-            };
-            
-            if (data.encrypted && tripKey) {
-              try {
-                if (data.encryptedTitle && data.title && looksLikeBase64(data.title)) {
-                  try {
-                    const decrypted = decrypt(data.title, tripKey);
-                    if (decrypted && decrypted.trim().length > 0) {
-                      title = decrypted.trim();
-                    } else {
-                      title = 'Unnamed Stop';
-                    }
-                  } catch (decryptError) {
-                    console.error('Failed to decrypt stop title:', decryptError.message || decryptError);
-                    title = 'Unnamed Stop';
-                  }
-                } else if (!data.title) {
-                  title = 'Unnamed Stop';
-                }
-                
-                if (data.encryptedAddress && data.address && looksLikeBase64(data.address)) {
-                  try {
-                    const decrypted = decrypt(data.address, tripKey);
-                    if (decrypted && decrypted.trim().length > 0) {
-                      address = decrypted.trim();
-                    } else {
-                      // If decryption returns empty, show fallback
-                      address = 'Address unavailable';
-                    }
-                  } catch (decryptError) {
-                    console.error('Failed to decrypt stop address:', decryptError.message || decryptError);
-                    // Show fallback instead of encrypted string
-                    address = 'Address unavailable';
-                  }
-                } else if (data.encryptedAddress && data.address && !looksLikeBase64(data.address)) {
-                  // Address is marked as encrypted but doesn't look encrypted - might be plaintext
-                  // Keep it as-is
-                }
-              } catch (error) {
-                console.error('Error decrypting itinerary item:', error);
-                // Show fallbacks if decryption fails
-                if (!title || (title && looksLikeBase64(title))) {
-                  title = 'Unnamed Stop';
-                }
-                if (!address || (address && looksLikeBase64(address))) {
-                  address = 'Address unavailable';
-                }
-              }
-            } else if (data.encrypted && !tripKey) {
-              // Encrypted but no key - show fallback
-              if (!data.title || (data.title && looksLikeBase64(data.title))) {
-                title = 'Unnamed Stop';
-              }
-              if (!data.address || (data.address && looksLikeBase64(data.address))) {
-                address = 'Address unavailable';
-              }
-            }
+            // Decrypt title and address; unreadable values show a fallback instead of ciphertext
+            const title = decryptField(data.title, tripKey, {
+              encrypted: !!(data.encrypted && data.encryptedTitle),
+              fallback: 'Unnamed Stop',
+            });
+            const address = data.address
+              ? decryptField(data.address, tripKey, {
+                  encrypted: !!(data.encrypted && data.encryptedAddress),
+                  fallback: 'Address unavailable',
+                })
+              : data.address;
             
             return {
               id: doc.id,
@@ -320,9 +271,14 @@ export default function TripStopsScreen({ navigation, route }) {
             const entry = entrySnap.data();
             const mediaUrls = entry.mediaUrls || [];
             
-            // Count images and videos separately
-            const imageCount = mediaUrls.filter(url => !isVideoUrl(url)).length;
-            const videoCount = mediaUrls.filter(url => isVideoUrl(url)).length;
+            // Count images and videos separately; encrypted media records its type
+            // because its file name no longer reveals it
+            const imageCount = Array.isArray(entry.media)
+              ? entry.media.filter(m => m.type !== 'video').length
+              : mediaUrls.filter(url => !isVideoUrl(url)).length;
+            const videoCount = Array.isArray(entry.media)
+              ? entry.media.filter(m => m.type === 'video').length
+              : mediaUrls.filter(url => isVideoUrl(url)).length;
             const hasNotes = !!(entry.notes && entry.notes.trim());
             
             entryData[item.id] = {
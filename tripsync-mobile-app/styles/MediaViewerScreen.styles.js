@@ -3,6 +3,7 @@
  * 
  * Style definitions for the MediaViewerScreen component including:
  * - Container styles for full-screen media viewing
+ * - Loading state while encrypted media is decrypted
  */
 
 import { StyleSheet } from 'react-native';
@@ -12,4 +13,8 @@ export const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#000',
   },
+  loading: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
 });
@@ -4,6 +4,8 @@
  * Style definitions for the SettingsScreen component including:
  * - Container and layout styles
  * - Label and button row styles for settings options
+ * - Passphrase input and status message styles for the encryption key section
+ * - Recovery phrase word grid and restore input styles
  */
 
 import { StyleSheet } from 'react-native';
@@ -24,4 +26,46 @@ export const styles = StyleSheet.create({
     flexDirection: 'row',
     gap: 10,
   },
+  description: {
+    fontSize: 14,
+    marginBottom: 12,
+    color: '#666',
+  },
+  input: {
+    height: 44,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  recoverySection: {
+    marginTop: 16,
+  },
+  phraseGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  phraseWord: {
+    width: '33%',
+    paddingVertical: 4,
+    fontSize: 14,
+    fontFamily: 'monospace',
+    color: theme.textDark,
+  },
+  phraseInput: {
+    height: 88,
+    paddingTop: 10,
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    marginTop: 10,
+    color: '#c0392b',
+  },
+  successText: {
+    marginTop: 10,
+    color: theme.accent,
+  },
 });
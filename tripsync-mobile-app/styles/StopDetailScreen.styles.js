@@ -110,6 +110,10 @@ export const styles = StyleSheet.create({
     height: '100%',
     backgroundColor: '#f0f0f0',
   },
+  mediaPlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
   removeMediaButton: {
     position: 'absolute',
     top: 8,
@@ -2,16 +2,20 @@
  * End-to-End Encryption Utilities for Mobile App
  * 
  * Provides encryption and decryption functions using tweetnacl secretbox (XSalsa20-Poly1305).
- * Handles user master key management with cross-device synchronization via Firestore,
- * and trip key storage in local AsyncStorage.
+ * Handles the user's X25519 keypair (tweetnacl box) and trip key storage in local AsyncStorage.
+ * Only the public key is published; the private key is kept under a device key and can be
+ * synced as a passphrase-encrypted copy, or restored from a copy encrypted with a BIP-39
+ * recovery phrase. The web app uses the same scheme.
  */
 
 import nacl from 'tweetnacl';
 import * as Crypto from 'expo-crypto';
 import { encode as base64Encode, decode as base64Decode } from 'base-64';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { entropyToMnemonic, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
 import { db } from '../FirebaseConfig';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { doc, getDoc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
 
 // Setting up polyfill for tweetnacl's random number generator
 // tweetnacl requires crypto.getRandomValues which isn't available in React Native
@@ -26,6 +30,41 @@ nacl.setPRNG((x, n) => {
 const KEY_SIZE = 32;
 // Nonce size for secretbox (24 bytes)
 const NONCE_SIZE = 24;
+// Encrypted values are self-describing envelopes:
+//   tse<format>:<algorithm>:k<key version>:<associated data, base64url>:<base64 nonce + box>
+// so readers can tell ciphertext from plaintext without guessing
+const ENVELOPE_FORMAT = 1;
+const ENVELOPE_ALGORITHM = 'xsalsa20-poly1305';
+const ENVELOPE_PATTERN = /^tse(\d+):([a-z0-9-]+):k(\d+):([A-Za-z0-9_-]*):([A-Za-z0-9+/]+={0,2})$/;
+// Bytes of the associated data digest sealed in front of the message
+const AD_DIGEST_SIZE = 32;
+// Legacy values are bare base64, tagged "k2:<base64>" after a key rotation;
+// untagged ones belong to version 1. The envelope migration upgrades them in place
+const KEY_VERSION_TAG = /^k(\d+):/;
+// Salt size for passphrase key derivation
+const SALT_SIZE = 16;
+// PBKDF2-HMAC-SHA512 rounds for new passphrase-protected private keys
+const PASSPHRASE_ITERATIONS = 50000;
+// SHA-512 block size used by HMAC
+const HMAC_BLOCK_SIZE = 128;
+// Recovery phrase entropy in bytes (256 bits, 24 words)
+const RECOVERY_ENTROPY_SIZE = 32;
+// PBKDF2 rounds for recovery phrase backups; the phrase itself carries full entropy
+const RECOVERY_ITERATIONS = 2048;
+
+/**
+ * Converts bytes to a base64 string
+ */
+function bytesToBase64(bytes) {
+  return base64Encode(String.fromCharCode(...bytes));
+}
+
+/**
+ * Converts a base64 string to bytes
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(base64Decode(base64).split('').map(c => c.charCodeAt(0)));
+}
 
 /**
  * Generate a new encryption key
@@ -37,27 +76,131 @@ export function generateKey() {
 }
 
 /**
- * Encrypt text data
+ * Builds a keyring holding every version of a trip key
+ * @param {Object<number, string>} keys - Base64 keys by version
+ * @param {number} currentVersion - Version used for new encryptions
+ * @returns {{currentVersion: number, keys: Object<number, string>}}
+ */
+export function createKeyring(keys, currentVersion) {
+  return { currentVersion, keys: { ...keys } };
+}
+
+/**
+ * Checks whether a value is a keyring rather than a single base64 key
+ */
+export function isKeyring(value) {
+  return !!value && typeof value === 'object' && typeof value.keys === 'object';
+}
+
+/**
+ * Encodes associated data for the envelope header
+ */
+function textToBase64Url(text) {
+  return bytesToBase64(new TextEncoder().encode(text))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decodes associated data from the envelope header
+ */
+function base64UrlToText(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return new TextDecoder().decode(base64ToBytes(base64 + '='.repeat((4 - (base64.length % 4)) % 4)));
+}
+
+/**
+ * Digest of the associated data, sealed with the message so the plaintext
+ * header cannot be swapped without decryption failing
+ */
+function associatedDataDigest(associatedData) {
+  return nacl.hash(new TextEncoder().encode(associatedData)).subarray(0, AD_DIGEST_SIZE);
+}
+
+/**
+ * Decodes an encrypted value's envelope without decrypting it
+ * This is the one check for whether a stored value is ciphertext
+ * @param {string} value - Stored field value
+ * @returns {{format: number, algorithm: string, keyVersion: number, associatedData: string|null, payload: string}|null}
+ *   Envelope fields, or null if the value is not an envelope
+ */
+export function decodeEnvelope(value) {
+  const match = typeof value === 'string' ? value.match(ENVELOPE_PATTERN) : null;
+  if (!match) return null;
+  return {
+    format: Number(match[1]),
+    algorithm: match[2],
+    keyVersion: Number(match[3]),
+    associatedData: match[4] ? base64UrlToText(match[4]) : null,
+    payload: match[5],
+  };
+}
+
+/**
+ * Gets the trip key version an encrypted value was produced with
+ * @param {string} encryptedData - Envelope or legacy encrypted value
+ * @returns {number} Key version (1 for untagged legacy values)
+ */
+export function getKeyVersion(encryptedData) {
+  const envelope = decodeEnvelope(encryptedData);
+  if (envelope) return envelope.keyVersion;
+  const match = typeof encryptedData === 'string' ? encryptedData.match(KEY_VERSION_TAG) : null;
+  return match ? Number(match[1]) : 1;
+}
+
+/**
+ * Resolves the base64 key to use for a version
+ * Plain keys are used as-is so callers holding a single key keep working
+ */
+function resolveKey(keyOrKeyring, version) {
+  if (!isKeyring(keyOrKeyring)) return keyOrKeyring;
+  const key = keyOrKeyring.keys[version];
+  if (!key) {
+    throw new Error(`Trip key version ${version} not available`);
+  }
+  return key;
+}
+
+/**
+ * Get the raw bytes of a trip key version, for encrypting binary data such as media
+ * @param {string|Object} keyOrKeyring - Base64 encoded key or trip keyring
+ * @param {number} [version] - Key version, defaults to the keyring's current version
+ * @returns {Uint8Array} 32-byte secretbox key
+ */
+export function getKeyBytes(keyOrKeyring, version) {
+  const resolvedVersion = version ?? (isKeyring(keyOrKeyring) ? keyOrKeyring.currentVersion : 1);
+  const keyBytes = base64ToBytes(resolveKey(keyOrKeyring, resolvedVersion));
+  if (keyBytes.length !== KEY_SIZE) {
+    throw new Error('Invalid key size');
+  }
+  return keyBytes;
+}
+
+/**
+ * Encrypt text data into an envelope
+ * With a keyring, the current key version is used and recorded in the envelope
  * @param {string} plaintext - Text to encrypt
- * @param {string} keyBase64 - Base64 encoded encryption key
- * @returns {string} Base64 encoded encrypted data with nonce
+ * @param {string|Object} keyBase64 - Base64 encoded encryption key or trip keyring
+ * @param {string} [associatedData] - Context stored in the clear but bound to the ciphertext
+ * @returns {string} Envelope holding the nonce and encrypted data
  */
-export function encrypt(plaintext, keyBase64) {
+export function encrypt(plaintext, keyBase64, associatedData = null) {
   try {
-    // Decode key from base64
-    const keyBytes = Uint8Array.from(
-      base64Decode(keyBase64).split('').map(c => c.charCodeAt(0))
-    );
-    
-    if (keyBytes.length !== KEY_SIZE) {
-      throw new Error('Invalid key size');
-    }
+    const version = isKeyring(keyBase64) ? keyBase64.currentVersion : 1;
+    const keyBytes = getKeyBytes(keyBase64, version);
     
     // Generate random nonce
     const nonce = nacl.randomBytes(NONCE_SIZE);
     
-    // Convert plaintext to Uint8Array
-    const messageBytes = new TextEncoder().encode(plaintext);
+    // Convert plaintext to Uint8Array, behind the associated data digest if there is one
+    let messageBytes = new TextEncoder().encode(plaintext);
+    if (associatedData !== null) {
+      const bound = new Uint8Array(AD_DIGEST_SIZE + messageBytes.length);
+      bound.set(associatedDataDigest(associatedData), 0);
+      bound.set(messageBytes, AD_DIGEST_SIZE);
+      messageBytes = bound;
+    }
     
     // Encrypt using secretbox
     const encrypted = nacl.secretbox(messageBytes, nonce, keyBytes);
@@ -71,8 +214,8 @@ export function encrypt(plaintext, keyBase64) {
     combined.set(nonce, 0);
     combined.set(encrypted, NONCE_SIZE);
     
-    // Return as base64
-    return base64Encode(String.fromCharCode(...combined));
+    const header = associatedData !== null ? textToBase64Url(associatedData) : '';
+    return `tse${ENVELOPE_FORMAT}:${ENVELOPE_ALGORITHM}:k${version}:${header}:${bytesToBase64(combined)}`;
   } catch (error) {
     console.error('Encryption error:', error);
     throw error;
@@ -80,35 +223,44 @@ export function encrypt(plaintext, keyBase64) {
 }
 
 /**
- * Decrypt encrypted data
- * @param {string} encryptedData - Base64 encoded encrypted data with nonce
- * @param {string} keyBase64 - Base64 encoded decryption key
+ * Decrypt an envelope, or a legacy value written before envelopes
+ * With a keyring, the key is picked by the version recorded on the data
+ * @param {string} encryptedData - Envelope or legacy base64 encrypted data
+ * @param {string|Object} keyBase64 - Base64 encoded decryption key or trip keyring
+ * @param {string} [associatedData] - Associated data the envelope must carry
  * @returns {string} Decrypted plaintext
  */
-export function decrypt(encryptedData, keyBase64) {
+export function decrypt(encryptedData, keyBase64, associatedData) {
   try {
     // Validate inputs
     if (!encryptedData || typeof encryptedData !== 'string' || encryptedData.trim().length === 0) {
       throw new Error('Invalid encrypted data: empty or not a string');
     }
     
-    if (!keyBase64 || typeof keyBase64 !== 'string' || keyBase64.trim().length === 0) {
+    const envelope = decodeEnvelope(encryptedData);
+    if (envelope) {
+      if (envelope.format > ENVELOPE_FORMAT) {
+        throw new Error(`Unsupported envelope format ${envelope.format}`);
+      }
+      if (envelope.algorithm !== ENVELOPE_ALGORITHM) {
+        throw new Error(`Unsupported encryption algorithm ${envelope.algorithm}`);
+      }
+    }
+    if (associatedData !== undefined && (envelope?.associatedData ?? null) !== associatedData) {
+      throw new Error('Associated data does not match');
+    }
+
+    const version = getKeyVersion(encryptedData);
+    const key = resolveKey(keyBase64, version);
+
+    if (!key || typeof key !== 'string' || key.trim().length === 0) {
       throw new Error('Invalid key: empty or not a string');
     }
     
-    // Decode key from base64
-    const keyBytes = Uint8Array.from(
-      base64Decode(keyBase64).split('').map(c => c.charCodeAt(0))
-    );
-    
-    if (keyBytes.length !== KEY_SIZE) {
-      throw new Error('Invalid key size');
-    }
+    const keyBytes = getKeyBytes(key);
     
     // Decode encrypted data from base64
-    const combinedBytes = Uint8Array.from(
-      base64Decode(encryptedData).split('').map(c => c.charCodeAt(0))
-    );
+    const combinedBytes = base64ToBytes(envelope ? envelope.payload : encryptedData.replace(KEY_VERSION_TAG, ''));
     
     // Validate minimum length (nonce + at least some encrypted data)
     if (combinedBytes.length < NONCE_SIZE + 16) {
@@ -120,11 +272,20 @@ export function decrypt(encryptedData, keyBase64) {
     const encrypted = combinedBytes.slice(NONCE_SIZE);
     
     // Decrypt using secretbox
-    const decrypted = nacl.secretbox.open(encrypted, nonce, keyBytes);
+    let decrypted = nacl.secretbox.open(encrypted, nonce, keyBytes);
     
     if (!decrypted) {
       throw new Error('Decryption failed: wrong key or corrupted data');
     }
+
+    // The sealed digest proves the associated data in the header was not replaced
+    if (envelope?.associatedData != null) {
+      const digest = decrypted.subarray(0, AD_DIGEST_SIZE);
+      if (digest.length !== AD_DIGEST_SIZE || !nacl.verify(digest, associatedDataDigest(envelope.associatedData))) {
+        throw new Error('Decryption failed: associated data was modified');
+      }
+      decrypted = decrypted.subarray(AD_DIGEST_SIZE);
+    }
     
     // Convert to string
     const decryptedText = new TextDecoder().decode(decrypted);
@@ -137,7 +298,7 @@ export function decrypt(encryptedData, keyBase64) {
   } catch (error) {
     console.error('Decryption error:', error.message, {
       encryptedDataLength: encryptedData?.length,
-      keyLength: keyBase64?.length,
+      keyVersion: getKeyVersion(encryptedData),
       error: error.message
     });
     throw error;
@@ -145,14 +306,40 @@ export function decrypt(encryptedData, keyBase64) {
 }
 
 /**
- * Encrypt a key with a user's master key
+ * Read a stored field for display
+ * Envelopes are always decrypted. Other values are plaintext unless the
+ * document marks the field as encrypted, in which case they are legacy
+ * ciphertext that the envelope migration has not reached yet. Anything that
+ * cannot be read yields the fallback rather than raw ciphertext.
+ * @param {string} value - Stored field value
+ * @param {string|Object|null} key - Trip key or keyring, if available
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypted] - Whether the document marks the field as encrypted
+ * @param {*} [options.fallback] - Returned when the value is empty or cannot be read
+ * @param {string} [options.associatedData] - Associated data the envelope must carry
+ * @returns {string|*} Plaintext, or the fallback
+ */
+export function decryptField(value, key, { encrypted = false, fallback = null, associatedData } = {}) {
+  if (typeof value !== 'string' || value.length === 0) return fallback;
+  if (!decodeEnvelope(value) && !encrypted) return value;
+  if (!key) return fallback;
+  try {
+    const text = decrypt(value, key, associatedData).trim();
+    return text.length > 0 ? text : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Encrypt a key with a symmetric wrapping key (device, passphrase or legacy master key)
  */
 export function encryptKey(keyToEncrypt, masterKey) {
   return encrypt(keyToEncrypt, masterKey);
 }
 
 /**
- * Decrypt a key that was encrypted with a user's master key
+ * Decrypt a key that was encrypted with a symmetric wrapping key
  */
 export function decryptKey(encryptedKeyData, masterKey) {
   return decrypt(encryptedKeyData, masterKey);
@@ -173,98 +360,420 @@ export function importKey(keyData) {
 }
 
 /**
- * Gets or generates user's master key, syncing across devices via Firestore
- * Checks Firestore first to ensure same key is used as web app, then falls back to local storage
- * @param {string} userId - User ID
- * @returns {Promise<string>} Master key in base64 format
+ * Generates a new X25519 keypair
+ * @returns {{publicKey: string, secretKey: string}} Base64 encoded keys
  */
-export async function getUserMasterKey(userId) {
-  const storageKey = `masterKey_${userId}`;
-  
-  // Checking Firestore first to ensure same key is used as web app
-  try {
-    const masterKeyRef = doc(db, 'users', userId, 'settings', 'masterKey');
-    const masterKeyDoc = await getDoc(masterKeyRef);
-    
-    if (masterKeyDoc.exists()) {
-      const keyData = masterKeyDoc.data();
-      if (keyData.key) {
-        // Found in Firestore - use it and store locally (this is the source of truth)
-        console.log('Using master key from Firestore (synced with web app)');
-        await AsyncStorage.setItem(storageKey, keyData.key);
-        return keyData.key;
-      }
+export function generateKeyPair() {
+  const keyPair = nacl.box.keyPair();
+  return {
+    publicKey: bytesToBase64(keyPair.publicKey),
+    secretKey: bytesToBase64(keyPair.secretKey),
+  };
+}
+
+/**
+ * Seals a key to a recipient's public key using a fresh ephemeral keypair
+ * @param {string} keyToSeal - Base64 encoded key
+ * @param {string} recipientPublicKey - Recipient's base64 encoded public key
+ * @returns {string} Base64 of ephemeral public key + nonce + box
+ */
+export function sealKey(keyToSeal, recipientPublicKey) {
+  const ephemeral = nacl.box.keyPair();
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const boxed = nacl.box(
+    new TextEncoder().encode(keyToSeal),
+    nonce,
+    base64ToBytes(recipientPublicKey),
+    ephemeral.secretKey
+  );
+
+  const combined = new Uint8Array(nacl.box.publicKeyLength + nonce.length + boxed.length);
+  combined.set(ephemeral.publicKey, 0);
+  combined.set(nonce, nacl.box.publicKeyLength);
+  combined.set(boxed, nacl.box.publicKeyLength + nonce.length);
+  return bytesToBase64(combined);
+}
+
+/**
+ * Opens a key sealed with sealKey
+ * @param {string} sealedKey - Output of sealKey
+ * @param {{secretKey: string}} keyPair - Recipient's keypair
+ * @returns {string} Base64 encoded key
+ */
+export function openSealedKey(sealedKey, keyPair) {
+  const combined = base64ToBytes(sealedKey);
+  const nonceEnd = nacl.box.publicKeyLength + nacl.box.nonceLength;
+  const opened = nacl.box.open(
+    combined.slice(nonceEnd),
+    combined.slice(nacl.box.publicKeyLength, nonceEnd),
+    combined.slice(0, nacl.box.publicKeyLength),
+    base64ToBytes(keyPair.secretKey)
+  );
+
+  if (!opened) {
+    throw new Error('Could not open sealed key: wrong keypair or corrupted data');
+  }
+  return new TextDecoder().decode(opened);
+}
+
+/**
+ * HMAC-SHA512 built on tweetnacl's SHA-512
+ */
+function hmacSha512(key, message) {
+  const blockKey = key.length > HMAC_BLOCK_SIZE ? nacl.hash(key) : key;
+  const inner = new Uint8Array(HMAC_BLOCK_SIZE + message.length);
+  const outer = new Uint8Array(HMAC_BLOCK_SIZE + nacl.hash.hashLength);
+  for (let i = 0; i < HMAC_BLOCK_SIZE; i++) {
+    const byte = i < blockKey.length ? blockKey[i] : 0;
+    inner[i] = byte ^ 0x36;
+    outer[i] = byte ^ 0x5c;
+  }
+  inner.set(message, HMAC_BLOCK_SIZE);
+  outer.set(nacl.hash(inner), HMAC_BLOCK_SIZE);
+  return nacl.hash(outer);
+}
+
+/**
+ * Derives a secretbox key from a passphrase with PBKDF2-HMAC-SHA512
+ * Implemented on tweetnacl so web and mobile derive identical keys
+ * @param {string} passphrase - User passphrase
+ * @param {string} saltBase64 - Base64 encoded salt
+ * @param {number} [iterations] - PBKDF2 rounds
+ * @returns {string} Base64 encoded 32-byte key
+ */
+export function deriveKeyFromPassphrase(passphrase, saltBase64, iterations = PASSPHRASE_ITERATIONS) {
+  const password = new TextEncoder().encode(passphrase);
+  const salt = base64ToBytes(saltBase64);
+
+  // A single PBKDF2 block covers the 32-byte output
+  const firstBlock = new Uint8Array(salt.length + 4);
+  firstBlock.set(salt, 0);
+  firstBlock[salt.length + 3] = 1;
+
+  let u = hmacSha512(password, firstBlock);
+  const derived = u.slice(0, KEY_SIZE);
+  for (let i = 1; i < iterations; i++) {
+    u = hmacSha512(password, u);
+    for (let j = 0; j < KEY_SIZE; j++) {
+      derived[j] ^= u[j];
     }
+  }
+  return bytesToBase64(derived);
+}
+
+/**
+ * Gets this device's key for protecting locally stored secrets, creating it if needed
+ */
+async function getDeviceKey(userId) {
+  const storageKey = `deviceKey_${userId}`;
+  let deviceKey = await AsyncStorage.getItem(storageKey);
+  if (!deviceKey) {
+    deviceKey = generateKey();
+    await AsyncStorage.setItem(storageKey, deviceKey);
+  }
+  return deviceKey;
+}
+
+/**
+ * Loads the user's keypair from local storage
+ * @returns {Promise<{publicKey: string, secretKey: string}|null>}
+ */
+async function getLocalKeyPair(userId) {
+  const stored = await AsyncStorage.getItem(`keyPair_${userId}`);
+  if (!stored) return null;
+  try {
+    const { publicKey, encryptedSecretKey } = JSON.parse(stored);
+    return { publicKey, secretKey: decryptKey(encryptedSecretKey, await getDeviceKey(userId)) };
   } catch (error) {
-    console.warn('Failed to get master key from Firestore:', error);
-    // Continue to check local storage as fallback
+    console.warn('Stored keypair could not be unlocked on this device:', error.message);
+    return null;
   }
-  
-  // Fallback: Check local storage if Firestore doesn't have it
-  let stored = await AsyncStorage.getItem(storageKey);
-  
-  if (stored) {
-    // Local key exists but Firestore doesn't - sync it to Firestore
-    try {
-      const masterKeyRef = doc(db, 'users', userId, 'settings', 'masterKey');
-      await setDoc(masterKeyRef, {
-        key: stored,
-        syncedAt: new Date(),
-      });
-      console.log('Synced local master key to Firestore');
-    } catch (error) {
-      console.warn('Failed to sync master key to Firestore:', error);
-      // Still return the local key even if sync fails
-    }
-    return stored;
+}
+
+/**
+ * Saves the user's keypair locally, with the private key under the device key
+ */
+async function storeLocalKeyPair(userId, keyPair) {
+  const deviceKey = await getDeviceKey(userId);
+  await AsyncStorage.setItem(`keyPair_${userId}`, JSON.stringify({
+    publicKey: keyPair.publicKey,
+    encryptedSecretKey: encryptKey(keyPair.secretKey, deviceKey),
+  }));
+}
+
+/**
+ * Gets a user's published public key
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Base64 encoded public key, or null if none is published
+ */
+export async function getUserPublicKey(userId) {
+  const userDoc = await getDoc(doc(db, 'users', userId));
+  return userDoc.exists() ? userDoc.data().encryptionPublicKey || null : null;
+}
+
+/**
+ * Gets the current user's keypair, generating and publishing one on first use
+ * Returns null when the keypair was created on another device and must be
+ * unlocked with the user's passphrase first
+ * @param {string} userId - User ID
+ * @returns {Promise<{publicKey: string, secretKey: string}|null>}
+ */
+export async function getUserKeyPair(userId) {
+  const localKeyPair = await getLocalKeyPair(userId);
+  if (localKeyPair) {
+    return localKeyPair;
   }
-  
-  // Not found anywhere - generate new master key
-  console.log('Generating new master key');
-  const masterKey = generateKey();
-  await AsyncStorage.setItem(storageKey, masterKey);
-  
-  // Store in Firestore for cross-device sync
+
+  const publishedKey = await getUserPublicKey(userId);
+  if (publishedKey) {
+    console.log('Keypair exists on another device, passphrase unlock required');
+    return null;
+  }
+
+  console.log('Generating new encryption keypair');
+  const keyPair = generateKeyPair();
+  await storeLocalKeyPair(userId, keyPair);
+  await setDoc(doc(db, 'users', userId), {
+    encryptionPublicKey: keyPair.publicKey,
+    encryptionKeyCreatedAt: serverTimestamp(),
+  }, { merge: true });
+
+  return keyPair;
+}
+
+/**
+ * Describes where the user's keypair is available
+ * @param {string} userId - User ID
+ * @returns {Promise<{status: 'unlocked'|'locked'|'none', hasPassphrase: boolean, hasRecoveryPhrase: boolean}>}
+ */
+export async function getKeyPairStatus(userId) {
+  const [publishedKey, passphraseDoc, recoveryDoc, localKeyPair] = await Promise.all([
+    getUserPublicKey(userId),
+    getDoc(doc(db, 'users', userId, 'settings', 'keyPair')),
+    getDoc(doc(db, 'users', userId, 'settings', 'keyBackup')),
+    getLocalKeyPair(userId),
+  ]);
+  const hasPassphrase = passphraseDoc.exists() && !!passphraseDoc.data().encryptedSecretKey;
+  const hasRecoveryPhrase = recoveryDoc.exists() && !!recoveryDoc.data().encryptedSecretKey;
+
+  if (localKeyPair) return { status: 'unlocked', hasPassphrase, hasRecoveryPhrase };
+  return { status: publishedKey ? 'locked' : 'none', hasPassphrase, hasRecoveryPhrase };
+}
+
+/**
+ * Encrypts a keypair's private key with a key derived from a secret
+ * @returns {Object} Fields for a Firestore key backup document
+ */
+function wrapKeyPair(keyPair, secret, iterations) {
+  const salt = bytesToBase64(nacl.randomBytes(SALT_SIZE));
+  const wrappingKey = deriveKeyFromPassphrase(secret, salt, iterations);
+
+  return {
+    publicKey: keyPair.publicKey,
+    encryptedSecretKey: encryptKey(keyPair.secretKey, wrappingKey),
+    salt,
+    iterations,
+    kdf: 'pbkdf2-sha512',
+    updatedAt: serverTimestamp(),
+  };
+}
+
+/**
+ * Decrypts a key backup document with its secret and checks it against its public key
+ * @returns {{publicKey: string, secretKey: string}}
+ */
+function unwrapKeyPair(backup, secret, wrongSecretMessage) {
+  const { publicKey, encryptedSecretKey, salt, iterations } = backup;
+  const wrappingKey = deriveKeyFromPassphrase(secret, salt, iterations);
+
+  let secretKey;
   try {
-    const masterKeyRef = doc(db, 'users', userId, 'settings', 'masterKey');
-    await setDoc(masterKeyRef, {
-      key: masterKey,
-      syncedAt: new Date(),
-    });
-    console.log('Stored new master key in Firestore');
+    secretKey = decryptKey(encryptedSecretKey, wrappingKey);
+  } catch {
+    throw new Error(wrongSecretMessage);
+  }
+
+  const derivedPublicKey = bytesToBase64(nacl.box.keyPair.fromSecretKey(base64ToBytes(secretKey)).publicKey);
+  if (derivedPublicKey !== publicKey) {
+    throw new Error('Stored key does not match the published public key');
+  }
+
+  return { publicKey, secretKey };
+}
+
+/**
+ * Protects the user's private key with a passphrase so other devices can unlock it
+ * Only the passphrase-encrypted private key and public key are stored in Firestore
+ * @param {string} userId - User ID
+ * @param {string} passphrase - New passphrase
+ */
+export async function setKeyPassphrase(userId, passphrase) {
+  const keyPair = await getUserKeyPair(userId);
+  if (!keyPair) {
+    throw new Error('Unlock your encryption key on this device before changing the passphrase');
+  }
+
+  await setDoc(
+    doc(db, 'users', userId, 'settings', 'keyPair'),
+    wrapKeyPair(keyPair, passphrase, PASSPHRASE_ITERATIONS)
+  );
+}
+
+/**
+ * Unlocks the user's keypair on this device with their passphrase
+ * @param {string} userId - User ID
+ * @param {string} passphrase - Passphrase set with setKeyPassphrase
+ * @returns {Promise<{publicKey: string, secretKey: string}>}
+ */
+export async function unlockKeyPair(userId, passphrase) {
+  const backupDoc = await getDoc(doc(db, 'users', userId, 'settings', 'keyPair'));
+  if (!backupDoc.exists() || !backupDoc.data().encryptedSecretKey) {
+    throw new Error('No passphrase-protected key found. Set a passphrase on a device that has your key.');
+  }
+
+  const keyPair = unwrapKeyPair(backupDoc.data(), passphrase, 'Incorrect passphrase');
+  await storeLocalKeyPair(userId, keyPair);
+  return keyPair;
+}
+
+/**
+ * Normalizes a recovery phrase as typed by the user: lowercase, single spaces
+ * @param {string} phrase - Recovery phrase
+ * @returns {string}
+ */
+export function normalizeRecoveryPhrase(phrase) {
+  return (phrase || '').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Checks that a recovery phrase is made of valid words with a matching checksum
+ * @param {string} phrase - Recovery phrase
+ * @returns {boolean}
+ */
+export function isValidRecoveryPhrase(phrase) {
+  return validateMnemonic(normalizeRecoveryPhrase(phrase), wordlist);
+}
+
+/**
+ * Generates a new recovery phrase and stores a backup of the user's keypair encrypted with it
+ *
+ * The phrase is returned once for the user to write down and is never stored;
+ * generating a new phrase replaces the previous backup.
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} 24-word recovery phrase
+ */
+export async function createKeyBackup(userId) {
+  const keyPair = await getUserKeyPair(userId);
+  if (!keyPair) {
+    throw new Error('Unlock your encryption key on this device before creating a recovery phrase');
+  }
+
+  const phrase = entropyToMnemonic(nacl.randomBytes(RECOVERY_ENTROPY_SIZE), wordlist);
+  await setDoc(doc(db, 'users', userId, 'settings', 'keyBackup'), {
+    ...wrapKeyPair(keyPair, phrase, RECOVERY_ITERATIONS),
+    method: 'bip39',
+  });
+
+  return phrase;
+}
+
+/**
+ * Restores the user's keypair on this device from their recovery phrase backup
+ * @param {string} userId - User ID
+ * @param {string} phrase - Recovery phrase returned by createKeyBackup
+ * @returns {Promise<{publicKey: string, secretKey: string}>}
+ */
+export async function restoreKeyBackup(userId, phrase) {
+  const normalized = normalizeRecoveryPhrase(phrase);
+  if (!validateMnemonic(normalized, wordlist)) {
+    throw new Error('Recovery phrase is not valid. Check the spelling and order of the words.');
+  }
+
+  const backupDoc = await getDoc(doc(db, 'users', userId, 'settings', 'keyBackup'));
+  if (!backupDoc.exists() || !backupDoc.data().encryptedSecretKey) {
+    throw new Error('No recovery phrase backup found for this account');
+  }
+
+  const keyPair = unwrapKeyPair(backupDoc.data(), normalized, 'Recovery phrase does not match your key backup');
+  await storeLocalKeyPair(userId, keyPair);
+  return keyPair;
+}
+
+/**
+ * Gets the user's pre-keypair master key, if one still exists, for migrating old trip keys
+ * Never generates a new master key
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>}
+ */
+export async function getLegacyMasterKey(userId) {
+  const stored = await AsyncStorage.getItem(`masterKey_${userId}`);
+  if (stored) return stored;
+
+  try {
+    const masterKeyDoc = await getDoc(doc(db, 'users', userId, 'settings', 'masterKey'));
+    if (masterKeyDoc.exists() && masterKeyDoc.data().key) {
+      return masterKeyDoc.data().key;
+    }
   } catch (error) {
-    console.warn('Failed to store master key in Firestore:', error);
+    console.warn('Failed to read legacy master key:', error);
   }
-  
-  return masterKey;
+  return null;
 }
 
 /**
- * Gets trip key from local storage (decrypted with master key)
+ * Deletes the legacy plaintext master key once all trip keys are migrated
+ * @param {string} userId - User ID
+ */
+export async function clearLegacyMasterKey(userId) {
+  await deleteDoc(doc(db, 'users', userId, 'settings', 'masterKey'));
+  await AsyncStorage.removeItem(`masterKey_${userId}`);
+}
+
+/**
+ * Gets trip keyring from local storage (decrypted with the device key)
+ * Entries saved before key rotation hold a single key and load as version 1
  * @param {string} tripId - Trip ID
  * @param {string} userId - User ID
- * @returns {Promise<string|null>} Decrypted trip key or null if not found
+ * @returns {Promise<Object|null>} Trip keyring or null if not found
  */
 export async function getTripKey(tripId, userId) {
   const storageKey = `tripKey_${tripId}_${userId}`;
   const stored = await AsyncStorage.getItem(storageKey);
   
   if (stored) {
-    const masterKey = await getUserMasterKey(userId);
-    return decryptKey(stored, masterKey);
+    let decrypted;
+    try {
+      decrypted = decryptKey(stored, await getDeviceKey(userId));
+    } catch {
+      // Entries written before keypairs were protected with the legacy master key
+      const legacyMasterKey = await AsyncStorage.getItem(`masterKey_${userId}`);
+      if (!legacyMasterKey) return null;
+      try {
+        decrypted = decryptKey(stored, legacyMasterKey);
+      } catch {
+        return null;
+      }
+    }
+
+    if (decrypted.startsWith('{')) {
+      const { currentVersion, keys } = JSON.parse(decrypted);
+      return createKeyring(keys, currentVersion);
+    }
+    return createKeyring({ 1: decrypted }, 1);
   }
   return null;
 }
 
 /**
- * Stores trip key in local storage encrypted with user's master key
+ * Stores trip key or keyring in local storage encrypted with the device key
  * @param {string} tripId - Trip ID
  * @param {string} userId - User ID
- * @param {string} tripKey - Trip encryption key to store
+ * @param {string|Object} tripKey - Trip encryption key or keyring to store
  */
 export async function storeTripKey(tripId, userId, tripKey) {
-  const masterKey = await getUserMasterKey(userId);
-  const encrypted = encryptKey(tripKey, masterKey);
+  const deviceKey = await getDeviceKey(userId);
+  const payload = isKeyring(tripKey) ? JSON.stringify(tripKey) : tripKey;
+  const encrypted = encryptKey(payload, deviceKey);
   const storageKey = `tripKey_${tripId}_${userId}`;
   await AsyncStorage.setItem(storageKey, encrypted);
 }
@@ -0,0 +1,353 @@
+/**
+ * Media Encryption Utilities
+ * Encrypts photos and videos with the trip key in fixed-size chunks before
+ * upload, and decrypts downloaded media into the cache directory for display.
+ * Files are streamed through react-native-blob-util so a large video is never
+ * held in memory as a whole.
+ *
+ * Encrypted file layout (shared with the web app):
+ *   header (32 bytes): "TSM1" | key version (uint32 BE) | chunk size (uint32 BE) | nonce prefix (20 bytes)
+ *   chunks: secretbox(chunk, nonce prefix | chunk index (uint32 BE))
+ * The top bit of the chunk index marks the final chunk, so a truncated file
+ * fails to decrypt instead of silently losing its end.
+ */
+
+import nacl from 'tweetnacl';
+import * as Crypto from 'expo-crypto';
+import { encode as base64Encode, decode as base64Decode } from 'base-64';
+import ReactNativeBlobUtil from 'react-native-blob-util';
+import { getKeyBytes, isKeyring } from './encryption';
+
+// File signature for encrypted media
+const MAGIC = [0x54, 0x53, 0x4d, 0x31]; // "TSM1"
+// Header size: magic, key version, chunk size, nonce prefix
+const HEADER_SIZE = 32;
+// Random part of each chunk nonce; the remaining 4 bytes are the chunk index
+const NONCE_PREFIX_SIZE = 20;
+// Plaintext bytes per chunk; a multiple of 3 so files can be streamed as base64
+export const MEDIA_CHUNK_SIZE = 3 * 64 * 1024;
+// Bytes secretbox adds to every chunk
+const CHUNK_OVERHEAD = nacl.secretbox.overheadLength;
+// Set on the chunk index of the last chunk
+const FINAL_CHUNK_FLAG = 0x80000000;
+// Cache subdirectory for decrypted media
+const DECRYPTED_DIR = `${ReactNativeBlobUtil.fs.dirs.CacheDir}/tripsync-media`;
+// File extensions for decrypted media, so image and video views recognise them
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+};
+
+// Decryptions in progress or finished, keyed by URL
+const decryptedFiles = new Map();
+
+/**
+ * Converts bytes to base64 in slices, since whole chunks are too large to
+ * spread into String.fromCharCode
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return base64Encode(binary);
+}
+
+/**
+ * Converts a base64 string to bytes
+ */
+function base64ToBytes(base64) {
+  const binary = base64Decode(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Joins two byte arrays
+ */
+function concatBytes(a, b) {
+  const merged = new Uint8Array(a.length + b.length);
+  merged.set(a, 0);
+  merged.set(b, a.length);
+  return merged;
+}
+
+/**
+ * Build the nonce for a chunk from the file's nonce prefix and the chunk index
+ */
+function chunkNonce(noncePrefix, index, isFinal) {
+  const nonce = new Uint8Array(nacl.secretbox.nonceLength);
+  nonce.set(noncePrefix, 0);
+  new DataView(nonce.buffer).setUint32(NONCE_PREFIX_SIZE, (index | (isFinal ? FINAL_CHUNK_FLAG : 0)) >>> 0);
+  return nonce;
+}
+
+/**
+ * Streams a file as base64 pieces, waiting for each async handler before the
+ * next piece is processed so writes stay in order
+ * @param {string} path - File to read
+ * @param {(base64: string) => Promise<void>|void} onData - Called for each piece
+ * @returns {Promise<void>} Resolves once every piece has been handled
+ */
+function streamFile(path, onData) {
+  return new Promise((resolve, reject) => {
+    let queue = Promise.resolve();
+    let failed = false;
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      reject(error);
+    };
+
+    ReactNativeBlobUtil.fs.readStream(path, 'base64', MEDIA_CHUNK_SIZE)
+      .then((stream) => {
+        stream.open();
+        stream.onData((base64) => {
+          queue = queue.then(() => (failed ? null : onData(base64))).catch(fail);
+        });
+        stream.onError(fail);
+        stream.onEnd(() => {
+          queue.then(() => {
+            if (!failed) resolve();
+          });
+        });
+      })
+      .catch(fail);
+  });
+}
+
+/**
+ * Check whether bytes start with the encrypted media signature
+ * @param {Uint8Array} bytes - File bytes, or at least the first 4 of them
+ * @returns {boolean}
+ */
+export function isEncryptedMedia(bytes) {
+  return !!bytes && bytes.length >= MAGIC.length && MAGIC.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Create an encryptor that turns plaintext chunks into encrypted file parts
+ * Every chunk except the last must be exactly chunkSize bytes
+ * @param {string|Object} keyring - Trip key or keyring; its current version is used
+ * @param {number} [chunkSize] - Plaintext bytes per chunk
+ * @returns {{header: Uint8Array, keyVersion: number, encryptChunk: (chunk: Uint8Array, isFinal: boolean) => Uint8Array}}
+ */
+export function createMediaEncryptor(keyring, chunkSize = MEDIA_CHUNK_SIZE) {
+  const keyVersion = isKeyring(keyring) ? keyring.currentVersion : 1;
+  const keyBytes = getKeyBytes(keyring, keyVersion);
+  const noncePrefix = nacl.randomBytes(NONCE_PREFIX_SIZE);
+
+  const header = new Uint8Array(HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  header.set(MAGIC, 0);
+  view.setUint32(4, keyVersion);
+  view.setUint32(8, chunkSize);
+  header.set(noncePrefix, 12);
+
+  let index = 0;
+  let finished = false;
+  return {
+    header,
+    keyVersion,
+    encryptChunk(chunk, isFinal) {
+      if (finished) {
+        throw new Error('Media encryptor already finished');
+      }
+      if (!isFinal && chunk.length !== chunkSize) {
+        throw new Error(`Media chunks must be ${chunkSize} bytes`);
+      }
+      finished = isFinal;
+      return nacl.secretbox(chunk, chunkNonce(noncePrefix, index++, isFinal), keyBytes);
+    },
+  };
+}
+
+/**
+ * Create a decryptor that accepts encrypted bytes in pieces of any size
+ * push() returns the plaintext chunks completed so far; finish() checks that
+ * the final chunk was seen and returns what is left
+ * @param {string|Object} keyring - Trip key or keyring holding the file's key version
+ * @returns {{push: (bytes: Uint8Array) => Uint8Array[], finish: () => Uint8Array[], keyVersion: () => number|null}}
+ */
+export function createMediaDecryptor(keyring) {
+  let buffer = new Uint8Array(0);
+  let header = null;
+  let index = 0;
+  let done = false;
+
+  const drain = (atEnd) => {
+    const out = [];
+    if (!header) {
+      if (buffer.length < HEADER_SIZE) return out;
+      if (!isEncryptedMedia(buffer)) {
+        throw new Error('Not an encrypted media file');
+      }
+      const view = new DataView(buffer.buffer, buffer.byteOffset, HEADER_SIZE);
+      const keyVersion = view.getUint32(4);
+      header = {
+        keyVersion,
+        chunkSize: view.getUint32(8),
+        noncePrefix: buffer.slice(12, HEADER_SIZE),
+        keyBytes: getKeyBytes(keyring, keyVersion),
+      };
+      buffer = buffer.slice(HEADER_SIZE);
+    }
+
+    const sealedSize = header.chunkSize + CHUNK_OVERHEAD;
+    // A full-size chunk can still be the last one, so it is only opened as a
+    // middle chunk once more data follows it
+    while (!done && (buffer.length > sealedSize || (atEnd && buffer.length > 0))) {
+      const size = Math.min(buffer.length, sealedSize);
+      const isFinal = atEnd && size === buffer.length;
+      const plain = nacl.secretbox.open(
+        buffer.subarray(0, size),
+        chunkNonce(header.noncePrefix, index, isFinal),
+        header.keyBytes
+      );
+      if (!plain) {
+        throw new Error('Media decryption failed');
+      }
+      index += 1;
+      out.push(plain);
+      buffer = buffer.slice(size);
+      done = isFinal;
+    }
+    return out;
+  };
+
+  return {
+    push(bytes) {
+      if (done) {
+        throw new Error('Unexpected data after the final media chunk');
+      }
+      buffer = concatBytes(buffer, bytes);
+      return drain(false);
+    },
+    finish() {
+      const out = drain(true);
+      if (!done) {
+        throw new Error('Encrypted media is truncated');
+      }
+      return out;
+    },
+    keyVersion: () => header?.keyVersion ?? null,
+  };
+}
+
+/**
+ * Encrypt a local file into a temporary file, chunk by chunk
+ * @param {string} uri - Local file URI of the photo or video
+ * @param {string|Object} keyring - Trip key or keyring
+ * @returns {Promise<{path: string, size: number, keyVersion: number}>} Encrypted file path, its size and key version
+ */
+export async function encryptMediaFile(uri, keyring) {
+  const encryptor = createMediaEncryptor(keyring);
+  const path = `${ReactNativeBlobUtil.fs.dirs.CacheDir}/${Date.now()}-${Math.random().toString(36).substring(7)}.enc`;
+  let pending = new Uint8Array(0);
+
+  await ReactNativeBlobUtil.fs.writeFile(path, bytesToBase64(encryptor.header), 'base64');
+
+  try {
+    // Reads can come back shorter than a chunk, so plaintext is regrouped into
+    // full chunks; the last one is held back until the end of the file
+    await streamFile(uri, async (base64) => {
+      pending = concatBytes(pending, base64ToBytes(base64));
+      while (pending.length > MEDIA_CHUNK_SIZE) {
+        const sealed = encryptor.encryptChunk(pending.subarray(0, MEDIA_CHUNK_SIZE), false);
+        pending = pending.slice(MEDIA_CHUNK_SIZE);
+        await ReactNativeBlobUtil.fs.appendFile(path, bytesToBase64(sealed), 'base64');
+      }
+    });
+    await ReactNativeBlobUtil.fs.appendFile(path, bytesToBase64(encryptor.encryptChunk(pending, true)), 'base64');
+
+    const { size } = await ReactNativeBlobUtil.fs.stat(path);
+    return { path, size: Number(size), keyVersion: encryptor.keyVersion };
+  } catch (error) {
+    await ReactNativeBlobUtil.fs.unlink(path).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Download an encrypted file and decrypt it into the cache directory
+ * Results are reused for the lifetime of the app, and concurrent requests for
+ * the same URL share one download
+ * @param {string} url - Download URL of the encrypted file
+ * @param {string|Object} keyring - Trip key or keyring holding the file's key version
+ * @param {string} [mimeType] - Type of the original file, used for the extension
+ * @returns {Promise<string>} file:// URI of the decrypted file
+ */
+export function getDecryptedMediaFile(url, keyring, mimeType) {
+  if (decryptedFiles.has(url)) {
+    return decryptedFiles.get(url);
+  }
+
+  const pending = (async () => {
+    const name = await Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, url);
+    const outputPath = `${DECRYPTED_DIR}/${name}.${EXTENSIONS[mimeType] || 'bin'}`;
+    if (await ReactNativeBlobUtil.fs.exists(outputPath)) {
+      return `file://${outputPath}`;
+    }
+    if (!(await ReactNativeBlobUtil.fs.isDir(DECRYPTED_DIR))) {
+      await ReactNativeBlobUtil.fs.mkdir(DECRYPTED_DIR);
+    }
+
+    const response = await ReactNativeBlobUtil.config({ fileCache: true }).fetch('GET', url);
+    const encryptedPath = response.path();
+    const partialPath = `${outputPath}.part`;
+
+    try {
+      if (response.info().status !== 200) {
+        throw new Error(`Media download failed with status ${response.info().status}`);
+      }
+
+      const decryptor = createMediaDecryptor(keyring);
+      const writeChunks = async (chunks) => {
+        for (const chunk of chunks) {
+          await ReactNativeBlobUtil.fs.appendFile(partialPath, bytesToBase64(chunk), 'base64');
+        }
+      };
+
+      await ReactNativeBlobUtil.fs.writeFile(partialPath, '', 'base64');
+      await streamFile(encryptedPath, (base64) => writeChunks(decryptor.push(base64ToBytes(base64))));
+      await writeChunks(decryptor.finish());
+      await ReactNativeBlobUtil.fs.mv(partialPath, outputPath);
+      return `file://${outputPath}`;
+    } catch (error) {
+      await ReactNativeBlobUtil.fs.unlink(partialPath).catch(() => {});
+      throw error;
+    } finally {
+      await ReactNativeBlobUtil.fs.unlink(encryptedPath).catch(() => {});
+    }
+  })();
+
+  decryptedFiles.set(url, pending);
+  pending.catch(() => decryptedFiles.delete(url));
+  return pending;
+}
+
+/**
+ * Lists a travel diary entry's media as descriptors
+ * Entries written before media encryption only have plain download URLs
+ * @param {Object} entryData - Travel diary entry
+ * @returns {Array<{url: string, type: string, encrypted: boolean}>}
+ */
+export function getEntryMedia(entryData) {
+  if (Array.isArray(entryData?.media)) {
+    return entryData.media.filter((m) => m?.url);
+  }
+  return (entryData?.mediaUrls || []).map((url) => {
+    const lowerUrl = url.toLowerCase();
+    const isVideo = ['.mp4', '.mov', '.webm', '.avi'].some((ext) => lowerUrl.includes(ext));
+    return { url, type: isVideo ? 'video' : 'image', encrypted: false };
+  });
+}
@@ -57,6 +57,7 @@ export async function requestNotificationPermission() {
 
 /**
  * Saves push token to Firestore for server-side notification delivery
+ * The provider field tells the server to send it through the Expo push API
  * @param {string} uid - User ID
  * @param {string} token - Expo push token
  */
@@ -85,6 +86,7 @@ export async function savePushToken(uid, token) {
     // Create new document
     await setDoc(tokenRef, {
       token,
+      provider: 'expo',
       platform: Platform.OS,
       createdAt: new Date(),
       updatedAt: new Date(),
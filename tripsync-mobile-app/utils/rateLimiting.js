@@ -60,14 +60,20 @@ export class RateLimiter {
     this.maxCalls = maxCalls;
     this.windowMs = windowMs;
     this.calls = [];
+    // Server-imposed blocks, by function name
+    this.blockedUntil = {};
   }
 
   /**
    * Checks if a call is allowed within the rate limit
+   * @param {string} [key] - Name of the function being called
    * @returns {boolean} True if call is allowed, false otherwise
    */
-  isAllowed() {
+  isAllowed(key) {
     const now = Date.now();
+    if (now < (this.blockedUntil[key] || 0)) {
+      return false;
+    }
     // Remove calls outside the window
     this.calls = this.calls.filter((time) => now - time < this.windowMs);
     
@@ -81,9 +87,14 @@ export class RateLimiter {
 
   /**
    * Gets time until next call is allowed
+   * @param {string} [key] - Name of the function being called
    * @returns {number} Milliseconds until next call allowed, or 0 if allowed now
    */
-  getTimeUntilNextAllowed() {
+  getTimeUntilNextAllowed(key) {
+    const blockedFor = (this.blockedUntil[key] || 0) - Date.now();
+    if (blockedFor > 0) {
+      return blockedFor;
+    }
     if (this.calls.length < this.maxCalls) {
       return 0;
     }
@@ -94,12 +105,37 @@ export class RateLimiter {
     return Math.max(0, this.windowMs - timeSinceOldest);
   }
 
+  /**
+   * Blocks calls to one function for a period, e.g. until the server says to retry
+   * Other functions sharing this limiter are not affected
+   * @param {number} ms - Milliseconds to block calls for
+   * @param {string} key - Name of the function to block
+   */
+  blockFor(ms, key) {
+    this.blockedUntil[key] = Date.now() + ms;
+  }
+
   /**
    * Resets the rate limiter, clearing all tracked calls
    */
   reset() {
     this.calls = [];
+    this.blockedUntil = {};
+  }
+}
+
+/**
+ * Gets the retry time from a server rate limit error
+ * The server sends it in the error details of resource-exhausted errors
+ * @param {Error} error - Error thrown by a callable
+ * @returns {number|null} Milliseconds until the server accepts calls again, or null if not a rate limit error
+ */
+export function getRetryAfterMs(error) {
+  if (error?.code !== 'resource-exhausted' && error?.code !== 'functions/resource-exhausted') {
+    return null;
   }
+  const retryAfterMs = Number(error.details?.retryAfterMs);
+  return Number.isFinite(retryAfterMs) && retryAfterMs > 0 ? retryAfterMs : 0;
 }
 
 /**
@@ -119,15 +155,16 @@ export const rateLimiters = {
 /**
  * Wrapper for Cloud Functions calls with rate limiting
  * Throws an error if rate limit is exceeded, otherwise executes the callable function
+ * @param {string} functionName - Name of the callable, so a server block only holds calls to it
  * @param {Function} callable - Firebase callable function to execute
  * @param {Object} data - Data to pass to the function
  * @param {RateLimiter} limiter - Rate limiter to use (defaults to cloudFunction limiter)
  * @returns {Promise} Promise that resolves with function result
  * @throws {Error} If rate limit is exceeded
  */
-export async function rateLimitedCall(callable, data, limiter = rateLimiters.cloudFunction) {
-  if (!limiter.isAllowed()) {
-    const waitTime = limiter.getTimeUntilNextAllowed();
+export async function rateLimitedCall(functionName, callable, data, limiter = rateLimiters.cloudFunction) {
+  if (!limiter.isAllowed(functionName)) {
+    const waitTime = limiter.getTimeUntilNextAllowed(functionName);
     throw new Error(
       `Rate limit exceeded. Please wait ${Math.ceil(waitTime / 1000)} seconds before trying again.`
     );
@@ -136,9 +173,12 @@ export async function rateLimitedCall(callable, data, limiter = rateLimiters.clo
   try {
     return await callable(data);
   } catch (error) {
-    // If it's a rate limit error from server, don't count it against client limiter
-    if (error?.code === 'resource-exhausted' || error?.message?.includes('rate limit')) {
-      // Server rate limit hit, reset client limiter to sync
+    // If it's a rate limit error from server, hold further calls to this function until the server accepts them again
+    const retryAfterMs = getRetryAfterMs(error);
+    if (retryAfterMs) {
+      limiter.blockFor(retryAfterMs, functionName);
+    } else if (retryAfterMs === 0 || error?.message?.includes('rate limit')) {
+      // Server rate limit hit without a retry time, reset client limiter to sync
       limiter.reset();
     }
     throw error;
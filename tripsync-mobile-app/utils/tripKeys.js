@@ -2,42 +2,101 @@
  * Trip Key Management for Mobile App
  * 
  * Handles fetching, storing, and sharing trip encryption keys between Firestore and local storage.
- * Manages trip encryption key distribution to all trip members and handles key re-sharing
- * when decryption fails or keys are in incompatible formats.
+ * Manages trip encryption key distribution to all trip members and asks members to re-share
+ * the key when decryption fails or keys are in incompatible formats.
+ *
+ * Trip keys are versioned and loaded as keyrings so data encrypted before a key
+ * rotation stays readable. Rotation itself is run by a trip owner from the web app.
+ *
+ * Keys are sealed to each member's X25519 public key (wrapping: 'x25519'). Docs
+ * without a wrapping field used the legacy master key and are re-sealed on read.
+ *
+ * Members without a usable key post a request to trips/{tripId}/keyRequests;
+ * any online member holding the key fulfils it by sealing the key for them.
  */
 
-import { db } from '../FirebaseConfig';
+import { db, functions } from '../FirebaseConfig';
 import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
 import { 
   generateKey, 
-  encryptKey, 
   decryptKey,
-  getUserMasterKey,
+  sealKey,
+  openSealedKey,
+  createKeyring,
+  getUserKeyPair,
+  getUserPublicKey,
+  getLegacyMasterKey,
   getTripKey as getLocalTripKey,
   storeTripKey as storeLocalTripKey,
 } from './encryption';
 
+// Wrapping scheme recorded on key docs sealed to a public key
+const KEY_WRAPPING = 'x25519';
+
+/**
+ * Seals every version of a keyring to a member's public key
+ * @param {Object} keyring - Trip keyring
+ * @param {string} publicKey - Member's X25519 public key
+ * @returns {Object} encryptedKey, version, previousKeys, and wrapping fields for the key doc
+ */
+function wrapKeyring(keyring, publicKey) {
+  const previousKeys = {};
+  for (const [version, key] of Object.entries(keyring.keys)) {
+    if (Number(version) !== keyring.currentVersion) {
+      previousKeys[version] = sealKey(key, publicKey);
+    }
+  }
+  return {
+    encryptedKey: sealKey(keyring.keys[keyring.currentVersion], publicKey),
+    version: keyring.currentVersion,
+    previousKeys,
+    wrapping: KEY_WRAPPING,
+  };
+}
+
 /**
- * Gets trip encryption key from Firestore or local storage
- * Attempts to decrypt and handles key regeneration if decryption fails
+ * Unwraps older trip key versions stored alongside the current one
+ * Versions that fail to unwrap are skipped
+ * @param {Object} previousKeys - Wrapped keys by version
+ * @param {Function} unwrap - Opens one wrapped key
+ * @returns {Object<number, string>} Base64 keys by version
+ */
+function unwrapPreviousKeys(previousKeys, unwrap) {
+  const keys = {};
+  for (const [version, wrapped] of Object.entries(previousKeys || {})) {
+    try {
+      keys[version] = unwrap(wrapped);
+    } catch (error) {
+      console.warn(`Could not unwrap trip key version ${version}:`, error.message);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Gets trip encryption keyring from Firestore or local storage
+ * Uses the local copy unless Firestore holds a newer key version
+ * Attempts to decrypt and asks members to re-share the key if decryption fails
  * @param {string} tripId - Trip ID
  * @param {string} userId - User ID
- * @returns {Promise<string|null>} Trip encryption key or null if not available
+ * @returns {Promise<Object|null>} Trip keyring or null if not available
  */
 export async function getTripEncryptionKey(tripId, userId) {
   // First check local storage
   const localKey = await getLocalTripKey(tripId, userId);
-  if (localKey) {
-    return localKey;
-  }
 
-  // If not in local storage, fetch from Firestore
   try {
     const userKeyRef = doc(db, 'trips', tripId, 'encryptionKeys', userId);
     const keyDoc = await getDoc(userKeyRef);
 
     if (keyDoc.exists()) {
       const keyData = keyDoc.data();
+
+      // Local copy is current, no need to unwrap again
+      if (localKey && (keyData.pending === true || localKey.currentVersion >= (keyData.version || 1))) {
+        return localKey;
+      }
       
       // Check if key is marked as pending (not yet shared)
       if (keyData.pending === true) {
@@ -54,33 +113,38 @@ export async function getTripEncryptionKey(tripId, userId) {
         return null;
       }
       
-      const masterKey = await getUserMasterKey(userId);
+      const keyPair = await getUserKeyPair(userId);
       
-      if (!masterKey) {
-        console.error('Failed to get master key for user:', userId);
-        return null;
+      if (!keyPair) {
+        // Never regenerate here: the key exists, it is just not unlocked on this device
+        console.warn('Encryption keypair is locked on this device; unlock it in Settings');
+        return localKey;
       }
-      
-      // Log key info for debugging
-      console.log('Master key length:', masterKey.length);
-      console.log('Encrypted key length:', keyData.encryptedKey?.length);
-      console.log('Encrypted key preview:', keyData.encryptedKey?.substring(0, 20) + '...');
+
+      // Docs written before keypairs were wrapped with the legacy master key
+      const sealed = keyData.wrapping === KEY_WRAPPING;
+      const legacyMasterKey = sealed ? null : await getLegacyMasterKey(userId);
+      if (!sealed && !legacyMasterKey) {
+        console.warn('Legacy trip key cannot be opened without the old master key');
+        return localKey;
+      }
+      const unwrap = sealed
+        ? (wrapped) => openSealedKey(wrapped, keyPair)
+        : (wrapped) => decryptKey(wrapped, legacyMasterKey);
       
       // Checking if encrypted key looks suspiciously short (buggy format indicator)
       // A properly encrypted key should be at least 44 chars (16 byte IV + some ciphertext, base64 encoded)
       const encryptedKeyLength = keyData.encryptedKey?.length || 0;
       if (encryptedKeyLength < 44) {
         console.warn('Encrypted key is suspiciously short - likely encrypted with buggy format');
-        console.warn('Attempting to regenerate key...');
-        // Attempting to regenerate immediately if user is owner
+        console.warn('Requesting the key from trip members...');
         try {
           const reSharedKey = await requestTripKeyReShare(tripId, userId);
           if (reSharedKey) {
-            console.log('Successfully regenerated trip key');
             return reSharedKey;
           }
         } catch (reShareError) {
-          console.warn('Failed to regenerate key:', reShareError.message || reShareError);
+          console.warn('Failed to request key:', reShareError.message || reShareError);
         }
         return null;
       }
@@ -88,7 +152,7 @@ export async function getTripEncryptionKey(tripId, userId) {
       try {
         // Decrypt trip key
         console.log('Attempting to decrypt trip encryption key for trip:', tripId);
-        const tripKey = decryptKey(keyData.encryptedKey, masterKey);
+        const tripKey = unwrap(keyData.encryptedKey);
         console.log('Successfully decrypted trip key');
         
         if (!tripKey) {
@@ -97,40 +161,53 @@ export async function getTripEncryptionKey(tripId, userId) {
         
         // Validate decrypted key
         if (!tripKey || tripKey.trim().length === 0) {
-          console.error('Decrypted trip key is empty - key might be corrupted or wrong master key');
-          // Try to regenerate if user is owner
+          console.error('Decrypted trip key is empty - key might be corrupted or sealed to another keypair');
+          // Ask members who hold the key to share it again
           try {
             const reSharedKey = await requestTripKeyReShare(tripId, userId);
             if (reSharedKey) {
               return reSharedKey;
             }
           } catch (reShareError) {
-            console.warn('Failed to regenerate key:', reShareError.message || reShareError);
+            console.warn('Failed to request key:', reShareError.message || reShareError);
           }
           return null;
         }
         
+        // Build the keyring, keeping versions only known locally
+        const version = keyData.version || 1;
+        const keyring = createKeyring({
+          ...(localKey?.keys || {}),
+          ...unwrapPreviousKeys(keyData.previousKeys, unwrap),
+          [version]: tripKey,
+        }, version);
+
+        // Re-seal legacy docs so the master key is no longer needed
+        if (!sealed) {
+          await setDoc(userKeyRef, wrapKeyring(keyring, keyPair.publicKey), { merge: true });
+        }
+        
         // Store locally for future use
-        await storeLocalTripKey(tripId, userId, tripKey);
+        await storeLocalTripKey(tripId, userId, keyring);
         
-        return tripKey;
+        return keyring;
       } catch (decryptError) {
         const errorMsg = decryptError.message || decryptError.toString();
         console.error('Error decrypting trip key from Firestore:', errorMsg);
         
         // Check if this is a "Malformed UTF-8 data" error - likely buggy format
         if (errorMsg.includes('Malformed UTF-8 data') || errorMsg.includes('empty result')) {
-          console.warn('Key appears to be in corrupted/buggy format - attempting to regenerate...');
+          console.warn('Key appears to be in corrupted/buggy format - requesting it again...');
         } else {
           console.warn('This usually means:');
-          console.warn('1. The key was encrypted with a different master key');
-          console.warn('2. The master key on this device doesn\'t match the one used to encrypt');
+          console.warn('1. The key was sealed to a different keypair');
+          console.warn('2. The keypair on this device doesn\'t match the published public key');
           console.warn('3. The encrypted key data is corrupted');
         }
         
         console.log('Attempting to request key re-share...');
         
-        // Try to request key re-share (will work if user is owner)
+        // Ask members who hold the key to share it again
         try {
           const reSharedKey = await requestTripKeyReShare(tripId, userId);
           if (reSharedKey) {
@@ -152,20 +229,28 @@ export async function getTripEncryptionKey(tripId, userId) {
     console.error('Error fetching trip key from Firestore:', error);
   }
 
-  return null;
+  // Fall back to the local copy, or null if the key must be generated or requested
+  return localKey;
 }
 
 /**
  * Generates and shares trip encryption key with all trip members
- * Encrypts the key with each member's master key and stores in Firestore
+ * Seals the key to each member's public key and stores in Firestore
+ * Members without a published public key are marked pending
+ * The key gets the next version after the one recorded in the trip metadata
  * @param {string} tripId - Trip ID
  * @param {string} userId - User ID of the key generator
- * @returns {Promise<string>} Generated trip encryption key
+ * @returns {Promise<Object>} Trip keyring holding the generated key
  */
 export async function generateAndShareTripKey(tripId, userId) {
   // Generate new key
   const tripKey = generateKey();
 
+  // Continue from the version in the metadata so old and new keys never share a version
+  const metadataRef = doc(db, 'trips', tripId, 'encryptionKeys', 'metadata');
+  const metadataDoc = await getDoc(metadataRef);
+  const version = metadataDoc.exists() ? (metadataDoc.data().currentVersion || 1) + 1 : 1;
+
   // Get trip members
   const tripRef = doc(db, 'trips', tripId);
   const tripDoc = await getDoc(tripRef);
@@ -178,62 +263,50 @@ export async function generateAndShareTripKey(tripId, userId) {
   const members = tripData.members || {};
   const memberIds = Object.keys(members).filter(uid => members[uid] === true);
 
-  // Encrypt key for each member and store
-  const masterKey = await getUserMasterKey(userId);
+  // Seal key for each member and store
+  const keyring = createKeyring({ [version]: tripKey }, version);
+  const ownKeyPair = await getUserKeyPair(userId);
   
   for (const memberId of memberIds) {
-    let encryptedKey;
-    
-    if (memberId === userId) {
-      // For the current user, use their master key
-      encryptedKey = encryptKey(tripKey, masterKey);
-    } else {
-      // For other members, try to get their master key or use current user's temporarily
-      try {
-        const memberMasterKey = await getUserMasterKey(memberId);
-        encryptedKey = encryptKey(tripKey, memberMasterKey);
-      } catch {
-        // If member's master key not available, use generator's key temporarily
-        encryptedKey = encryptKey(tripKey, masterKey);
-      }
+    let memberPublicKey = null;
+    try {
+      memberPublicKey = memberId === userId ? ownKeyPair?.publicKey : await getUserPublicKey(memberId);
+    } catch (error) {
+      console.warn(`Public key unavailable for member ${memberId}:`, error.message);
     }
 
     const memberKeyRef = doc(db, 'trips', tripId, 'encryptionKeys', memberId);
+    if (!memberPublicKey) {
+      await setDoc(memberKeyRef, { pending: true, sharedBy: userId, sharedAt: serverTimestamp() });
+      continue;
+    }
+
     await setDoc(memberKeyRef, {
-      encryptedKey,
+      ...wrapKeyring(keyring, memberPublicKey),
       sharedBy: userId,
       sharedAt: serverTimestamp(),
-      version: 1,
     });
   }
 
+  await setDoc(metadataRef, { currentVersion: version }, { merge: true });
+
   // Store locally
-  await storeLocalTripKey(tripId, userId, tripKey);
+  await storeLocalTripKey(tripId, userId, keyring);
 
-  return tripKey;
+  return keyring;
 }
 
 /**
- * Re-shares existing trip key with current user when decryption fails
- * Attempts to regenerate key if user is owner, which may require re-encrypting existing data
+ * Asks the trip's members to re-share the trip key with the current user when decryption fails
+ * Enables encryption instead when the trip has none yet. Never regenerates an existing key,
+ * since that would leave data encrypted with it unreadable for everyone.
  * @param {string} tripId - Trip ID
  * @param {string} userId - User ID
- * @returns {Promise<string|null>} Re-shared trip key or null if re-sharing fails
+ * @returns {Promise<Object|null>} Trip keyring when encryption was just enabled, otherwise null
+ * while the request waits for a member who holds the key
  */
 export async function requestTripKeyReShare(tripId, userId) {
   try {
-    // Get trip data to find members and check encryption status
-    const tripRef = doc(db, 'trips', tripId);
-    const tripDoc = await getDoc(tripRef);
-    
-    if (!tripDoc.exists()) {
-      throw new Error('Trip not found');
-    }
-    
-    const tripData = tripDoc.data();
-    const roles = tripData.roles || {};
-    const isOwner = roles[userId] === 'owner';
-    
     // Check if encryption is already enabled
     const metadataRef = doc(db, 'trips', tripId, 'encryptionKeys', 'metadata');
     const metadataDoc = await getDoc(metadataRef);
@@ -246,45 +319,63 @@ export async function requestTripKeyReShare(tripId, userId) {
       return await getTripEncryptionKey(tripId, userId);
     }
     
-    // Encryption is enabled, attempt to get key from another member
-    // Other members' encrypted keys cannot be decrypted directly
-    if (isOwner) {
-      // Regenerating key, this may require re-encrypting existing data if:
-      // 1. The key was encrypted with buggy format (before the fix)
-      // 2. Master key on this device doesn't match the one used to encrypt
-      // 3. The encrypted key data is corrupted
-      console.warn('WARNING: Regenerating trip key will break existing encrypted data!');
-      console.warn('This usually happens when:');
-      console.warn('1. The key was encrypted with a buggy format (before encryption fix)');
-      console.warn('2. Master key on this device doesn\'t match the one used to encrypt');
-      console.warn('3. The encrypted key data is corrupted');
-      console.warn('4. The key was encrypted on a different device with a different master key');
-      console.log('User is owner, regenerating and re-sharing trip key in new format (AES-CBC)');
-      console.log('Existing encrypted data (trip name, stops) will need to be re-encrypted from web app');
-      
-      try {
-        // generateAndShareTripKey stores the key locally, returning it directly
-        const newTripKey = await generateAndShareTripKey(tripId, userId);
-        console.log('Successfully regenerated trip key');
-        return newTripKey;
-      } catch (error) {
-        console.error('Failed to regenerate trip key:', error);
-        throw error;
-      }
-    } else {
-      // User is not owner, can't regenerate
-      // Key needs to be re-shared by owner from web app
-      console.warn('Cannot re-share key: user is not owner.');
-      console.warn('Please ask the trip owner to re-share the key from the web app.');
-      console.warn('This usually happens when master keys don\'t match between devices.');
-      return null;
-    }
+    // Encryption is enabled, queue a request for a member who holds the key
+    const call = httpsCallable(functions, 'requestTripKey');
+    await call({ tripId });
+    console.log('Requested trip key from trip members; it will load once one of them shares it');
+    return null;
   } catch (error) {
     console.error('Error requesting trip key re-share:', error);
     return null;
   }
 }
 
+/**
+ * Shares the trip key with every member who has an open key request
+ * Requests from members without a published public key are left open until
+ * they set one up; the server closes each request once its key doc is written.
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - User ID of the member holding the key
+ * @param {Object} keyring - Trip keyring to share
+ * @param {Array<{requesterId: string}>} requests - Open key requests
+ * @returns {Promise<string[]>} User IDs the key was shared with
+ */
+export async function fulfilTripKeyRequests(tripId, userId, keyring, requests) {
+  const shared = [];
+  for (const { requesterId } of requests) {
+    if (!requesterId || requesterId === userId) continue;
+    try {
+      const publicKey = await getUserPublicKey(requesterId);
+      if (!publicKey) continue;
+
+      await setDoc(doc(db, 'trips', tripId, 'encryptionKeys', requesterId), {
+        ...wrapKeyring(keyring, publicKey),
+        sharedBy: userId,
+        sharedAt: serverTimestamp(),
+      });
+      shared.push(requesterId);
+    } catch (error) {
+      console.warn(`Could not share trip key with ${requesterId}:`, error.message);
+    }
+  }
+  return shared;
+}
+
+/**
+ * Checks if a trip has encryption enabled
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<boolean>}
+ */
+export async function isTripEncrypted(tripId) {
+  try {
+    const metadataDoc = await getDoc(doc(db, 'trips', tripId, 'encryptionKeys', 'metadata'));
+    return metadataDoc.exists() && metadataDoc.data().enabled === true;
+  } catch (error) {
+    console.error('Error checking trip encryption:', error);
+    return false;
+  }
+}
+
 /**
  * Enables encryption for a trip by generating and sharing keys with all members
  * @param {string} tripId - Trip ID
@@ -300,6 +391,6 @@ export async function enableTripEncryption(tripId, userId) {
     enabled: true,
     enabledBy: userId,
     enabledAt: serverTimestamp(),
-  });
+  }, { merge: true });
 }
 
@@ -3,11 +3,12 @@
  * 
  * Root component that sets up routing, authentication, analytics, and notification
  * initialization. Provides protected route wrapper and manages global app state
- * including user authentication context and screen view tracking.
+ * including user authentication context and screen view tracking. The header holds
+ * the notification inbox bell, which also shows the notification level of the trip being viewed.
  */
 
 import React, { useEffect, useState } from "react";
-import { Routes, Route, Navigate, Link, useNavigate, useLocation } from "react-router-dom";
+import { Routes, Route, Navigate, Link, useNavigate, useLocation, matchPath } from "react-router-dom";
 import { auth, signInWithGoogle, signOutUser, functions } from "./firebaseConfig";
 import { onAuthStateChanged } from "firebase/auth";
 import { httpsCallable } from "firebase/functions";
@@ -23,6 +24,7 @@ import Friends from "./screens/Friends.jsx";
 import Settings from "./screens/Settings.jsx";
 import Theme from "./screens/Theme.jsx";
 import OfflineIndicator from "./components/OfflineIndicator.jsx";
+import NotificationsBell from "./components/NotificationsBell.jsx";
 import { initMediaCache } from "./utils/mediaCache.js";
 
 import "./screens/theme.css";
@@ -63,6 +65,7 @@ function Protected({ children }) {
 export default function App() {
   const [user, setUser] = useState(null);
   const location = useLocation();
+  const tripMatch = matchPath("/trips/:tripId", location.pathname);
 
   // Effect hook to initialize analytics and media cache on app startup
   useEffect(() => {
@@ -92,9 +95,12 @@ export default function App() {
           console.warn("Could not refresh ID token:", e);
         }
         
-        // Ensures user profile exists in Firestore
+        // Ensures user profile exists in Firestore; the time zone is kept for scheduled notifications
+        // until the user picks one in Settings
         try {
-          await httpsCallable(functions, "ensureUserProfile")();
+          await httpsCallable(functions, "ensureUserProfile")({
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          });
         } catch (err) {
           console.error("ensureUserProfile failed:", err);
         }
@@ -162,6 +168,7 @@ export default function App() {
         <div className="right">
           {user ? (
             <>
+              <NotificationsBell tripId={tripMatch?.params.tripId} />
               <span>{user.displayName || user.email}</span>
               <button onClick={signOutUser}>Sign out</button>
             </>
@@ -27,6 +27,11 @@ const ACTIVITY_TYPES = [
   { value: "itinerary.reorder", label: "Reordered Items" },
   { value: "comment.mention", label: "Mentions in Comments" },
   { value: "chat.mention", label: "Mentions in Chat" },
+  { value: "member.add", label: "Members Joined" },
+  { value: "member.remove", label: "Members Removed" },
+  { value: "member.leave", label: "Members Left" },
+  { value: "member.role", label: "Role Changes" },
+  { value: "member.owner", label: "Ownership Transfers" },
 ];
 
 /**
@@ -147,7 +152,7 @@ export default function ActivityFeed({ tripId, onClose }) {
    */
   function getActivityIcon(type) {
     if (type?.includes("add")) return "ADD";
-    if (type?.includes("remove")) return "REMOVE";
+    if (type?.includes("remove") || type?.includes("leave")) return "REMOVE";
     if (type?.includes("move") || type?.includes("reorder")) return "MOVE";
     if (type?.includes("mention")) return "MENTION";
     return "UPDATE";
@@ -160,7 +165,7 @@ export default function ActivityFeed({ tripId, onClose }) {
    */
   function getActivityIconClass(type) {
     if (type?.includes("add")) return "activity-icon-add";
-    if (type?.includes("remove")) return "activity-icon-remove";
+    if (type?.includes("remove") || type?.includes("leave")) return "activity-icon-remove";
     if (type?.includes("move") || type?.includes("reorder")) return "activity-icon-move";
     if (type?.includes("mention")) return "activity-icon-mention";
     return "activity-icon-update";
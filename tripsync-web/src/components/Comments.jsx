@@ -18,7 +18,7 @@ import {
   deleteDoc,
   doc,
 } from "firebase/firestore";
-import { getUserProfiles, getUserDisplayName } from "../utils/users.js";
+import { getUserProfiles, getUserDisplayName, getBlockedUserIds } from "../utils/users.js";
 import { encrypt, decrypt } from "../utils/encryption.js";
 import { getTripEncryptionKey, enableTripEncryption } from "../utils/tripKeys.js";
 import { validateComment, sanitizeText, MAX_LENGTHS } from "../utils/validation.js";
@@ -30,8 +30,9 @@ import "./Comments.css";
  * @param {string} tripId - Trip ID
  * @param {string} itemId - Itinerary item ID to load comments for
  * @param {Function} onClose - Callback function to close the comments panel
+ * @param {boolean} [canComment] - Whether the user may post comments; viewers only read them
  */
-export default function Comments({ tripId, itemId, onClose }) {
+export default function Comments({ tripId, itemId, onClose, canComment = true }) {
   const [comments, setComments] = useState([]);
   const [newComment, setNewComment] = useState("");
   const [commentProfiles, setCommentProfiles] = useState({});
@@ -51,7 +52,8 @@ export default function Comments({ tripId, itemId, onClose }) {
         let key = await getTripEncryptionKey(tripId, currentUserId);
         
         // If no key exists, enables encryption for this trip and generates keys
-        if (!key) {
+        // Read-only members cannot set up encryption and wait for a shared key instead
+        if (!key && canComment) {
           await enableTripEncryption(tripId, currentUserId);
           key = await getTripEncryptionKey(tripId, currentUserId);
         }
@@ -63,7 +65,7 @@ export default function Comments({ tripId, itemId, onClose }) {
     };
 
     setupEncryption();
-  }, [tripId, currentUserId]);
+  }, [tripId, currentUserId, canComment]);
 
   // Effect hook to load comments with real-time updates
   // Sets up Firestore listener for comments collection, decrypts comments on load,
@@ -185,6 +187,7 @@ export default function Comments({ tripId, itemId, onClose }) {
   /**
    * Extracts mentioned user IDs from comment text by matching @username patterns to trip members
    * Matches @mentions to actual trip members by comparing against display names and emails
+   * Members the current user has blocked are never mentioned
    * @param {string} text - Comment text containing @mentions
    * @returns {Promise<Array>} Array of unique mentioned user IDs
    */
@@ -202,7 +205,10 @@ export default function Comments({ tripId, itemId, onClose }) {
         return [];
       }
       const tripData = tripDoc.data();
-      const memberUids = tripData?.roles ? Object.keys(tripData.roles) : [];
+      const blockedUids = await getBlockedUserIds(currentUserId);
+      const memberUids = tripData?.roles
+        ? Object.keys(tripData.roles).filter((uid) => !blockedUids.has(uid))
+        : [];
       if (memberUids.length === 0) {
         return [];
       }
@@ -403,6 +409,7 @@ export default function Comments({ tripId, itemId, onClose }) {
           )}
         </div>
 
+        {canComment ? (
         <form onSubmit={handleSubmit} className="comments-form">
           <textarea
             ref={textareaRef}
@@ -433,6 +440,9 @@ export default function Comments({ tripId, itemId, onClose }) {
             </button>
           </div>
         </form>
+        ) : (
+          <div className="comments-read-only">Viewers can read comments but not post them.</div>
+        )}
       </div>
     </div>
   );
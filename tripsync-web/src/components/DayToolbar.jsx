@@ -2,13 +2,16 @@
  * DayToolbar Component
  * 
  * Toolbar for managing trip days with day selection, day actions (add, rename, delete),
- * and navigation buttons for activity feed, chat, and members panel.
+ * navigation buttons for activity feed, chat, and members panel, and a weather
+ * warning badge for days with risky stops. Day actions are hidden from users who
+ * cannot edit the itinerary; the audit log button only shows when onShowAuditLog is given.
  */
 
 export default function DayToolbar({
   selectedDay,
   allDays,
   dayLabels,
+  riskByDay,
   onChangeDay,
   onAddDay,
   onRenameDay,
@@ -16,7 +19,11 @@ export default function DayToolbar({
   onShowActivityFeed,
   onShowChat,
   onShowMembers,
+  onShowAuditLog,
+  canEdit = true,
 }) {
+  const dayRisk = riskByDay?.[selectedDay];
+
   return (
     <div className="td-toolbar">
       <div className="td-toolbar-left">
@@ -29,35 +36,51 @@ export default function DayToolbar({
         >
           {allDays.map((d) => (
             <option key={d} value={d}>
-              {`Day ${d}${dayLabels?.[d] ? ` — ${dayLabels[d]}` : ""}`}
+              {`Day ${d}${dayLabels?.[d] ? ` — ${dayLabels[d]}` : ""}${riskByDay?.[d] ? " ⚠" : ""}`}
             </option>
           ))}
         </select>
       </label>
 
+      {dayRisk && (
+        <span
+          className={`td-risk-badge${dayRisk.danger ? " td-risk-badge-danger" : ""}`}
+          title="Open a stop's weather details to see its warnings"
+        >
+          ⚠ {dayRisk.stops} stop{dayRisk.stops === 1 ? "" : "s"} with weather warnings
+        </span>
+      )}
+
+      {canEdit && (
         <div className="td-toolbar-day-actions">
-      <button className="td-btn td-btn-dashed" onClick={onAddDay} title="Create and switch to a new day">
-        + Day
-      </button>
+          <button className="td-btn td-btn-dashed" onClick={onAddDay} title="Create and switch to a new day">
+            + Day
+          </button>
 
-      <button className="td-btn td-btn-outline" onClick={onRenameDay} title="Rename this day (stored as a label)">
-        Rename Day
-      </button>
+          <button className="td-btn td-btn-outline" onClick={onRenameDay} title="Rename this day (stored as a label)">
+            Rename Day
+          </button>
 
-      <button
-        className="td-btn td-btn-danger-outline"
-        onClick={onDeleteDay}
-        title="Delete this day (deletes its stops and shifts later days)"
-      >
-        Delete Day
-      </button>
+          <button
+            className="td-btn td-btn-danger-outline"
+            onClick={onDeleteDay}
+            title="Delete this day (deletes its stops and shifts later days)"
+          >
+            Delete Day
+          </button>
         </div>
+      )}
       </div>
 
       <div className="td-toolbar-right">
         <button className="td-btn" onClick={onShowActivityFeed} title="View activity feed">
           Activity
         </button>
+        {onShowAuditLog && (
+          <button className="td-btn" onClick={onShowAuditLog} title="View the trip audit log">
+            Audit Log
+          </button>
+        )}
         <button className="td-btn" onClick={onShowChat} title="Open trip chat">
           Chat
         </button>
@@ -1,42 +1,198 @@
 /**
  * NotificationsBell Component
- * 
- * Notification bell icon that displays a count of recent trip activities.
- * Listens for new activities and calls the onNewActivity callback when new activities are detected.
+ *
+ * Notification bell for the app header that opens the user's notification inbox.
+ * The badge counts unread notifications; the newest page updates live and older
+ * pages load on demand. Opening a notification marks it read and follows its link.
+ * On a trip page the icon also shows whether the trip is muted or limited to
+ * mentions, and the inbox offers a menu to change how much the trip notifies the user.
  */
 
 import { useEffect, useState } from "react";
-import { collection, query, orderBy, limit, onSnapshot } from "firebase/firestore";
-import { db } from "../firebaseConfig";
+import { useNavigate } from "react-router-dom";
+import { onSnapshot } from "firebase/firestore";
+import { auth } from "../firebaseConfig";
+import { useSettings } from "../contexts/SettingsContext";
+import {
+  latestInboxQuery,
+  unreadInboxQuery,
+  fetchInboxPage,
+  toNotification,
+  markNotificationRead,
+  markAllNotificationsRead,
+  formatUnreadCount,
+  formatNotificationTime,
+  INBOX_PAGE_SIZE,
+} from "../utils/notificationInbox.js";
+import "./NotificationsBell.css";
+
+// Notification levels offered for a trip; null follows the user's notification settings
+const LEVELS = [
+  { value: null, label: "Use my notification settings", icon: "notifications" },
+  { value: "all", label: "Everything", icon: "notifications_active" },
+  { value: "mentions", label: "Mentions only", icon: "notifications_paused" },
+  { value: "muted", label: "Muted", icon: "notifications_off" },
+];
 
 /**
- * Renders a notification bell with activity count badge
- * @param {string} tripId - Trip ID to listen for activities
- * @param {Function} onNewActivity - Callback function called when new activity is detected, receives activity data
+ * Renders the notification bell with unread badge and inbox panel
+ * @param {string} [tripId] - Trip being viewed, to show and change its notification level
  */
-export default function NotificationsBell({ tripId, onNewActivity }) {
-  const [count, setCount] = useState(0);
+export default function NotificationsBell({ tripId }) {
+  const navigate = useNavigate();
+  const { tripNotificationPrefs, updateTripNotificationLevel } = useSettings();
+  const uid = auth.currentUser?.uid;
+
+  const [open, setOpen] = useState(false);
+  const [latest, setLatest] = useState([]);
+  const [latestCursor, setLatestCursor] = useState(null);
+  const [older, setOlder] = useState([]);
+  const [olderCursor, setOlderCursor] = useState(null);
+  const [olderLoaded, setOlderLoaded] = useState(false);
+  const [olderHasMore, setOlderHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const level = (tripId && tripNotificationPrefs?.[tripId]) || null;
+  const current = LEVELS.find((option) => option.value === level) || LEVELS[0];
+
+  // Keeps the newest page of the inbox live
   useEffect(() => {
-    if (!tripId) return;
-    const ref = collection(db, "trips", tripId, "activities");
-    const q = query(ref, orderBy("createdAt", "desc"), limit(10));
-    const unsub = onSnapshot(q, (snap) => {
-      setCount(snap.size);
-      // Notify on the newest activity doc
-      const newest = snap.docs[0]?.data();
-      if (newest && onNewActivity) onNewActivity(newest);
+    if (!uid) return;
+    const unsub = onSnapshot(latestInboxQuery(uid), (snap) => {
+      setLatest(snap.docs.map(toNotification));
+      setLatestCursor(snap.docs[snap.docs.length - 1] || null);
+    }, (error) => {
+      console.error("Error loading notifications:", error);
     });
     return () => unsub();
-  }, [tripId, onNewActivity]);
+  }, [uid]);
+
+  // Keeps the unread badge live
+  useEffect(() => {
+    if (!uid) return;
+    const unsub = onSnapshot(unreadInboxQuery(uid), (snap) => {
+      setUnreadCount(snap.size);
+    }, (error) => {
+      console.error("Error counting unread notifications:", error);
+    });
+    return () => unsub();
+  }, [uid]);
+
+  // New notifications push the live page down, so older pages can overlap it
+  const latestIds = new Set(latest.map((notification) => notification.id));
+  const notifications = [...latest, ...older.filter((notification) => !latestIds.has(notification.id))];
+  const hasMore = olderLoaded ? olderHasMore : latest.length === INBOX_PAGE_SIZE;
+
+  const loadMore = async () => {
+    const cursor = olderCursor || latestCursor;
+    if (!uid || !cursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const page = await fetchInboxPage(uid, cursor);
+      setOlder((prev) => [...prev, ...page.notifications]);
+      if (page.cursor) setOlderCursor(page.cursor);
+      setOlderLoaded(true);
+      setOlderHasMore(page.hasMore);
+    } catch (error) {
+      console.error("Error loading older notifications:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const openNotification = async (notification) => {
+    setOpen(false);
+    if (!notification.read) {
+      setOlder((prev) => prev.map((n) => (n.id === notification.id ? { ...n, read: true } : n)));
+      markNotificationRead(uid, notification.id).catch((error) => {
+        console.error("Error marking notification read:", error);
+      });
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const markAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      // The live page updates itself; pages loaded on demand are updated here
+      setOlder((prev) => prev.map((notification) => ({ ...notification, read: true })));
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+      alert(error.message || "Could not mark notifications as read.");
+    }
+  };
+
+  if (!uid) return null;
+
+  const badge = formatUnreadCount(unreadCount);
 
   return (
-    <button className="relative rounded-full p-2 hover:bg-gray-100">
-      <span className="material-icons">notifications</span>
-      {count > 0 && (
-        <span className="absolute -top-1 -right-1 bg-red-600 text-white text-xs rounded-full px-1">
-          {count}
-        </span>
+    <div className="notifications-bell">
+      <button
+        className={`notifications-bell-toggle${level === "muted" ? " notifications-bell-muted" : ""}`}
+        onClick={() => setOpen((isOpen) => !isOpen)}
+        title={tripId ? `Notifications (this trip: ${current.label})` : "Notifications"}
+        aria-label={badge ? `Notifications, ${badge} unread` : "Notifications"}
+        aria-expanded={open}
+      >
+        <span className="material-icons">{current.icon}</span>
+        {badge && <span className="notifications-bell-badge">{badge}</span>}
+      </button>
+
+      {open && (
+        <div className="notifications-bell-panel" role="dialog" aria-label="Notifications">
+          <div className="notifications-bell-header">
+            <h3>Notifications</h3>
+            <button onClick={markAllRead} disabled={unreadCount === 0}>
+              Mark all read
+            </button>
+          </div>
+
+          {tripId && (
+            <label className="notifications-bell-trip-level">
+              This trip:&nbsp;
+              <select
+                value={level || ""}
+                onChange={(e) => updateTripNotificationLevel(tripId, e.target.value || null)}
+              >
+                {LEVELS.map((option) => (
+                  <option key={option.value || "default"} value={option.value || ""}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {notifications.length === 0 ? (
+            <p className="notifications-bell-empty">No notifications yet.</p>
+          ) : (
+            <ul className="notifications-bell-list">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    className={`notifications-bell-item${notification.read ? "" : " notifications-bell-unread"}`}
+                    onClick={() => openNotification(notification)}
+                  >
+                    <span className="notifications-bell-item-title">{notification.title}</span>
+                    <span className="notifications-bell-item-body">{notification.body}</span>
+                    <span className="notifications-bell-item-time">
+                      {formatNotificationTime(notification.createdAt)}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {hasMore && (
+            <button className="notifications-bell-more" onClick={loadMore} disabled={loadingMore}>
+              {loadingMore ? "Loading..." : "Load more"}
+            </button>
+          )}
+        </div>
       )}
-    </button>
+    </div>
   );
 }
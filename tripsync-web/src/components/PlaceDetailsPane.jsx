@@ -2,13 +2,15 @@
  * PlaceDetailsPane Component
  * 
  * Displays Google Maps Place Details for a selected place using the Google Maps Place Details web component.
- * Shows place information and provides a button to add the place to the itinerary for the selected day.
+ * Shows place information and, for users who can edit the itinerary, provides a button to add the
+ * place to the itinerary for the selected day.
  */
 
 export default function PlaceDetailsPane({
   activePlaceId,
   selectedDay,
   addPlaceToItinerary,
+  canEdit = true,
   detailsElRef,
   detailsReqElRef,
 }) {
@@ -32,13 +34,15 @@ export default function PlaceDetailsPane({
             : "Select a place via search, map, or list to view details."}
         </div>
 
-        <button
-          onClick={addPlaceToItinerary}
-          className="td-btn td-btn-primary"
-          title={`Add this place to the itinerary (Day ${selectedDay})`}
-        >
-          Add to Itinerary (Day {selectedDay})
-        </button>
+        {canEdit && (
+          <button
+            onClick={addPlaceToItinerary}
+            className="td-btn td-btn-primary"
+            title={`Add this place to the itinerary (Day ${selectedDay})`}
+          >
+            Add to Itinerary (Day {selectedDay})
+          </button>
+        )}
       </div>
     </div>
   );
@@ -2,8 +2,8 @@
  * Scrapbook Component
  * 
  * Displays a scrapbook view of all itinerary items organized by day with media galleries.
- * Shows photos and videos associated with each stop, decrypts encrypted titles and addresses,
- * and provides a day-based organization view. Can be displayed as a standalone overlay or embedded.
+ * Shows photos and videos associated with each stop, decrypts encrypted titles, addresses and
+ * media, and provides a day-based organization view. Can be displayed as a standalone overlay or embedded.
  */
 
 import React, { useState, useEffect, useMemo } from "react";
@@ -16,10 +16,140 @@ import {
   orderBy,
 } from "firebase/firestore";
 import { getUserProfiles, getUserDisplayName } from "../utils/users.js";
-import { decrypt } from "../utils/encryption.js";
-import { getTripEncryptionKey, enableTripEncryption } from "../utils/tripKeys.js";
+import { decryptField } from "../utils/encryption.js";
+import { getTripEncryptionKey, enableTripEncryption, isTripEncrypted } from "../utils/tripKeys.js";
+import { getDecryptedMedia } from "../utils/mediaCache.js";
 import "./Scrapbook.css";
 
+/**
+ * Checks if a URL points to a video file based on file extension
+ * @param {string} url - Media URL to check
+ * @returns {boolean} True if URL appears to be a video
+ */
+const isVideoUrl = (url) => {
+  if (!url) return false;
+  const videoExtensions = [".mp4", ".mov", ".webm", ".avi"];
+  return videoExtensions.some((ext) => url.toLowerCase().includes(ext));
+};
+
+/**
+ * Lists a travel diary entry's media as descriptors
+ * Entries written before media encryption only have plain download URLs
+ * @param {Object} entryData - Travel diary entry
+ * @returns {Array<{url: string, type: string, encrypted: boolean}>}
+ */
+const getEntryMedia = (entryData) => {
+  if (Array.isArray(entryData.media)) {
+    return entryData.media.filter((m) => m?.url);
+  }
+  return (entryData.mediaUrls || []).map((url) => ({
+    url,
+    type: isVideoUrl(url) ? "video" : "image",
+    encrypted: false,
+  }));
+};
+
+/**
+ * Renders one scrapbook photo or video, decrypting encrypted media on demand
+ * Photos show their encrypted thumbnail when there is one; videos show it as a
+ * poster and are only downloaded and decrypted once played
+ * @param {Object} media - Media descriptor from a travel diary entry
+ * @param {Object} tripKey - Trip keyring
+ * @param {number} index - Position in the grid, used for alt text
+ */
+function ScrapbookMedia({ media, tripKey, index }) {
+  const [src, setSrc] = useState(media.encrypted ? null : media.url);
+  const [posterSrc, setPosterSrc] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const isVideo = media.type === "video";
+
+  // Decrypts the thumbnail, or the full photo when it has none
+  useEffect(() => {
+    if (!media.encrypted || !tripKey) return;
+    let cancelled = false;
+
+    const preview = media.thumbnailUrl
+      ? getDecryptedMedia(media.thumbnailUrl, tripKey, "image/jpeg")
+      : isVideo ? Promise.resolve(null) : getDecryptedMedia(media.url, tripKey, media.mimeType);
+
+    preview
+      .then((url) => {
+        if (cancelled) return;
+        if (isVideo) setPosterSrc(url);
+        else setSrc(url);
+      })
+      .catch((error) => {
+        console.error("Failed to decrypt media:", error);
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [media, tripKey, isVideo]);
+
+  // Decrypts the full video once the user starts it
+  useEffect(() => {
+    if (!media.encrypted || !isVideo || !playing || !tripKey) return;
+    let cancelled = false;
+
+    getDecryptedMedia(media.url, tripKey, media.mimeType)
+      .then((url) => {
+        if (!cancelled) setSrc(url);
+      })
+      .catch((error) => {
+        console.error("Failed to decrypt video:", error);
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [media, tripKey, isVideo, playing]);
+
+  if (failed || (media.encrypted && !tripKey)) {
+    return <div className="scrapbook-media scrapbook-media-locked">Encrypted media unavailable</div>;
+  }
+
+  if (isVideo && media.encrypted && !src) {
+    return (
+      <button
+        type="button"
+        className="scrapbook-media scrapbook-media-poster"
+        onClick={() => setPlaying(true)}
+        style={posterSrc ? { backgroundImage: `url(${posterSrc})` } : undefined}
+        aria-label={`Play video ${index + 1}`}
+      >
+        <span className="scrapbook-media-play">{playing ? "Decrypting…" : "▶"}</span>
+      </button>
+    );
+  }
+
+  if (!src) {
+    return <div className="scrapbook-media scrapbook-media-loading">Decrypting…</div>;
+  }
+
+  return isVideo ? (
+    <video
+      src={src}
+      controls
+      autoPlay={media.encrypted}
+      className="scrapbook-media"
+      preload="metadata"
+    >
+      Your browser does not support the video tag.
+    </video>
+  ) : (
+    <img
+      src={src}
+      alt={`Media ${index + 1}`}
+      className="scrapbook-media"
+      loading="lazy"
+    />
+  );
+}
+
 /**
  * Renders scrapbook view of trip itinerary items
  * @param {string} tripId - Trip ID to load scrapbook for
@@ -35,17 +165,6 @@ export default function Scrapbook({ tripId, trip, onClose, embedded = false }) {
   const [tripKey, setTripKey] = useState(null);
   const currentUserId = auth.currentUser?.uid;
   
-  /**
-   * Checks if a string appears to be base64-encoded (encrypted data)
-   * Used to determine if decryption is needed before attempting to decrypt
-   * @param {string} str - String to check
-   * @returns {boolean} True if string looks like base64
-   */
-  const looksLikeBase64 = (str) => {
-    if (!str || typeof str !== 'string') return false;
-    return str.length >= 20 && /^[A-Za-z0-9+/=]+$/.test(str) && str.length % 4 === 0;
-  };
-  
   // Effect hook to set up encryption and load the trip encryption key
   // Ensures encryption is enabled for the trip and the key is available for decryption
   useEffect(() => {
@@ -56,8 +175,9 @@ export default function Scrapbook({ tripId, trip, onClose, embedded = false }) {
         // Attempt to get existing trip encryption key
         let key = await getTripEncryptionKey(tripId, currentUserId);
         
-        // If no key exists, enable encryption for this trip and generate keys
-        if (!key) {
+        // Only enable encryption for trips that have none yet; an encrypted trip
+        // whose key is missing here must keep its key so existing data stays readable
+        if (!key && !await isTripEncrypted(tripId)) {
           await enableTripEncryption(tripId, currentUserId);
           key = await getTripEncryptionKey(tripId, currentUserId);
         }
@@ -90,62 +210,17 @@ export default function Scrapbook({ tripId, trip, onClose, embedded = false }) {
         const dayVal = typeof data.day === "number" ? data.day : Number(data.day ?? 1);
         const position = data.position || data.orderIndex || 0;
         
-        let title = data.title;
-        let address = data.address;
-        
-        // Decrypt item metadata if encryption is enabled and key is available
-        if (data.encrypted && tripKey) {
-          try {
-            // Decrypt title if it appears to be encrypted (base64 format)
-            if (data.encryptedTitle && data.title && looksLikeBase64(data.title)) {
-              try {
-                const decrypted = decrypt(data.title, tripKey);
-                if (decrypted && decrypted.trim().length > 0) {
-                  title = decrypted.trim();
-                } else {
-                  title = 'Unnamed Stop';
-                }
-              } catch (decryptError) {
-                console.error('Failed to decrypt stop title:', decryptError);
-                title = 'Unnamed Stop';
-              }
-            } else if (!data.title) {
-              title = 'Unnamed Stop';
-            }
-            
-            // Decrypt address if it appears to be encrypted (base64 format)
-            if (data.encryptedAddress && data.address && looksLikeBase64(data.address)) {
-              try {
-                const decrypted = decrypt(data.address, tripKey);
-                if (decrypted && decrypted.trim().length > 0) {
-                  address = decrypted.trim();
-                } else {
-                  address = 'Address unavailable';
-                }
-              } catch (decryptError) {
-                console.error('Failed to decrypt stop address:', decryptError);
-                address = 'Address unavailable';
-              }
-            }
-          } catch (error) {
-            console.error('Error decrypting item metadata:', error);
-            // Fallback to default values if decryption fails
-            if (!title || (title && looksLikeBase64(title))) {
-              title = 'Unnamed Stop';
-            }
-            if (!address || (address && looksLikeBase64(address))) {
-              address = 'Address unavailable';
-            }
-          }
-        } else if (data.encrypted && !tripKey) {
-          // Encrypted but no key available - show fallback values
-          if (!title || (title && looksLikeBase64(title))) {
-            title = 'Unnamed Stop';
-          }
-          if (!address || (address && looksLikeBase64(address))) {
-            address = 'Address unavailable';
-          }
-        }
+        // Decrypt item metadata; anything unreadable shows a placeholder instead
+        const title = decryptField(data.title, tripKey, {
+          encrypted: !!(data.encrypted && data.encryptedTitle),
+          fallback: 'Unnamed Stop',
+        });
+        const address = data.address
+          ? decryptField(data.address, tripKey, {
+              encrypted: !!(data.encrypted && data.encryptedAddress),
+              fallback: 'Address unavailable',
+            })
+          : data.address;
         
         // Store processed item metadata in map
         itineraryItemsMap.set(d.id, {
@@ -174,38 +249,16 @@ export default function Scrapbook({ tripId, trip, onClose, embedded = false }) {
         entriesSnap.docs.forEach((entryDoc) => {
           const entryData = entryDoc.data();
           // Check if entry has any content (notes or media)
-          const hasContent = !!(entryData.notes || (entryData.mediaUrls && entryData.mediaUrls.length > 0));
+          const entryMedia = getEntryMedia(entryData);
+          const hasContent = !!(entryData.notes || entryMedia.length > 0);
           
           if (hasContent) {
             hasAnyContent = true;
             // Track user IDs to load profiles later
             if (entryData.createdBy) userIds.add(entryData.createdBy);
             
-            let notes = entryData.notes;
-            // Decrypt notes if encryption is enabled
-            if (entryData.encrypted && tripKey && notes) {
-              try {
-                if (looksLikeBase64(notes)) {
-                  try {
-                    const decrypted = decrypt(notes, tripKey);
-                    if (decrypted && decrypted.trim().length > 0) {
-                      notes = decrypted.trim();
-                    } else {
-                      notes = null; // Skip empty decrypted notes
-                    }
-                  } catch (decryptError) {
-                    console.error('Failed to decrypt notes:', decryptError);
-                    notes = null; // Skip failed decryption
-                  }
-                }
-              } catch (error) {
-                console.error('Error decrypting notes:', error);
-                notes = null; // Skip failed decryption
-              }
-            } else if (entryData.encrypted && !tripKey && notes && looksLikeBase64(notes)) {
-              // Skip encrypted notes if key is not available
-              notes = null;
-            }
+            // Notes that cannot be decrypted are skipped
+            const notes = decryptField(entryData.notes, tripKey, { encrypted: !!entryData.encrypted });
             
             // Add decrypted notes with author and timestamp info
             if (notes) {
@@ -217,10 +270,8 @@ export default function Scrapbook({ tripId, trip, onClose, embedded = false }) {
               });
             }
             
-            // Collect all media URLs from this entry
-            if (entryData.mediaUrls && entryData.mediaUrls.length > 0) {
-              allMedia.push(...entryData.mediaUrls);
-            }
+            // Collect all media from this entry
+            allMedia.push(...entryMedia);
           }
         });
         
@@ -229,7 +280,7 @@ export default function Scrapbook({ tripId, trip, onClose, embedded = false }) {
           stopsWithContent.set(itineraryItem.id, {
             ...itineraryItem,
             notes: allNotes,
-            mediaUrls: allMedia,
+            media: allMedia,
           });
         }
       }));
@@ -316,45 +367,18 @@ export default function Scrapbook({ tripId, trip, onClose, embedded = false }) {
   };
 
   /**
-   * Checks if a URL points to a video file based on file extension
-   * @param {string} url - Media URL to check
-   * @returns {boolean} True if URL appears to be a video
-   */
-  const isVideo = (url) => {
-    if (!url) return false;
-    const videoExtensions = [".mp4", ".mov", ".webm", ".avi"];
-    return videoExtensions.some((ext) => url.toLowerCase().includes(ext));
-  };
-
-  /**
-   * Renders a grid of media items (images and videos) from an array of URLs
-   * @param {Array} mediaUrls - Array of media URLs to display
-   * @returns {JSX.Element|null} Grid of media items or null if no URLs provided
+   * Renders a grid of media items (images and videos)
+   * @param {Array} media - Media descriptors to display
+   * @returns {JSX.Element|null} Grid of media items or null if there is no media
    */
-  const renderMedia = (mediaUrls) => {
-    if (!mediaUrls || mediaUrls.length === 0) return null;
+  const renderMedia = (media) => {
+    if (!media || media.length === 0) return null;
 
     return (
       <div className="scrapbook-media-grid">
-        {mediaUrls.map((url, index) => (
-          <div key={index} className="scrapbook-media-item">
-            {isVideo(url) ? (
-              <video
-                src={url}
-                controls
-                className="scrapbook-media"
-                preload="metadata"
-              >
-                Your browser does not support the video tag.
-              </video>
-            ) : (
-              <img
-                src={url}
-                alt={`Media ${index + 1}`}
-                className="scrapbook-media"
-                loading="lazy"
-              />
-            )}
+        {media.map((m, index) => (
+          <div key={m.url} className="scrapbook-media-item">
+            <ScrapbookMedia media={m} tripKey={tripKey} index={index} />
           </div>
         ))}
       </div>
@@ -441,9 +465,9 @@ export default function Scrapbook({ tripId, trip, onClose, embedded = false }) {
                         )}
 
                         {/* Merged media from all users */}
-                        {item.mediaUrls && item.mediaUrls.length > 0 && (
+                        {item.media && item.media.length > 0 && (
                           <div className="scrapbook-item-media">
-                            {renderMedia(item.mediaUrls)}
+                            {renderMedia(item.media)}
                           </div>
                         )}
                       </div>
@@ -539,9 +563,9 @@ export default function Scrapbook({ tripId, trip, onClose, embedded = false }) {
                         )}
 
                         {/* Merged media from all users */}
-                        {item.mediaUrls && item.mediaUrls.length > 0 && (
+                        {item.media && item.media.length > 0 && (
                           <div className="scrapbook-item-media">
-                            {renderMedia(item.mediaUrls)}
+                            {renderMedia(item.media)}
                           </div>
                         )}
                       </div>
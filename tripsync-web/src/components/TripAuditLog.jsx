@@ -0,0 +1,280 @@
+/**
+ * TripAuditLog Component
+ *
+ * Shows the trip owner the server-written audit log: who changed itinerary
+ * items, members, invites and encryption keys, and which fields changed.
+ * Unlike the activity feed, entries are written by Cloud Functions only and
+ * never contain field values. Entries load a page at a time and can be
+ * exported as JSON.
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { getFunctions, httpsCallable } from "firebase/functions";
+import { getUserProfiles, getUserDisplayName } from "../utils/users.js";
+import { rateLimitedCall } from "../utils/rateLimiting.js";
+import { downloadJSON } from "../utils/export.js";
+import "./TripAuditLog.css";
+
+const PAGE_SIZE = 50;
+const EXPORT_PAGE_SIZE = 200;
+
+const RESOURCE_LABELS = {
+  members: "Members",
+  itinerary: "Itinerary item",
+  invite: "Invite",
+  encryptionKey: "Encryption key",
+};
+
+const RESOURCE_FILTERS = [
+  { value: "", label: "All Changes" },
+  { value: "members", label: "Members" },
+  { value: "itinerary", label: "Itinerary" },
+  { value: "invite", label: "Invites" },
+  { value: "encryptionKey", label: "Encryption Keys" },
+];
+
+/**
+ * Fetches one page of the trip's audit log
+ * @param {string} tripId - Trip ID
+ * @param {string|null} cursor - ID of the last entry of the previous page
+ * @param {number} pageSize - Entries per page
+ * @returns {Promise<{entries: Object[], nextCursor: string|null}>}
+ */
+async function fetchAuditPage(tripId, cursor, pageSize) {
+  const call = httpsCallable(getFunctions(), "listTripAuditLog");
+  const res = await rateLimitedCall("listTripAuditLog", call, { tripId, cursor, pageSize });
+  return { entries: res.data?.entries || [], nextCursor: res.data?.nextCursor || null };
+}
+
+/**
+ * Renders the audit log panel
+ * @param {string} tripId - Trip ID to load the audit log for
+ * @param {Function} onClose - Callback function to close the panel
+ */
+export default function TripAuditLog({ tripId, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [profiles, setProfiles] = useState({});
+  const [filterResource, setFilterResource] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Loads profiles for actors and members named in entries that have not been loaded yet
+   * @param {Object[]} newEntries - Entries just fetched
+   */
+  const loadProfiles = useCallback(async (newEntries) => {
+    const uids = new Set();
+    newEntries.forEach((entry) => {
+      if (entry.actor?.uid) uids.add(entry.actor.uid);
+      Object.values(entry.members || {}).forEach((list) => list.forEach((uid) => uids.add(uid)));
+    });
+    const missing = [...uids].filter((uid) => !profiles[uid]);
+    if (missing.length === 0) return;
+
+    const loaded = await getUserProfiles(missing);
+    setProfiles((prev) => {
+      const next = { ...prev };
+      loaded.forEach((p) => {
+        next[p.uid] = p;
+      });
+      return next;
+    });
+  }, [profiles]);
+
+  // Effect hook to load the first page when the panel opens
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadFirstPage = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const page = await fetchAuditPage(tripId, null, PAGE_SIZE);
+        if (cancelled) return;
+        setEntries(page.entries);
+        setNextCursor(page.nextCursor);
+        loadProfiles(page.entries);
+      } catch (err) {
+        console.error("Error loading audit log:", err);
+        if (!cancelled) setError(err?.message || "Failed to load the audit log.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadFirstPage();
+    return () => {
+      cancelled = true;
+    };
+    // loadProfiles changes as profiles load; the first page only loads once per trip
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tripId]);
+
+  /**
+   * Loads the page after the last loaded entry
+   */
+  async function loadMore() {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    setError("");
+    try {
+      const page = await fetchAuditPage(tripId, nextCursor, PAGE_SIZE);
+      setEntries((prev) => [...prev, ...page.entries]);
+      setNextCursor(page.nextCursor);
+      loadProfiles(page.entries);
+    } catch (err) {
+      console.error("Error loading audit log:", err);
+      setError(err?.message || "Failed to load more entries.");
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  /**
+   * Downloads the whole audit log as a JSON file
+   */
+  async function handleExport() {
+    setExporting(true);
+    setError("");
+    try {
+      const all = [];
+      let cursor = null;
+      do {
+        const page = await fetchAuditPage(tripId, cursor, EXPORT_PAGE_SIZE);
+        all.push(...page.entries);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      const exportedAt = new Date();
+      downloadJSON(
+        {
+          tripId,
+          exportedAt: exportedAt.toISOString(),
+          entries: all.map((entry) => ({
+            ...entry,
+            createdAt: entry.createdAt ? new Date(entry.createdAt).toISOString() : null,
+          })),
+        },
+        `trip-audit-log-${tripId}-${exportedAt.toISOString().slice(0, 10)}.json`
+      );
+    } catch (err) {
+      console.error("Error exporting audit log:", err);
+      setError(err?.message || "Failed to export the audit log.");
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  /**
+   * Gets a display name for a user ID, falling back to the ID itself
+   * @param {string} uid - User ID
+   * @returns {string} Display name
+   */
+  function nameOf(uid) {
+    return profiles[uid] ? getUserDisplayName(profiles[uid]) : uid;
+  }
+
+  /**
+   * Describes who made a change
+   * @param {Object} actor - Entry actor ({ uid, type })
+   * @returns {string} Actor description
+   */
+  function describeActor(actor) {
+    if (actor?.uid) return nameOf(actor.uid);
+    if (actor?.type === "server") return "TripSync";
+    return "Unknown";
+  }
+
+  const visibleEntries = filterResource
+    ? entries.filter((entry) => entry.resource === filterResource)
+    : entries;
+
+  return (
+    <div className="audit-log-overlay">
+      <div className="audit-log-panel">
+        <div className="audit-log-header">
+          <h3>Audit Log</h3>
+          <button className="audit-log-close-btn" onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="audit-log-toolbar">
+          <select
+            value={filterResource}
+            onChange={(e) => setFilterResource(e.target.value)}
+            className="audit-log-select"
+          >
+            {RESOURCE_FILTERS.map((filter) => (
+              <option key={filter.value} value={filter.value}>
+                {filter.label}
+              </option>
+            ))}
+          </select>
+          <span className="audit-log-hint">Field names only; values are never recorded.</span>
+          <button
+            className="audit-log-btn"
+            onClick={handleExport}
+            disabled={exporting || loading || entries.length === 0}
+          >
+            {exporting ? "Exporting..." : "Export JSON"}
+          </button>
+        </div>
+
+        {error && <div className="audit-log-error">{error}</div>}
+
+        <div className="audit-log-list">
+          {loading ? (
+            <div className="audit-log-empty">Loading audit log...</div>
+          ) : visibleEntries.length === 0 ? (
+            <div className="audit-log-empty">
+              {entries.length === 0 ? "No changes recorded yet." : "No loaded entries match the filter."}
+            </div>
+          ) : (
+            visibleEntries.map((entry) => (
+              <div key={entry.id} className="audit-log-item">
+                <div className="audit-log-item-header">
+                  <span className={`audit-log-action audit-log-action-${entry.action}`}>{entry.action}</span>
+                  <span className="audit-log-resource">
+                    {RESOURCE_LABELS[entry.resource] || entry.resource}
+                  </span>
+                  <span className="audit-log-document">{entry.documentId}</span>
+                  <span className="audit-log-time">
+                    {entry.createdAt ? new Date(entry.createdAt).toLocaleString() : "Pending"}
+                  </span>
+                </div>
+                <div className="audit-log-actor">
+                  by {describeActor(entry.actor)}
+                  {entry.actor?.type === "server" && " (via server)"}
+                </div>
+                <div className="audit-log-fields">
+                  {entry.fields?.added?.length > 0 && <div>Added: {entry.fields.added.join(", ")}</div>}
+                  {entry.fields?.changed?.length > 0 && <div>Changed: {entry.fields.changed.join(", ")}</div>}
+                  {entry.fields?.removed?.length > 0 && <div>Removed: {entry.fields.removed.join(", ")}</div>}
+                  {entry.members?.added?.length > 0 && (
+                    <div>Members joined: {entry.members.added.map(nameOf).join(", ")}</div>
+                  )}
+                  {entry.members?.removed?.length > 0 && (
+                    <div>Members removed: {entry.members.removed.map(nameOf).join(", ")}</div>
+                  )}
+                  {entry.members?.roleChanged?.length > 0 && (
+                    <div>Role changed: {entry.members.roleChanged.map(nameOf).join(", ")}</div>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+
+          {nextCursor && !loading && (
+            <button className="audit-log-btn audit-log-more" onClick={loadMore} disabled={loadingMore}>
+              {loadingMore ? "Loading..." : "Load more"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
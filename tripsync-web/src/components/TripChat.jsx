@@ -20,7 +20,7 @@ import {
   doc,
   setDoc,
 } from "firebase/firestore";
-import { getUserProfiles, getUserDisplayName, getUserProfile } from "../utils/users.js";
+import { getUserProfiles, getUserDisplayName, getUserProfile, getBlockedUserIds } from "../utils/users.js";
 import { encrypt, decrypt } from "../utils/encryption.js";
 import { getTripEncryptionKey, enableTripEncryption } from "../utils/tripKeys.js";
 import { validateChatMessage, sanitizeText, createRateLimiter, MAX_LENGTHS } from "../utils/validation.js";
@@ -31,8 +31,9 @@ import "./TripChat.css";
  * Renders trip chat panel
  * @param {string} tripId - Trip ID to load chat messages for
  * @param {Function} onClose - Callback function to close the chat panel
+ * @param {boolean} [canChat] - Whether the user may post messages; viewers only read the chat
  */
-export default function TripChat({ tripId, onClose }) {
+export default function TripChat({ tripId, onClose, canChat = true }) {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState("");
   const [messageProfiles, setMessageProfiles] = useState({});
@@ -55,7 +56,8 @@ export default function TripChat({ tripId, onClose }) {
         let key = await getTripEncryptionKey(tripId, currentUserId);
         
         // If no key exists, enables encryption for this trip and generates keys
-        if (!key) {
+        // Read-only members cannot set up encryption and wait for a shared key instead
+        if (!key && canChat) {
           await enableTripEncryption(tripId, currentUserId);
           key = await getTripEncryptionKey(tripId, currentUserId);
         }
@@ -88,7 +90,7 @@ export default function TripChat({ tripId, onClose }) {
     rateLimitedSubmit.current = createRateLimiter(async (message) => {
       // Rate limiter placeholder - actual submission logic is in handleSubmit
     }, 1000);
-  }, [tripId, currentUserId]);
+  }, [tripId, currentUserId, canChat]);
 
   // Effect hook to load messages with real-time updates and optimistic update merging
   // Handles merging optimistic messages with real-time Firestore updates
@@ -217,7 +219,11 @@ export default function TripChat({ tripId, onClose }) {
     const { getDoc, doc: docFn } = await import("firebase/firestore");
     const tripDoc = await getDoc(docFn(db, "trips", tripId));
     const tripData = tripDoc.data();
-    const memberUids = tripData?.roles ? Object.keys(tripData.roles) : [];
+    // Members the current user has blocked are never mentioned
+    const blockedUids = await getBlockedUserIds(currentUserId);
+    const memberUids = tripData?.roles
+      ? Object.keys(tripData.roles).filter((uid) => !blockedUids.has(uid))
+      : [];
     const memberProfiles = await getUserProfiles(memberUids);
 
     while ((match = mentionRegex.exec(text)) !== null) {
@@ -428,6 +434,7 @@ export default function TripChat({ tripId, onClose }) {
           <div ref={messagesEndRef} />
         </div>
 
+        {canChat ? (
         <form onSubmit={handleSubmit} className="trip-chat-form">
           <textarea
             value={newMessage}
@@ -457,6 +464,9 @@ export default function TripChat({ tripId, onClose }) {
             </button>
           </div>
         </form>
+        ) : (
+          <div className="trip-chat-read-only">Viewers can read the chat but not post in it.</div>
+        )}
       </div>
     </div>
   );
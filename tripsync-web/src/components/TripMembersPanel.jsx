@@ -3,15 +3,26 @@
  * 
  * Panel for managing trip members, inviting friends, searching for users, and inviting by email.
  * Displays current trip members with their roles and provides functionality to invite new members
- * through friend lists, user search, or email invitations. Includes rate limiting for API calls.
+ * through friend lists, user search, or email invitations, and follows delivery of the invitation
+ * email. Includes rate limiting for API calls.
+ * For encrypted trips, shows whether each member holds the trip key and lets key holders share it.
+ * Invite controls follow the canManageMembers capability, so viewers only see the member list.
+ * Owners and editors see pending invites with expiry countdowns and can resend, revoke or change
+ * the role of the ones they are allowed to manage.
+ * Owners can create reusable join links with a use cap, an expiry and optional approval, revoke them,
+ * and approve or decline the join requests those links produce.
+ * Owners can change members' roles, remove members and transfer ownership; other members can leave.
  */
 
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import { auth, db } from "../firebaseConfig";
-import { doc, onSnapshot, collection } from "firebase/firestore";
+import { doc, onSnapshot, collection, query, where } from "firebase/firestore";
 import { getFunctions, httpsCallable } from "firebase/functions";
+import { useNavigate } from "react-router-dom";
 import { debounce, rateLimitedCall, rateLimiters } from "../utils/rateLimiting.js";
 import { getUserProfiles, getUserDisplayName } from "../utils/users.js";
+import { getMemberKeyStatus, shareTripKeyWithMember } from "../utils/tripKeys.js";
+import { getTripCapabilities } from "../utils/permissions.js";
 import "./TripMembersPanel.css";
 
 /**
@@ -32,7 +43,26 @@ export default function TripMembersPanel({ tripId }) {
   const [inviting, setInviting] = useState(false);
   const [error, setError] = useState("");
   const [ok, setOk] = useState("");
+  const [keyDocs, setKeyDocs] = useState({});
+  const [keyRequests, setKeyRequests] = useState({});
+  const [sharingKeyWith, setSharingKeyWith] = useState(null);
+  const [pendingInvites, setPendingInvites] = useState([]);
+  const [inviteActionId, setInviteActionId] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [linkRole, setLinkRole] = useState("viewer");
+  const [linkMaxUses, setLinkMaxUses] = useState(25);
+  const [linkTtlDays, setLinkTtlDays] = useState(7);
+  const [linkRequiresApproval, setLinkRequiresApproval] = useState(false);
+  const [creatingLink, setCreatingLink] = useState(false);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [respondingTo, setRespondingTo] = useState(null);
+  const [memberActionUid, setMemberActionUid] = useState(null);
+  const navigate = useNavigate();
   const fun = getFunctions();
+  const myUid = auth.currentUser?.uid;
+  const myRole = trip?.roles?.[myUid];
+  const { canManageMembers } = getTripCapabilities(trip?.roles, myUid);
+  const isOwner = myRole === "owner";
 
   // Effect hook to load trip data and member profiles with real-time updates
   // Listens for trip changes and updates member list when roles change
@@ -55,6 +85,24 @@ export default function TripMembersPanel({ tripId }) {
     return () => unsub();
   }, [tripId]);
 
+  // Effect hook to track members' wrapped trip keys and open key requests
+  // Drives the per-member key status shown for encrypted trips
+  useEffect(() => {
+    if (!auth.currentUser) return;
+
+    const toMap = (snap) => Object.fromEntries(snap.docs.map((d) => [d.id, d.data()]));
+    const unsubKeys = onSnapshot(collection(db, "trips", tripId, "encryptionKeys"), (snap) => {
+      setKeyDocs(toMap(snap));
+    });
+    const unsubRequests = onSnapshot(collection(db, "trips", tripId, "keyRequests"), (snap) => {
+      setKeyRequests(toMap(snap));
+    });
+    return () => {
+      unsubKeys();
+      unsubRequests();
+    };
+  }, [tripId]);
+
   // Effect hook to load current user's friends list with real-time updates
   // Friends list is used to display users who can be invited to the trip
   useEffect(() => {
@@ -75,6 +123,70 @@ export default function TripMembersPanel({ tripId }) {
     return () => unsub();
   }, []);
 
+  // Follows delivery of the last invitation email, which is sent by a server trigger
+  const lastInviteId = inviteResult?.inviteId;
+  useEffect(() => {
+    if (!tripId || !lastInviteId) return;
+
+    const inviteRef = doc(db, "trips", tripId, "invites", lastInviteId);
+    const unsub = onSnapshot(inviteRef, (snap) => {
+      const delivery = snap.data()?.delivery || null;
+      setInviteResult((prev) => (prev?.inviteId === lastInviteId ? { ...prev, delivery } : prev));
+    });
+    return () => unsub();
+  }, [tripId, lastInviteId]);
+
+  /**
+   * Loads the trip's pending invites
+   * Invites past their expiry are marked expired by the server and left out
+   */
+  const loadInvites = useCallback(async () => {
+    try {
+      const call = httpsCallable(getFunctions(), "listTripInvites");
+      const res = await rateLimitedCall("listTripInvites", call, { tripId });
+      setPendingInvites(res.data?.invites || []);
+    } catch (err) {
+      console.error(err);
+      setPendingInvites([]);
+    }
+  }, [tripId]);
+
+  // Effect hook to load pending invites for members who can manage them
+  useEffect(() => {
+    if (!auth.currentUser || !canManageMembers) {
+      setPendingInvites([]);
+      return;
+    }
+    loadInvites();
+  }, [canManageMembers, loadInvites]);
+
+  // Effect hook to follow join requests waiting for the owner's approval
+  useEffect(() => {
+    if (!auth.currentUser || !isOwner) {
+      setJoinRequests([]);
+      return;
+    }
+
+    const requestsQuery = query(
+      collection(db, "trips", tripId, "joinRequests"),
+      where("status", "==", "pending")
+    );
+    const unsub = onSnapshot(requestsQuery, async (snap) => {
+      const requests = snap.docs.map((d) => ({ uid: d.id, ...d.data() }));
+      const profiles = await getUserProfiles(requests.map((r) => r.uid));
+      setJoinRequests(requests.map((r, i) => ({ ...r, profile: profiles[i] })));
+    });
+    return () => unsub();
+  }, [tripId, isOwner]);
+
+  // Effect hook to refresh expiry countdowns once a minute while invites are shown
+  useEffect(() => {
+    if (pendingInvites.length === 0) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, [pendingInvites.length]);
+
   // Effect hook for debounced user search
   // Triggers search after 500ms of no typing to prevent excessive API calls
   useEffect(() => {
@@ -111,7 +223,7 @@ export default function TripMembersPanel({ tripId }) {
       await auth.currentUser.getIdToken(true);
       const call = httpsCallable(fun, "inviteFriendToTrip");
       // Uses rate limiter to prevent excessive invitation requests
-      await rateLimitedCall(call, { tripId, friendUid, role: "editor" }, rateLimiters.tripInvite);
+      await rateLimitedCall("inviteFriendToTrip", call, { tripId, friendUid, role: "editor" }, rateLimiters.tripInvite);
       setOk("Friend invited to trip!");
     } catch (err) {
       console.error(err);
@@ -135,7 +247,7 @@ export default function TripMembersPanel({ tripId }) {
       await auth.currentUser.getIdToken(true);
       const call = httpsCallable(fun, "searchUsers");
       // Uses rate limiter to prevent excessive search requests
-      const res = await rateLimitedCall(call, { searchTerm: term.trim() }, rateLimiters.search);
+      const res = await rateLimitedCall("searchUsers", call, { searchTerm: term.trim() }, rateLimiters.search);
       setSearchResults(res.data?.users || []);
     } catch (err) {
       console.error(err);
@@ -167,13 +279,19 @@ export default function TripMembersPanel({ tripId }) {
       await auth.currentUser.getIdToken(true);
       const call = httpsCallable(fun, "inviteByEmailToTrip");
       // Uses rate limiter to prevent excessive invitation requests
-      const resp = await rateLimitedCall(call, { tripId, email, role: "editor" }, rateLimiters.tripInvite);
+      const resp = await rateLimitedCall("inviteByEmailToTrip", call, { tripId, email, role: "editor" }, rateLimiters.tripInvite);
       
-      // Extracts invite token and creates shareable link
-      const { token } = resp.data || {};
-      setInviteResult({ token, link: `${window.location.origin}/accept?tripId=${tripId}&token=${token}` });
+      // Keeps a shareable link in case the email does not arrive
+      const { token, inviteId } = resp.data || {};
+      setInviteResult({
+        inviteId,
+        email,
+        delivery: null,
+        link: getAcceptLink(token),
+      });
       setEmail("");
-      setOk("Invite sent! Share the link below.");
+      setOk(`Invite created for ${email}.`);
+      loadInvites();
     } catch (err) {
       console.error(err);
       setError(err.message || "Failed to send invite.");
@@ -182,8 +300,224 @@ export default function TripMembersPanel({ tripId }) {
     }
   }
 
+  /**
+   * Shares the trip key with a member whose key is pending or missing
+   * @param {string} memberUid - Member user ID
+   */
+  async function shareKey(memberUid) {
+    setError("");
+    setOk("");
+    setSharingKeyWith(memberUid);
+    try {
+      await shareTripKeyWithMember(tripId, memberUid, auth.currentUser.uid);
+      setOk("Trip key shared.");
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Failed to share trip key.");
+    } finally {
+      setSharingKeyWith(null);
+    }
+  }
+
+  /**
+   * Runs an invite management callable and reloads the pending invites afterwards
+   * @param {string} inviteId - Invite ID
+   * @param {string} name - Callable name
+   * @param {Object} data - Extra callable data
+   * @param {string} message - Success message
+   */
+  async function manageInvite(inviteId, name, data, message) {
+    setError("");
+    setOk("");
+    setInviteActionId(inviteId);
+    try {
+      const call = httpsCallable(fun, name);
+      await rateLimitedCall(name, call, { tripId, inviteId, ...data }, rateLimiters.tripInvite);
+      setOk(message);
+      await loadInvites();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Failed to update invite.");
+    } finally {
+      setInviteActionId(null);
+    }
+  }
+
+  /**
+   * Revokes a pending invite or join link after confirmation
+   * @param {Object} invite - Pending invite from listTripInvites
+   */
+  function revokeInvite(invite) {
+    const isLink = invite.type === "link";
+    const question = isLink
+      ? "Revoke this join link? Nobody else will be able to join with it."
+      : `Revoke the invite for ${getInviteLabel(invite)}?`;
+    if (!window.confirm(question)) return;
+    manageInvite(invite.id, "revokeTripInvite", {}, isLink ? "Join link revoked." : "Invite revoked.");
+  }
+
+  /**
+   * Runs a member management callable for one member
+   * @param {string} memberUid - Member user ID the action applies to
+   * @param {string} name - Callable name
+   * @param {Object} data - Extra callable data
+   * @param {string} message - Success message
+   * @returns {Promise<boolean>} Whether the action succeeded
+   */
+  async function runMemberAction(memberUid, name, data, message) {
+    setError("");
+    setOk("");
+    setMemberActionUid(memberUid);
+    try {
+      const call = httpsCallable(fun, name);
+      await rateLimitedCall(name, call, { tripId, ...data });
+      setOk(message);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Failed to update member.");
+      return false;
+    } finally {
+      setMemberActionUid(null);
+    }
+  }
+
+  /**
+   * Removes a member from the trip after confirmation
+   * @param {Object} profile - Member profile
+   */
+  function removeMember(profile) {
+    const name = getUserDisplayName(profile);
+    if (!window.confirm(`Remove ${name} from this trip?`)) return;
+    runMemberAction(profile.uid, "removeTripMember", { memberUid: profile.uid }, `${name} was removed.`);
+  }
+
+  /**
+   * Makes another member the trip owner after confirmation
+   * The current owner stays on the trip as an editor
+   * @param {Object} profile - Member profile
+   */
+  function transferOwnership(profile) {
+    const name = getUserDisplayName(profile);
+    if (!window.confirm(`Make ${name} the owner of this trip? You will become an editor.`)) return;
+    runMemberAction(profile.uid, "transferTripOwnership", { newOwnerUid: profile.uid }, `${name} is now the owner.`);
+  }
+
+  /**
+   * Leaves the trip after confirmation and returns to the trips list
+   */
+  async function leaveTrip() {
+    if (!window.confirm("Leave this trip? You will need a new invite to rejoin.")) return;
+    const left = await runMemberAction(myUid, "leaveTrip", {}, "You left the trip.");
+    if (left) navigate("/trips");
+  }
+
+  /**
+   * Creates a reusable join link from the link form settings
+   */
+  async function createJoinLink() {
+    setError("");
+    setOk("");
+    setCreatingLink(true);
+    try {
+      const call = httpsCallable(fun, "createTripJoinLink");
+      await rateLimitedCall("createTripJoinLink", call, {
+        tripId,
+        role: linkRole,
+        maxUses: Number(linkMaxUses),
+        ttlHours: Number(linkTtlDays) * 24,
+        requiresApproval: linkRequiresApproval,
+      }, rateLimiters.tripInvite);
+      setOk("Join link created.");
+      await loadInvites();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Failed to create join link.");
+    } finally {
+      setCreatingLink(false);
+    }
+  }
+
+  /**
+   * Copies a join link to the clipboard
+   * @param {string} link - Join link URL
+   */
+  async function copyLink(link) {
+    try {
+      await navigator.clipboard.writeText(link);
+      setOk("Link copied.");
+    } catch (err) {
+      console.error(err);
+      setError("Could not copy the link. Select it and copy it instead.");
+    }
+  }
+
+  /**
+   * Approves or declines a join request
+   * @param {string} requesterUid - User ID of the person asking to join
+   * @param {boolean} approve - Whether to add them to the trip
+   */
+  async function respondToJoinRequest(requesterUid, approve) {
+    setError("");
+    setOk("");
+    setRespondingTo(requesterUid);
+    try {
+      const call = httpsCallable(fun, "respondToJoinRequest");
+      await rateLimitedCall("respondToJoinRequest", call, { tripId, requesterUid, approve });
+      setOk(approve ? "Join request approved." : "Join request declined.");
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Failed to respond to join request.");
+    } finally {
+      setRespondingTo(null);
+    }
+  }
+
+  /**
+   * Formats the time left before an invite expires
+   * @param {number|null} expiresAt - Expiry in milliseconds since the epoch
+   * @returns {string} Countdown text
+   */
+  function formatExpiry(expiresAt) {
+    if (!expiresAt) return "No expiry";
+    const diffMs = expiresAt - now;
+    if (diffMs <= 0) return "Expired";
+    const days = Math.floor(diffMs / 86400000);
+    const hours = Math.floor((diffMs % 86400000) / 3600000);
+    const mins = Math.floor((diffMs % 3600000) / 60000);
+
+    if (days > 0) return `Expires in ${days}d ${hours}h`;
+    if (hours > 0) return `Expires in ${hours}h ${mins}m`;
+    if (mins > 0) return `Expires in ${mins}m`;
+    return "Expires in under a minute";
+  }
+
+  /**
+   * Gets the name shown for an invite's recipient
+   * @param {Object} invite - Pending invite from listTripInvites
+   * @returns {string}
+   */
+  function getInviteLabel(invite) {
+    return invite.email || "Invite link";
+  }
+
+  /**
+   * Builds the AcceptInvite URL for an invite token
+   * @param {string} token - Invite token
+   * @returns {string}
+   */
+  function getAcceptLink(token) {
+    return `${window.location.origin}/accept?tripId=${tripId}&token=${token}`;
+  }
+
   const memberUids = trip?.roles ? Object.keys(trip.roles) : [];
+  const personalInvites = pendingInvites.filter((invite) => invite.type !== "link");
+  const joinLinks = pendingInvites.filter((invite) => invite.type === "link");
   const isMember = (uid) => memberUids.includes(uid);
+  const encryptionEnabled = keyDocs.metadata?.enabled === true;
+  const currentKeyVersion = keyDocs.metadata?.currentVersion || 1;
+  const holdsKey = encryptionEnabled &&
+    getMemberKeyStatus(keyDocs[auth.currentUser?.uid], null, currentKeyVersion) === "ok";
 
   return (
     <div className="trip-members-panel">
@@ -196,6 +530,9 @@ export default function TripMembersPanel({ tripId }) {
           <ul className="trip-members-list">
             {memberProfiles.map((profile) => {
               const role = trip?.roles?.[profile.uid] || "viewer";
+              const keyStatus = encryptionEnabled
+                ? getMemberKeyStatus(keyDocs[profile.uid], keyRequests[profile.uid], currentKeyVersion)
+                : null;
               return (
                 <li key={profile.uid} className="trip-members-item">
                   {profile.photoURL && (
@@ -211,16 +548,249 @@ export default function TripMembersPanel({ tripId }) {
                       <div className="trip-members-email">{profile.email}</div>
                     )}
                   </div>
-                  <div className={`trip-members-role trip-members-role-${role}`}>
-                    {role}
-                  </div>
+                  {keyStatus && (
+                    <div className={`trip-members-key trip-members-key-${keyStatus}`} title="Trip encryption key">
+                      key {keyStatus}
+                    </div>
+                  )}
+                  {keyStatus && keyStatus !== "ok" && holdsKey && profile.uid !== auth.currentUser?.uid && (
+                    <button
+                      onClick={() => shareKey(profile.uid)}
+                      disabled={sharingKeyWith === profile.uid}
+                      className="trip-members-invite-btn"
+                    >
+                      {sharingKeyWith === profile.uid ? "Sharing…" : "Share key"}
+                    </button>
+                  )}
+                  {isOwner && role !== "owner" ? (
+                    <div className="trip-members-invite-actions">
+                      <select
+                        value={role}
+                        onChange={(e) => runMemberAction(
+                          profile.uid,
+                          "updateMemberRole",
+                          { memberUid: profile.uid, role: e.target.value },
+                          "Role updated."
+                        )}
+                        disabled={memberActionUid === profile.uid}
+                        className="trip-members-invite-role"
+                      >
+                        <option value="editor">editor</option>
+                        <option value="viewer">viewer</option>
+                      </select>
+                      <button
+                        onClick={() => transferOwnership(profile)}
+                        disabled={memberActionUid === profile.uid}
+                        className="trip-members-invite-btn"
+                      >
+                        Make owner
+                      </button>
+                      <button
+                        onClick={() => removeMember(profile)}
+                        disabled={memberActionUid === profile.uid}
+                        className="trip-members-invite-btn trip-members-invite-btn-danger"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ) : (
+                    <div className={`trip-members-role trip-members-role-${role}`}>
+                      {role}
+                    </div>
+                  )}
                 </li>
               );
             })}
           </ul>
         )}
+        {myRole && myRole !== "owner" && (
+          <button
+            onClick={leaveTrip}
+            disabled={memberActionUid === myUid}
+            className="trip-members-invite-btn trip-members-invite-btn-danger trip-members-leave-btn"
+          >
+            {memberActionUid === myUid ? "Leaving…" : "Leave trip"}
+          </button>
+        )}
       </section>
 
+      {/* Pending Invites */}
+      {isOwner && joinRequests.length > 0 && (
+        <section className="trip-members-section">
+          <h3>Join Requests</h3>
+          <ul className="trip-members-list">
+            {joinRequests.map((request) => (
+              <li key={request.uid} className="trip-members-item">
+                <div className="trip-members-info">
+                  <div className="trip-members-name">{getUserDisplayName(request.profile)}</div>
+                  <div className="trip-members-email">Asked to join as {request.role}</div>
+                </div>
+                <div className="trip-members-invite-actions">
+                  <button
+                    onClick={() => respondToJoinRequest(request.uid, true)}
+                    disabled={respondingTo === request.uid}
+                    className="trip-members-invite-btn"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => respondToJoinRequest(request.uid, false)}
+                    disabled={respondingTo === request.uid}
+                    className="trip-members-invite-btn trip-members-invite-btn-danger"
+                  >
+                    Decline
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {canManageMembers && personalInvites.length > 0 && (
+        <section className="trip-members-section">
+          <h3>Pending Invites</h3>
+          <ul className="trip-members-list">
+            {personalInvites.map((invite) => {
+              const canManage = myRole === "owner" || invite.invitedBy === myUid;
+              const busy = inviteActionId === invite.id;
+              const expiringSoon = invite.expiresAt && invite.expiresAt - now < 24 * 3600 * 1000;
+              return (
+                <li key={invite.id} className="trip-members-item trip-members-invite-item">
+                  <div className="trip-members-info">
+                    <div className="trip-members-name">{getInviteLabel(invite)}</div>
+                    <div className={`trip-members-invite-expiry${expiringSoon ? " trip-members-invite-expiry-soon" : ""}`}>
+                      {formatExpiry(invite.expiresAt)}
+                      {invite.delivery === "failed" && " · email not delivered"}
+                    </div>
+                  </div>
+                  {canManage ? (
+                    <div className="trip-members-invite-actions">
+                      <select
+                        value={invite.role}
+                        onChange={(e) => manageInvite(invite.id, "updateInviteRole", { role: e.target.value }, "Invite role updated.")}
+                        disabled={busy}
+                        className="trip-members-invite-role"
+                      >
+                        <option value="editor">editor</option>
+                        <option value="viewer">viewer</option>
+                      </select>
+                      {invite.type === "email" && (
+                        <button
+                          onClick={() => manageInvite(invite.id, "resendTripInvite", {}, `Invitation resent to ${invite.email}.`)}
+                          disabled={busy}
+                          className="trip-members-invite-btn"
+                        >
+                          Resend
+                        </button>
+                      )}
+                      <button
+                        onClick={() => revokeInvite(invite)}
+                        disabled={busy}
+                        className="trip-members-invite-btn trip-members-invite-btn-danger"
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  ) : (
+                    <div className={`trip-members-role trip-members-role-${invite.role}`}>
+                      {invite.role}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+
+      {/* Join Links */}
+      {isOwner && (
+        <section className="trip-members-section">
+          <h3>Join Links</h3>
+          {joinLinks.length > 0 && (
+            <ul className="trip-members-list">
+              {joinLinks.map((link) => (
+                <li key={link.id} className="trip-members-item trip-members-link-item">
+                  <div className="trip-members-info">
+                    <div className="trip-members-name">
+                      {link.useCount}/{link.maxUses} uses · joins as {link.role}
+                      {link.requiresApproval && " · needs approval"}
+                    </div>
+                    <div className="trip-members-invite-expiry">{formatExpiry(link.expiresAt)}</div>
+                    {link.token && (
+                      <input
+                        readOnly
+                        value={getAcceptLink(link.token)}
+                        onFocus={(e) => e.target.select()}
+                        className="trip-members-link-url"
+                      />
+                    )}
+                  </div>
+                  <div className="trip-members-invite-actions">
+                    {link.token && (
+                      <button
+                        onClick={() => copyLink(getAcceptLink(link.token))}
+                        className="trip-members-invite-btn"
+                      >
+                        Copy
+                      </button>
+                    )}
+                    <button
+                      onClick={() => revokeInvite(link)}
+                      disabled={inviteActionId === link.id}
+                      className="trip-members-invite-btn trip-members-invite-btn-danger"
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="trip-members-link-form">
+            <label>
+              Role
+              <select value={linkRole} onChange={(e) => setLinkRole(e.target.value)}>
+                <option value="viewer">viewer</option>
+                <option value="editor">editor</option>
+              </select>
+            </label>
+            <label>
+              Max uses
+              <input
+                type="number"
+                min="1"
+                max="500"
+                value={linkMaxUses}
+                onChange={(e) => setLinkMaxUses(e.target.value)}
+              />
+            </label>
+            <label>
+              Expires after (days)
+              <input
+                type="number"
+                min="1"
+                max="30"
+                value={linkTtlDays}
+                onChange={(e) => setLinkTtlDays(e.target.value)}
+              />
+            </label>
+            <label className="trip-members-link-approval">
+              <input
+                type="checkbox"
+                checked={linkRequiresApproval}
+                onChange={(e) => setLinkRequiresApproval(e.target.checked)}
+              />
+              Approve new members
+            </label>
+            <button onClick={createJoinLink} disabled={creatingLink} className="trip-members-invite-btn">
+              {creatingLink ? "Creating…" : "Create Link"}
+            </button>
+          </div>
+        </section>
+      )}
+
       {error && (
         <div className="trip-members-message trip-members-message-error">
           {error}
@@ -232,131 +802,139 @@ export default function TripMembersPanel({ tripId }) {
         </div>
       )}
 
-      {/* Search for friends to invite */}
-      <section className="trip-members-search">
-        <h3>Search for Friends to Invite</h3>
-        <div className="trip-members-search-group">
-          <input
-            placeholder="Search by name or email..."
-            type="text"
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-          />
-          <button onClick={searchUsers} disabled={searching || searchTerm.length < 2}>
-            {searching ? "Searching…" : "Search"}
-          </button>
-        </div>
+      {canManageMembers && (
+        <>
+        {/* Search for friends to invite */}
+        <section className="trip-members-search">
+          <h3>Search for Friends to Invite</h3>
+          <div className="trip-members-search-group">
+            <input
+              placeholder="Search by name or email..."
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+            <button onClick={searchUsers} disabled={searching || searchTerm.length < 2}>
+              {searching ? "Searching…" : "Search"}
+            </button>
+          </div>
 
-        {searchResults.length > 0 && (
-          <div className="trip-members-search-results">
-            <div className="trip-members-search-results-label">Search Results:</div>
-            <ul className="trip-members-search-results-list">
-              {searchResults.map((result) => {
-                const alreadyMember = isMember(result.uid);
-                return (
-                  <li key={result.uid} className="trip-members-search-result-item">
-                    <div className="trip-members-search-result-info">
-                      <div>
-                        <span className="trip-members-search-result-name">
-                          {getUserDisplayName(result)}
-                        </span>
-                        {result.displayName && result.email && (
-                          <span className="trip-members-search-result-email">
-                            ({result.email})
+          {searchResults.length > 0 && (
+            <div className="trip-members-search-results">
+              <div className="trip-members-search-results-label">Search Results:</div>
+              <ul className="trip-members-search-results-list">
+                {searchResults.map((result) => {
+                  const alreadyMember = isMember(result.uid);
+                  return (
+                    <li key={result.uid} className="trip-members-search-result-item">
+                      <div className="trip-members-search-result-info">
+                        <div>
+                          <span className="trip-members-search-result-name">
+                            {getUserDisplayName(result)}
                           </span>
+                          {result.displayName && result.email && (
+                            <span className="trip-members-search-result-email">
+                              ({result.email})
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      <div>
+                        {alreadyMember ? (
+                          <span className="trip-members-search-result-status">Already a member</span>
+                        ) : (
+                          <button
+                            onClick={() => inviteFriend(result.uid)}
+                            disabled={inviting}
+                            className="trip-members-invite-btn"
+                          >
+                            {inviting ? "Inviting…" : "Invite"}
+                          </button>
                         )}
                       </div>
-                    </div>
-                    <div>
-                      {alreadyMember ? (
-                        <span className="trip-members-search-result-status">Already a member</span>
-                      ) : (
-                        <button
-                          onClick={() => inviteFriend(result.uid)}
-                          disabled={inviting}
-                          className="trip-members-invite-btn"
-                        >
-                          {inviting ? "Inviting…" : "Invite"}
-                        </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+        </section>
+
+        {/* Your Friends List */}
+        {friendProfiles.length > 0 && (
+          <section className="trip-members-friends-section">
+            <h3>Your Friends</h3>
+            <ul className="trip-members-friends-list">
+              {friendProfiles
+                .filter((f) => !isMember(f.uid))
+                .map((profile) => (
+                  <li key={profile.uid} className="trip-members-friend-item">
+                    <div className="trip-members-friend-info">
+                      {profile.photoURL && (
+                        <img
+                          src={profile.photoURL}
+                          alt=""
+                          className="trip-members-friend-avatar"
+                        />
                       )}
+                      <div className="trip-members-friend-details">
+                        <div className="trip-members-friend-name">{getUserDisplayName(profile)}</div>
+                        {profile.email && (
+                          <div className="trip-members-friend-email">{profile.email}</div>
+                        )}
+                      </div>
                     </div>
+                    <button
+                      onClick={() => inviteFriend(profile.uid)}
+                      disabled={inviting}
+                      className="trip-members-invite-btn"
+                    >
+                      {inviting ? "Inviting…" : "Invite"}
+                    </button>
                   </li>
-                );
-              })}
+                ))}
             </ul>
-          </div>
+          </section>
         )}
-      </section>
-
-      {/* Your Friends List */}
-      {friendProfiles.length > 0 && (
-        <section className="trip-members-friends-section">
-          <h3>Your Friends</h3>
-          <ul className="trip-members-friends-list">
-            {friendProfiles
-              .filter((f) => !isMember(f.uid))
-              .map((profile) => (
-                <li key={profile.uid} className="trip-members-friend-item">
-                  <div className="trip-members-friend-info">
-                    {profile.photoURL && (
-                      <img
-                        src={profile.photoURL}
-                        alt=""
-                        className="trip-members-friend-avatar"
-                      />
-                    )}
-                    <div className="trip-members-friend-details">
-                      <div className="trip-members-friend-name">{getUserDisplayName(profile)}</div>
-                      {profile.email && (
-                        <div className="trip-members-friend-email">{profile.email}</div>
-                      )}
-                    </div>
-                  </div>
-                  <button
-                    onClick={() => inviteFriend(profile.uid)}
-                    disabled={inviting}
-                    className="trip-members-invite-btn"
-                  >
-                    {inviting ? "Inviting…" : "Invite"}
-                  </button>
-                </li>
-              ))}
-          </ul>
-        </section>
-      )}
 
-      {/* Invite by Email */}
-      <section className="trip-members-email-section">
-        <h3>Or Invite by Email</h3>
-        <div className="trip-members-email-group">
-          <input
-            placeholder="Email address"
-            type="email"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-          />
-          <button onClick={inviteByEmail} disabled={inviting || !email}>
-            {inviting ? "Sending…" : "Send Invite"}
-          </button>
-        </div>
+        {/* Invite by Email */}
+        <section className="trip-members-email-section">
+          <h3>Or Invite by Email</h3>
+          <div className="trip-members-email-group">
+            <input
+              placeholder="Email address"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <button onClick={inviteByEmail} disabled={inviting || !email}>
+              {inviting ? "Sending…" : "Send Invite"}
+            </button>
+          </div>
 
-        {inviteResult && (
-          <div className="trip-members-invite-result">
-            <div className="trip-members-invite-result-label">Invite Link (for testing):</div>
-            <a
-              href={inviteResult.link}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="trip-members-invite-result-link"
-            >
-              {inviteResult.link}
-            </a>
-            <div className="trip-members-invite-result-token">
-              Token: {inviteResult.token}
+          {inviteResult && (
+            <div className="trip-members-invite-result">
+              <div className={`trip-members-invite-delivery trip-members-invite-delivery-${inviteResult.delivery?.status || "queued"}`}>
+                {inviteResult.delivery?.status === "sent"
+                  ? `Invitation emailed to ${inviteResult.email}.`
+                  : inviteResult.delivery?.status === "failed"
+                    ? `The invitation email to ${inviteResult.email} could not be sent.`
+                    : `Sending invitation email to ${inviteResult.email}…`}
+              </div>
+              <div className="trip-members-invite-result-label">Or share this link:</div>
+              <a
+                href={inviteResult.link}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="trip-members-invite-result-link"
+              >
+                {inviteResult.link}
+              </a>
             </div>
-          </div>
-        )}
-      </section>
+          )}
+        </section>
+        </>
+      )}
     </div>
   );
 }
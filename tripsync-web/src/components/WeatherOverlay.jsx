@@ -2,7 +2,8 @@
  * WeatherOverlay Component
  * 
  * Displays detailed weather information for an itinerary item in a modal overlay.
- * Shows temperature, precipitation, humidity, UV index, sunrise/sunset times, and other weather details.
+ * Shows temperature, precipitation, humidity, UV index, sunrise/sunset times, and other weather details,
+ * plus any weather risk warnings flagged for the stop.
  */
 
 import styles from "./WeatherOverlay.module.css";
@@ -15,9 +16,10 @@ import styles from "./WeatherOverlay.module.css";
  * @param {string} tempUnit - Temperature unit to display (°C or °F)
  * @param {string} dateKey - Date key for the weather forecast
  * @param {string} source - Source of the weather data
+ * @param {Array} risks - Weather risk flags for the stop ({ id, severity, message })
  * @param {Function} onClose - Callback function to close the overlay
  */
-export default function WeatherOverlay({ itemTitle, wd, enriched, tempUnit, dateKey, source, onClose }) {
+export default function WeatherOverlay({ itemTitle, wd, enriched, tempUnit, dateKey, source, risks = [], onClose }) {
   const display = {
     conditionText: enriched?.conditionText || "Weather details",
     humidity: enriched?.humidity,
@@ -44,6 +46,19 @@ export default function WeatherOverlay({ itemTitle, wd, enriched, tempUnit, date
         </div>
 
         <div className={styles.content}>
+          {risks.length > 0 && (
+            <ul className={styles.risks}>
+              {risks.map((r) => (
+                <li
+                  key={r.id}
+                  className={r.severity === "danger" ? styles.riskDanger : styles.riskWarning}
+                >
+                  ⚠ {r.message}
+                </li>
+              ))}
+            </ul>
+          )}
+
           <div><strong>Overall:</strong> {display.conditionText}</div>
 
           <div className={styles.gridTwo}>
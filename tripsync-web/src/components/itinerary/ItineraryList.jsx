@@ -3,7 +3,8 @@
  * 
  * Displays a draggable list of itinerary items for a selected day with drag-and-drop reordering,
  * inline notes editing, weather chips, comments, and change indicators. Supports moving items
- * between days and deleting items.
+ * between days and deleting items. Users who cannot edit the itinerary get a read-only list
+ * without dragging, notes editing, moving or deleting.
  */
 
 import { useState } from "react";
@@ -30,6 +31,8 @@ import styles from "./ItineraryList.module.css";
  * @param {Function} onUpdateNotes - Callback to update item notes, receives item ID and notes text
  * @param {Function} onCommentsClick - Callback when comments button is clicked, receives item ID
  * @param {Map} changedItems - Map of itemId to change info { type, actorId, timestamp }
+ * @param {boolean} [canEdit] - Whether the user may change the itinerary
+ * @param {boolean} [canComment] - Whether the user may post comments
  */
 export default function ItineraryList({
   items,
@@ -48,6 +51,8 @@ export default function ItineraryList({
   onUpdateNotes,
   onCommentsClick,
   changedItems = new Map(), // Map of itemId -> { type, actorId, timestamp }
+  canEdit = true,
+  canComment = true,
 }) {
   // Tracks which items have expanded notes for inline editing
   const [expandedNotes, setExpandedNotes] = useState(new Set());
@@ -98,7 +103,7 @@ export default function ItineraryList({
                   ) : null;
 
                 return (
-                  <Draggable key={item.id} draggableId={item.id} index={index}>
+                  <Draggable key={item.id} draggableId={item.id} index={index} isDragDisabled={!canEdit}>
                     {(provided) => (
                       <li
                         ref={provided.innerRef}
@@ -120,7 +125,12 @@ export default function ItineraryList({
                                 {item.title || item.address || "Untitled"}
                               </div>
                               <div className={styles.notesContainer}>
-                                {expandedNotes.has(item.id) ? (
+                                {!canEdit ? (
+                                  // Read-only notes for users who cannot edit the itinerary
+                                  item.notes ? (
+                                    <span className={styles.notesPreview}>{item.notes}</span>
+                                  ) : null
+                                ) : expandedNotes.has(item.id) ? (
                                   // Expanded notes view with inline textarea editing
                                   <div className={styles.notesExpanded}>
                                     <textarea
@@ -225,12 +235,13 @@ export default function ItineraryList({
                                   }
                                 }}
                                 className="td-btn td-btn-outline"
-                                title="View/add comments"
+                                title={canComment ? "View/add comments" : "View comments"}
                                 style={{ fontSize: "12px", padding: "4px 8px" }}
                               >
                                 Comments
                               </button>
 
+                              {canEdit && (
                               <select
                                 value={item.day ?? 1}
                                 onChange={(e) => onMoveItemToDay?.(item, Number(e.target.value))}
@@ -244,8 +255,10 @@ export default function ItineraryList({
                                   </option>
                                 ))}
                               </select>
+                              )}
                             </div>
 
+                            {canEdit && (
                             <div className={styles.rowActionsRight}>
                               <button
                                 onClick={(e) => { e.stopPropagation(); onDeleteItem?.(item.id); }}
@@ -254,6 +267,7 @@ export default function ItineraryList({
                                 Delete
                               </button>
                             </div>
+                            )}
                           </div>
                         </div>
                       </li>
@@ -271,6 +285,7 @@ export default function ItineraryList({
         <Comments
           tripId={tripId}
           itemId={commentsOpenForItem}
+          canComment={canComment}
           onClose={() => setCommentsOpenForItem(null)}
         />
       )}
@@ -5,21 +5,51 @@
  * - Temperature unit preference (METRIC/IMPERIAL) stored in localStorage
  * - Theme preference (light/dark) stored in localStorage and applied to document
  * - Notification preferences stored in Firestore and synced across devices
+ * - Notification schedule (quiet hours, time zone and digest mode) stored next to them
+ * - Per-trip notification overrides (everything, mentions only or muted) stored next to them
+ * - Weather risk warning thresholds stored in Firestore and synced across devices
+ * - Whether other users can find the user in search, stored in Firestore
  * 
  * Settings are loaded on mount and persisted when changed.
  */
 
 import { createContext, useContext, useState, useEffect } from "react";
 import { db, auth } from "../firebaseConfig";
-import { doc, getDoc, setDoc } from "firebase/firestore";
+import { doc, getDoc, setDoc, deleteField } from "firebase/firestore";
+import { DEFAULT_WEATHER_RISK_THRESHOLDS, resolveRiskThresholds } from "../utils/weatherRisks";
 
 const SettingsContext = createContext();
 
+/**
+ * Notification preferences used until the user saves them; every type is on by default
+ */
+const DEFAULT_NOTIFICATION_PREFS = {
+  chatMessages: true,
+  mentions: true,
+  friendRequests: true,
+  tripInvites: true,
+  comments: true,
+  itineraryChanges: true,
+  tripReminders: true,
+};
+
+/**
+ * Notification schedule used until the user saves one
+ * Mirrors the server defaults, with this browser's time zone
+ */
+const DEFAULT_NOTIFICATION_SCHEDULE = {
+  quietHours: { enabled: false, start: "22:00", end: "07:00" },
+  timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+  digest: "off",
+  digestHour: 18,
+};
+
 /**
  * SettingsProvider Component
  * 
  * Provides global settings context to all child components.
- * Manages temperature unit, theme, and notification preferences with persistence.
+ * Manages temperature unit, theme, notification preferences and weather risk
+ * thresholds with persistence.
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to wrap with settings context
@@ -41,15 +71,24 @@ export function SettingsProvider({ children }) {
 
   // Initializes notification preferences with default values
   // These will be overridden by Firestore values if they exist
-  const [notificationPrefs, setNotificationPrefs] = useState({
-    chatMessages: true,
-    mentions: true,
-    friendRequests: true,
-    tripInvites: true,
-    comments: true,
-  });
+  const [notificationPrefs, setNotificationPrefs] = useState(DEFAULT_NOTIFICATION_PREFS);
+
+  // Per-trip overrides of the notification preferences, keyed by trip ID
+  // A trip without an entry follows notificationPrefs
+  const [tripNotificationPrefs, setTripNotificationPrefs] = useState({});
 
-  // Effect hook to load notification preferences from Firestore on mount
+  // Initializes the notification schedule with default values
+  // These will be overridden by Firestore values if they exist
+  const [notificationSchedule, setNotificationSchedule] = useState(DEFAULT_NOTIFICATION_SCHEDULE);
+
+  // Initializes weather risk thresholds with default values
+  // These will be overridden by Firestore values if they exist
+  const [weatherRiskThresholds, setWeatherRiskThresholds] = useState(DEFAULT_WEATHER_RISK_THRESHOLDS);
+
+  // Users are discoverable in search unless they turn it off
+  const [discoverable, setDiscoverable] = useState(true);
+
+  // Effect hook to load notification preferences and weather risk thresholds from Firestore on mount
   // Syncs preferences across devices by loading from user's Firestore document
   useEffect(() => {
     const loadNotificationPrefs = async () => {
@@ -62,8 +101,22 @@ export function SettingsProvider({ children }) {
         if (prefsSnap.exists()) {
           const data = prefsSnap.data();
           if (data.notificationPrefs) {
-            setNotificationPrefs(data.notificationPrefs);
+            setNotificationPrefs({ ...DEFAULT_NOTIFICATION_PREFS, ...data.notificationPrefs });
+          }
+          if (data.tripNotificationPrefs) {
+            setTripNotificationPrefs(data.tripNotificationPrefs);
+          }
+          if (data.notificationSchedule) {
+            setNotificationSchedule({
+              ...DEFAULT_NOTIFICATION_SCHEDULE,
+              ...data.notificationSchedule,
+              quietHours: { ...DEFAULT_NOTIFICATION_SCHEDULE.quietHours, ...data.notificationSchedule.quietHours },
+            });
           }
+          if (data.weatherRiskThresholds) {
+            setWeatherRiskThresholds(resolveRiskThresholds(data.weatherRiskThresholds));
+          }
+          setDiscoverable(data.discoverable !== false);
         }
       } catch (error) {
         console.error("Error loading notification preferences:", error);
@@ -92,6 +145,84 @@ export function SettingsProvider({ children }) {
     }
   };
 
+  /**
+   * Updates the notification schedule in Firestore and local state
+   * The server reads it to hold notifications during quiet hours and batch them into digests
+   * @param {Object} newSchedule - New schedule ({ quietHours, timeZone, digest, digestHour })
+   */
+  const updateNotificationSchedule = async (newSchedule) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return;
+
+    try {
+      const prefsRef = doc(db, "users", uid);
+      await setDoc(prefsRef, { notificationSchedule: newSchedule }, { merge: true });
+      setNotificationSchedule(newSchedule);
+    } catch (error) {
+      console.error("Error saving notification schedule:", error);
+    }
+  };
+
+  /**
+   * Sets how much a single trip notifies the user, overriding notificationPrefs for that trip
+   * @param {string} tripId - Trip ID
+   * @param {"all"|"mentions"|"muted"|null} level - Override level, or null to follow notificationPrefs again
+   */
+  const updateTripNotificationLevel = async (tripId, level) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid || !tripId) return;
+
+    try {
+      const prefsRef = doc(db, "users", uid);
+      await setDoc(prefsRef, { tripNotificationPrefs: { [tripId]: level || deleteField() } }, { merge: true });
+      setTripNotificationPrefs((prev) => {
+        const next = { ...prev };
+        if (level) next[tripId] = level;
+        else delete next[tripId];
+        return next;
+      });
+    } catch (error) {
+      console.error("Error saving trip notification level:", error);
+    }
+  };
+
+  /**
+   * Updates weather risk thresholds in Firestore and local state
+   * Thresholds are stored in metric units (°C, km/h)
+   * @param {Object} newThresholds - New thresholds object
+   */
+  const updateWeatherRiskThresholds = async (newThresholds) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return;
+
+    const resolved = resolveRiskThresholds(newThresholds);
+    try {
+      const prefsRef = doc(db, "users", uid);
+      await setDoc(prefsRef, { weatherRiskThresholds: resolved }, { merge: true });
+      setWeatherRiskThresholds(resolved);
+    } catch (error) {
+      console.error("Error saving weather risk thresholds:", error);
+    }
+  };
+
+  /**
+   * Updates whether other users can find this user in search
+   * The server rebuilds the user's search tokens when this changes
+   * @param {boolean} value - True to appear in search results
+   */
+  const updateDiscoverable = async (value) => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return;
+
+    try {
+      const prefsRef = doc(db, "users", uid);
+      await setDoc(prefsRef, { discoverable: value }, { merge: true });
+      setDiscoverable(value);
+    } catch (error) {
+      console.error("Error saving search visibility:", error);
+    }
+  };
+
   // Effect hook to persist temperature unit to localStorage whenever it changes
   useEffect(() => {
     localStorage.setItem("temperatureUnit", temperatureUnit);
@@ -119,6 +250,14 @@ export function SettingsProvider({ children }) {
         setTheme,
         notificationPrefs,
         updateNotificationPrefs,
+        notificationSchedule,
+        updateNotificationSchedule,
+        tripNotificationPrefs,
+        updateTripNotificationLevel,
+        weatherRiskThresholds,
+        updateWeatherRiskThresholds,
+        discoverable,
+        updateDiscoverable,
       }}
     >
       {children}
@@ -129,10 +268,10 @@ export function SettingsProvider({ children }) {
 /**
  * Custom hook to access settings context
  * 
- * Provides access to temperature unit, theme, and notification preferences.
+ * Provides access to temperature unit, theme, notification preferences and weather risk thresholds.
  * Throws an error if used outside of SettingsProvider.
  * 
- * @returns {Object} Settings context with temperatureUnit, setTemperatureUnit, theme, setTheme, notificationPrefs, updateNotificationPrefs
+ * @returns {Object} Settings context with temperatureUnit, setTemperatureUnit, theme, setTheme, notificationPrefs, updateNotificationPrefs, notificationSchedule, updateNotificationSchedule, tripNotificationPrefs, updateTripNotificationLevel, weatherRiskThresholds, updateWeatherRiskThresholds, discoverable, updateDiscoverable
  * @throws {Error} If used outside of SettingsProvider
  */
 export function useSettings() {
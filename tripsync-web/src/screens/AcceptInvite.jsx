@@ -1,16 +1,19 @@
 /**
  * Accept Trip Invite Screen Component
  * 
- * Handles email-based trip invitation acceptance via token. Waits for user
- * authentication, validates the invite token, and redirects to the trip detail
- * page upon successful acceptance.
+ * Handles trip invitation acceptance via token, for both personal email invites
+ * and reusable join links. Waits for user authentication, validates the invite
+ * token, and redirects to the trip detail page upon successful acceptance.
+ * Join links that need owner approval leave the user waiting until the owner
+ * responds.
  */
 
 import React, { useEffect, useState } from "react";
 import { useSearchParams, useNavigate } from "react-router-dom";
 import { getFunctions, httpsCallable } from "firebase/functions";
-import { auth } from "../firebaseConfig";
+import { auth, db } from "../firebaseConfig";
 import { onAuthStateChanged } from "firebase/auth";
+import { doc, onSnapshot } from "firebase/firestore";
 
 /**
  * Accept trip invite screen component
@@ -24,6 +27,7 @@ export default function AcceptInvite() {
   const [params] = useSearchParams();
   const nav = useNavigate();
   const [status, setStatus] = useState("Checking auth…");
+  const [awaitingApproval, setAwaitingApproval] = useState(null);
   const fun = getFunctions();
   const tripId = params.get("tripId");
   const token = params.get("token");
@@ -42,7 +46,12 @@ export default function AcceptInvite() {
       }
       try {
         setStatus("Accepting invite…");
-        await httpsCallable(fun, "acceptTripInvite")({ tripId, token });
+        const res = await httpsCallable(fun, "acceptTripInvite")({ tripId, token });
+        if (res.data?.status === "pending_approval") {
+          setStatus("Request sent. You'll join the trip once the owner approves it.");
+          setAwaitingApproval(u.uid);
+          return;
+        }
         setStatus("Accepted! Redirecting…");
         setTimeout(() => nav(`/trips/${tripId}`), 800);
       } catch (e) {
@@ -53,6 +62,26 @@ export default function AcceptInvite() {
     return () => unsub();
   }, [tripId, token, nav]);
 
+  // Effect hook to follow a join request until the trip owner responds
+  // Redirects to the trip once the request is approved
+  useEffect(() => {
+    if (!awaitingApproval || !tripId) return;
+
+    const requestRef = doc(db, "trips", tripId, "joinRequests", awaitingApproval);
+    const unsub = onSnapshot(requestRef, (snap) => {
+      const requestStatus = snap.data()?.status;
+      if (requestStatus === "approved") {
+        setStatus("Approved! Redirecting…");
+        setTimeout(() => nav(`/trips/${tripId}`), 800);
+      } else if (requestStatus === "declined") {
+        setStatus("The trip owner declined your request to join.");
+      }
+    }, (e) => {
+      console.error(e);
+    });
+    return () => unsub();
+  }, [awaitingApproval, tripId, nav]);
+
   return (
     <div className="card">
       <h2>Trip Invite</h2>
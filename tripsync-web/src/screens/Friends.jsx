@@ -2,8 +2,10 @@
  * Friends Screen Component
  * 
  * Manages friend relationships including sending/receiving friend requests,
- * searching for users, and viewing friend lists. Uses real-time Firestore
- * listeners to keep friend lists and request statuses synchronized.
+ * searching for users, viewing friend lists with mutual trip counts,
+ * removing friends, suggesting people from shared trips, and blocking and
+ * unblocking users. Uses real-time Firestore listeners to keep friend lists,
+ * request statuses and the blocked list synchronized.
  */
 
 import React, { useEffect, useState } from "react";
@@ -31,6 +33,7 @@ export default function Friends() {
   const [email, setEmail] = useState("");
   const [searchTerm, setSearchTerm] = useState("");
   const [searchResults, setSearchResults] = useState([]);
+  const [searchCursor, setSearchCursor] = useState(null);
   const [searching, setSearching] = useState(false);
   const searchTimeoutRef = React.useRef(null);
   const [sending, setSending] = useState(false);
@@ -44,6 +47,9 @@ export default function Friends() {
   const [incomingProfiles, setIncomingProfiles] = useState([]);
   const [outgoing, setOutgoing] = useState([]);
   const [outgoingProfiles, setOutgoingProfiles] = useState([]);
+  const [blockedProfiles, setBlockedProfiles] = useState([]);
+  const [mutualTripCounts, setMutualTripCounts] = useState({});
+  const [suggestions, setSuggestions] = useState([]);
 
   // Effect hook to monitor authentication state
   useEffect(() => {
@@ -63,6 +69,7 @@ export default function Friends() {
       }, 500);
     } else {
       setSearchResults([]);
+      setSearchCursor(null);
     }
     return () => {
       if (searchTimeoutRef.current) {
@@ -81,6 +88,8 @@ export default function Friends() {
       setIncomingProfiles([]);
       setOutgoing([]);
       setOutgoingProfiles([]);
+      setBlockedProfiles([]);
+      setMutualTripCounts({});
       return;
     }
 
@@ -124,13 +133,50 @@ export default function Friends() {
       setOutgoingProfiles(profiles);
     });
 
+    // Sets up listener for users the current user has blocked
+    const blockedRef = collection(db, "users", user.uid, "blocked");
+    const unBlocked = onSnapshot(blockedRef, async (snap) => {
+      const profiles = await getUserProfiles(snap.docs.map((d) => d.id));
+      setBlockedProfiles(profiles);
+    });
+
+    // Sets up listener for the user's trips to count the trips shared with each person
+    const qTrips = query(
+      collection(db, "trips"),
+      where(`members.${user.uid}`, "==", true)
+    );
+    const unTrips = onSnapshot(qTrips, (snap) => {
+      const counts = {};
+      snap.docs.forEach((d) => {
+        const members = d.data().members || {};
+        Object.keys(members)
+          .filter((uid) => uid !== user.uid && members[uid] === true)
+          .forEach((uid) => {
+            counts[uid] = (counts[uid] || 0) + 1;
+          });
+      });
+      setMutualTripCounts(counts);
+    });
+
     return () => {
       unFriends();
       unIncoming();
       unOutgoing();
+      unBlocked();
+      unTrips();
     };
   }, [user]);
 
+  // Effect hook to load friend suggestions from shared trips
+  // Reloads when the friend list changes so new friends drop out of the suggestions
+  useEffect(() => {
+    if (!user) {
+      setSuggestions([]);
+      return;
+    }
+    loadSuggestions();
+  }, [user, friends.length]);
+
   /**
    * Sends friend request by email address
    * Uses rate limiting to prevent excessive requests
@@ -150,7 +196,7 @@ export default function Friends() {
       await auth.currentUser.getIdToken(true);
       const call = httpsCallable(functions, "sendFriendRequest");
       // Uses rate limiter to prevent excessive friend request calls
-      const res = await rateLimitedCall(call, { toEmail: email.trim() }, rateLimiters.friendRequest);
+      const res = await rateLimitedCall("sendFriendRequest", call, { toEmail: email.trim() }, rateLimiters.friendRequest);
       if (res?.data?.already) {
         setOk("Request already pending.");
       } else {
@@ -166,9 +212,9 @@ export default function Friends() {
   }
 
   /**
-   * Responds to a friend request (accept or reject)
+   * Responds to a friend request (accept, reject, or reject and block the sender)
    * @param {string} requestId - Friend request document ID
-   * @param {string} action - Response action: 'accept' or 'reject'
+   * @param {string} action - Response action: 'accept', 'reject' or 'block'
    */
   async function respond(requestId, action) {
     setError("");
@@ -181,19 +227,111 @@ export default function Friends() {
       // Refreshes ID token to ensure authentication is valid
       await auth.currentUser.getIdToken(true);
       const call = httpsCallable(functions, "respondToFriendRequest");
-      await call({ requestId, action }); // 'accept' | 'reject'
-      setOk(action === "accept" ? "Friend request accepted." : "Friend request rejected.");
+      if (action === "block" && !window.confirm("Block this user? They won't be able to send you friend requests or invite you to trips.")) {
+        return;
+      }
+      await call({ requestId, action }); // 'accept' | 'reject' | 'block'
+      setOk(
+        action === "accept"
+          ? "Friend request accepted."
+          : action === "block"
+            ? "Friend request rejected and user blocked."
+            : "Friend request rejected."
+      );
     } catch (err) {
       console.error(err);
       setError(err.message || "Failed to respond to request.");
     }
   }
 
+  /**
+   * Loads people the user shares trips with but isn't friends with
+   */
+  async function loadSuggestions() {
+    try {
+      const call = httpsCallable(functions, "getFriendSuggestions");
+      const res = await rateLimitedCall("getFriendSuggestions", call, { limit: 10 });
+      setSuggestions(res.data?.suggestions || []);
+    } catch (err) {
+      console.error(err);
+      setSuggestions([]);
+    }
+  }
+
+  /**
+   * Removes a friend after confirmation; both sides of the friendship are removed together
+   * @param {Object} profile - Profile of the friend to remove
+   */
+  async function removeFriend(profile) {
+    setError("");
+    setOk("");
+    if (!window.confirm(`Remove ${getUserDisplayName(profile)} from your friends?`)) {
+      return;
+    }
+    try {
+      const call = httpsCallable(functions, "unfriend");
+      await rateLimitedCall("unfriend", call, { friendUid: profile.uid }, rateLimiters.friendRequest);
+      setOk(`${getUserDisplayName(profile)} was removed from your friends.`);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Failed to remove friend.");
+    }
+  }
+
+  /**
+   * Formats the number of trips shared with someone
+   * @param {number} count - Number of shared trips
+   * @returns {string} Label such as "2 mutual trips"
+   */
+  function formatMutualTrips(count) {
+    if (!count) return "No mutual trips";
+    return `${count} mutual trip${count === 1 ? "" : "s"}`;
+  }
+
+  /**
+   * Blocks a user after confirmation
+   * Blocking removes the friendship and closes pending requests in both directions
+   * @param {Object} profile - Profile of the user to block
+   */
+  async function blockUser(profile) {
+    setError("");
+    setOk("");
+    if (!window.confirm(`Block ${getUserDisplayName(profile)}? They will be removed from your friends.`)) {
+      return;
+    }
+    try {
+      const call = httpsCallable(functions, "blockUser");
+      await rateLimitedCall("blockUser", call, { blockedUid: profile.uid }, rateLimiters.friendRequest);
+      setOk(`${getUserDisplayName(profile)} was blocked.`);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Failed to block user.");
+    }
+  }
+
+  /**
+   * Unblocks a user; they are not added back as a friend
+   * @param {Object} profile - Profile of the blocked user
+   */
+  async function unblockUser(profile) {
+    setError("");
+    setOk("");
+    try {
+      const call = httpsCallable(functions, "unblockUser");
+      await rateLimitedCall("unblockUser", call, { blockedUid: profile.uid }, rateLimiters.friendRequest);
+      setOk(`${getUserDisplayName(profile)} was unblocked.`);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Failed to unblock user.");
+    }
+  }
+
   // Debounced search function to prevent excessive API calls
   // Waits 500ms after user stops typing before executing search
   const debouncedSearch = debounce(async (term) => {
     if (!term.trim() || term.length < 2) {
       setSearchResults([]);
+      setSearchCursor(null);
       return;
     }
     setSearching(true);
@@ -203,17 +341,44 @@ export default function Friends() {
       await auth.currentUser.getIdToken(true);
       const call = httpsCallable(functions, "searchUsers");
       // Uses rate limiter to prevent excessive search requests
-      const res = await rateLimitedCall(call, { searchTerm: term.trim() }, rateLimiters.search);
+      const res = await rateLimitedCall("searchUsers", call, { searchTerm: term.trim() }, rateLimiters.search);
       setSearchResults(res.data?.users || []);
+      setSearchCursor(res.data?.nextCursor || null);
     } catch (err) {
       console.error(err);
       setError(err.message || "Search failed.");
       setSearchResults([]);
+      setSearchCursor(null);
     } finally {
       setSearching(false);
     }
   }, 500);
 
+  /**
+   * Loads the next page of search results for the current search term
+   */
+  async function loadMoreResults() {
+    if (!searchCursor) return;
+    setSearching(true);
+    setError("");
+    try {
+      const call = httpsCallable(functions, "searchUsers");
+      const res = await rateLimitedCall(
+        "searchUsers",
+        call,
+        { searchTerm: searchTerm.trim(), cursor: searchCursor },
+        rateLimiters.search
+      );
+      setSearchResults((prev) => [...prev, ...(res.data?.users || [])]);
+      setSearchCursor(res.data?.nextCursor || null);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Search failed.");
+    } finally {
+      setSearching(false);
+    }
+  }
+
   /**
    * Triggers debounced user search with current search term
    */
@@ -245,6 +410,7 @@ export default function Friends() {
       }
       setSearchTerm("");
       setSearchResults([]);
+      setSearchCursor(null);
     } catch (err) {
       console.error(err);
       setError(err.message || "Failed to send request.");
@@ -316,6 +482,15 @@ export default function Friends() {
                 );
               })}
             </ul>
+            {searchCursor && (
+              <button
+                onClick={loadMoreResults}
+                disabled={searching}
+                className="friends-search-more"
+              >
+                {searching ? "Loading…" : "More results"}
+              </button>
+            )}
           </div>
         )}
       </section>
@@ -370,6 +545,21 @@ export default function Friends() {
                   {profile.displayName && profile.email && (
                     <div className="friends-list-item-email">{profile.email}</div>
                   )}
+                  <div className="friends-list-item-mutual">{formatMutualTrips(mutualTripCounts[profile.uid])}</div>
+                </div>
+                <div className="friends-request-actions">
+                  <button
+                    onClick={() => removeFriend(profile)}
+                    className="friends-request-btn friends-request-btn-block"
+                  >
+                    Remove
+                  </button>
+                  <button
+                    onClick={() => blockUser(profile)}
+                    className="friends-request-btn friends-request-btn-block"
+                  >
+                    Block
+                  </button>
                 </div>
               </li>
             ))}
@@ -377,6 +567,46 @@ export default function Friends() {
         )}
       </section>
 
+      {suggestions.length > 0 && (
+        <section className="friends-section">
+          <h3>People You've Traveled With</h3>
+          <ul className="friends-list">
+            {suggestions.map((suggestion) => {
+              const hasOutgoing = outgoing.some((r) => r.toUid === suggestion.uid);
+              const hasIncoming = incoming.some((r) => r.fromUid === suggestion.uid);
+              return (
+                <li key={suggestion.uid} className="friends-list-item">
+                  {suggestion.photoURL && (
+                    <img
+                      src={suggestion.photoURL}
+                      alt=""
+                      className="friends-list-item-avatar"
+                    />
+                  )}
+                  <div className="friends-list-item-info">
+                    <div className="friends-list-item-name">{getUserDisplayName(suggestion)}</div>
+                    <div className="friends-list-item-mutual">{formatMutualTrips(suggestion.mutualTrips)}</div>
+                  </div>
+                  {hasOutgoing ? (
+                    <span className="friends-search-result-status" style={{ color: "#666" }}>Request sent</span>
+                  ) : hasIncoming ? (
+                    <span className="friends-search-result-status" style={{ color: "#666" }}>Has pending request</span>
+                  ) : suggestion.email ? (
+                    <button
+                      onClick={() => sendRequestFromSearch(suggestion)}
+                      disabled={sending}
+                      className="friends-request-btn friends-request-btn-accept"
+                    >
+                      {sending ? "Sending…" : "Send Request"}
+                    </button>
+                  ) : null}
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+
       <section className="friends-section">
         <h3>Incoming Requests</h3>
         {incoming.length === 0 ? (
@@ -419,6 +649,12 @@ export default function Friends() {
                     >
                       Reject
                     </button>
+                    <button
+                      onClick={() => respond(r.id, "block")}
+                      className="friends-request-btn friends-request-btn-block"
+                    >
+                      Block
+                    </button>
                   </div>
                 </li>
               );
@@ -461,6 +697,34 @@ export default function Friends() {
           </ul>
         )}
       </section>
+
+      <section className="friends-section">
+        <h3>Blocked Users</h3>
+        {blockedProfiles.length === 0 ? (
+          <div className="friends-empty">
+            You haven't blocked anyone.
+          </div>
+        ) : (
+          <ul className="friends-list">
+            {blockedProfiles.map((profile) => (
+              <li key={profile.uid} className="friends-list-item friends-list-item-blocked">
+                <div className="friends-list-item-info">
+                  <div className="friends-list-item-name">{getUserDisplayName(profile)}</div>
+                  {profile.displayName && profile.email && (
+                    <div className="friends-list-item-email">{profile.email}</div>
+                  )}
+                </div>
+                <button
+                  onClick={() => unblockUser(profile)}
+                  className="friends-request-btn friends-request-btn-block"
+                >
+                  Unblock
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
     </div>
   );
 }
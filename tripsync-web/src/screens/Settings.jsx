@@ -2,21 +2,200 @@
  * Settings Screen Component
  * 
  * Allows users to manage application settings including temperature units,
- * theme selection, and notification preferences. Notification preferences
- * are synchronized across devices via Firestore.
+ * theme selection, notification preferences, quiet hours and digests,
+ * weather warning thresholds, search visibility and the passphrase and
+ * recovery phrase protecting their encryption key. Notification preferences,
+ * notification schedule, weather thresholds and search visibility are
+ * synchronized across devices via Firestore.
  */
 
+import { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
+import { auth } from "../firebaseConfig";
 import { useSettings } from "../contexts/SettingsContext";
+import { celsiusToFahrenheit, fahrenheitToCelsius, kmhToMph, mphToKmh } from "../utils/weatherRisks";
+import {
+  getKeyPairStatus,
+  setKeyPassphrase,
+  unlockKeyPair,
+  createKeyBackup,
+  restoreKeyBackup,
+} from "../utils/encryption";
 import "./Settings.css";
 
 /**
  * Settings screen component
  * 
- * @returns {JSX.Element} Settings page with temperature, theme, and notification options
+ * @returns {JSX.Element} Settings page with temperature, theme, notification, weather warning, privacy and encryption options
  */
 export default function Settings() {
-  const { temperatureUnit, setTemperatureUnit, notificationPrefs, updateNotificationPrefs } = useSettings();
+  const {
+    temperatureUnit,
+    setTemperatureUnit,
+    notificationPrefs,
+    updateNotificationPrefs,
+    notificationSchedule,
+    updateNotificationSchedule,
+    weatherRiskThresholds,
+    updateWeatherRiskThresholds,
+    discoverable,
+    updateDiscoverable,
+  } = useSettings();
+
+  // Time zones offered for the notification schedule; includes the saved one if the browser lacks it
+  const timeZones = (() => {
+    const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+    return zones.includes(notificationSchedule.timeZone) ? zones : [notificationSchedule.timeZone, ...zones];
+  })();
+
+  const metric = temperatureUnit === "METRIC";
+  const tempLabel = metric ? "°C" : "°F";
+  const windLabel = metric ? "km/h" : "mph";
+
+  // Converts stored metric thresholds into the user's display units
+  const toDisplay = (t) => ({
+    precipChance: t.precipChance,
+    heat: Math.round(metric ? t.heatC : celsiusToFahrenheit(t.heatC)),
+    cold: Math.round(metric ? t.coldC : celsiusToFahrenheit(t.coldC)),
+    uvIndex: t.uvIndex,
+    wind: Math.round(metric ? t.windKmh : kmhToMph(t.windKmh)),
+  });
+
+  // Draft values for the threshold inputs, saved when an input loses focus
+  const [riskDraft, setRiskDraft] = useState(() => toDisplay(weatherRiskThresholds));
+
+  useEffect(() => {
+    setRiskDraft(toDisplay(weatherRiskThresholds));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [weatherRiskThresholds, temperatureUnit]);
+
+  /**
+   * Saves the threshold drafts, converting display units back to metric
+   * Invalid or empty inputs fall back to the currently saved values
+   */
+  const saveRiskThresholds = () => {
+    const num = (v, fallback) => (v === "" || !Number.isFinite(Number(v)) ? fallback : Number(v));
+    const current = weatherRiskThresholds;
+    const heat = num(riskDraft.heat, null);
+    const cold = num(riskDraft.cold, null);
+    const wind = num(riskDraft.wind, null);
+    updateWeatherRiskThresholds({
+      ...current,
+      precipChance: Math.min(100, Math.max(0, num(riskDraft.precipChance, current.precipChance))),
+      heatC: heat == null ? current.heatC : metric ? heat : fahrenheitToCelsius(heat),
+      coldC: cold == null ? current.coldC : metric ? cold : fahrenheitToCelsius(cold),
+      uvIndex: Math.max(0, num(riskDraft.uvIndex, current.uvIndex)),
+      windKmh: wind == null ? current.windKmh : metric ? wind : mphToKmh(wind),
+    });
+  };
+
+  // Encryption keypair status and passphrase form
+  const uid = auth.currentUser?.uid;
+  const [keyStatus, setKeyStatus] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [passphraseConfirm, setPassphraseConfirm] = useState("");
+  const [keyBusy, setKeyBusy] = useState(false);
+  const [keyMessage, setKeyMessage] = useState(null);
+
+  useEffect(() => {
+    if (!uid) return;
+    getKeyPairStatus(uid)
+      .then(setKeyStatus)
+      .catch((error) => console.error("Failed to load encryption key status:", error));
+  }, [uid]);
+
+  /**
+   * Sets a new passphrase, or unlocks the key with the existing one when this
+   * device does not hold the private key yet
+   */
+  const handlePassphraseSubmit = async (e) => {
+    e.preventDefault();
+    if (!uid || keyBusy) return;
+
+    const unlocking = keyStatus?.status === "locked";
+    if (!unlocking && passphrase.length < 8) {
+      setKeyMessage({ type: "error", text: "Use at least 8 characters." });
+      return;
+    }
+    if (!unlocking && passphrase !== passphraseConfirm) {
+      setKeyMessage({ type: "error", text: "Passphrases do not match." });
+      return;
+    }
+
+    setKeyBusy(true);
+    setKeyMessage(null);
+    try {
+      if (unlocking) {
+        await unlockKeyPair(uid, passphrase);
+        setKeyMessage({ type: "success", text: "Encryption key unlocked on this device." });
+      } else {
+        await setKeyPassphrase(uid, passphrase);
+        setKeyMessage({ type: "success", text: "Passphrase saved. Use it to unlock your key on other devices." });
+      }
+      setPassphrase("");
+      setPassphraseConfirm("");
+      setKeyStatus(await getKeyPairStatus(uid));
+    } catch (error) {
+      setKeyMessage({ type: "error", text: error.message || "Could not update encryption key." });
+    } finally {
+      setKeyBusy(false);
+    }
+  };
+
+  // Recovery phrase backup: shown once after generation, or typed in to restore
+  const [recoveryPhrase, setRecoveryPhrase] = useState(null);
+  const [restorePhrase, setRestorePhrase] = useState("");
+
+  /**
+   * Generates a new recovery phrase and replaces any previous backup
+   */
+  const handleCreateRecoveryPhrase = async () => {
+    if (!uid || keyBusy) return;
+    if (keyStatus?.hasRecoveryPhrase &&
+        !window.confirm("Generate a new recovery phrase? Your old phrase will stop working.")) {
+      return;
+    }
+
+    setKeyBusy(true);
+    setKeyMessage(null);
+    try {
+      setRecoveryPhrase(await createKeyBackup(uid));
+      setKeyStatus(await getKeyPairStatus(uid));
+    } catch (error) {
+      setKeyMessage({ type: "error", text: error.message || "Could not create recovery phrase." });
+    } finally {
+      setKeyBusy(false);
+    }
+  };
+
+  /**
+   * Restores the keypair on this device from the recovery phrase backup
+   */
+  const handleRestoreSubmit = async (e) => {
+    e.preventDefault();
+    if (!uid || keyBusy) return;
+
+    setKeyBusy(true);
+    setKeyMessage(null);
+    try {
+      await restoreKeyBackup(uid, restorePhrase);
+      setRestorePhrase("");
+      setKeyMessage({ type: "success", text: "Encryption key restored on this device." });
+      setKeyStatus(await getKeyPairStatus(uid));
+    } catch (error) {
+      setKeyMessage({ type: "error", text: error.message || "Could not restore encryption key." });
+    } finally {
+      setKeyBusy(false);
+    }
+  };
+
+  const riskInputs = [
+    { key: "precipChance", label: "Rain chance at outdoor stops", unit: "%" },
+    { key: "heat", label: "Extreme heat (high at or above)", unit: tempLabel },
+    { key: "cold", label: "Extreme cold (low at or below)", unit: tempLabel },
+    { key: "uvIndex", label: "UV index at outdoor stops", unit: "" },
+    { key: "wind", label: "Wind at outdoor stops", unit: windLabel },
+  ];
 
   /**
    * Handles toggling individual notification preferences
@@ -30,6 +209,22 @@ export default function Settings() {
     });
   };
 
+  /**
+   * Saves a change to the notification schedule
+   * @param {Object} changes - Schedule fields to change
+   */
+  const handleScheduleChange = (changes) => {
+    updateNotificationSchedule({ ...notificationSchedule, ...changes });
+  };
+
+  /**
+   * Saves a change to the quiet hours
+   * @param {Object} changes - Quiet hours fields to change ({ enabled, start, end })
+   */
+  const handleQuietHoursChange = (changes) => {
+    handleScheduleChange({ quietHours: { ...notificationSchedule.quietHours, ...changes } });
+  };
+
   return (
     <div className="settings-page">
       <h1>Settings</h1>
@@ -75,7 +270,7 @@ export default function Settings() {
       <div className="settings-section">
         <h2>Notifications</h2>
         <p className="settings-section-description">
-          Choose which notifications you want to receive
+          Choose which notifications you want to receive. Each trip's bell can mute the trip or limit it to mentions.
         </p>
         <div className="notification-options">
           <div className="notification-option">
@@ -148,8 +343,289 @@ export default function Settings() {
               aria-label="Toggle comments notifications"
             />
           </div>
+          <div className="notification-option">
+            <div className="notification-option-content">
+              <div className="notification-option-label">
+                <span className="main-label">Itinerary changes</span>
+                <span className="sub-label">Get notified when someone changes a day you added stops to</span>
+              </div>
+            </div>
+            <input
+              type="checkbox"
+              checked={notificationPrefs.itineraryChanges}
+              onChange={() => handleNotificationToggle("itineraryChanges")}
+              aria-label="Toggle itinerary changes notifications"
+            />
+          </div>
+          <div className="notification-option">
+            <div className="notification-option-content">
+              <div className="notification-option-label">
+                <span className="main-label">Trip reminders</span>
+                <span className="sub-label">Get a reminder the evening before a trip starts and each morning's plan with the weather</span>
+              </div>
+            </div>
+            <input
+              type="checkbox"
+              checked={notificationPrefs.tripReminders}
+              onChange={() => handleNotificationToggle("tripReminders")}
+              aria-label="Toggle trip reminders notifications"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h2>Quiet Hours &amp; Digests</h2>
+        <p className="settings-section-description">
+          Hold notifications overnight and bundle busy trip chats into one summary
+        </p>
+        <div className="notification-options">
+          <div className="notification-option">
+            <div className="notification-option-content">
+              <div className="notification-option-label">
+                <span className="main-label">Quiet hours</span>
+                <span className="sub-label">Notifications wait until quiet hours end, then arrive as one summary</span>
+              </div>
+            </div>
+            <input
+              type="checkbox"
+              checked={notificationSchedule.quietHours.enabled}
+              onChange={() => handleQuietHoursChange({ enabled: !notificationSchedule.quietHours.enabled })}
+              aria-label="Toggle quiet hours"
+            />
+          </div>
+          <div className="notification-option">
+            <div className="notification-option-content">
+              <div className="notification-option-label">
+                <span className="main-label">From</span>
+              </div>
+            </div>
+            <div className="notification-schedule-input">
+              <input
+                type="time"
+                value={notificationSchedule.quietHours.start}
+                disabled={!notificationSchedule.quietHours.enabled}
+                onChange={(e) => e.target.value && handleQuietHoursChange({ start: e.target.value })}
+                aria-label="Quiet hours start"
+              />
+              <span>to</span>
+              <input
+                type="time"
+                value={notificationSchedule.quietHours.end}
+                disabled={!notificationSchedule.quietHours.enabled}
+                onChange={(e) => e.target.value && handleQuietHoursChange({ end: e.target.value })}
+                aria-label="Quiet hours end"
+              />
+            </div>
+          </div>
+          <div className="notification-option">
+            <div className="notification-option-content">
+              <div className="notification-option-label">
+                <span className="main-label">Time zone</span>
+                <span className="sub-label">Quiet hours and daily digests follow this time zone</span>
+              </div>
+            </div>
+            <div className="notification-schedule-input">
+              <select
+                value={notificationSchedule.timeZone}
+                onChange={(e) => handleScheduleChange({ timeZone: e.target.value })}
+                aria-label="Time zone"
+              >
+                {timeZones.map((zone) => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="notification-option">
+            <div className="notification-option-content">
+              <div className="notification-option-label">
+                <span className="main-label">Digest</span>
+                <span className="sub-label">Bundle chat messages, comments and mentions instead of sending each one</span>
+              </div>
+            </div>
+            <div className="notification-schedule-input">
+              <select
+                value={notificationSchedule.digest}
+                onChange={(e) => handleScheduleChange({ digest: e.target.value })}
+                aria-label="Digest mode"
+              >
+                <option value="off">Off</option>
+                <option value="hourly">Hourly</option>
+                <option value="daily">Daily</option>
+              </select>
+              {notificationSchedule.digest === "daily" && (
+                <select
+                  value={notificationSchedule.digestHour}
+                  onChange={(e) => handleScheduleChange({ digestHour: Number(e.target.value) })}
+                  aria-label="Daily digest hour"
+                >
+                  {Array.from({ length: 24 }, (_, hour) => (
+                    <option key={hour} value={hour}>
+                      {`${String(hour).padStart(2, "0")}:00`}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+          </div>
         </div>
       </div>
+
+      <div className="settings-section">
+        <h2>Weather Warnings</h2>
+        <p className="settings-section-description">
+          Flag itinerary stops whose forecast crosses these thresholds
+        </p>
+        <div className="notification-options">
+          <div className="notification-option">
+            <div className="notification-option-content">
+              <div className="notification-option-label">
+                <span className="main-label">Show weather warnings</span>
+                <span className="sub-label">Highlight risky stops in the day toolbar and weather details</span>
+              </div>
+            </div>
+            <input
+              type="checkbox"
+              checked={weatherRiskThresholds.enabled}
+              onChange={() => updateWeatherRiskThresholds({
+                ...weatherRiskThresholds,
+                enabled: !weatherRiskThresholds.enabled,
+              })}
+              aria-label="Toggle weather warnings"
+            />
+          </div>
+          {riskInputs.map(({ key, label, unit }) => (
+            <div className="notification-option" key={key}>
+              <div className="notification-option-content">
+                <div className="notification-option-label">
+                  <span className="main-label">{label}</span>
+                </div>
+              </div>
+              <div className="risk-threshold-input">
+                <input
+                  type="number"
+                  value={riskDraft[key]}
+                  disabled={!weatherRiskThresholds.enabled}
+                  onChange={(e) => setRiskDraft((d) => ({ ...d, [key]: e.target.value }))}
+                  onBlur={saveRiskThresholds}
+                  aria-label={`${label} threshold`}
+                />
+                {unit && <span>{unit}</span>}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h2>Privacy</h2>
+        <div className="notification-options">
+          <div className="notification-option">
+            <div className="notification-option-content">
+              <div className="notification-option-label">
+                <span className="main-label">Show me in search</span>
+                <span className="sub-label">Let other users find you by name or email. People who know your exact email can still send you a friend request.</span>
+              </div>
+            </div>
+            <input
+              type="checkbox"
+              checked={discoverable}
+              onChange={() => updateDiscoverable(!discoverable)}
+              aria-label="Toggle search visibility"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h2>Encryption Key</h2>
+        <p className="settings-section-description">
+          {keyStatus?.status === "locked"
+            ? "Your encryption key was created on another device. Enter your passphrase or recovery phrase to unlock encrypted trips here."
+            : keyStatus?.hasPassphrase
+              ? "Your encryption key is protected by a passphrase and can be unlocked on your other devices."
+              : "Set a passphrase to unlock your encryption key on other devices. Only an encrypted copy leaves this device."}
+        </p>
+        {keyStatus && (keyStatus.status !== "locked" || keyStatus.hasPassphrase) && (
+          <form className="encryption-passphrase-form" onSubmit={handlePassphraseSubmit}>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder={keyStatus.status === "locked" ? "Passphrase" : "New passphrase"}
+              autoComplete={keyStatus.status === "locked" ? "current-password" : "new-password"}
+              aria-label="Encryption passphrase"
+            />
+            {keyStatus.status !== "locked" && (
+              <input
+                type="password"
+                value={passphraseConfirm}
+                onChange={(e) => setPassphraseConfirm(e.target.value)}
+                placeholder="Confirm passphrase"
+                autoComplete="new-password"
+                aria-label="Confirm encryption passphrase"
+              />
+            )}
+            <button type="submit" disabled={keyBusy || !passphrase}>
+              {keyBusy
+                ? "Working..."
+                : keyStatus.status === "locked"
+                  ? "Unlock"
+                  : keyStatus.hasPassphrase ? "Change passphrase" : "Set passphrase"}
+            </button>
+          </form>
+        )}
+
+        {keyStatus?.status === "unlocked" && !recoveryPhrase && (
+          <div className="encryption-recovery">
+            <p className="settings-section-description">
+              {keyStatus.hasRecoveryPhrase
+                ? "A recovery phrase backup exists. Generate a new one if you have lost it."
+                : "Create a recovery phrase to restore your key if you lose all your devices and your passphrase."}
+            </p>
+            <button type="button" onClick={handleCreateRecoveryPhrase} disabled={keyBusy}>
+              {keyStatus.hasRecoveryPhrase ? "Generate new recovery phrase" : "Create recovery phrase"}
+            </button>
+          </div>
+        )}
+        {recoveryPhrase && (
+          <div className="encryption-recovery">
+            <p className="settings-section-description">
+              Write these words down in order and keep them somewhere safe. They will not be shown again.
+            </p>
+            <ol className="recovery-phrase">
+              {recoveryPhrase.split(" ").map((word, index) => (
+                <li key={index}>{word}</li>
+              ))}
+            </ol>
+            <button type="button" onClick={() => setRecoveryPhrase(null)}>
+              I have written it down
+            </button>
+          </div>
+        )}
+        {keyStatus?.status === "locked" && keyStatus.hasRecoveryPhrase && (
+          <form className="encryption-passphrase-form encryption-recovery" onSubmit={handleRestoreSubmit}>
+            <textarea
+              value={restorePhrase}
+              onChange={(e) => setRestorePhrase(e.target.value)}
+              placeholder="Or enter your 24-word recovery phrase"
+              rows={3}
+              autoComplete="off"
+              spellCheck={false}
+              aria-label="Recovery phrase"
+            />
+            <button type="submit" disabled={keyBusy || !restorePhrase.trim()}>
+              {keyBusy ? "Working..." : "Restore"}
+            </button>
+          </form>
+        )}
+        {keyMessage && (
+          <div className={`encryption-message encryption-message-${keyMessage.type}`}>
+            {keyMessage.text}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
@@ -15,17 +15,18 @@
  * - Optimistic updates for immediate UI feedback
  * - Comments system with @mentions
  * - Trip chat with encrypted messages
- * - Activity feed with real-time updates
+ * - Activity feed with real-time updates, and the server-written audit log for owners
  * - Scrapbook view of all trip media organized by day
  * - Export functionality (Excel, PDF, JSON)
  * - Day management (add, rename, delete)
+ * - Read-only mode for viewers, driven by the capabilities of the user's trip role
  * 
  * This is the most complex screen in the application, orchestrating multiple
  * real-time data streams, encryption/decryption, and collaborative features.
  */
 
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { useParams } from "react-router-dom";
+import { Link, useParams } from "react-router-dom";
 import { db, auth } from "../firebaseConfig";
 import {
   doc,
@@ -39,8 +40,8 @@ import {
   writeBatch,
   query,
   orderBy,
+  where,
   limit as fsLimit,
-  setDoc,
 } from "firebase/firestore";
 import { GoogleMap, Marker, useJsApiLoader } from "@react-google-maps/api";
 import ItineraryList from "../components/itinerary/ItineraryList.jsx";
@@ -54,13 +55,26 @@ import PlaceDetailsPane from "../components/PlaceDetailsPane.jsx";
 import Comments from "../components/Comments.jsx";
 import TripChat from "../components/TripChat.jsx";
 import ActivityFeed from "../components/ActivityFeed.jsx";
+import TripAuditLog from "../components/TripAuditLog.jsx";
 import Scrapbook from "../components/Scrapbook.jsx";
 import { extractDisplayName, resolvePlaceTitle, getCanonicalPlaceInfo, fetchWithNew } from "../utils/places.js";
-import { toDate, ymd, googleDailySummary, parseDailyDetails, enrichWithCurrent, enrichWithHourly, toOutputPrecip } from "../utils/weather.js";
+import { toDate, ymd, dailySummary, parseDailyDetails, enrichWithCurrent, enrichWithHourly, toOutputPrecip } from "../utils/weather.js";
+import { evaluateWeatherRisks, summarizeRisksByDay } from "../utils/weatherRisks.js";
 import { useSettings } from "../contexts/SettingsContext";
 import { useNotifications, useItemChangeTracking } from "../hooks/useNotifications.js";
-import { encrypt, decrypt } from "../utils/encryption.js";
-import { getTripEncryptionKey, enableTripEncryption } from "../utils/tripKeys.js";
+import { encrypt, decrypt, getUserKeyPair } from "../utils/encryption.js";
+import { getTripCapabilities } from "../utils/permissions.js";
+import {
+  getTripEncryptionKey,
+  enableTripEncryption,
+  isTripEncrypted,
+  isKeyRotationPending,
+  rotateTripKey,
+  isEnvelopeMigrationPending,
+  migrateTripEnvelopes,
+  requestTripKey,
+  fulfilTripKeyRequests,
+} from "../utils/tripKeys.js";
 import { validateNotes, MAX_LENGTHS } from "../utils/validation.js";
 import { exportTripAsJSON } from "../utils/export.js";
 import { exportTripAsPDF } from "../utils/pdfExport.js";
@@ -78,8 +92,7 @@ const PIN_BORDER_DEFAULT = "#1f7f74";
 const PIN_BG_ACTIVE = "#e76f51";
 const PIN_BORDER_ACTIVE = "#c95e43";
 
-// Weather / cache constants (served via Cloud Function proxy to Google Weather)
-const FORECAST_STALE_HOURS = 12;
+// Weather is served via Cloud Function proxy to the weather providers, which caches forecasts server-side
 const FUNCTIONS_BASE = import.meta.env.VITE_FUNCTIONS_BASE_URL || "";
 
 
@@ -87,11 +100,21 @@ const FUNCTIONS_BASE = import.meta.env.VITE_FUNCTIONS_BASE_URL || "";
 
 export default function TripDetail() {
   const { tripId } = useParams();
-  const { temperatureUnit } = useSettings();
+  const { temperatureUnit, weatherRiskThresholds } = useSettings();
   const [trip, setTrip] = useState(null);
   const [dayLabels, setDayLabels] = useState({});
   const [items, setItems] = useState([]);
+  const [roles, setRoles] = useState(null);
   const currentUserId = auth.currentUser?.uid;
+  const capabilities = useMemo(() => getTripCapabilities(roles, currentUserId), [roles, currentUserId]);
+
+  // Enhanced notifications
+  const { toasts, addToast, removeToast } = useNotifications();
+  const { changedItems, markItemChanged } = useItemChangeTracking();
+
+  // Encryption key, and why it is unavailable: "locked" keypair or "requested" from members
+  const [tripKey, setTripKey] = useState(null);
+  const [keyMissingReason, setKeyMissingReason] = useState(null);
 
   // Always enable encryption and load key
   useEffect(() => {
@@ -102,21 +125,133 @@ export default function TripDetail() {
         // Try to get existing key
         let key = await getTripEncryptionKey(tripId, currentUserId);
         
-        // If no key exists, enable encryption for this trip
+        // Only enable encryption for trips that have none yet; an encrypted trip
+        // whose key is missing here must keep its key so existing data stays readable
         if (!key) {
+          if (await isTripEncrypted(tripId)) {
+            // A locked keypair must be unlocked first; otherwise ask members to share the key
+            if (!await getUserKeyPair(currentUserId)) {
+              setKeyMissingReason("locked");
+              return;
+            }
+            setKeyMissingReason("requested");
+            await requestTripKey(tripId);
+            return;
+          }
           await enableTripEncryption(tripId, currentUserId);
           key = await getTripEncryptionKey(tripId, currentUserId);
         }
         
+        setKeyMissingReason(null);
         setTripKey(key);
+
+        // Owners finish a pending key rotation after a member was removed or left
+        if (key && await isKeyRotationPending(tripId)) {
+          const tripSnap = await getDoc(doc(db, "trips", tripId));
+          if (tripSnap.data()?.roles?.[currentUserId] === "owner") {
+            // Null when another session is already rotating the key
+            const rotatedKey = await rotateTripKey(tripId, currentUserId);
+            if (rotatedKey) {
+              setTripKey(rotatedKey);
+              addToast({
+                message: "Trip encryption key rotated after a member left",
+                type: "info",
+                actorId: currentUserId,
+                timeout: 4000,
+              });
+            }
+          }
+        }
+
+        // Owners upgrade values encrypted before ciphertext envelopes
+        if (key && await isEnvelopeMigrationPending(tripId)) {
+          const tripSnap = await getDoc(doc(db, "trips", tripId));
+          if (tripSnap.data()?.roles?.[currentUserId] === "owner") {
+            await migrateTripEnvelopes(tripId, currentUserId);
+          }
+        }
       } catch (error) {
         console.error('Error setting up encryption:', error);
       }
     };
 
     setupEncryption();
+  }, [tripId, currentUserId, addToast]);
+
+  // Follows the trip's roles so capabilities update as soon as the user's role changes
+  useEffect(() => {
+    if (!tripId || !currentUserId) return;
+
+    const unsub = onSnapshot(doc(db, "trips", tripId), (snap) => {
+      setRoles(snap.data()?.roles || null);
+    }, (error) => {
+      console.error("Error loading trip roles:", error);
+      setRoles(null);
+    });
+    return () => unsub();
   }, [tripId, currentUserId]);
 
+  // Loads the trip key once a member shares it in answer to this user's request
+  useEffect(() => {
+    if (!tripId || !currentUserId || keyMissingReason !== "requested") return;
+
+    const keyRef = doc(db, "trips", tripId, "encryptionKeys", currentUserId);
+    const unsub = onSnapshot(keyRef, async (snap) => {
+      const data = snap.data();
+      if (!data?.encryptedKey || data.pending === true) return;
+      try {
+        const key = await getTripEncryptionKey(tripId, currentUserId);
+        if (!key) return;
+        setTripKey(key);
+        setKeyMissingReason(null);
+        addToast({
+          message: "Trip encryption key received",
+          type: "success",
+          actorId: data.sharedBy,
+          timeout: 3000,
+        });
+      } catch (error) {
+        console.error("Error loading shared trip key:", error);
+      }
+    });
+    return () => unsub();
+  }, [tripId, currentUserId, keyMissingReason, addToast]);
+
+  // Shares the trip key with members who have an open key request
+  const fulfillingRequestsRef = useRef(new Set());
+  useEffect(() => {
+    if (!tripId || !currentUserId || !tripKey) return;
+
+    const requestsQuery = query(
+      collection(db, "trips", tripId, "keyRequests"),
+      where("status", "==", "open")
+    );
+    const unsub = onSnapshot(requestsQuery, async (snap) => {
+      const requests = snap.docs
+        .map((d) => ({ requesterId: d.id, ...d.data() }))
+        .filter((r) => !fulfillingRequestsRef.current.has(r.requesterId));
+      if (requests.length === 0) return;
+
+      requests.forEach((r) => fulfillingRequestsRef.current.add(r.requesterId));
+      try {
+        const shared = await fulfilTripKeyRequests(tripId, currentUserId, tripKey, requests);
+        if (shared.length > 0) {
+          addToast({
+            message: `Shared the trip encryption key with ${shared.length} member${shared.length === 1 ? "" : "s"}`,
+            type: "info",
+            actorId: currentUserId,
+            timeout: 3000,
+          });
+        }
+      } catch (error) {
+        console.error("Error fulfilling trip key requests:", error);
+      } finally {
+        requests.forEach((r) => fulfillingRequestsRef.current.delete(r.requesterId));
+      }
+    });
+    return () => unsub();
+  }, [tripId, currentUserId, tripKey, addToast]);
+
   // Map & Places
   const mapRef = useRef(null);
   const [mapObj, setMapObj] = useState(null);
@@ -146,10 +281,6 @@ export default function TripDetail() {
   const pendingOrderRef = useRef(null);
   const initialCenteredRef = useRef(false);
 
-  // Enhanced notifications
-  const { toasts, addToast, removeToast } = useNotifications();
-  const { changedItems, markItemChanged } = useItemChangeTracking();
-
   // Members overlay
   const [showMembers, setShowMembers] = useState(false);
   
@@ -158,13 +289,13 @@ export default function TripDetail() {
   
   // Activity feed
   const [showActivityFeed, setShowActivityFeed] = useState(false);
+
+  // Audit log (owners only)
+  const [showAuditLog, setShowAuditLog] = useState(false);
   
   // Tabs
   const [activeTab, setActiveTab] = useState('itinerary'); // 'itinerary' or 'scrapbook'
   
-  // Encryption key
-  const [tripKey, setTripKey] = useState(null);
-  
   // Track previous items to detect changes
   const prevItemsRef = useRef([]);
   const processedActivitiesRef = useRef(new Set());
@@ -1078,33 +1209,10 @@ export default function TripDetail() {
       const dateKey = ymd(targetDate);
 
       const prev = weatherByItem[id];
-      if (prev?.dateKey === dateKey && prev?.status === "ready") return;
+      if (prev?.dateKey === dateKey && prev?.units === temperatureUnit && prev?.status === "ready") return;
 
       setWeatherByItem((s) => ({ ...s, [id]: { status: "loading", dateKey } }));
 
-      // Try cache
-      let cachedUsed = false;
-      try {
-        const cacheRef = doc(db, "trips", tripId, "forecasts", "items", id);
-        const cacheSnap = await getDoc(cacheRef);
-        if (cacheSnap.exists()) {
-          const c = cacheSnap.data();
-          const fetchedAt = c.fetchedAt?.toDate?.() ?? null;
-          const fresh =
-            c.dateKey === dateKey &&
-            fetchedAt &&
-            (Date.now() - fetchedAt.getTime()) / 36e5 < FORECAST_STALE_HOURS;
-          if (fresh && c.summary) {
-            setWeatherByItem((s) => ({
-              ...s,
-              [id]: { status: "ready", source: "cache", ...c.summary, dateKey },
-            }));
-            cachedUsed = true;
-          }
-        }
-      } catch {/* ignore */}
-      if (cachedUsed) return;
-
       try {
         // 1) DAILY (main)
         const urlDaily = new URL(`${FUNCTIONS_BASE}/weatherDaily`);
@@ -1115,9 +1223,7 @@ export default function TripDetail() {
         const resDaily = await fetch(urlDaily.toString());
         if (!resDaily.ok) throw new Error(`Weather daily ${resDaily.status}`);
         const dataDaily = await resDaily.json();
-        const daysArray =
-          dataDaily?.days || dataDaily?.daily?.days || dataDaily?.dailyForecasts?.days || dataDaily?.forecastDays || [];
-        const summary = googleDailySummary(daysArray, dateKey);
+        const summary = dailySummary(dataDaily?.days || [], dateKey);
         if (!summary) {
           setWeatherByItem((s) => ({
             ...s,
@@ -1166,9 +1272,11 @@ export default function TripDetail() {
         // Convert precip to output units
         const { value: precipOut, unit: precipUnit } = toOutputPrecip(temperatureUnit, details.precipMm, details.precipIn);
 
+        // Units are recorded so weather risks are evaluated in the units the forecast came in
         const mergedSummary = {
           min: summary.min,
           max: summary.max,
+          units: temperatureUnit,
           iconUri: summary.iconUri,
           raw: {
             ...summary.raw,
@@ -1180,21 +1288,6 @@ export default function TripDetail() {
           },
         };
 
-        // Cache
-        try {
-          await setDoc(
-            doc(db, "trips", tripId, "forecasts", "items", id),
-            {
-              dateKey,
-              lat: location.lat,
-              lng: location.lng,
-              summary: mergedSummary,
-              fetchedAt: serverTimestamp(),
-            },
-            { merge: true }
-          );
-        } catch {/* ignore */}
-
         setWeatherByItem((s) => ({
           ...s,
           [id]: { status: "ready", source: "live", ...mergedSummary, dateKey },
@@ -1214,7 +1307,27 @@ export default function TripDetail() {
     todays.forEach(fetchItemWeather);
     setTimeout(() => others.forEach(fetchItemWeather), 150);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [FUNCTIONS_BASE, tripStartDate, items, selectedDay]);
+  }, [FUNCTIONS_BASE, tripStartDate, items, selectedDay, temperatureUnit]);
+
+  // Weather risk flags per item and per-day counts for the toolbar badge
+  const weatherRisksByItem = useMemo(() => {
+    const out = {};
+    for (const item of items) {
+      const flags = evaluateWeatherRisks({
+        item,
+        weather: weatherByItem[item.id],
+        units: temperatureUnit,
+        thresholds: weatherRiskThresholds,
+      });
+      if (flags.length) out[item.id] = flags;
+    }
+    return out;
+  }, [items, weatherByItem, temperatureUnit, weatherRiskThresholds]);
+
+  const weatherRiskByDay = useMemo(
+    () => summarizeRisksByDay(items, weatherRisksByItem),
+    [items, weatherRisksByItem]
+  );
 
   /* ---------------- Render ---------------- */
 
@@ -1288,6 +1401,26 @@ export default function TripDetail() {
         </button>
       </div>
 
+      {keyMissingReason === "locked" && (
+        <div className="td-key-missing" role="alert">
+          This trip is encrypted, but your encryption key is locked on this device.{" "}
+          <Link to="/settings">Unlock or restore your encryption key</Link> in Settings.
+        </div>
+      )}
+      {keyMissingReason === "requested" && (
+        <div className="td-key-missing" role="status">
+          This trip is encrypted, but its key is not available on this device yet. Trip members
+          have been asked to share it, and encrypted content will appear once one of them does.
+        </div>
+      )}
+
+      {capabilities.role === "viewer" && (
+        <div className="td-read-only" role="status">
+          You're a viewer on this trip. You can browse the itinerary, comments and chat, but only
+          owners and editors can make changes.
+        </div>
+      )}
+
       {/* Tabs */}
       <div className="td-tabs">
         <button
@@ -1316,6 +1449,7 @@ export default function TripDetail() {
               selectedDay={selectedDay}
               allDays={allDays}
               dayLabels={dayLabels}
+              riskByDay={weatherRiskByDay}
               onChangeDay={(d) => setSelectedDay(d)}
               onAddDay={addNewDayAndSwitch}
               onRenameDay={renameCurrentDay}
@@ -1323,6 +1457,8 @@ export default function TripDetail() {
               onShowActivityFeed={() => setShowActivityFeed(true)}
               onShowChat={() => setShowChat(true)}
               onShowMembers={() => setShowMembers(true)}
+              onShowAuditLog={capabilities.canViewAuditLog ? () => setShowAuditLog(true) : undefined}
+              canEdit={capabilities.canEditItinerary}
             />
           </div>
 
@@ -1350,6 +1486,8 @@ export default function TripDetail() {
             onUpdateNotes={updateItemNotes}
             onCommentsClick={(itemId) => setCommentsOpenItemId(itemId)}
             changedItems={changedItems}
+            canEdit={capabilities.canEditItinerary}
+            canComment={capabilities.canComment}
             onItemClick={(item) => {
               if (!item?.placeId) return;
               (async () => {
@@ -1404,6 +1542,7 @@ export default function TripDetail() {
           activePlaceId={activePlaceId}
           selectedDay={selectedDay}
           addPlaceToItinerary={addPlaceToItinerary}
+          canEdit={capabilities.canEditItinerary}
           detailsElRef={detailsElRef}
           detailsReqElRef={detailsReqElRef}
         />
@@ -1434,6 +1573,7 @@ export default function TripDetail() {
             tempUnit={tempUnit}
             dateKey={wd?.dateKey}
             source={wd?.source === "cache" ? "Cached" : "Live"}
+            risks={weatherRisksByItem[weatherOpenItemId] || []}
             onClose={() => setWeatherOpenItemId(null)}
           />
         );
@@ -1449,13 +1589,14 @@ export default function TripDetail() {
         <Comments
           tripId={tripId}
           itemId={commentsOpenItemId}
+          canComment={capabilities.canComment}
           onClose={() => setCommentsOpenItemId(null)}
         />
       )}
 
       {/* Trip Chat overlay */}
       {showChat && (
-        <TripChat tripId={tripId} onClose={() => setShowChat(false)} />
+        <TripChat tripId={tripId} canChat={capabilities.canChat} onClose={() => setShowChat(false)} />
       )}
 
       {/* Activity Feed overlay */}
@@ -1463,6 +1604,11 @@ export default function TripDetail() {
         <ActivityFeed tripId={tripId} onClose={() => setShowActivityFeed(false)} />
       )}
 
+      {/* Audit Log overlay */}
+      {showAuditLog && capabilities.canViewAuditLog && (
+        <TripAuditLog tripId={tripId} onClose={() => setShowAuditLog(false)} />
+      )}
+
 
       <ToastContainer toasts={toasts} onDismiss={removeToast} />
 
@@ -30,8 +30,8 @@ import {
 } from "firebase/firestore";
 import { onAuthStateChanged } from "firebase/auth";
 import { Link } from "react-router-dom";
-import { enableTripEncryption, getTripEncryptionKey } from "../utils/tripKeys.js";
-import { encrypt, decrypt, generateKey, getUserMasterKey, encryptKey, storeTripKey } from "../utils/encryption.js";
+import { enableTripEncryption, getTripEncryptionKey, migrateLegacyTripKeys } from "../utils/tripKeys.js";
+import { encrypt, decrypt, generateKey, getUserKeyPair, sealKey, storeTripKey } from "../utils/encryption.js";
 import { validateTripName, MAX_LENGTHS } from "../utils/validation.js";
 import { trackUserAction, trackError, trackFeatureUsage } from "../utils/errorTracking.js";
 import Calendar from "../components/Calendar.jsx";
@@ -66,6 +66,8 @@ export default function Trips() {
 
   // Keep a ref to unsubscribe the trips listener when auth changes
   const tripsUnsubRef = useRef(null);
+  // Legacy trip key migration runs once per session
+  const legacyMigrationRef = useRef(false);
 
   useEffect(() => {
     const unsubAuth = onAuthStateChanged(auth, (user) => {
@@ -119,6 +121,13 @@ export default function Trips() {
             })
           );
           
+          // Re-seal any trip keys still wrapped with the legacy master key, once per session
+          if (!legacyMigrationRef.current) {
+            legacyMigrationRef.current = true;
+            migrateLegacyTripKeys(user.uid, snap.docs.map((d) => d.id))
+              .catch((error) => console.warn('Legacy trip key migration failed:', error));
+          }
+
           // Merge with optimistic updates - keep optimistic trips that haven't been confirmed yet
           setTrips(prev => {
             const optimisticTrips = prev.filter(t => t._optimistic && !tripsData.find(d => d.id === t.id));
@@ -183,9 +192,9 @@ export default function Trips() {
         isEncrypted = true;
       }
       
-      // Prepare encryption key storage
-      const masterKey = await getUserMasterKey(uid);
-      const encryptedTripKey = encryptKey(tripKey, masterKey);
+      // Prepare encryption key storage, sealed to the creator's public key
+      const keyPair = await getUserKeyPair(uid);
+      const sealedTripKey = keyPair ? sealKey(tripKey, keyPair.publicKey) : null;
       
       // Generate a temporary trip ID for key storage and optimistic update
       // Use a doc ref to get an ID before creating the document
@@ -234,14 +243,21 @@ export default function Trips() {
       try {
         // Store the key in Firestore (async, but doesn't block decryption since its stored locally above)
         Promise.all([
-          setDoc(doc(db, 'trips', tempTripId, 'encryptionKeys', uid), {
-            encryptedKey: encryptedTripKey,
+          setDoc(doc(db, 'trips', tempTripId, 'encryptionKeys', uid), sealedTripKey ? {
+            encryptedKey: sealedTripKey,
+            version: 1,
+            wrapping: 'x25519',
+            createdAt: serverTimestamp(),
+          } : {
+            // Keypair is locked on this device; the key stays local until it is unlocked
+            pending: true,
             createdAt: serverTimestamp(),
           }),
           setDoc(doc(db, 'trips', tempTripId, 'encryptionKeys', 'metadata'), {
             enabled: true,
             enabledBy: uid,
             enabledAt: serverTimestamp(),
+            currentVersion: 1,
           })
         ]).catch(err => console.warn('Failed to store encryption key in Firestore:', err));
         
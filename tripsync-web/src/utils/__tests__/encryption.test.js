@@ -0,0 +1,520 @@
+/**
+ * Unit Tests for Encryption Utilities
+ *
+ * Tests secretbox encryption with versioned trip keyrings, including
+ * ciphertext envelopes, legacy values and key selection during decryption, plus
+ * X25519 key sealing, the device key for local secrets, passphrase key
+ * derivation and recovery phrase backups, the trip key request queue and key
+ * rotation claims.
+ */
+
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+import nacl from 'tweetnacl';
+import {
+  generateKey,
+  encrypt,
+  decrypt,
+  decodeEnvelope,
+  decryptField,
+  createKeyring,
+  isKeyring,
+  getKeyVersion,
+  generateKeyPair,
+  sealKey,
+  openSealedKey,
+  deriveKeyFromPassphrase,
+  getUserKeyPair,
+  getKeyPairStatus,
+  createKeyBackup,
+  restoreKeyBackup,
+  isValidRecoveryPhrase,
+  encryptKey,
+  getTripKey,
+  storeTripKey,
+} from '../encryption';
+import { reencryptFields, getMemberKeyStatus, fulfilTripKeyRequests, rotateTripKey } from '../tripKeys';
+
+// In-memory Firestore keyed by document path
+const mockDocs = new Map();
+
+const mockMerge = (path, data) => mockDocs.set(path, { ...mockDocs.get(path), ...data });
+
+jest.mock('firebase/firestore', () => ({
+  doc: jest.fn((db, ...segments) => segments.join('/')),
+  collection: jest.fn((parent, ...segments) => (typeof parent === 'string' ? [parent, ...segments] : segments).join('/')),
+  query: jest.fn((path) => path),
+  orderBy: jest.fn(),
+  startAfter: jest.fn(),
+  limit: jest.fn(),
+  documentId: jest.fn(),
+  getDoc: jest.fn(async (path) => ({
+    exists: () => mockDocs.has(path),
+    data: () => mockDocs.get(path),
+  })),
+  // Lists the docs stored directly under a collection path
+  getDocs: jest.fn(async (path) => {
+    const docs = [...mockDocs.keys()]
+      .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+      .map((key) => ({ id: key.slice(path.length + 1), ref: key, data: () => mockDocs.get(key) }));
+    return { empty: docs.length === 0, docs };
+  }),
+  setDoc: jest.fn(async (path, data, options) => {
+    mockDocs.set(path, options?.merge ? { ...mockDocs.get(path), ...data } : data);
+  }),
+  updateDoc: jest.fn(async (path, data) => mockMerge(path, data)),
+  deleteDoc: jest.fn(async (path) => mockDocs.delete(path)),
+  writeBatch: jest.fn(() => ({ update: mockMerge, commit: async () => {} })),
+  runTransaction: jest.fn(async (db, updateFunction) => updateFunction({
+    get: async (path) => ({ exists: () => mockDocs.has(path), data: () => mockDocs.get(path) }),
+    update: mockMerge,
+  })),
+  serverTimestamp: jest.fn(() => 'timestamp'),
+}));
+
+jest.mock('../../firebaseConfig', () => ({
+  db: {},
+}));
+
+// In-memory IndexedDB device key store keyed by user ID
+const mockDeviceKeys = new Map();
+
+jest.mock('../deviceKeyStore', () => ({
+  loadDeviceKey: jest.fn(async (userId) => mockDeviceKeys.get(userId) || null),
+  saveDeviceKey: jest.fn(async (userId, key) => mockDeviceKeys.set(userId, key)),
+}));
+
+// jsdom has no WebCrypto; the device key uses Node's implementation
+Object.defineProperty(global.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+
+// jsdom does not provide the text codecs used by encrypt and decrypt; bytes are
+// copied into the jsdom realm's Uint8Array so tweetnacl's type checks pass
+global.TextEncoder = class {
+  encode(text) {
+    return new Uint8Array(new TextEncoder().encode(text));
+  }
+};
+global.TextDecoder = TextDecoder;
+
+// Builds a value the way encrypt() did before envelopes: bare base64 of nonce
+// and box, tagged "k<version>:" after a key rotation
+const encryptLegacy = (text, key, version = 1) => {
+  const nonce = nacl.randomBytes(24);
+  const box = nacl.secretbox(
+    new Uint8Array(Buffer.from(text)),
+    nonce,
+    new Uint8Array(Buffer.from(key, 'base64'))
+  );
+  const encoded = Buffer.concat([Buffer.from(nonce), Buffer.from(box)]).toString('base64');
+  return version > 1 ? `k${version}:${encoded}` : encoded;
+};
+
+describe('encryption utility functions', () => {
+  const keyV1 = generateKey();
+  const keyV2 = generateKey();
+  const keyring = createKeyring({ 1: keyV1, 2: keyV2 }, 2);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('encrypt and decrypt', () => {
+    it('should round-trip a single key in a version 1 envelope', () => {
+      const ciphertext = encrypt('Lake Michigan', keyV1);
+      expect(decodeEnvelope(ciphertext)).toMatchObject({
+        format: 1,
+        algorithm: 'xsalsa20-poly1305',
+        keyVersion: 1,
+        associatedData: null,
+      });
+      expect(decrypt(ciphertext, keyV1)).toBe('Lake Michigan');
+    });
+
+    it('should record the keyring current version in the envelope', () => {
+      const ciphertext = encrypt('Grand Rapids', keyring);
+      expect(decodeEnvelope(ciphertext).keyVersion).toBe(2);
+      expect(getKeyVersion(ciphertext)).toBe(2);
+      expect(decrypt(ciphertext, keyring)).toBe('Grand Rapids');
+    });
+
+    it('should decrypt legacy values with the tagged or default key version', () => {
+      const untagged = encryptLegacy('Old note', keyV1);
+      const tagged = encryptLegacy('Rotated note', keyV2, 2);
+
+      expect(decodeEnvelope(untagged)).toBeNull();
+      expect(getKeyVersion(untagged)).toBe(1);
+      expect(getKeyVersion(tagged)).toBe(2);
+      expect(decrypt(untagged, keyring)).toBe('Old note');
+      expect(decrypt(tagged, keyring)).toBe('Rotated note');
+    });
+
+    it('should throw when the keyring lacks the recorded version', () => {
+      const ciphertext = encrypt('Secret', keyring);
+      const oldKeyring = createKeyring({ 1: keyV1 }, 1);
+      expect(() => decrypt(ciphertext, oldKeyring)).toThrow('Trip key version 2 not available');
+    });
+
+    it('should fail to decrypt with the wrong key', () => {
+      const ciphertext = encrypt('Secret', keyV1);
+      expect(() => decrypt(ciphertext, keyV2)).toThrow('Decryption failed');
+    });
+
+    it('should reject envelopes from a newer format or another algorithm', () => {
+      const ciphertext = encrypt('Secret', keyV1);
+      expect(() => decrypt(ciphertext.replace(/^tse1:/, 'tse2:'), keyV1))
+        .toThrow('Unsupported envelope format 2');
+      expect(() => decrypt(ciphertext.replace('xsalsa20-poly1305', 'aes-256-gcm'), keyV1))
+        .toThrow('Unsupported encryption algorithm aes-256-gcm');
+    });
+  });
+
+  describe('associated data', () => {
+    it('should carry associated data in the clear and bind it to the ciphertext', () => {
+      const ciphertext = encrypt('Museum', keyring, 'itinerary/stop1/title');
+
+      expect(decodeEnvelope(ciphertext).associatedData).toBe('itinerary/stop1/title');
+      expect(decrypt(ciphertext, keyring)).toBe('Museum');
+      expect(decrypt(ciphertext, keyring, 'itinerary/stop1/title')).toBe('Museum');
+      expect(() => decrypt(ciphertext, keyring, 'itinerary/stop2/title'))
+        .toThrow('Associated data does not match');
+    });
+
+    it('should detect associated data swapped in the envelope header', () => {
+      const ciphertext = encrypt('Museum', keyV1, 'title');
+      const [prefix, algorithm, version, , payload] = ciphertext.split(':');
+      const swapped = [prefix, algorithm, version, 'YWRkcmVzcw', payload].join(':');
+
+      expect(decodeEnvelope(swapped).associatedData).toBe('address');
+      expect(() => decrypt(swapped, keyV1)).toThrow('associated data was modified');
+    });
+  });
+
+  describe('decodeEnvelope', () => {
+    it('should return null for plaintext and legacy values', () => {
+      expect(decodeEnvelope('Chicago')).toBeNull();
+      expect(decodeEnvelope('QUJDREVGR0hJSktMTU5PUFFSU1RVVldY')).toBeNull();
+      expect(decodeEnvelope(undefined)).toBeNull();
+    });
+  });
+
+  describe('decryptField', () => {
+    it('should decrypt envelopes whether or not the field is marked encrypted', () => {
+      expect(decryptField(encrypt('Pier', keyring), keyring)).toBe('Pier');
+      expect(decryptField(encrypt('Pier', keyring), keyring, { encrypted: true })).toBe('Pier');
+    });
+
+    it('should return plaintext as stored unless the field is marked encrypted', () => {
+      expect(decryptField('Plain title', keyring)).toBe('Plain title');
+      expect(decryptField(encryptLegacy('Old title', keyV1), keyring, { encrypted: true })).toBe('Old title');
+    });
+
+    it('should return the fallback for unreadable or empty values', () => {
+      const ciphertext = encrypt('Hidden', keyV2);
+      expect(decryptField(ciphertext, null, { fallback: 'Unnamed Stop' })).toBe('Unnamed Stop');
+      expect(decryptField(ciphertext, keyV1, { fallback: 'Unnamed Stop' })).toBe('Unnamed Stop');
+      expect(decryptField('', keyring, { fallback: 'Unnamed Stop' })).toBe('Unnamed Stop');
+      expect(decryptField('not ciphertext', keyring, { encrypted: true })).toBeNull();
+    });
+  });
+
+  describe('isKeyring', () => {
+    it('should distinguish keyrings from plain keys', () => {
+      expect(isKeyring(keyring)).toBe(true);
+      expect(isKeyring(keyV1)).toBe(false);
+      expect(isKeyring(null)).toBe(false);
+    });
+  });
+
+  describe('sealKey and openSealedKey', () => {
+    it('should open a key sealed to the recipient public key', () => {
+      const recipient = generateKeyPair();
+      const sealed = sealKey(keyV1, recipient.publicKey);
+
+      expect(sealed).not.toContain(keyV1);
+      expect(openSealedKey(sealed, recipient)).toBe(keyV1);
+    });
+
+    it('should produce different output each time a key is sealed', () => {
+      const recipient = generateKeyPair();
+      expect(sealKey(keyV1, recipient.publicKey)).not.toBe(sealKey(keyV1, recipient.publicKey));
+    });
+
+    it('should not open with another keypair', () => {
+      const recipient = generateKeyPair();
+      const other = generateKeyPair();
+      const sealed = sealKey(keyV1, recipient.publicKey);
+
+      expect(() => openSealedKey(sealed, other)).toThrow('Could not open sealed key');
+    });
+  });
+
+  describe('deriveKeyFromPassphrase', () => {
+    it('should match PBKDF2-HMAC-SHA512', () => {
+      // Reference output of PBKDF2-HMAC-SHA512("password", "salt", 2 rounds), first 32 bytes
+      const expected = Buffer.from(
+        'e1d9c16aa681708a45f5c7c4e215ceb66e011a2e9f0040713f18aefdb866d53c',
+        'hex'
+      ).toString('base64');
+      const salt = Buffer.from('salt').toString('base64');
+
+      expect(deriveKeyFromPassphrase('password', salt, 2)).toBe(expected);
+    });
+
+    it('should derive a usable secretbox key that depends on the salt', () => {
+      const saltA = Buffer.from('salt-a').toString('base64');
+      const saltB = Buffer.from('salt-b').toString('base64');
+      const derived = deriveKeyFromPassphrase('correct horse', saltA, 10);
+
+      expect(derived).not.toBe(deriveKeyFromPassphrase('correct horse', saltB, 10));
+      expect(decrypt(encrypt('secret key', derived), derived)).toBe('secret key');
+    });
+  });
+
+  describe('reencryptFields', () => {
+    it('should re-encrypt fields that are on an older key version', () => {
+      const data = {
+        encrypted: true,
+        title: encrypt('Museum', keyV1),
+        notes: encrypt('Bring tickets', keyring),
+      };
+
+      const updates = reencryptFields(data, ['title', 'address', 'notes'], keyring);
+
+      expect(Object.keys(updates)).toEqual(['title']);
+      expect(getKeyVersion(updates.title)).toBe(2);
+      expect(decrypt(updates.title, keyring)).toBe('Museum');
+    });
+
+    it('should upgrade legacy values to envelopes even on the current version', () => {
+      const data = { encrypted: true, text: encryptLegacy('Rotated note', keyV2, 2) };
+
+      const updates = reencryptFields(data, ['text'], keyring);
+
+      expect(decodeEnvelope(updates.text).keyVersion).toBe(2);
+      expect(decrypt(updates.text, keyring)).toBe('Rotated note');
+    });
+
+    it('should return null for unencrypted or already current documents', () => {
+      expect(reencryptFields({ encrypted: false, title: 'Plain' }, ['title'], keyring)).toBeNull();
+      expect(reencryptFields({ encrypted: true, title: encrypt('Done', keyring) }, ['title'], keyring)).toBeNull();
+    });
+
+    it('should skip fields that cannot be decrypted', () => {
+      const foreign = encrypt('Unknown key', generateKey());
+      expect(reencryptFields({ encrypted: true, text: foreign }, ['text'], keyring)).toBeNull();
+    });
+  });
+
+  describe('device key', () => {
+    beforeEach(() => {
+      mockDocs.clear();
+      localStorage.clear();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should keep the device key out of localStorage as a non-extractable key', async () => {
+      const keyPair = await getUserKeyPair('user1');
+      await storeTripKey('trip1', 'user1', keyring);
+
+      expect(localStorage.getItem('deviceKey_user1')).toBeNull();
+      expect(mockDeviceKeys.get('user1').extractable).toBe(false);
+      expect(localStorage.getItem('keyPair_user1')).not.toContain(keyPair.secretKey);
+      expect(await getTripKey('trip1', 'user1')).toEqual(keyring);
+    });
+
+    it('should re-seal entries under a legacy localStorage device key and delete it', async () => {
+      const legacyKey = generateKey();
+      const keyPair = generateKeyPair();
+      mockDocs.set('users/legacyUser', { encryptionPublicKey: keyPair.publicKey });
+      localStorage.setItem('deviceKey_legacyUser', legacyKey);
+      localStorage.setItem('keyPair_legacyUser', JSON.stringify({
+        publicKey: keyPair.publicKey,
+        encryptedSecretKey: encryptKey(keyPair.secretKey, legacyKey),
+      }));
+      localStorage.setItem('tripKey_trip1_legacyUser', encryptKey(JSON.stringify(keyring), legacyKey));
+
+      expect(await getUserKeyPair('legacyUser')).toEqual(keyPair);
+
+      expect(localStorage.getItem('deviceKey_legacyUser')).toBeNull();
+      expect(() => decrypt(localStorage.getItem('tripKey_trip1_legacyUser'), legacyKey)).toThrow();
+      expect(await getTripKey('trip1', 'legacyUser')).toEqual(keyring);
+    });
+  });
+
+  describe('recovery phrase backup', () => {
+    beforeEach(() => {
+      mockDocs.clear();
+      localStorage.clear();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should restore the keypair on a new device from the recovery phrase', async () => {
+      const keyPair = await getUserKeyPair('user1');
+      const phrase = await createKeyBackup('user1');
+
+      expect(phrase.split(' ')).toHaveLength(24);
+      expect(isValidRecoveryPhrase(phrase)).toBe(true);
+      expect(JSON.stringify(mockDocs.get('users/user1/settings/keyBackup'))).not.toContain(keyPair.secretKey);
+
+      // A new device has no local keypair or device key
+      localStorage.clear();
+      expect(await getKeyPairStatus('user1')).toEqual({
+        status: 'locked',
+        hasPassphrase: false,
+        hasRecoveryPhrase: true,
+      });
+
+      const restored = await restoreKeyBackup('user1', `  ${phrase.toUpperCase().replace(/ /g, '   ')} `);
+      expect(restored).toEqual(keyPair);
+      expect(await getUserKeyPair('user1')).toEqual(keyPair);
+      expect((await getKeyPairStatus('user1')).status).toBe('unlocked');
+    });
+
+    it('should reject phrases that are malformed or belong to another backup', async () => {
+      await getUserKeyPair('user1');
+      const phrase = await createKeyBackup('user1');
+      const replacement = await createKeyBackup('user1');
+      localStorage.clear();
+
+      await expect(restoreKeyBackup('user1', 'not a real recovery phrase'))
+        .rejects.toThrow('Recovery phrase is not valid');
+      await expect(restoreKeyBackup('user1', phrase))
+        .rejects.toThrow('Recovery phrase does not match your key backup');
+      await expect(restoreKeyBackup('user1', replacement)).resolves.toHaveProperty('secretKey');
+    });
+
+    it('should require an unlocked keypair to create a backup', async () => {
+      mockDocs.set('users/user1', { encryptionPublicKey: generateKeyPair().publicKey });
+
+      await expect(createKeyBackup('user1')).rejects.toThrow('Unlock your encryption key');
+    });
+  });
+
+  describe('getMemberKeyStatus', () => {
+    it('should report members holding the current key version as ok', () => {
+      expect(getMemberKeyStatus({ encryptedKey: 'sealed', version: 2 }, undefined, 2)).toBe('ok');
+      expect(getMemberKeyStatus({ encryptedKey: 'sealed' }, undefined, 1)).toBe('ok');
+    });
+
+    it('should report pending key docs and open requests as pending', () => {
+      expect(getMemberKeyStatus({ pending: true }, undefined, 1)).toBe('pending');
+      expect(getMemberKeyStatus(undefined, { status: 'open' }, 1)).toBe('pending');
+    });
+
+    it('should report absent or outdated keys without a request as missing', () => {
+      expect(getMemberKeyStatus(undefined, undefined, 1)).toBe('missing');
+      expect(getMemberKeyStatus({ encryptedKey: 'sealed', version: 1 }, { status: 'fulfilled' }, 2)).toBe('missing');
+    });
+  });
+
+  describe('fulfilTripKeyRequests', () => {
+    beforeEach(() => {
+      mockDocs.clear();
+    });
+
+    it('should seal the keyring to each requester with a public key', async () => {
+      const requester = generateKeyPair();
+      mockDocs.set('users/joiner', { encryptionPublicKey: requester.publicKey });
+
+      const shared = await fulfilTripKeyRequests('trip1', 'owner', keyring, [
+        { requesterId: 'joiner' },
+        { requesterId: 'noKey' },
+        { requesterId: 'owner' },
+      ]);
+
+      expect(shared).toEqual(['joiner']);
+      const keyDoc = mockDocs.get('trips/trip1/encryptionKeys/joiner');
+      expect(keyDoc).toMatchObject({ version: 2, wrapping: 'x25519', sharedBy: 'owner' });
+      expect(openSealedKey(keyDoc.encryptedKey, requester)).toBe(keyV2);
+      expect(openSealedKey(keyDoc.previousKeys[1], requester)).toBe(keyV1);
+      expect(mockDocs.has('trips/trip1/encryptionKeys/noKey')).toBe(false);
+    });
+  });
+
+  describe('rotateTripKey', () => {
+    const metadataPath = 'trips/trip1/encryptionKeys/metadata';
+
+    beforeEach(async () => {
+      mockDocs.clear();
+      localStorage.clear();
+      await getUserKeyPair('owner');
+      await storeTripKey('trip1', 'owner', keyring);
+    });
+
+    it('should leave a rotation claimed by another live session to it', async () => {
+      const claim = { status: 'claimed', claimId: 'other', toVersion: 3, startedAt: { toMillis: () => Date.now() } };
+      mockDocs.set(metadataPath, { enabled: true, currentVersion: 2, rotationRequired: true, rotation: claim });
+
+      await expect(rotateTripKey('trip1', 'owner')).resolves.toBeNull();
+
+      expect(mockDocs.get(metadataPath).rotation).toBe(claim);
+      expect(mockDocs.has('trips/trip1/encryptionKeys/owner')).toBe(false);
+    });
+
+    it('should clear the rotation flag once the removals it was claimed for are handled', async () => {
+      const requestedAt = { toMillis: () => 1000 };
+      mockDocs.set('trips/trip1', { members: { owner: true } });
+      mockDocs.set(metadataPath, {
+        enabled: true,
+        currentVersion: 2,
+        rotationRequired: true,
+        rotationRequestedAt: requestedAt,
+        removedMembers: ['leaver'],
+      });
+
+      const rotated = await rotateTripKey('trip1', 'owner');
+
+      expect(rotated.currentVersion).toBe(3);
+      expect(mockDocs.get(metadataPath)).toMatchObject({
+        currentVersion: 3,
+        rotationRequired: false,
+        removedMembers: [],
+      });
+    });
+
+    it('should keep the rotation flag for a member removed while the rotation ran', async () => {
+      mockDocs.set('trips/trip1', { members: { owner: true, lateLeaver: true } });
+      mockDocs.set(metadataPath, {
+        enabled: true,
+        currentVersion: 2,
+        rotationRequired: true,
+        rotationRequestedAt: { toMillis: () => 1000 },
+        removedMembers: ['leaver'],
+      });
+      // The removal lands after the member list was read for distributing the new key
+      const getMemberKeys = jest.requireMock('firebase/firestore').getDocs.getMockImplementation();
+      jest.requireMock('firebase/firestore').getDocs.mockImplementationOnce(async (path) => {
+        mockMerge(metadataPath, {
+          rotationRequestedAt: { toMillis: () => 2000 },
+          removedMembers: ['leaver', 'lateLeaver'],
+        });
+        return getMemberKeys(path);
+      });
+
+      await rotateTripKey('trip1', 'owner');
+
+      expect(mockDocs.get(metadataPath)).toMatchObject({
+        currentVersion: 3,
+        rotationRequired: true,
+        removedMembers: ['lateLeaver'],
+      });
+    });
+
+    it('should not resume a rotation whose key this user has not received', async () => {
+      mockDocs.set(metadataPath, {
+        enabled: true,
+        currentVersion: 3,
+        rotationRequired: false,
+        rotation: { status: 'in_progress', claimId: 'other', toVersion: 3, cursors: {} },
+      });
+
+      await expect(rotateTripKey('trip1', 'owner')).resolves.toBeNull();
+      expect(mockDocs.get(metadataPath).rotation.status).toBe('in_progress');
+    });
+  });
+});
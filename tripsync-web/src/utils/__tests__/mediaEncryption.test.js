@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for Media Encryption Utilities
+ *
+ * Tests the chunked encrypted media format: round trips across chunk
+ * boundaries, streaming input, key version selection and tamper detection.
+ */
+
+import { TextEncoder, TextDecoder } from 'util';
+import { generateKey, createKeyring } from '../encryption';
+import {
+  MEDIA_CHUNK_SIZE,
+  isEncryptedMedia,
+  createMediaEncryptor,
+  createMediaDecryptor,
+  encryptMedia,
+  decryptMedia,
+} from '../mediaEncryption';
+
+jest.mock('../../firebaseConfig', () => ({
+  db: {},
+}));
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// Deterministic test bytes
+const makeBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) bytes[i] = (i * 31 + 7) & 0xff;
+  return bytes;
+};
+
+const join = (chunks) => {
+  const out = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+};
+
+describe('media encryption', () => {
+  const keyV1 = generateKey();
+  const keyV2 = generateKey();
+  const keyring = createKeyring({ 1: keyV1, 2: keyV2 }, 2);
+
+  it.each([
+    ['an empty file', 0],
+    ['a file smaller than one chunk', 1000],
+    ['an exact multiple of the chunk size', MEDIA_CHUNK_SIZE * 2],
+    ['a file spanning several chunks', MEDIA_CHUNK_SIZE * 2 + 123],
+  ])('should round-trip %s', (_, length) => {
+    const plain = makeBytes(length);
+    const encrypted = encryptMedia(plain, keyring);
+
+    expect(isEncryptedMedia(encrypted)).toBe(true);
+    expect(join(decryptMedia(encrypted, keyring))).toEqual(plain);
+  });
+
+  it('should decrypt pieces of any size pushed as they arrive', () => {
+    const plain = makeBytes(MEDIA_CHUNK_SIZE + 5000);
+    const encrypted = encryptMedia(plain, keyring);
+    const decryptor = createMediaDecryptor(keyring);
+    const chunks = [];
+
+    for (let offset = 0; offset < encrypted.length; offset += 7777) {
+      chunks.push(...decryptor.push(encrypted.subarray(offset, offset + 7777)));
+    }
+    chunks.push(...decryptor.finish());
+
+    expect(decryptor.keyVersion()).toBe(2);
+    expect(join(chunks)).toEqual(plain);
+  });
+
+  it('should decrypt files written with an older key version', () => {
+    const plain = makeBytes(300);
+    const oldKeyring = createKeyring({ 1: keyV1 }, 1);
+    const encrypted = encryptMedia(plain, oldKeyring);
+
+    expect(join(decryptMedia(encrypted, keyring))).toEqual(plain);
+    expect(() => decryptMedia(encryptMedia(plain, keyring), oldKeyring)).toThrow('Trip key version 2 not available');
+  });
+
+  it('should reject truncated files', () => {
+    const encrypted = encryptMedia(makeBytes(MEDIA_CHUNK_SIZE * 2 + 10), keyring);
+    const sealedChunk = MEDIA_CHUNK_SIZE + 16;
+
+    // Dropping the final chunk leaves a valid middle chunk at the end
+    expect(() => decryptMedia(encrypted.subarray(0, 32 + sealedChunk * 2), keyring)).toThrow('Media decryption failed');
+    expect(() => createMediaDecryptor(keyring).finish()).toThrow('Encrypted media is truncated');
+  });
+
+  it('should reject the wrong key and tampered bytes', () => {
+    const encrypted = encryptMedia(makeBytes(500), keyV1);
+    expect(() => decryptMedia(encrypted, keyV2)).toThrow('Media decryption failed');
+
+    encrypted[40] ^= 1;
+    expect(() => decryptMedia(encrypted, keyV1)).toThrow('Media decryption failed');
+  });
+
+  it('should reject data that is not encrypted media', () => {
+    expect(isEncryptedMedia(makeBytes(64))).toBe(false);
+    expect(() => decryptMedia(makeBytes(64), keyV1)).toThrow('Not an encrypted media file');
+  });
+
+  it('should require full-size chunks before the final one', () => {
+    const encryptor = createMediaEncryptor(keyring, 16);
+    expect(() => encryptor.encryptChunk(makeBytes(8), false)).toThrow('Media chunks must be 16 bytes');
+    encryptor.encryptChunk(makeBytes(8), true);
+    expect(() => encryptor.encryptChunk(makeBytes(8), true)).toThrow('already finished');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for Notification Inbox Utilities
+ *
+ * Tests paging through the inbox, marking notifications read and formatting
+ * the unread badge and notification times. Mocks Firestore and Cloud Functions.
+ */
+
+import {
+  fetchInboxPage,
+  markNotificationRead,
+  markAllNotificationsRead,
+  formatUnreadCount,
+  formatNotificationTime,
+  INBOX_PAGE_SIZE,
+} from '../notificationInbox';
+import { doc, getDocs, startAfter, updateDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db } from '../../firebaseConfig';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDocs: jest.fn(),
+  limit: jest.fn(),
+  orderBy: jest.fn(),
+  query: jest.fn(),
+  serverTimestamp: jest.fn(() => 'now'),
+  startAfter: jest.fn(),
+  updateDoc: jest.fn(),
+  where: jest.fn(),
+}));
+
+jest.mock('firebase/functions', () => ({
+  httpsCallable: jest.fn(),
+}));
+
+jest.mock('../../firebaseConfig', () => ({
+  db: {},
+  functions: {},
+}));
+
+describe('notification inbox utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('fetchInboxPage', () => {
+    const snap = (id) => ({ id, data: () => ({ title: id, read: false }) });
+
+    it('loads the page after the cursor', async () => {
+      getDocs.mockResolvedValue({ docs: [snap('n3'), snap('n4')] });
+
+      const page = await fetchInboxPage('alice', 'cursor');
+
+      expect(startAfter).toHaveBeenCalledWith('cursor');
+      expect(page.notifications).toEqual([
+        { id: 'n3', title: 'n3', read: false },
+        { id: 'n4', title: 'n4', read: false },
+      ]);
+      expect(page.cursor.id).toBe('n4');
+      expect(page.hasMore).toBe(false);
+    });
+
+    it('reports more pages when the page is full', async () => {
+      getDocs.mockResolvedValue({ docs: Array.from({ length: INBOX_PAGE_SIZE }, (_, i) => snap(`n${i}`)) });
+
+      const page = await fetchInboxPage('alice', 'cursor');
+
+      expect(page.hasMore).toBe(true);
+    });
+  });
+
+  describe('markNotificationRead', () => {
+    it('marks the notification read', async () => {
+      doc.mockReturnValue('ref');
+
+      await markNotificationRead('alice', 'n1');
+
+      expect(doc).toHaveBeenCalledWith(db, 'users', 'alice', 'notifications', 'n1');
+      expect(updateDoc).toHaveBeenCalledWith('ref', { read: true, readAt: 'now' });
+    });
+  });
+
+  describe('markAllNotificationsRead', () => {
+    it('calls the server and returns how many were marked', async () => {
+      httpsCallable.mockReturnValue(jest.fn().mockResolvedValue({ data: { updated: 3 } }));
+
+      await expect(markAllNotificationsRead()).resolves.toBe(3);
+      expect(httpsCallable).toHaveBeenCalledWith({}, 'markAllNotificationsRead');
+    });
+  });
+
+  describe('formatUnreadCount', () => {
+    it('is empty with nothing unread', () => {
+      expect(formatUnreadCount(0)).toBe('');
+    });
+
+    it('caps large counts', () => {
+      expect(formatUnreadCount(5)).toBe('5');
+      expect(formatUnreadCount(100)).toBe('99+');
+    });
+  });
+
+  describe('formatNotificationTime', () => {
+    const now = new Date(2030, 5, 1, 12);
+    const at = (ms) => ({ toDate: () => new Date(now.getTime() - ms) });
+
+    it('shows pending server writes as just now', () => {
+      expect(formatNotificationTime(null, now)).toBe('Just now');
+    });
+
+    it('formats recent times relative to now', () => {
+      expect(formatNotificationTime(at(5 * 60 * 1000), now)).toBe('5m ago');
+      expect(formatNotificationTime(at(3 * 60 * 60 * 1000), now)).toBe('3h ago');
+      expect(formatNotificationTime(at(2 * 24 * 60 * 60 * 1000), now)).toBe('2d ago');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for Trip Permission Utilities
+ *
+ * Tests that capabilities follow the trip roles map, that viewers and
+ * non-members get a read-only trip, and that only owners see the audit log.
+ */
+
+import { getTripCapabilities } from '../permissions';
+
+describe('getTripCapabilities', () => {
+  const roles = { alice: 'owner', bob: 'editor', carol: 'viewer' };
+
+  it('should give owners and editors every editing capability', () => {
+    for (const uid of ['alice', 'bob']) {
+      expect(getTripCapabilities(roles, uid)).toEqual(expect.objectContaining({
+        role: roles[uid],
+        canEditItinerary: true,
+        canComment: true,
+        canChat: true,
+        canManageMembers: true,
+      }));
+    }
+  });
+
+  it('should only let owners view the audit log', () => {
+    expect(getTripCapabilities(roles, 'alice').canViewAuditLog).toBe(true);
+    expect(getTripCapabilities(roles, 'bob').canViewAuditLog).toBe(false);
+    expect(getTripCapabilities(roles, 'carol').canViewAuditLog).toBe(false);
+    expect(getTripCapabilities(roles, 'dave').canViewAuditLog).toBe(false);
+  });
+
+  it('should make the trip read-only for viewers', () => {
+    expect(getTripCapabilities(roles, 'carol')).toEqual({
+      role: 'viewer',
+      canEditItinerary: false,
+      canComment: false,
+      canChat: false,
+      canManageMembers: false,
+      canViewAuditLog: false,
+    });
+  });
+
+  it('should give non-members and unknown roles no capabilities', () => {
+    expect(getTripCapabilities(roles, 'dave').role).toBeNull();
+    expect(getTripCapabilities(roles, 'dave').canEditItinerary).toBe(false);
+    expect(getTripCapabilities({ erin: 'guest' }, 'erin').canChat).toBe(false);
+    expect(getTripCapabilities(null, 'alice').canComment).toBe(false);
+    expect(getTripCapabilities(roles, null).canManageMembers).toBe(false);
+  });
+});
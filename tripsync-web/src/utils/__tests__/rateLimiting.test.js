@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Rate Limiting Utilities
+ *
+ * Tests the client-side rate limiter and the callable wrapper, including
+ * honouring the retry time the server sends with rate limit errors.
+ */
+
+import { RateLimiter, getRetryAfterMs, rateLimitedCall } from '../rateLimiting.js';
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('allows calls up to the limit within the window', () => {
+    const limiter = new RateLimiter(2, 1000);
+
+    expect(limiter.isAllowed()).toBe(true);
+    expect(limiter.isAllowed()).toBe(true);
+    expect(limiter.isAllowed()).toBe(false);
+  });
+
+  it('blocks calls to a function until its block ends', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(0);
+    const limiter = new RateLimiter(10, 1000);
+
+    limiter.blockFor(5000, 'searchUsers');
+    expect(limiter.isAllowed('searchUsers')).toBe(false);
+    expect(limiter.getTimeUntilNextAllowed('searchUsers')).toBe(5000);
+
+    jest.setSystemTime(5000);
+    expect(limiter.getTimeUntilNextAllowed('searchUsers')).toBe(0);
+    expect(limiter.isAllowed('searchUsers')).toBe(true);
+  });
+
+  it('leaves other functions on the limiter unblocked', () => {
+    const limiter = new RateLimiter(10, 1000);
+
+    limiter.blockFor(5000, 'searchUsers');
+    expect(limiter.isAllowed('listTripInvites')).toBe(true);
+    expect(limiter.getTimeUntilNextAllowed('listTripInvites')).toBe(0);
+  });
+});
+
+describe('getRetryAfterMs', () => {
+  it('reads the retry time from server rate limit errors', () => {
+    expect(getRetryAfterMs({ code: 'functions/resource-exhausted', details: { retryAfterMs: 1500 } })).toBe(1500);
+    expect(getRetryAfterMs({ code: 'resource-exhausted' })).toBe(0);
+    expect(getRetryAfterMs({ code: 'functions/not-found' })).toBeNull();
+    expect(getRetryAfterMs(null)).toBeNull();
+  });
+});
+
+describe('rateLimitedCall', () => {
+  it('holds further calls for the time the server asks', async () => {
+    const limiter = new RateLimiter(10, 1000);
+    const error = Object.assign(new Error('Rate limit exceeded.'), {
+      code: 'functions/resource-exhausted',
+      details: { retryAfterMs: 60000 },
+    });
+    const callable = jest.fn().mockRejectedValueOnce(error).mockResolvedValue({ data: {} });
+
+    await expect(rateLimitedCall('searchUsers', callable, {}, limiter)).rejects.toBe(error);
+    await expect(rateLimitedCall('searchUsers', callable, {}, limiter)).rejects.toThrow('Please wait 60 seconds');
+    expect(callable).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps calling other functions while one is held', async () => {
+    const limiter = new RateLimiter(10, 1000);
+    const error = Object.assign(new Error('Rate limit exceeded.'), {
+      code: 'functions/resource-exhausted',
+      details: { retryAfterMs: 60000 },
+    });
+    const search = jest.fn().mockRejectedValue(error);
+    const listInvites = jest.fn().mockResolvedValue({ data: { invites: [] } });
+
+    await expect(rateLimitedCall('searchUsers', search, {}, limiter)).rejects.toBe(error);
+    await expect(rateLimitedCall('listTripInvites', listInvites, {}, limiter)).resolves.toEqual({ data: { invites: [] } });
+  });
+
+  it('passes data through and returns the result', async () => {
+    const callable = jest.fn().mockResolvedValue({ data: { ok: true } });
+
+    await expect(rateLimitedCall('searchUsers', callable, { a: 1 }, new RateLimiter(1, 1000))).resolves.toEqual({ data: { ok: true } });
+    expect(callable).toHaveBeenCalledWith({ a: 1 });
+  });
+});
@@ -1,18 +1,20 @@
 /**
  * Unit Tests for User Profile Utilities
  * 
- * Tests user profile fetching and display name resolution functions.
- * Mocks Firestore to test user profile retrieval and batch fetching.
+ * Tests user profile fetching, display name resolution and blocked list
+ * reads. Mocks Firestore to test user profile retrieval and batch fetching.
  */
 
-import { getUserProfile, getUserProfiles, getUserDisplayName } from '../users';
-import { doc, getDoc } from 'firebase/firestore';
+import { getUserProfile, getUserProfiles, getUserDisplayName, getBlockedUserIds } from '../users';
+import { collection, doc, getDoc, getDocs } from 'firebase/firestore';
 import { db } from '../../firebaseConfig';
 
 // Mocks Firebase Firestore for testing
 jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
   doc: jest.fn(),
   getDoc: jest.fn(),
+  getDocs: jest.fn(),
 }));
 
 jest.mock('../../firebaseConfig', () => ({
@@ -204,5 +206,25 @@ describe('users utility functions', () => {
       expect(getUserDisplayName(user)).toBe('John Doe');
     });
   });
-});
 
+  describe('getBlockedUserIds', () => {
+    it('should return the IDs in the user\'s blocked collection', async () => {
+      getDocs.mockResolvedValue({ docs: [{ id: 'user2' }, { id: 'user3' }] });
+
+      const result = await getBlockedUserIds('user1');
+
+      expect(collection).toHaveBeenCalledWith(db, 'users', 'user1', 'blocked');
+      expect(result).toEqual(new Set(['user2', 'user3']));
+    });
+
+    it('should return an empty set without a user or when the read fails', async () => {
+      expect(await getBlockedUserIds(null)).toEqual(new Set());
+      expect(getDocs).not.toHaveBeenCalled();
+
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      getDocs.mockRejectedValue(new Error('denied'));
+      expect(await getBlockedUserIds('user1')).toEqual(new Set());
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -2,7 +2,8 @@
  * Unit Tests for Weather Utility Functions
  * 
  * Tests date conversion, weather forecast parsing, and data enrichment
- * functions used for processing Google Weather API responses.
+ * functions used for processing the normalized forecast schema served by
+ * the weather Cloud Functions.
  */
 
 import {
@@ -12,7 +13,7 @@ import {
   asDate,
   coalesceText,
   deg,
-  googleDailySummary,
+  dailySummary,
   parseDailyDetails,
   enrichWithCurrent,
   enrichWithHourly,
@@ -159,25 +160,23 @@ describe('weather utility functions', () => {
     });
   });
 
-  describe('googleDailySummary', () => {
+  describe('dailySummary', () => {
     it('should return null for non-array input', () => {
-      expect(googleDailySummary(null, '2024-01-01')).toBeNull();
-      expect(googleDailySummary({}, '2024-01-01')).toBeNull();
+      expect(dailySummary(null, '2024-01-01')).toBeNull();
+      expect(dailySummary({}, '2024-01-01')).toBeNull();
     });
 
     it('should find and summarize forecast for target date', () => {
       const forecastDays = [
         {
           date: '2024-01-01',
-          minTemperature: { degrees: 32 },
-          maxTemperature: { degrees: 50 },
-          daytimeForecast: {
-            weatherCondition: { iconBaseUri: 'https://example.com/icon' },
-          },
+          minTemperature: { degrees: 32.4, unit: 'FAHRENHEIT' },
+          maxTemperature: { degrees: 49.6, unit: 'FAHRENHEIT' },
+          weatherCondition: { iconBaseUri: 'https://example.com/icon' },
         },
       ];
 
-      const result = googleDailySummary(forecastDays, '2024-01-01');
+      const result = dailySummary(forecastDays, '2024-01-01');
 
       expect(result).toEqual({
         min: 32,
@@ -187,6 +186,19 @@ describe('weather utility functions', () => {
       });
     });
 
+    it('should return a null icon when the provider has none', () => {
+      const forecastDays = [
+        {
+          date: '2024-01-01',
+          minTemperature: { degrees: 0 },
+          maxTemperature: { degrees: 10 },
+          weatherCondition: { type: 'CLEAR', description: { text: 'Clear sky' }, iconBaseUri: null },
+        },
+      ];
+
+      expect(dailySummary(forecastDays, '2024-01-01').iconUri).toBeNull();
+    });
+
     it('should return null if date not found', () => {
       const forecastDays = [
         {
@@ -196,7 +208,7 @@ describe('weather utility functions', () => {
         },
       ];
 
-      expect(googleDailySummary(forecastDays, '2024-01-01')).toBeNull();
+      expect(dailySummary(forecastDays, '2024-01-01')).toBeNull();
     });
 
     it('should return null if temperatures are missing', () => {
@@ -207,46 +219,81 @@ describe('weather utility functions', () => {
         },
       ];
 
-      expect(googleDailySummary(forecastDays, '2024-01-01')).toBeNull();
+      expect(dailySummary(forecastDays, '2024-01-01')).toBeNull();
     });
   });
 
   describe('parseDailyDetails', () => {
-    it('should parse weather details from forecast', () => {
+    it('should parse weather details from a normalized day', () => {
       const raw = {
-        daytimeForecast: {
-          weatherCondition: 'Sunny',
-          relativeHumidity: 60,
-          uvIndex: 5,
-        },
-        nighttimeForecast: {
-          relativeHumidity: 70,
-        },
-        sunEvents: {
-          sunriseTime: { seconds: 1704067200 },
-          sunsetTime: { seconds: 1704100800 },
+        date: '2024-01-01',
+        weatherCondition: { type: 'CLEAR', description: { text: 'Sunny' } },
+        relativeHumidity: 65,
+        uvIndex: 5,
+        precipitation: {
+          probability: { percent: 30, type: 'RAIN' },
+          qpf: { quantity: 0.2, unit: 'INCHES' },
         },
+        sunrise: '2024-01-01T12:58:00Z',
+        sunset: '2024-01-01T22:18:00Z',
       };
 
       const result = parseDailyDetails(raw);
 
       expect(result.conditionText).toBe('Sunny');
-      expect(result.humidity).toBe(65); // Average of 60 and 70
+      expect(result.humidity).toBe(65);
       expect(result.uvIndex).toBe(5);
+      expect(result.precipType).toBe('RAIN');
+      expect(result.precipChance).toBe(30);
+      expect(result.precipIn).toBe(0.2);
+      expect(result.precipMm).toBeNull();
       expect(result.sunrise).toBeInstanceOf(Date);
       expect(result.sunset).toBeInstanceOf(Date);
     });
 
+    it('should read metric precipitation amounts', () => {
+      const raw = {
+        precipitation: { probability: { percent: 80 }, qpf: { quantity: 4.2, unit: 'MILLIMETERS' } },
+      };
+
+      const result = parseDailyDetails(raw);
+      expect(result.precipMm).toBe(4.2);
+      expect(result.precipIn).toBeNull();
+    });
+
     it('should detect precipitation type from text', () => {
       const raw = {
-        daytimeForecast: {
-          weatherCondition: 'Heavy rain expected',
-        },
+        weatherCondition: { description: { text: 'Heavy rain expected' } },
       };
 
       const result = parseDailyDetails(raw);
       expect(result.precipType).toBe('Rain');
     });
+
+    it('should read wind speed and gusts', () => {
+      const raw = {
+        wind: {
+          speed: { value: 12, unit: 'MILES_PER_HOUR' },
+          gust: { value: 30, unit: 'MILES_PER_HOUR' },
+          direction: 180,
+        },
+      };
+
+      const result = parseDailyDetails(raw);
+      expect(result.windSpeed).toBe(12);
+      expect(result.windGust).toBe(30);
+      expect(result.windUnit).toBe('MILES_PER_HOUR');
+    });
+
+    it('should leave missing values empty', () => {
+      const result = parseDailyDetails({ date: '2024-01-01' });
+
+      expect(result.conditionText).toBe('Weather details');
+      expect(result.humidity).toBeNull();
+      expect(result.uvIndex).toBeNull();
+      expect(result.precipChance).toBeNull();
+      expect(result.sunrise).toBeNull();
+    });
   });
 
   describe('enrichWithCurrent', () => {
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Weather Risk Rules
+ *
+ * Tests threshold resolution, outdoor place detection, the per-stop risk
+ * rules (rain, heat, cold, UV, wind) in both unit systems, including
+ * forecasts cached in another member's units, and the per-day
+ * summary used by the day toolbar badge.
+ */
+
+import {
+  DEFAULT_WEATHER_RISK_THRESHOLDS,
+  resolveRiskThresholds,
+  isOutdoorPlace,
+  evaluateWeatherRisks,
+  summarizeRisksByDay,
+  fahrenheitToCelsius,
+  celsiusToFahrenheit,
+  mphToKmh,
+  kmhToMph,
+} from '../weatherRisks';
+
+function weather({ min = 60, max = 75, ...enriched } = {}) {
+  return { status: 'ready', min, max, raw: { _enriched: enriched } };
+}
+
+const park = { id: 'p1', day: 1, types: ['park', 'point_of_interest'] };
+const museum = { id: 'm1', day: 1, types: ['museum'] };
+
+describe('weather risk rules', () => {
+  describe('unit conversions', () => {
+    it('should convert between temperature and wind units', () => {
+      expect(fahrenheitToCelsius(212)).toBe(100);
+      expect(celsiusToFahrenheit(0)).toBe(32);
+      expect(mphToKmh(10)).toBeCloseTo(16.09, 2);
+      expect(kmhToMph(mphToKmh(25))).toBeCloseTo(25, 6);
+    });
+  });
+
+  describe('resolveRiskThresholds', () => {
+    it('should return defaults for missing input', () => {
+      expect(resolveRiskThresholds(null)).toEqual(DEFAULT_WEATHER_RISK_THRESHOLDS);
+    });
+
+    it('should merge valid numeric values and ignore invalid ones', () => {
+      const result = resolveRiskThresholds({ precipChance: '40', heatC: 'hot', uvIndex: '', enabled: false });
+      expect(result.precipChance).toBe(40);
+      expect(result.heatC).toBe(DEFAULT_WEATHER_RISK_THRESHOLDS.heatC);
+      expect(result.uvIndex).toBe(DEFAULT_WEATHER_RISK_THRESHOLDS.uvIndex);
+      expect(result.enabled).toBe(false);
+    });
+  });
+
+  describe('isOutdoorPlace', () => {
+    it('should detect outdoor place types', () => {
+      expect(isOutdoorPlace(['park'])).toBe(true);
+      expect(isOutdoorPlace(['museum', 'store'])).toBe(false);
+      expect(isOutdoorPlace(undefined)).toBe(false);
+    });
+  });
+
+  describe('evaluateWeatherRisks', () => {
+    it('should flag rain at outdoor stops only', () => {
+      const wd = weather({ precipChance: 70, precipType: 'RAIN' });
+
+      expect(evaluateWeatherRisks({ item: park, weather: wd, units: 'IMPERIAL' })).toEqual([
+        { id: 'precipitation', severity: 'warning', message: '70% chance of rain at an outdoor stop' },
+      ]);
+      expect(evaluateWeatherRisks({ item: museum, weather: wd, units: 'IMPERIAL' })).toEqual([]);
+    });
+
+    it('should escalate very likely precipitation to danger', () => {
+      const flags = evaluateWeatherRisks({ item: park, weather: weather({ precipChance: 90 }), units: 'IMPERIAL' });
+      expect(flags[0].severity).toBe('danger');
+    });
+
+    it('should flag extreme temperatures at any stop in imperial units', () => {
+      const flags = evaluateWeatherRisks({ item: museum, weather: weather({ min: 20, max: 100 }), units: 'IMPERIAL' });
+
+      expect(flags.map((f) => f.id)).toEqual(['heat', 'cold']);
+      expect(flags[0].message).toBe('Extreme heat: high of 100°F');
+      expect(flags[1].message).toBe('Extreme cold: low of 20°F');
+    });
+
+    it('should compare metric readings directly', () => {
+      const flags = evaluateWeatherRisks({ item: museum, weather: weather({ min: 5, max: 36 }), units: 'METRIC' });
+      expect(flags).toEqual([{ id: 'heat', severity: 'danger', message: 'Extreme heat: high of 36°C' }]);
+    });
+
+    it('should read a shared forecast in the units it was cached in', () => {
+      const metricCache = { ...weather({ min: 5, max: 36 }), units: 'METRIC' };
+      const flags = evaluateWeatherRisks({ item: museum, weather: metricCache, units: 'IMPERIAL' });
+
+      expect(flags).toEqual([{ id: 'heat', severity: 'danger', message: 'Extreme heat: high of 97°F' }]);
+    });
+
+    it('should flag high UV and strong wind at outdoor stops', () => {
+      const wd = weather({ uvIndex: 9, windSpeed: 20, windGust: 35, windUnit: 'MILES_PER_HOUR' });
+      const flags = evaluateWeatherRisks({ item: park, weather: wd, units: 'IMPERIAL' });
+
+      expect(flags.map((f) => f.id)).toEqual(['uv', 'wind']);
+      expect(flags[1].message).toBe('Strong wind: up to 35 mph');
+    });
+
+    it('should respect user thresholds', () => {
+      const wd = weather({ precipChance: 30, uvIndex: 5 });
+      const thresholds = { precipChance: 25, uvIndex: 5 };
+
+      expect(evaluateWeatherRisks({ item: park, weather: wd, units: 'IMPERIAL', thresholds }).map((f) => f.id))
+        .toEqual(['precipitation', 'uv']);
+    });
+
+    it('should return nothing when disabled or weather is not ready', () => {
+      const wd = weather({ min: -10, max: 110 });
+
+      expect(evaluateWeatherRisks({ item: park, weather: wd, units: 'IMPERIAL', thresholds: { enabled: false } })).toEqual([]);
+      expect(evaluateWeatherRisks({ item: park, weather: { status: 'loading' }, units: 'IMPERIAL' })).toEqual([]);
+      expect(evaluateWeatherRisks({ item: park, weather: undefined, units: 'IMPERIAL' })).toEqual([]);
+    });
+  });
+
+  describe('summarizeRisksByDay', () => {
+    it('should count flagged stops and danger stops per day', () => {
+      const items = [park, museum, { id: 'b1', day: 2, types: ['beach'] }, { id: 'x', day: 2 }];
+      const risks = {
+        p1: [{ id: 'uv', severity: 'warning' }],
+        m1: [{ id: 'heat', severity: 'danger' }],
+        b1: [{ id: 'wind', severity: 'warning' }],
+      };
+
+      expect(summarizeRisksByDay(items, risks)).toEqual({
+        1: { stops: 2, danger: 1 },
+        2: { stops: 1, danger: 0 },
+      });
+    });
+  });
+});
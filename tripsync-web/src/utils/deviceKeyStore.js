@@ -0,0 +1,66 @@
+/**
+ * IndexedDB storage for per-user device keys
+ *
+ * Holds the non-extractable WebCrypto keys that encryption.js uses to protect
+ * secrets saved on this device. IndexedDB stores CryptoKey objects as they
+ * are, so the raw key bytes are never exposed to the page.
+ */
+
+const DB_NAME = 'tripsync-keys';
+const DB_VERSION = 1;
+const STORE_NAME = 'deviceKeys';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the device key database, creating its store on first use
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME);
+  };
+  return requestToPromise(request);
+}
+
+/**
+ * Load a user's device key
+ * @param {string} userId - User ID
+ * @returns {Promise<CryptoKey|null>}
+ */
+export async function loadDeviceKey(userId) {
+  const database = await openDatabase();
+  try {
+    const store = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    return (await requestToPromise(store.get(userId))) || null;
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Save a user's device key, replacing any previous one
+ * @param {string} userId - User ID
+ * @param {CryptoKey} key - Non-extractable key
+ */
+export async function saveDeviceKey(userId, key) {
+  const database = await openDatabase();
+  try {
+    const store = database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await requestToPromise(store.put(key, userId));
+  } finally {
+    database.close();
+  }
+}
@@ -2,16 +2,57 @@
  * End-to-End Encryption Utilities for Web App
  * Uses tweetnacl secretbox (XSalsa20-Poly1305) for encryption
  * This is simpler and more reliable than AES-CBC
+ *
+ * Each user has an X25519 keypair (tweetnacl box). Only the public key is
+ * published, on the user's profile; trip keys are sealed to it. The private
+ * key is kept in localStorage encrypted with a non-extractable device key held
+ * in IndexedDB. That stops the key being copied off the device, but not script
+ * on the page from using it, so it is not at-rest protection. The keypair can
+ * be synced between devices as a copy encrypted with a passphrase-derived key.
+ * A second copy can be encrypted with a key derived from a BIP-39 recovery
+ * phrase, so the keypair can be restored when no device or passphrase is left.
+ * The mobile app uses the same keypair scheme.
  */
 
 import nacl from 'tweetnacl';
+import { entropyToMnemonic, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
 import { db } from '../firebaseConfig';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { loadDeviceKey, saveDeviceKey } from './deviceKeyStore';
+import { doc, getDoc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
 
 // Key size for secretbox (32 bytes = 256 bits)
 const KEY_SIZE = 32;
 // Nonce size for secretbox (24 bytes)
 const NONCE_SIZE = 24;
+// Encrypted values are self-describing envelopes:
+//   tse<format>:<algorithm>:k<key version>:<associated data, base64url>:<base64 nonce + box>
+// so readers can tell ciphertext from plaintext without guessing
+const ENVELOPE_FORMAT = 1;
+const ENVELOPE_ALGORITHM = 'xsalsa20-poly1305';
+const ENVELOPE_PATTERN = /^tse(\d+):([a-z0-9-]+):k(\d+):([A-Za-z0-9_-]*):([A-Za-z0-9+/]+={0,2})$/;
+// Bytes of the associated data digest sealed in front of the message
+const AD_DIGEST_SIZE = 32;
+// Legacy values are bare base64, tagged "k2:<base64>" after a key rotation;
+// untagged ones belong to version 1. The envelope migration upgrades them in place
+const KEY_VERSION_TAG = /^k(\d+):/;
+// Salt size for passphrase key derivation
+const SALT_SIZE = 16;
+// PBKDF2-HMAC-SHA512 rounds for new passphrase-protected private keys
+const PASSPHRASE_ITERATIONS = 50000;
+// SHA-512 block size used by HMAC
+const HMAC_BLOCK_SIZE = 128;
+// Recovery phrase entropy in bytes (256 bits, 24 words)
+const RECOVERY_ENTROPY_SIZE = 32;
+// PBKDF2 rounds for recovery phrase backups; the phrase itself carries full entropy
+const RECOVERY_ITERATIONS = 2048;
+// Local secrets sealed with the device key are "dk1:<base64 IV + AES-GCM ciphertext>"
+const DEVICE_SEAL_PREFIX = 'dk1:';
+// AES-GCM IV size in bytes
+const DEVICE_IV_SIZE = 12;
+
+// Device key loads by user ID, shared so concurrent callers never create two keys
+const deviceKeys = new Map();
 
 /**
  * Convert Uint8Array to base64 string
@@ -38,25 +79,131 @@ export function generateKey() {
 }
 
 /**
- * Encrypt text data
+ * Build a keyring holding every version of a trip key
+ * @param {Object<number, string>} keys - Base64 keys by version
+ * @param {number} currentVersion - Version used for new encryptions
+ * @returns {{currentVersion: number, keys: Object<number, string>}}
+ */
+export function createKeyring(keys, currentVersion) {
+  return { currentVersion, keys: { ...keys } };
+}
+
+/**
+ * Check whether a value is a keyring rather than a single base64 key
+ */
+export function isKeyring(value) {
+  return !!value && typeof value === 'object' && typeof value.keys === 'object';
+}
+
+/**
+ * Encode associated data for the envelope header
+ */
+function textToBase64Url(text) {
+  return uint8ArrayToBase64(new TextEncoder().encode(text))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode associated data from the envelope header
+ */
+function base64UrlToText(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return new TextDecoder().decode(base64ToUint8Array(base64 + '='.repeat((4 - (base64.length % 4)) % 4)));
+}
+
+/**
+ * Digest of the associated data, sealed with the message so the plaintext
+ * header cannot be swapped without decryption failing
+ */
+function associatedDataDigest(associatedData) {
+  return nacl.hash(new TextEncoder().encode(associatedData)).subarray(0, AD_DIGEST_SIZE);
+}
+
+/**
+ * Decode an encrypted value's envelope without decrypting it
+ * This is the one check for whether a stored value is ciphertext
+ * @param {string} value - Stored field value
+ * @returns {{format: number, algorithm: string, keyVersion: number, associatedData: string|null, payload: string}|null}
+ *   Envelope fields, or null if the value is not an envelope
+ */
+export function decodeEnvelope(value) {
+  const match = typeof value === 'string' ? value.match(ENVELOPE_PATTERN) : null;
+  if (!match) return null;
+  return {
+    format: Number(match[1]),
+    algorithm: match[2],
+    keyVersion: Number(match[3]),
+    associatedData: match[4] ? base64UrlToText(match[4]) : null,
+    payload: match[5],
+  };
+}
+
+/**
+ * Get the trip key version an encrypted value was produced with
+ * @param {string} encryptedData - Envelope or legacy encrypted value
+ * @returns {number} Key version (1 for untagged legacy values)
+ */
+export function getKeyVersion(encryptedData) {
+  const envelope = decodeEnvelope(encryptedData);
+  if (envelope) return envelope.keyVersion;
+  const match = typeof encryptedData === 'string' ? encryptedData.match(KEY_VERSION_TAG) : null;
+  return match ? Number(match[1]) : 1;
+}
+
+/**
+ * Resolve the base64 key to use for a version
+ * Plain keys are used as-is so callers holding a single key keep working
+ */
+function resolveKey(keyOrKeyring, version) {
+  if (!isKeyring(keyOrKeyring)) return keyOrKeyring;
+  const key = keyOrKeyring.keys[version];
+  if (!key) {
+    throw new Error(`Trip key version ${version} not available`);
+  }
+  return key;
+}
+
+/**
+ * Get the raw bytes of a trip key version, for encrypting binary data such as media
+ * @param {string|Object} keyOrKeyring - Base64 encoded key or trip keyring
+ * @param {number} [version] - Key version, defaults to the keyring's current version
+ * @returns {Uint8Array} 32-byte secretbox key
+ */
+export function getKeyBytes(keyOrKeyring, version) {
+  const resolvedVersion = version ?? (isKeyring(keyOrKeyring) ? keyOrKeyring.currentVersion : 1);
+  const keyBytes = base64ToUint8Array(resolveKey(keyOrKeyring, resolvedVersion));
+  if (keyBytes.length !== KEY_SIZE) {
+    throw new Error('Invalid key size');
+  }
+  return keyBytes;
+}
+
+/**
+ * Encrypt text data into an envelope
+ * With a keyring, the current key version is used and recorded in the envelope
  * @param {string} plaintext - Text to encrypt
- * @param {string} keyBase64 - Base64 encoded encryption key
- * @returns {string} Base64 encoded encrypted data with nonce
+ * @param {string|Object} keyBase64 - Base64 encoded encryption key or trip keyring
+ * @param {string} [associatedData] - Context stored in the clear but bound to the ciphertext
+ * @returns {string} Envelope holding the nonce and encrypted data
  */
-export function encrypt(plaintext, keyBase64) {
+export function encrypt(plaintext, keyBase64, associatedData = null) {
   try {
-    // Decode key from base64
-    const keyBytes = base64ToUint8Array(keyBase64);
-    
-    if (keyBytes.length !== KEY_SIZE) {
-      throw new Error('Invalid key size');
-    }
+    const version = isKeyring(keyBase64) ? keyBase64.currentVersion : 1;
+    const keyBytes = getKeyBytes(keyBase64, version);
     
     // Generate random nonce
     const nonce = nacl.randomBytes(NONCE_SIZE);
     
-    // Convert plaintext to Uint8Array
-    const messageBytes = new TextEncoder().encode(plaintext);
+    // Convert plaintext to Uint8Array, behind the associated data digest if there is one
+    let messageBytes = new TextEncoder().encode(plaintext);
+    if (associatedData !== null) {
+      const bound = new Uint8Array(AD_DIGEST_SIZE + messageBytes.length);
+      bound.set(associatedDataDigest(associatedData), 0);
+      bound.set(messageBytes, AD_DIGEST_SIZE);
+      messageBytes = bound;
+    }
     
     // Encrypt using secretbox
     const encrypted = nacl.secretbox(messageBytes, nonce, keyBytes);
@@ -70,8 +217,8 @@ export function encrypt(plaintext, keyBase64) {
     combined.set(nonce, 0);
     combined.set(encrypted, NONCE_SIZE);
     
-    // Return as base64
-    return uint8ArrayToBase64(combined);
+    const header = associatedData !== null ? textToBase64Url(associatedData) : '';
+    return `tse${ENVELOPE_FORMAT}:${ENVELOPE_ALGORITHM}:k${version}:${header}:${uint8ArrayToBase64(combined)}`;
   } catch (error) {
     console.error('Encryption error:', error);
     throw error;
@@ -79,31 +226,44 @@ export function encrypt(plaintext, keyBase64) {
 }
 
 /**
- * Decrypt encrypted data
- * @param {string} encryptedData - Base64 encoded encrypted data with nonce
- * @param {string} keyBase64 - Base64 encoded decryption key
+ * Decrypt an envelope, or a legacy value written before envelopes
+ * With a keyring, the key is picked by the version recorded on the data
+ * @param {string} encryptedData - Envelope or legacy base64 encrypted data
+ * @param {string|Object} keyBase64 - Base64 encoded decryption key or trip keyring
+ * @param {string} [associatedData] - Associated data the envelope must carry
  * @returns {string} Decrypted plaintext
  */
-export function decrypt(encryptedData, keyBase64) {
+export function decrypt(encryptedData, keyBase64, associatedData) {
   try {
     // Validate inputs
     if (!encryptedData || typeof encryptedData !== 'string' || encryptedData.trim().length === 0) {
       throw new Error('Invalid encrypted data: empty or not a string');
     }
     
-    if (!keyBase64 || typeof keyBase64 !== 'string' || keyBase64.trim().length === 0) {
+    const envelope = decodeEnvelope(encryptedData);
+    if (envelope) {
+      if (envelope.format > ENVELOPE_FORMAT) {
+        throw new Error(`Unsupported envelope format ${envelope.format}`);
+      }
+      if (envelope.algorithm !== ENVELOPE_ALGORITHM) {
+        throw new Error(`Unsupported encryption algorithm ${envelope.algorithm}`);
+      }
+    }
+    if (associatedData !== undefined && (envelope?.associatedData ?? null) !== associatedData) {
+      throw new Error('Associated data does not match');
+    }
+
+    const version = getKeyVersion(encryptedData);
+    const key = resolveKey(keyBase64, version);
+
+    if (!key || typeof key !== 'string' || key.trim().length === 0) {
       throw new Error('Invalid key: empty or not a string');
     }
     
-    // Decode key from base64
-    const keyBytes = base64ToUint8Array(keyBase64);
-    
-    if (keyBytes.length !== KEY_SIZE) {
-      throw new Error('Invalid key size');
-    }
+    const keyBytes = getKeyBytes(key);
     
     // Decode encrypted data from base64
-    const combinedBytes = base64ToUint8Array(encryptedData);
+    const combinedBytes = base64ToUint8Array(envelope ? envelope.payload : encryptedData.replace(KEY_VERSION_TAG, ''));
     
     // Validate minimum length (nonce + at least some encrypted data)
     if (combinedBytes.length < NONCE_SIZE + 16) {
@@ -115,11 +275,20 @@ export function decrypt(encryptedData, keyBase64) {
     const encrypted = combinedBytes.slice(NONCE_SIZE);
     
     // Decrypt using secretbox
-    const decrypted = nacl.secretbox.open(encrypted, nonce, keyBytes);
+    let decrypted = nacl.secretbox.open(encrypted, nonce, keyBytes);
     
     if (!decrypted) {
       throw new Error('Decryption failed: wrong key or corrupted data');
     }
+
+    // The sealed digest proves the associated data in the header was not replaced
+    if (envelope?.associatedData != null) {
+      const digest = decrypted.subarray(0, AD_DIGEST_SIZE);
+      if (digest.length !== AD_DIGEST_SIZE || !nacl.verify(digest, associatedDataDigest(envelope.associatedData))) {
+        throw new Error('Decryption failed: associated data was modified');
+      }
+      decrypted = decrypted.subarray(AD_DIGEST_SIZE);
+    }
     
     // Convert to string
     const decryptedText = new TextDecoder().decode(decrypted);
@@ -132,7 +301,7 @@ export function decrypt(encryptedData, keyBase64) {
   } catch (error) {
     console.error('Decryption error:', error.message, {
       encryptedDataLength: encryptedData?.length,
-      keyLength: keyBase64?.length,
+      keyVersion: getKeyVersion(encryptedData),
       error: error.message
     });
     throw error;
@@ -140,14 +309,40 @@ export function decrypt(encryptedData, keyBase64) {
 }
 
 /**
- * Encrypt a key with a user's master key
+ * Read a stored field for display
+ * Envelopes are always decrypted. Other values are plaintext unless the
+ * document marks the field as encrypted, in which case they are legacy
+ * ciphertext that the envelope migration has not reached yet. Anything that
+ * cannot be read yields the fallback rather than raw ciphertext.
+ * @param {string} value - Stored field value
+ * @param {string|Object|null} key - Trip key or keyring, if available
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypted] - Whether the document marks the field as encrypted
+ * @param {*} [options.fallback] - Returned when the value is empty or cannot be read
+ * @param {string} [options.associatedData] - Associated data the envelope must carry
+ * @returns {string|*} Plaintext, or the fallback
+ */
+export function decryptField(value, key, { encrypted = false, fallback = null, associatedData } = {}) {
+  if (typeof value !== 'string' || value.length === 0) return fallback;
+  if (!decodeEnvelope(value) && !encrypted) return value;
+  if (!key) return fallback;
+  try {
+    const text = decrypt(value, key, associatedData).trim();
+    return text.length > 0 ? text : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Encrypt a key with a symmetric wrapping key (device, passphrase or legacy master key)
  */
 export function encryptKey(keyToEncrypt, masterKeyBase64) {
   return encrypt(keyToEncrypt, masterKeyBase64);
 }
 
 /**
- * Decrypt a key that was encrypted with a user's master key
+ * Decrypt a key that was encrypted with a symmetric wrapping key
  */
 export function decryptKey(encryptedKeyData, masterKeyBase64) {
   return decrypt(encryptedKeyData, masterKeyBase64);
@@ -168,85 +363,506 @@ export function importKey(keyData) {
 }
 
 /**
- * Get or generate user's master key from localStorage or Firestore
- * Syncs across devices by storing in Firestore so web and mobile can share the same key
+ * Generate a new X25519 keypair
+ * @returns {{publicKey: string, secretKey: string}} Base64 encoded keys
  */
-export async function getUserMasterKey(userId) {
-  const storageKey = `masterKey_${userId}`;
-  
-  // PRIORITY: Check Firestore FIRST to ensure we use the same key as mobile app
-  try {
-    const masterKeyRef = doc(db, 'users', userId, 'settings', 'masterKey');
-    const masterKeyDoc = await getDoc(masterKeyRef);
-    
-    if (masterKeyDoc.exists()) {
-      const keyData = masterKeyDoc.data();
-      if (keyData.key) {
-        console.log('Using master key from Firestore (synced with mobile app)');
-        localStorage.setItem(storageKey, keyData.key);
-        return keyData.key;
-      }
+export function generateKeyPair() {
+  const keyPair = nacl.box.keyPair();
+  return {
+    publicKey: uint8ArrayToBase64(keyPair.publicKey),
+    secretKey: uint8ArrayToBase64(keyPair.secretKey),
+  };
+}
+
+/**
+ * Seal a key to a recipient's public key
+ * Uses a fresh ephemeral keypair so the sender needs no keypair of their own
+ * @param {string} keyToSeal - Base64 encoded key
+ * @param {string} recipientPublicKey - Recipient's base64 encoded public key
+ * @returns {string} Base64 of ephemeral public key + nonce + box
+ */
+export function sealKey(keyToSeal, recipientPublicKey) {
+  const ephemeral = nacl.box.keyPair();
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const boxed = nacl.box(
+    new TextEncoder().encode(keyToSeal),
+    nonce,
+    base64ToUint8Array(recipientPublicKey),
+    ephemeral.secretKey
+  );
+
+  const combined = new Uint8Array(nacl.box.publicKeyLength + nonce.length + boxed.length);
+  combined.set(ephemeral.publicKey, 0);
+  combined.set(nonce, nacl.box.publicKeyLength);
+  combined.set(boxed, nacl.box.publicKeyLength + nonce.length);
+  return uint8ArrayToBase64(combined);
+}
+
+/**
+ * Open a key sealed with sealKey
+ * @param {string} sealedKey - Output of sealKey
+ * @param {{secretKey: string}} keyPair - Recipient's keypair
+ * @returns {string} Base64 encoded key
+ */
+export function openSealedKey(sealedKey, keyPair) {
+  const combined = base64ToUint8Array(sealedKey);
+  const nonceEnd = nacl.box.publicKeyLength + nacl.box.nonceLength;
+  const opened = nacl.box.open(
+    combined.slice(nonceEnd),
+    combined.slice(nacl.box.publicKeyLength, nonceEnd),
+    combined.slice(0, nacl.box.publicKeyLength),
+    base64ToUint8Array(keyPair.secretKey)
+  );
+
+  if (!opened) {
+    throw new Error('Could not open sealed key: wrong keypair or corrupted data');
+  }
+  return new TextDecoder().decode(opened);
+}
+
+/**
+ * HMAC-SHA512 built on tweetnacl's SHA-512
+ */
+function hmacSha512(key, message) {
+  const blockKey = key.length > HMAC_BLOCK_SIZE ? nacl.hash(key) : key;
+  const inner = new Uint8Array(HMAC_BLOCK_SIZE + message.length);
+  const outer = new Uint8Array(HMAC_BLOCK_SIZE + nacl.hash.hashLength);
+  for (let i = 0; i < HMAC_BLOCK_SIZE; i++) {
+    const byte = i < blockKey.length ? blockKey[i] : 0;
+    inner[i] = byte ^ 0x36;
+    outer[i] = byte ^ 0x5c;
+  }
+  inner.set(message, HMAC_BLOCK_SIZE);
+  outer.set(nacl.hash(inner), HMAC_BLOCK_SIZE);
+  return nacl.hash(outer);
+}
+
+/**
+ * Derive a secretbox key from a passphrase with PBKDF2-HMAC-SHA512
+ * Implemented on tweetnacl so web and mobile derive identical keys
+ * @param {string} passphrase - User passphrase
+ * @param {string} saltBase64 - Base64 encoded salt
+ * @param {number} [iterations] - PBKDF2 rounds
+ * @returns {string} Base64 encoded 32-byte key
+ */
+export function deriveKeyFromPassphrase(passphrase, saltBase64, iterations = PASSPHRASE_ITERATIONS) {
+  const password = new TextEncoder().encode(passphrase);
+  const salt = base64ToUint8Array(saltBase64);
+
+  // A single PBKDF2 block covers the 32-byte output
+  const firstBlock = new Uint8Array(salt.length + 4);
+  firstBlock.set(salt, 0);
+  firstBlock[salt.length + 3] = 1;
+
+  let u = hmacSha512(password, firstBlock);
+  const derived = u.slice(0, KEY_SIZE);
+  for (let i = 1; i < iterations; i++) {
+    u = hmacSha512(password, u);
+    for (let j = 0; j < KEY_SIZE; j++) {
+      derived[j] ^= u[j];
     }
-  } catch (error) {
-    console.warn('Failed to get master key from Firestore:', error);
   }
-  
-  // Fallback: Check localStorage if Firestore doesn't have it
-  let stored = localStorage.getItem(storageKey);
-  
-  if (stored) {
+  return uint8ArrayToBase64(derived);
+}
+
+/**
+ * Seal text with a device key as base64 of IV + AES-GCM ciphertext
+ */
+async function sealWithDeviceKey(deviceKey, text) {
+  const iv = nacl.randomBytes(DEVICE_IV_SIZE);
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    deviceKey,
+    new TextEncoder().encode(text)
+  ));
+
+  const combined = new Uint8Array(iv.length + sealed.length);
+  combined.set(iv, 0);
+  combined.set(sealed, iv.length);
+  return DEVICE_SEAL_PREFIX + uint8ArrayToBase64(combined);
+}
+
+/**
+ * Open text sealed with sealWithDeviceKey
+ */
+async function openWithDeviceKey(deviceKey, sealedText) {
+  if (!sealedText.startsWith(DEVICE_SEAL_PREFIX)) {
+    throw new Error('Value is not sealed with the device key');
+  }
+
+  const combined = base64ToUint8Array(sealedText.slice(DEVICE_SEAL_PREFIX.length));
+  const opened = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: combined.slice(0, DEVICE_IV_SIZE) },
+    deviceKey,
+    combined.slice(DEVICE_IV_SIZE)
+  );
+  return new TextDecoder().decode(opened);
+}
+
+/**
+ * Re-seal local secrets written under the old plaintext localStorage device
+ * key, then delete it. Trip keys still under the legacy master key are left
+ * for getTripKey's fallback.
+ */
+async function migrateLegacyDeviceKey(userId, deviceKey) {
+  const legacyStorageKey = `deviceKey_${userId}`;
+  const legacyKey = localStorage.getItem(legacyStorageKey);
+  if (!legacyKey) return;
+
+  const storageKeys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    storageKeys.push(localStorage.key(i));
+  }
+
+  for (const storageKey of storageKeys) {
+    const stored = localStorage.getItem(storageKey);
     try {
-      const masterKeyRef = doc(db, 'users', userId, 'settings', 'masterKey');
-      await setDoc(masterKeyRef, {
-        key: stored,
-        syncedAt: new Date(),
-      });
-      console.log('Synced local master key to Firestore');
-    } catch (error) {
-      console.warn('Failed to sync master key to Firestore:', error);
+      if (storageKey === `keyPair_${userId}`) {
+        const { publicKey, encryptedSecretKey } = JSON.parse(stored);
+        const secretKey = decryptKey(encryptedSecretKey, legacyKey);
+        localStorage.setItem(storageKey, JSON.stringify({
+          publicKey,
+          encryptedSecretKey: await sealWithDeviceKey(deviceKey, secretKey),
+        }));
+      } else if (storageKey.startsWith('tripKey_') && storageKey.endsWith(`_${userId}`)) {
+        const tripKey = decryptKey(stored, legacyKey);
+        localStorage.setItem(storageKey, await sealWithDeviceKey(deviceKey, tripKey));
+      }
+    } catch {
+      // Not sealed with the legacy device key
     }
-    return stored;
-  }
-  
-  // Not found anywhere - generate new master key
-  console.log('Generating new master key');
-  const masterKey = generateKey();
-  localStorage.setItem(storageKey, masterKey);
-  
+  }
+
+  localStorage.removeItem(legacyStorageKey);
+}
+
+/**
+ * Get this device's key for protecting locally stored secrets, creating it if needed
+ *
+ * The key is a non-extractable AES-GCM CryptoKey kept in IndexedDB, so the
+ * raw key cannot be read out or copied off the device. Script running on
+ * this origin can still use it to decrypt, so it is not at-rest protection.
+ * @returns {Promise<CryptoKey>}
+ */
+function getDeviceKey(userId) {
+  if (!deviceKeys.has(userId)) {
+    const loading = (async () => {
+      let deviceKey = await loadDeviceKey(userId);
+      if (!deviceKey) {
+        deviceKey = await crypto.subtle.generateKey(
+          { name: 'AES-GCM', length: 256 },
+          false,
+          ['encrypt', 'decrypt']
+        );
+        await saveDeviceKey(userId, deviceKey);
+      }
+      await migrateLegacyDeviceKey(userId, deviceKey);
+      return deviceKey;
+    })();
+    loading.catch(() => deviceKeys.delete(userId));
+    deviceKeys.set(userId, loading);
+  }
+  return deviceKeys.get(userId);
+}
+
+/**
+ * Load the user's keypair from local storage
+ * @returns {Promise<{publicKey: string, secretKey: string}|null>}
+ */
+async function getLocalKeyPair(userId) {
+  if (!localStorage.getItem(`keyPair_${userId}`)) return null;
   try {
-    const masterKeyRef = doc(db, 'users', userId, 'settings', 'masterKey');
-    await setDoc(masterKeyRef, {
-      key: masterKey,
-      syncedAt: new Date(),
-    });
-    console.log('Stored new master key in Firestore');
+    // Loading the device key may re-seal the stored keypair, so read it afterwards
+    const deviceKey = await getDeviceKey(userId);
+    const { publicKey, encryptedSecretKey } = JSON.parse(localStorage.getItem(`keyPair_${userId}`));
+    return { publicKey, secretKey: await openWithDeviceKey(deviceKey, encryptedSecretKey) };
+  } catch (error) {
+    console.warn('Stored keypair could not be unlocked on this device:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save the user's keypair locally, with the private key under the device key
+ */
+async function storeLocalKeyPair(userId, keyPair) {
+  const deviceKey = await getDeviceKey(userId);
+  localStorage.setItem(`keyPair_${userId}`, JSON.stringify({
+    publicKey: keyPair.publicKey,
+    encryptedSecretKey: await sealWithDeviceKey(deviceKey, keyPair.secretKey),
+  }));
+}
+
+/**
+ * Get a user's published public key
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Base64 encoded public key, or null if none is published
+ */
+export async function getUserPublicKey(userId) {
+  const userDoc = await getDoc(doc(db, 'users', userId));
+  return userDoc.exists() ? userDoc.data().encryptionPublicKey || null : null;
+}
+
+/**
+ * Get the current user's keypair, generating and publishing one on first use
+ *
+ * Returns null when a public key is already published but its private key is
+ * not on this device; the user must unlock it with their passphrase first.
+ * @param {string} userId - User ID
+ * @returns {Promise<{publicKey: string, secretKey: string}|null>}
+ */
+export async function getUserKeyPair(userId) {
+  const localKeyPair = await getLocalKeyPair(userId);
+  if (localKeyPair) {
+    return localKeyPair;
+  }
+
+  const publishedKey = await getUserPublicKey(userId);
+  if (publishedKey) {
+    console.log('Keypair exists on another device, passphrase unlock required');
+    return null;
+  }
+
+  console.log('Generating new encryption keypair');
+  const keyPair = generateKeyPair();
+  await storeLocalKeyPair(userId, keyPair);
+  await setDoc(doc(db, 'users', userId), {
+    encryptionPublicKey: keyPair.publicKey,
+    encryptionKeyCreatedAt: serverTimestamp(),
+  }, { merge: true });
+
+  return keyPair;
+}
+
+/**
+ * Describe where the user's keypair is available
+ * @param {string} userId - User ID
+ * @returns {Promise<{status: 'unlocked'|'locked'|'none', hasPassphrase: boolean, hasRecoveryPhrase: boolean}>}
+ */
+export async function getKeyPairStatus(userId) {
+  const [publishedKey, passphraseDoc, recoveryDoc] = await Promise.all([
+    getUserPublicKey(userId),
+    getDoc(doc(db, 'users', userId, 'settings', 'keyPair')),
+    getDoc(doc(db, 'users', userId, 'settings', 'keyBackup')),
+  ]);
+  const hasPassphrase = passphraseDoc.exists() && !!passphraseDoc.data().encryptedSecretKey;
+  const hasRecoveryPhrase = recoveryDoc.exists() && !!recoveryDoc.data().encryptedSecretKey;
+
+  if (await getLocalKeyPair(userId)) return { status: 'unlocked', hasPassphrase, hasRecoveryPhrase };
+  return { status: publishedKey ? 'locked' : 'none', hasPassphrase, hasRecoveryPhrase };
+}
+
+/**
+ * Encrypt a keypair's private key with a key derived from a secret
+ * @returns {Object} Fields for a Firestore key backup document
+ */
+function wrapKeyPair(keyPair, secret, iterations) {
+  const salt = uint8ArrayToBase64(nacl.randomBytes(SALT_SIZE));
+  const wrappingKey = deriveKeyFromPassphrase(secret, salt, iterations);
+
+  return {
+    publicKey: keyPair.publicKey,
+    encryptedSecretKey: encryptKey(keyPair.secretKey, wrappingKey),
+    salt,
+    iterations,
+    kdf: 'pbkdf2-sha512',
+    updatedAt: serverTimestamp(),
+  };
+}
+
+/**
+ * Decrypt a key backup document with its secret and check it against its public key
+ * @returns {{publicKey: string, secretKey: string}}
+ */
+function unwrapKeyPair(backup, secret, wrongSecretMessage) {
+  const { publicKey, encryptedSecretKey, salt, iterations } = backup;
+  const wrappingKey = deriveKeyFromPassphrase(secret, salt, iterations);
+
+  let secretKey;
+  try {
+    secretKey = decryptKey(encryptedSecretKey, wrappingKey);
+  } catch {
+    throw new Error(wrongSecretMessage);
+  }
+
+  const derivedPublicKey = uint8ArrayToBase64(
+    nacl.box.keyPair.fromSecretKey(base64ToUint8Array(secretKey)).publicKey
+  );
+  if (derivedPublicKey !== publicKey) {
+    throw new Error('Stored key does not match the published public key');
+  }
+
+  return { publicKey, secretKey };
+}
+
+/**
+ * Protect the user's private key with a passphrase so other devices can unlock it
+ * Only the passphrase-encrypted private key and public key are stored in Firestore
+ * @param {string} userId - User ID
+ * @param {string} passphrase - New passphrase
+ */
+export async function setKeyPassphrase(userId, passphrase) {
+  const keyPair = await getUserKeyPair(userId);
+  if (!keyPair) {
+    throw new Error('Unlock your encryption key on this device before changing the passphrase');
+  }
+
+  await setDoc(
+    doc(db, 'users', userId, 'settings', 'keyPair'),
+    wrapKeyPair(keyPair, passphrase, PASSPHRASE_ITERATIONS)
+  );
+}
+
+/**
+ * Unlock the user's keypair on this device with their passphrase
+ * @param {string} userId - User ID
+ * @param {string} passphrase - Passphrase set with setKeyPassphrase
+ * @returns {Promise<{publicKey: string, secretKey: string}>}
+ */
+export async function unlockKeyPair(userId, passphrase) {
+  const backupDoc = await getDoc(doc(db, 'users', userId, 'settings', 'keyPair'));
+  if (!backupDoc.exists() || !backupDoc.data().encryptedSecretKey) {
+    throw new Error('No passphrase-protected key found. Set a passphrase on a device that has your key.');
+  }
+
+  const keyPair = unwrapKeyPair(backupDoc.data(), passphrase, 'Incorrect passphrase');
+  await storeLocalKeyPair(userId, keyPair);
+  return keyPair;
+}
+
+/**
+ * Normalize a recovery phrase as typed by the user: lowercase, single spaces
+ * @param {string} phrase - Recovery phrase
+ * @returns {string}
+ */
+export function normalizeRecoveryPhrase(phrase) {
+  return (phrase || '').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Check that a recovery phrase is made of valid words with a matching checksum
+ * @param {string} phrase - Recovery phrase
+ * @returns {boolean}
+ */
+export function isValidRecoveryPhrase(phrase) {
+  return validateMnemonic(normalizeRecoveryPhrase(phrase), wordlist);
+}
+
+/**
+ * Generate a new recovery phrase and store a backup of the user's keypair encrypted with it
+ *
+ * The phrase is returned once for the user to write down and is never stored;
+ * generating a new phrase replaces the previous backup.
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} 24-word recovery phrase
+ */
+export async function createKeyBackup(userId) {
+  const keyPair = await getUserKeyPair(userId);
+  if (!keyPair) {
+    throw new Error('Unlock your encryption key on this device before creating a recovery phrase');
+  }
+
+  const phrase = entropyToMnemonic(nacl.randomBytes(RECOVERY_ENTROPY_SIZE), wordlist);
+  await setDoc(doc(db, 'users', userId, 'settings', 'keyBackup'), {
+    ...wrapKeyPair(keyPair, phrase, RECOVERY_ITERATIONS),
+    method: 'bip39',
+  });
+
+  return phrase;
+}
+
+/**
+ * Restore the user's keypair on this device from their recovery phrase backup
+ * @param {string} userId - User ID
+ * @param {string} phrase - Recovery phrase returned by createKeyBackup
+ * @returns {Promise<{publicKey: string, secretKey: string}>}
+ */
+export async function restoreKeyBackup(userId, phrase) {
+  const normalized = normalizeRecoveryPhrase(phrase);
+  if (!validateMnemonic(normalized, wordlist)) {
+    throw new Error('Recovery phrase is not valid. Check the spelling and order of the words.');
+  }
+
+  const backupDoc = await getDoc(doc(db, 'users', userId, 'settings', 'keyBackup'));
+  if (!backupDoc.exists() || !backupDoc.data().encryptedSecretKey) {
+    throw new Error('No recovery phrase backup found for this account');
+  }
+
+  const keyPair = unwrapKeyPair(backupDoc.data(), normalized, 'Recovery phrase does not match your key backup');
+  await storeLocalKeyPair(userId, keyPair);
+  return keyPair;
+}
+
+/**
+ * Get the user's pre-keypair master key, if one still exists, for migrating old trip keys
+ * Never generates a new master key
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>}
+ */
+export async function getLegacyMasterKey(userId) {
+  const stored = localStorage.getItem(`masterKey_${userId}`);
+  if (stored) return stored;
+
+  try {
+    const masterKeyDoc = await getDoc(doc(db, 'users', userId, 'settings', 'masterKey'));
+    if (masterKeyDoc.exists() && masterKeyDoc.data().key) {
+      return masterKeyDoc.data().key;
+    }
   } catch (error) {
-    console.warn('Failed to store master key in Firestore:', error);
+    console.warn('Failed to read legacy master key:', error);
   }
-  
-  return masterKey;
+  return null;
+}
+
+/**
+ * Delete the legacy plaintext master key once all trip keys are migrated
+ * @param {string} userId - User ID
+ */
+export async function clearLegacyMasterKey(userId) {
+  await deleteDoc(doc(db, 'users', userId, 'settings', 'masterKey'));
+  localStorage.removeItem(`masterKey_${userId}`);
 }
 
 /**
- * Get trip key from local storage
+ * Get trip keyring from local storage
+ * Entries saved before key rotation hold a single key and load as version 1
  */
 export async function getTripKey(tripId, userId) {
   const storageKey = `tripKey_${tripId}_${userId}`;
-  const stored = localStorage.getItem(storageKey);
-  
-  if (stored) {
-    const masterKey = await getUserMasterKey(userId);
-    return decryptKey(stored, masterKey);
+
+  if (localStorage.getItem(storageKey)) {
+    // Loading the device key may re-seal the stored entry, so read it afterwards
+    const deviceKey = await getDeviceKey(userId);
+    const stored = localStorage.getItem(storageKey);
+    let decrypted;
+    try {
+      decrypted = await openWithDeviceKey(deviceKey, stored);
+    } catch {
+      // Entries written before keypairs were protected with the legacy master key
+      const legacyMasterKey = localStorage.getItem(`masterKey_${userId}`);
+      if (!legacyMasterKey) return null;
+      try {
+        decrypted = decryptKey(stored, legacyMasterKey);
+      } catch {
+        return null;
+      }
+    }
+
+    if (decrypted.startsWith('{')) {
+      const { currentVersion, keys } = JSON.parse(decrypted);
+      return createKeyring(keys, currentVersion);
+    }
+    return createKeyring({ 1: decrypted }, 1);
   }
   return null;
 }
 
 /**
- * Store trip key in local storage (encrypted with master key)
+ * Store trip key or keyring in local storage (encrypted with the device key)
  */
 export async function storeTripKey(tripId, userId, tripKey) {
-  const masterKey = await getUserMasterKey(userId);
-  const encrypted = encryptKey(tripKey, masterKey);
+  const payload = isKeyring(tripKey) ? JSON.stringify(tripKey) : tripKey;
+  const encrypted = await sealWithDeviceKey(await getDeviceKey(userId), payload);
   const storageKey = `tripKey_${tripId}_${userId}`;
   localStorage.setItem(storageKey, encrypted);
 }
@@ -1,11 +1,17 @@
 /**
  * Media caching utilities for web
  * Uses Cache API to cache media files for offline access
+ * Encrypted media is cached as ciphertext and only decrypted in memory
  */
 
+import { decryptMediaResponse } from "./mediaEncryption.js";
+
 const CACHE_NAME = "tripsync-media-cache-v1";
 const MAX_CACHE_SIZE = 100 * 1024 * 1024; // 100MB
 
+// Object URLs of decrypted media by source URL, shared by every viewer on the page
+const decryptedUrls = new Map();
+
 /**
  * Initialize media cache
  */
@@ -83,6 +89,66 @@ export async function getCachedMedia(url) {
   }
 }
 
+/**
+ * Fetch an encrypted media file, from the cache when possible, and decrypt it
+ * Concurrent requests for the same file share one download and decryption
+ * @param {string} url - Download URL of the encrypted file
+ * @param {string|Object} keyring - Trip key or keyring
+ * @param {string} [mimeType] - Type of the original file
+ * @returns {Promise<string>} Object URL of the decrypted file
+ */
+export function getDecryptedMedia(url, keyring, mimeType = "") {
+  if (decryptedUrls.has(url)) {
+    return decryptedUrls.get(url);
+  }
+
+  const pending = (async () => {
+    let response = null;
+    if ("caches" in window) {
+      const cache = await caches.open(CACHE_NAME);
+      response = await cache.match(url);
+      if (!response) {
+        const fetched = await fetch(url);
+        if (!fetched.ok) {
+          throw new Error(`Media download failed (${fetched.status})`);
+        }
+        await cache.put(url, fetched.clone());
+        response = fetched;
+      }
+    } else {
+      response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Media download failed (${response.status})`);
+      }
+    }
+
+    const blob = await decryptMediaResponse(response, keyring, mimeType);
+    return URL.createObjectURL(blob);
+  })();
+
+  // Failed decryptions are retried on the next request, e.g. after the key arrives
+  pending.catch(() => decryptedUrls.delete(url));
+  decryptedUrls.set(url, pending);
+  return pending;
+}
+
+/**
+ * Release decrypted media held in memory
+ * @param {string} [url] - Source URL to release; releases everything when omitted
+ */
+export async function releaseDecryptedMedia(url) {
+  const urls = url ? [url] : Array.from(decryptedUrls.keys());
+  for (const sourceUrl of urls) {
+    const pending = decryptedUrls.get(sourceUrl);
+    decryptedUrls.delete(sourceUrl);
+    try {
+      URL.revokeObjectURL(await pending);
+    } catch {
+      // Nothing was created for failed decryptions
+    }
+  }
+}
+
 /**
  * Clear media cache
  */
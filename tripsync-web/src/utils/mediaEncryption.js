@@ -0,0 +1,227 @@
+/**
+ * Media Encryption Utilities
+ * Encrypts photos and videos with the trip key in fixed-size chunks so large
+ * files never have to be held in memory as a single secretbox message
+ *
+ * Encrypted file layout (shared with the mobile app):
+ *   header (32 bytes): "TSM1" | key version (uint32 BE) | chunk size (uint32 BE) | nonce prefix (20 bytes)
+ *   chunks: secretbox(chunk, nonce prefix | chunk index (uint32 BE))
+ * The top bit of the chunk index marks the final chunk, so a truncated file
+ * fails to decrypt instead of silently losing its end.
+ */
+
+import nacl from 'tweetnacl';
+import { getKeyBytes, isKeyring } from './encryption';
+
+// File signature for encrypted media
+const MAGIC = [0x54, 0x53, 0x4d, 0x31]; // "TSM1"
+// Header size: magic, key version, chunk size, nonce prefix
+const HEADER_SIZE = 32;
+// Random part of each chunk nonce; the remaining 4 bytes are the chunk index
+const NONCE_PREFIX_SIZE = 20;
+// Plaintext bytes per chunk; a multiple of 3 so the mobile app can stream files as base64
+export const MEDIA_CHUNK_SIZE = 3 * 64 * 1024;
+// Bytes secretbox adds to every chunk
+const CHUNK_OVERHEAD = nacl.secretbox.overheadLength;
+// Set on the chunk index of the last chunk
+const FINAL_CHUNK_FLAG = 0x80000000;
+
+/**
+ * Build the nonce for a chunk from the file's nonce prefix and the chunk index
+ */
+function chunkNonce(noncePrefix, index, isFinal) {
+  const nonce = new Uint8Array(nacl.secretbox.nonceLength);
+  nonce.set(noncePrefix, 0);
+  new DataView(nonce.buffer).setUint32(NONCE_PREFIX_SIZE, (index | (isFinal ? FINAL_CHUNK_FLAG : 0)) >>> 0);
+  return nonce;
+}
+
+/**
+ * Check whether bytes start with the encrypted media signature
+ * @param {Uint8Array} bytes - File bytes, or at least the first 4 of them
+ * @returns {boolean}
+ */
+export function isEncryptedMedia(bytes) {
+  return !!bytes && bytes.length >= MAGIC.length && MAGIC.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Create an encryptor that turns plaintext chunks into encrypted file parts
+ * Every chunk except the last must be exactly chunkSize bytes
+ * @param {string|Object} keyring - Trip key or keyring; its current version is used
+ * @param {number} [chunkSize] - Plaintext bytes per chunk
+ * @returns {{header: Uint8Array, keyVersion: number, encryptChunk: (chunk: Uint8Array, isFinal: boolean) => Uint8Array}}
+ */
+export function createMediaEncryptor(keyring, chunkSize = MEDIA_CHUNK_SIZE) {
+  const keyVersion = isKeyring(keyring) ? keyring.currentVersion : 1;
+  const keyBytes = getKeyBytes(keyring, keyVersion);
+  const noncePrefix = nacl.randomBytes(NONCE_PREFIX_SIZE);
+
+  const header = new Uint8Array(HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  header.set(MAGIC, 0);
+  view.setUint32(4, keyVersion);
+  view.setUint32(8, chunkSize);
+  header.set(noncePrefix, 12);
+
+  let index = 0;
+  let finished = false;
+  return {
+    header,
+    keyVersion,
+    encryptChunk(chunk, isFinal) {
+      if (finished) {
+        throw new Error('Media encryptor already finished');
+      }
+      if (!isFinal && chunk.length !== chunkSize) {
+        throw new Error(`Media chunks must be ${chunkSize} bytes`);
+      }
+      finished = isFinal;
+      return nacl.secretbox(chunk, chunkNonce(noncePrefix, index++, isFinal), keyBytes);
+    },
+  };
+}
+
+/**
+ * Create a decryptor that accepts encrypted bytes in pieces of any size
+ * push() returns the plaintext chunks completed so far; finish() checks that
+ * the final chunk was seen and returns what is left
+ * @param {string|Object} keyring - Trip key or keyring holding the file's key version
+ * @returns {{push: (bytes: Uint8Array) => Uint8Array[], finish: () => Uint8Array[], keyVersion: () => number|null}}
+ */
+export function createMediaDecryptor(keyring) {
+  let buffer = new Uint8Array(0);
+  let header = null;
+  let index = 0;
+  let done = false;
+
+  const append = (bytes) => {
+    const merged = new Uint8Array(buffer.length + bytes.length);
+    merged.set(buffer, 0);
+    merged.set(bytes, buffer.length);
+    buffer = merged;
+  };
+
+  const openChunk = (sealed, isFinal) => {
+    const plain = nacl.secretbox.open(sealed, chunkNonce(header.noncePrefix, index, isFinal), header.keyBytes);
+    if (!plain) return null;
+    index += 1;
+    return plain;
+  };
+
+  const drain = (atEnd) => {
+    const out = [];
+    if (!header) {
+      if (buffer.length < HEADER_SIZE) return out;
+      if (!isEncryptedMedia(buffer)) {
+        throw new Error('Not an encrypted media file');
+      }
+      const view = new DataView(buffer.buffer, buffer.byteOffset, HEADER_SIZE);
+      const keyVersion = view.getUint32(4);
+      header = {
+        keyVersion,
+        chunkSize: view.getUint32(8),
+        noncePrefix: buffer.slice(12, HEADER_SIZE),
+        keyBytes: getKeyBytes(keyring, keyVersion),
+      };
+      buffer = buffer.slice(HEADER_SIZE);
+    }
+
+    const sealedSize = header.chunkSize + CHUNK_OVERHEAD;
+    // A full-size chunk can still be the last one, so it is only opened as a
+    // middle chunk once more data follows it
+    while (!done && (buffer.length > sealedSize || (atEnd && buffer.length > 0))) {
+      const size = Math.min(buffer.length, sealedSize);
+      const sealed = buffer.subarray(0, size);
+      const isFinal = atEnd && size === buffer.length;
+      const plain = openChunk(sealed, isFinal);
+      if (!plain) {
+        throw new Error('Media decryption failed');
+      }
+      out.push(plain);
+      buffer = buffer.slice(size);
+      done = isFinal;
+    }
+    return out;
+  };
+
+  return {
+    push(bytes) {
+      if (done) {
+        throw new Error('Unexpected data after the final media chunk');
+      }
+      append(bytes);
+      return drain(false);
+    },
+    finish() {
+      const out = drain(true);
+      if (!done) {
+        throw new Error('Encrypted media is truncated');
+      }
+      return out;
+    },
+    keyVersion: () => header?.keyVersion ?? null,
+  };
+}
+
+/**
+ * Encrypt a whole file held in memory
+ * @param {Uint8Array} bytes - Plaintext file bytes
+ * @param {string|Object} keyring - Trip key or keyring
+ * @returns {Uint8Array} Encrypted file
+ */
+export function encryptMedia(bytes, keyring) {
+  const encryptor = createMediaEncryptor(keyring);
+  const parts = [encryptor.header];
+  let offset = 0;
+  do {
+    const end = Math.min(offset + MEDIA_CHUNK_SIZE, bytes.length);
+    parts.push(encryptor.encryptChunk(bytes.subarray(offset, end), end === bytes.length));
+    offset = end;
+  } while (offset < bytes.length);
+
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    out.set(part, position);
+    position += part.length;
+  }
+  return out;
+}
+
+/**
+ * Decrypt a whole encrypted file held in memory
+ * @param {Uint8Array} bytes - Encrypted file bytes
+ * @param {string|Object} keyring - Trip key or keyring holding the file's key version
+ * @returns {Uint8Array[]} Plaintext chunks, ready to be joined or wrapped in a Blob
+ */
+export function decryptMedia(bytes, keyring) {
+  const decryptor = createMediaDecryptor(keyring);
+  return [...decryptor.push(bytes), ...decryptor.finish()];
+}
+
+/**
+ * Decrypt an encrypted media response chunk by chunk as it downloads
+ * @param {Response} response - Fetch response for the encrypted file
+ * @param {string|Object} keyring - Trip key or keyring
+ * @param {string} [mimeType] - Type of the original file
+ * @returns {Promise<Blob>} Decrypted file
+ */
+export async function decryptMediaResponse(response, keyring, mimeType = '') {
+  const decryptor = createMediaDecryptor(keyring);
+  const parts = [];
+
+  if (response.body?.getReader) {
+    const reader = response.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(...decryptor.push(value));
+    }
+  } else {
+    parts.push(...decryptor.push(new Uint8Array(await response.arrayBuffer())));
+  }
+  parts.push(...decryptor.finish());
+
+  return new Blob(parts, { type: mimeType });
+}
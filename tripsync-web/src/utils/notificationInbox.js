@@ -0,0 +1,134 @@
+/**
+ * Notification Inbox Utilities
+ *
+ * Reads and updates the user's in-app notification inbox at
+ * users/{uid}/notifications. Entries are written by the server whenever a
+ * notification is sent; the client only pages through them and marks them read.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  limit,
+  orderBy,
+  query,
+  serverTimestamp,
+  startAfter,
+  updateDoc,
+  where,
+} from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
+import { db, functions } from "../firebaseConfig";
+import { rateLimitedCall } from "./rateLimiting";
+
+// Notifications loaded per page
+export const INBOX_PAGE_SIZE = 20;
+
+// Unread counts above this show as "99+"
+export const MAX_UNREAD_BADGE = 99;
+
+/**
+ * Query for the newest page of a user's inbox, used for the live first page
+ * @param {string} uid - User ID
+ * @returns {Query} Firestore query
+ */
+export function latestInboxQuery(uid) {
+  return query(collection(db, "users", uid, "notifications"), orderBy("createdAt", "desc"), limit(INBOX_PAGE_SIZE));
+}
+
+/**
+ * Query for a user's unread notifications, capped just past the badge limit
+ * @param {string} uid - User ID
+ * @returns {Query} Firestore query
+ */
+export function unreadInboxQuery(uid) {
+  return query(
+    collection(db, "users", uid, "notifications"),
+    where("read", "==", false),
+    limit(MAX_UNREAD_BADGE + 1)
+  );
+}
+
+/**
+ * Fetches the page of notifications older than a cursor
+ * @param {string} uid - User ID
+ * @param {DocumentSnapshot} after - Last notification already loaded
+ * @returns {Promise<{notifications: Array<Object>, cursor: DocumentSnapshot|null, hasMore: boolean}>}
+ */
+export async function fetchInboxPage(uid, after) {
+  const snap = await getDocs(
+    query(
+      collection(db, "users", uid, "notifications"),
+      orderBy("createdAt", "desc"),
+      startAfter(after),
+      limit(INBOX_PAGE_SIZE)
+    )
+  );
+  return {
+    notifications: snap.docs.map(toNotification),
+    cursor: snap.docs[snap.docs.length - 1] || null,
+    hasMore: snap.docs.length === INBOX_PAGE_SIZE,
+  };
+}
+
+/**
+ * Converts an inbox document to a notification object
+ * @param {DocumentSnapshot} snap - Inbox document
+ * @returns {Object} Notification with its ID
+ */
+export function toNotification(snap) {
+  return { id: snap.id, ...snap.data() };
+}
+
+/**
+ * Marks one notification as read
+ * @param {string} uid - User ID
+ * @param {string} notificationId - Notification ID
+ */
+export async function markNotificationRead(uid, notificationId) {
+  await updateDoc(doc(db, "users", uid, "notifications", notificationId), {
+    read: true,
+    readAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Marks every unread notification as read; the server pages through the whole inbox
+ * @returns {Promise<number>} Number of notifications marked read
+ */
+export async function markAllNotificationsRead() {
+  const call = httpsCallable(functions, "markAllNotificationsRead");
+  const result = await rateLimitedCall("markAllNotificationsRead", call, {});
+  return result.data?.updated || 0;
+}
+
+/**
+ * Formats an unread count for the bell badge
+ * @param {number} count - Unread notifications
+ * @returns {string} Badge text, empty when there is nothing unread
+ */
+export function formatUnreadCount(count) {
+  if (!count || count < 1) return "";
+  return count > MAX_UNREAD_BADGE ? `${MAX_UNREAD_BADGE}+` : String(count);
+}
+
+/**
+ * Formats when a notification arrived as a short relative time
+ * @param {Object} createdAt - Firestore timestamp, null while the server write is pending
+ * @param {Date} [now] - Current time, overridable for tests
+ * @returns {string} Formatted time string
+ */
+export function formatNotificationTime(createdAt, now = new Date()) {
+  if (!createdAt?.toDate) return "Just now";
+  const date = createdAt.toDate();
+  const diffMins = Math.floor((now - date) / 60000);
+  const diffHours = Math.floor(diffMins / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffMins < 1) return "Just now";
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffDays < 7) return `${diffDays}d ago`;
+  return date.toLocaleDateString();
+}
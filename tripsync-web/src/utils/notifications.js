@@ -57,6 +57,7 @@ export async function requestNotificationPermission() {
 
 /**
  * Save FCM token to Firestore
+ * The provider field tells the server to send it through FCM
  */
 export async function saveFCMToken(uid, token) {
   if (!uid || !token) return;
@@ -65,6 +66,7 @@ export async function saveFCMToken(uid, token) {
     const tokenRef = doc(db, "users", uid, "tokens", token);
     await setDoc(tokenRef, {
       token,
+      provider: "fcm",
       platform: "web",
       createdAt: new Date(),
       updatedAt: new Date(),
@@ -0,0 +1,41 @@
+/**
+ * Trip Permission Utilities
+ *
+ * Derives what a user may do in a trip from the trip's `roles` map. Firestore
+ * rules enforce the same capabilities; the UI uses them to hide controls a
+ * role cannot use, so viewers get a read-only trip.
+ */
+
+/**
+ * Capabilities granted by each trip role
+ * - canEditItinerary: add, move, delete and annotate stops, and manage days
+ * - canComment: post comments on stops
+ * - canChat: post in the trip chat
+ * - canManageMembers: invite people and manage pending invites
+ * - canViewAuditLog: view and export the trip's server-written audit log
+ */
+export const ROLE_CAPABILITIES = {
+  owner: { canEditItinerary: true, canComment: true, canChat: true, canManageMembers: true, canViewAuditLog: true },
+  editor: { canEditItinerary: true, canComment: true, canChat: true, canManageMembers: true, canViewAuditLog: false },
+  viewer: { canEditItinerary: false, canComment: false, canChat: false, canManageMembers: false, canViewAuditLog: false },
+};
+
+const NO_CAPABILITIES = {
+  canEditItinerary: false,
+  canComment: false,
+  canChat: false,
+  canManageMembers: false,
+  canViewAuditLog: false,
+};
+
+/**
+ * Get a user's role and capabilities in a trip
+ * Users without a known role, including non-members, get no capabilities
+ * @param {Object|null|undefined} roles - Trip roles map (uid -> role)
+ * @param {string|null|undefined} uid - User ID
+ * @returns {{role: string|null, canEditItinerary: boolean, canComment: boolean, canChat: boolean, canManageMembers: boolean, canViewAuditLog: boolean}}
+ */
+export function getTripCapabilities(roles, uid) {
+  const role = (uid && roles?.[uid]) || null;
+  return { role, ...(ROLE_CAPABILITIES[role] || NO_CAPABILITIES) };
+}
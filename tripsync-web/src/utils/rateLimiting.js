@@ -50,14 +50,20 @@ export class RateLimiter {
     this.maxCalls = maxCalls;
     this.windowMs = windowMs;
     this.calls = [];
+    // Server-imposed blocks, by function name
+    this.blockedUntil = {};
   }
 
   /**
    * Check if a call is allowed
+   * @param {string} [key] - Name of the function being called
    * @returns {boolean} True if call is allowed
    */
-  isAllowed() {
+  isAllowed(key) {
     const now = Date.now();
+    if (now < (this.blockedUntil[key] || 0)) {
+      return false;
+    }
     // Remove calls outside the window
     this.calls = this.calls.filter((time) => now - time < this.windowMs);
     
@@ -71,9 +77,14 @@ export class RateLimiter {
 
   /**
    * Get time until next call is allowed (in ms)
+   * @param {string} [key] - Name of the function being called
    * @returns {number} Milliseconds until next call allowed, or 0 if allowed now
    */
-  getTimeUntilNextAllowed() {
+  getTimeUntilNextAllowed(key) {
+    const blockedFor = (this.blockedUntil[key] || 0) - Date.now();
+    if (blockedFor > 0) {
+      return blockedFor;
+    }
     if (this.calls.length < this.maxCalls) {
       return 0;
     }
@@ -84,12 +95,37 @@ export class RateLimiter {
     return Math.max(0, this.windowMs - timeSinceOldest);
   }
 
+  /**
+   * Block calls to one function for a period, e.g. until the server says to retry
+   * Other functions sharing this limiter are not affected
+   * @param {number} ms - Milliseconds to block calls for
+   * @param {string} key - Name of the function to block
+   */
+  blockFor(ms, key) {
+    this.blockedUntil[key] = Date.now() + ms;
+  }
+
   /**
    * Reset the rate limiter
    */
   reset() {
     this.calls = [];
+    this.blockedUntil = {};
+  }
+}
+
+/**
+ * Get the retry time from a server rate limit error
+ * The server sends it in the error details of resource-exhausted errors
+ * @param {Error} error - Error thrown by a callable
+ * @returns {number|null} Milliseconds until the server accepts calls again, or null if not a rate limit error
+ */
+export function getRetryAfterMs(error) {
+  if (error?.code !== "resource-exhausted" && error?.code !== "functions/resource-exhausted") {
+    return null;
   }
+  const retryAfterMs = Number(error.details?.retryAfterMs);
+  return Number.isFinite(retryAfterMs) && retryAfterMs > 0 ? retryAfterMs : 0;
 }
 
 /**
@@ -117,14 +153,15 @@ export const rateLimiters = {
 
 /**
  * Wrapper for Cloud Functions calls with rate limiting
+ * @param {string} functionName - Name of the callable, so a server block only holds calls to it
  * @param {Function} callable - Firebase callable function
  * @param {Object} data - Data to pass to function
  * @param {RateLimiter} limiter - Rate limiter to use (defaults to cloudFunction)
  * @returns {Promise} Promise that resolves with function result
  */
-export async function rateLimitedCall(callable, data, limiter = rateLimiters.cloudFunction) {
-  if (!limiter.isAllowed()) {
-    const waitTime = limiter.getTimeUntilNextAllowed();
+export async function rateLimitedCall(functionName, callable, data, limiter = rateLimiters.cloudFunction) {
+  if (!limiter.isAllowed(functionName)) {
+    const waitTime = limiter.getTimeUntilNextAllowed(functionName);
     throw new Error(
       `Rate limit exceeded. Please wait ${Math.ceil(waitTime / 1000)} seconds before trying again.`
     );
@@ -133,9 +170,12 @@ export async function rateLimitedCall(callable, data, limiter = rateLimiters.clo
   try {
     return await callable(data);
   } catch (error) {
-    // If it's a rate limit error from server, don't count it against client limiter
-    if (error.code === 'resource-exhausted') {
-      // Server rate limit hit, reset client limiter to sync
+    // If it's a rate limit error from server, hold further calls to this function until the server accepts them again
+    const retryAfterMs = getRetryAfterMs(error);
+    if (retryAfterMs) {
+      limiter.blockFor(retryAfterMs, functionName);
+    } else if (retryAfterMs === 0) {
+      // Server rate limit hit without a retry time, reset client limiter to sync
       limiter.reset();
     }
     throw error;
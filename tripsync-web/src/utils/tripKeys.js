@@ -1,33 +1,146 @@
 /**
  * Trip Key Management
- * Handles fetching, storing, and sharing trip encryption keys
+ * Handles fetching, storing, sharing, and rotating trip encryption keys
+ *
+ * Trip keys are versioned. Each member's encryptionKeys doc holds the current
+ * version in encryptedKey and older versions in previousKeys, so data that has
+ * not been re-encrypted yet stays readable after a rotation.
+ *
+ * Keys are sealed to each member's X25519 public key (wrapping: 'x25519').
+ * Docs without a wrapping field were encrypted with the member's legacy master
+ * key and are re-sealed the first time the member reads them.
+ *
+ * Members without a usable key post a request to trips/{tripId}/keyRequests;
+ * any online member holding the key fulfils it by sealing the key for them.
+ *
+ * Values encrypted before ciphertext envelopes are upgraded in place by a
+ * one-off migration, tracked as envelopeMigration on the metadata doc.
+ *
+ * A rotation is claimed on the metadata doc before its key is generated, so
+ * two owner sessions never distribute competing keys for the same version.
  */
 
-import { db } from '../firebaseConfig';
-import { doc, getDoc, setDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { db, functions } from '../firebaseConfig';
+import { httpsCallable } from 'firebase/functions';
+import {
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  query,
+  orderBy,
+  startAfter,
+  limit,
+  documentId,
+  writeBatch,
+  runTransaction,
+  serverTimestamp,
+} from 'firebase/firestore';
 import { 
   generateKey, 
-  encryptKey, 
+  encrypt,
+  decrypt,
   decryptKey,
-  getUserMasterKey,
+  sealKey,
+  openSealedKey,
+  createKeyring,
+  getKeyVersion,
+  decodeEnvelope,
+  getUserKeyPair,
+  getUserPublicKey,
+  getLegacyMasterKey,
+  clearLegacyMasterKey,
   getTripKey as getLocalTripKey,
   storeTripKey as storeLocalTripKey,
 } from './encryption';
 
+// Documents re-encrypted per page during key rotation
+const ROTATION_PAGE_SIZE = 25;
+// Writes per batch, kept below Firestore's 500 operation limit
+const ROTATION_BATCH_LIMIT = 400;
+// Wrapping scheme recorded on key docs sealed to a public key
+const KEY_WRAPPING = 'x25519';
+// Set on every document a rotation or envelope migration rewrites, so server
+// triggers can tell re-encryption apart from user edits
+const REENCRYPTED_MARKER = 'reencryptedAt';
+// Age after which a rotation claim whose key was never distributed can be taken over
+const ROTATION_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Seal every version of a keyring to a member's public key
+ * @param {Object} keyring - Trip keyring
+ * @param {string} publicKey - Member's X25519 public key
+ * @returns {Object} encryptedKey, version, previousKeys, and wrapping fields for the key doc
+ */
+function wrapKeyring(keyring, publicKey) {
+  const previousKeys = {};
+  for (const [version, key] of Object.entries(keyring.keys)) {
+    if (Number(version) !== keyring.currentVersion) {
+      previousKeys[version] = sealKey(key, publicKey);
+    }
+  }
+  return {
+    encryptedKey: sealKey(keyring.keys[keyring.currentVersion], publicKey),
+    version: keyring.currentVersion,
+    previousKeys,
+    wrapping: KEY_WRAPPING,
+  };
+}
+
 /**
- * Get trip encryption key from Firestore or local storage
+ * Unwrap a member's key doc into a keyring
+ * Older versions that fail to unwrap are skipped
+ * @param {Object} keyData - Key doc data
+ * @param {Function} unwrap - Opens one wrapped key
+ */
+function unwrapKeyDoc(keyData, unwrap) {
+  const currentVersion = keyData.version || 1;
+  const keys = { [currentVersion]: unwrap(keyData.encryptedKey) };
+  for (const [version, wrapped] of Object.entries(keyData.previousKeys || {})) {
+    try {
+      keys[version] = unwrap(wrapped);
+    } catch (error) {
+      console.warn(`Could not unwrap trip key version ${version}:`, error.message);
+    }
+  }
+  return createKeyring(keys, currentVersion);
+}
+
+/**
+ * Open a key doc with the user's keypair, or with the legacy master key for
+ * docs written before keypairs, re-sealing those to the user's public key
+ * @returns {Promise<Object|null>} Keyring, or null if the keys are not available on this device
+ */
+async function openKeyDoc(keyRef, keyData, userId) {
+  const keyPair = await getUserKeyPair(userId);
+  if (!keyPair) return null;
+
+  if (keyData.wrapping === KEY_WRAPPING) {
+    return unwrapKeyDoc(keyData, (sealed) => openSealedKey(sealed, keyPair));
+  }
+
+  const legacyMasterKey = await getLegacyMasterKey(userId);
+  if (!legacyMasterKey) return null;
+
+  const keyring = unwrapKeyDoc(keyData, (wrapped) => decryptKey(wrapped, legacyMasterKey));
+  await setDoc(keyRef, wrapKeyring(keyring, keyPair.publicKey), { merge: true });
+  return keyring;
+}
+
+/**
+ * Get trip encryption keyring from Firestore or local storage
+ * The local copy is used unless Firestore holds a newer key version
  * @param {string} tripId - Trip ID
  * @param {string} userId - Current user ID
- * @returns {Promise<string>} Base64 encoded trip key
+ * @returns {Promise<Object>} Trip keyring, usable with encrypt and decrypt
  */
 export async function getTripEncryptionKey(tripId, userId) {
   // First check local storage
   const localKey = await getLocalTripKey(tripId, userId);
-  if (localKey) {
-    return localKey;
-  }
 
-  // If not in local storage, fetch from Firestore
   try {
     const userKeyRef = doc(db, 'trips', tripId, 'encryptionKeys', userId);
     const keyDoc = await getDoc(userKeyRef);
@@ -37,6 +150,7 @@ export async function getTripEncryptionKey(tripId, userId) {
       
       // Check if key is marked as pending (not yet shared)
       if (keyData.pending === true) {
+        if (localKey) return localKey;
         console.log('Trip key is pending, not yet shared with user');
         return null;
       }
@@ -44,11 +158,26 @@ export async function getTripEncryptionKey(tripId, userId) {
       // Validate that encryptedKey exists
       if (!keyData || !keyData.encryptedKey || typeof keyData.encryptedKey !== 'string') {
         console.warn('Invalid key data structure, key might be pending:', keyData);
-        return null;
+        return localKey;
+      }
+
+      // Local copy is current, no need to unwrap again
+      if (localKey && localKey.currentVersion >= (keyData.version || 1)) {
+        return localKey;
       }
       
-      const masterKey = await getUserMasterKey(userId);
-      const tripKey = decryptKey(keyData.encryptedKey, masterKey);
+      const tripKey = await openKeyDoc(userKeyRef, keyData, userId);
+      if (!tripKey) {
+        console.warn('Encryption keypair not available on this device');
+        return localKey;
+      }
+
+      // Keep versions only known locally, such as keys from before a re-share
+      if (localKey) {
+        for (const [version, key] of Object.entries(localKey.keys)) {
+          if (!tripKey.keys[version]) tripKey.keys[version] = key;
+        }
+      }
       
       // Store locally for future use
       await storeLocalTripKey(tripId, userId, tripKey);
@@ -59,71 +188,94 @@ export async function getTripEncryptionKey(tripId, userId) {
     console.error('Error fetching trip key:', error);
   }
 
-  // No key found, return null (will need to generate or request)
-  return null;
+  // Fall back to the local copy, or null if the key must be generated or requested
+  return localKey;
 }
 
 /**
- * Generate a new trip encryption key and share it with all members
+ * Get the current key version recorded in the trip's encryption metadata
  * @param {string} tripId - Trip ID
- * @param {string} userId - User ID of the key generator (usually trip owner)
- * @returns {Promise<string>} Base64 encoded trip key
+ * @returns {Promise<number>} Current version, or 0 if encryption was never enabled
  */
-export async function generateAndShareTripKey(tripId, userId) {
-  // Generate new key
-  const tripKey = generateKey();
+async function getCurrentKeyVersion(tripId) {
+  const metadataDoc = await getDoc(doc(db, 'trips', tripId, 'encryptionKeys', 'metadata'));
+  if (!metadataDoc.exists()) return 0;
+  return metadataDoc.data().currentVersion || 1;
+}
 
-  // Get trip members
-  const tripRef = doc(db, 'trips', tripId);
-  const tripDoc = await getDoc(tripRef);
+/**
+ * Seal a keyring for every current member and revoke keys of former members
+ * Members who have not published a public key yet are marked pending
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - User ID distributing the key
+ * @param {Object} keyring - Trip keyring to share
+ * @returns {Promise<Array<string>>} Member IDs that received the key
+ */
+async function distributeKeyring(tripId, userId, keyring) {
+  const tripDoc = await getDoc(doc(db, 'trips', tripId));
   
   if (!tripDoc.exists()) {
     throw new Error('Trip not found');
   }
 
-  const tripData = tripDoc.data();
-  const members = tripData.members || {};
+  const members = tripDoc.data().members || {};
   const memberIds = Object.keys(members).filter(uid => members[uid] === true);
 
-  // Encrypt key for each member and store
-  const masterKey = await getUserMasterKey(userId);
-  const batch = [];
-
   for (const memberId of memberIds) {
-    let encryptedKey;
-    
-    if (memberId === userId) {
-      // For the current user, use their master key
-      encryptedKey = encryptKey(tripKey, masterKey);
-    } else {
-      // For other members, try to get their master key from Firestore
-      try {
-        const memberMasterKey = await getUserMasterKey(memberId);
-        encryptedKey = encryptKey(tripKey, memberMasterKey);
-      } catch {
-        // If member's master key not available, use generator's key temporarily
-        // Member will need to request key re-sharing
-        encryptedKey = encryptKey(tripKey, masterKey);
-      }
+    const memberKeyRef = doc(db, 'trips', tripId, 'encryptionKeys', memberId);
+    let memberPublicKey = null;
+    try {
+      memberPublicKey = memberId === userId
+        ? (await getUserKeyPair(userId))?.publicKey
+        : await getUserPublicKey(memberId);
+    } catch (error) {
+      console.warn(`Public key unavailable for member ${memberId}:`, error.message);
     }
 
-    const memberKeyRef = doc(db, 'trips', tripId, 'encryptionKeys', memberId);
-    batch.push({
-      ref: memberKeyRef,
-      data: {
-        encryptedKey,
-        sharedBy: userId,
-        sharedAt: serverTimestamp(),
-        version: 1,
-      },
+    if (!memberPublicKey) {
+      await setDoc(memberKeyRef, { pending: true, sharedBy: userId, sharedAt: serverTimestamp() });
+      continue;
+    }
+
+    await setDoc(memberKeyRef, {
+      ...wrapKeyring(keyring, memberPublicKey),
+      sharedBy: userId,
+      sharedAt: serverTimestamp(),
     });
   }
 
-  // Store all encrypted keys
-  for (const item of batch) {
-    await setDoc(item.ref, item.data);
+  // Former members must not receive the new key version
+  const keysSnap = await getDocs(collection(db, 'trips', tripId, 'encryptionKeys'));
+  for (const keyDoc of keysSnap.docs) {
+    if (keyDoc.id !== 'metadata' && !memberIds.includes(keyDoc.id)) {
+      await deleteDoc(keyDoc.ref);
+    }
   }
 
+  return memberIds;
+}
+
+/**
+ * Generate a new trip encryption key and share it with all members
+ * The key gets the next version after the one recorded in the trip metadata
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - User ID of the key generator (usually trip owner)
+ * @returns {Promise<Object>} Trip keyring holding the new key
+ */
+export async function generateAndShareTripKey(tripId, userId) {
+  // Generate new key
+  const version = (await getCurrentKeyVersion(tripId)) + 1;
+  const tripKey = createKeyring({ [version]: generateKey() }, version);
+
+  await distributeKeyring(tripId, userId, tripKey);
+
+  // Record the version so later rotations continue from it
+  await setDoc(
+    doc(db, 'trips', tripId, 'encryptionKeys', 'metadata'),
+    { currentVersion: version },
+    { merge: true }
+  );
+
   // Store locally
   await storeLocalTripKey(tripId, userId, tripKey);
 
@@ -135,34 +287,123 @@ export async function generateAndShareTripKey(tripId, userId) {
  * @param {string} tripId - Trip ID
  * @param {string} newMemberId - New member's user ID
  * @param {string} sharerId - User ID sharing the key
+ * @param {Object} [keyring] - Sharer's trip keyring, fetched when omitted
  * @returns {Promise<void>}
  */
-export async function shareTripKeyWithMember(tripId, newMemberId, sharerId) {
+export async function shareTripKeyWithMember(tripId, newMemberId, sharerId, keyring = null) {
   // Get the trip key
-  const tripKey = await getTripEncryptionKey(tripId, sharerId);
+  const tripKey = keyring || await getTripEncryptionKey(tripId, sharerId);
   if (!tripKey) {
     throw new Error('Trip key not found. Cannot share with new member.');
   }
 
-  // Encrypt key for new member
-  const newMemberMasterKey = await getUserMasterKey(newMemberId).catch(() => null);
-  if (!newMemberMasterKey) {
-    throw new Error('New member master key not available');
+  // Seal key to the new member's public key
+  const newMemberPublicKey = await getUserPublicKey(newMemberId).catch(() => null);
+  if (!newMemberPublicKey) {
+    throw new Error('New member public key not available');
   }
 
-  const encryptedKey = encryptKey(tripKey, newMemberMasterKey);
-
-  // Store in Firestore
+  // Store in Firestore, including older versions for data not yet re-encrypted
   const memberKeyRef = doc(db, 'trips', tripId, 'encryptionKeys', newMemberId);
   await setDoc(memberKeyRef, {
-    encryptedKey,
+    ...wrapKeyring(tripKey, newMemberPublicKey),
     sharedBy: sharerId,
     sharedAt: serverTimestamp(),
-    version: 1,
   });
+}
+
+/**
+ * Ask the trip's members to share the trip key with the current user
+ * Web counterpart of the mobile requestTripKeyReShare; an open request is kept
+ * as is, so calling this repeatedly does not notify members again
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<{ok: boolean, status: string}>}
+ */
+export async function requestTripKey(tripId) {
+  const call = httpsCallable(functions, 'requestTripKey');
+  const result = await call({ tripId });
+  return result.data;
+}
 
-  // Store locally for new member
-  await storeLocalTripKey(tripId, newMemberId, tripKey);
+/**
+ * Share the trip key with every member who has an open key request
+ * Requests from members without a published public key are left open until
+ * they set one up; the server closes each request once its key doc is written.
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - User ID of the member holding the key
+ * @param {Object} keyring - Trip keyring to share
+ * @param {Array<{requesterId: string}>} requests - Open key requests
+ * @returns {Promise<string[]>} User IDs the key was shared with
+ */
+export async function fulfilTripKeyRequests(tripId, userId, keyring, requests) {
+  const shared = [];
+  for (const { requesterId } of requests) {
+    if (!requesterId || requesterId === userId) continue;
+    try {
+      await shareTripKeyWithMember(tripId, requesterId, userId, keyring);
+      shared.push(requesterId);
+    } catch (error) {
+      console.warn(`Could not share trip key with ${requesterId}:`, error.message);
+    }
+  }
+  return shared;
+}
+
+/**
+ * Describe whether a member can read the trip's encrypted data
+ * @param {Object|undefined} keyData - Member's encryptionKeys doc
+ * @param {Object|undefined} requestData - Member's keyRequests doc
+ * @param {number} currentVersion - Trip's current key version
+ * @returns {'ok'|'pending'|'missing'}
+ */
+export function getMemberKeyStatus(keyData, requestData, currentVersion = 1) {
+  const hasKey = !!keyData && keyData.pending !== true && !!keyData.encryptedKey;
+  if (hasKey && (keyData.version || 1) >= currentVersion) return 'ok';
+  if (keyData?.pending === true || requestData?.status === 'open') return 'pending';
+  return 'missing';
+}
+
+/**
+ * Re-seal all of the user's legacy trip keys to their public key, then delete
+ * the plaintext legacy master key. Safe to call repeatedly; the master key is
+ * kept until every legacy key doc has been migrated.
+ * @param {string} userId - User ID
+ * @param {Array<string>} tripIds - Trips the user is a member of
+ * @returns {Promise<{migrated: number, failed: number}>}
+ */
+export async function migrateLegacyTripKeys(userId, tripIds) {
+  const legacyMasterKey = await getLegacyMasterKey(userId);
+  if (!legacyMasterKey) return { migrated: 0, failed: 0 };
+
+  const keyPair = await getUserKeyPair(userId);
+  if (!keyPair) return { migrated: 0, failed: 0 };
+
+  let migrated = 0;
+  let failed = 0;
+
+  for (const tripId of tripIds) {
+    try {
+      const keyRef = doc(db, 'trips', tripId, 'encryptionKeys', userId);
+      const keyDoc = await getDoc(keyRef);
+      if (!keyDoc.exists()) continue;
+
+      const keyData = keyDoc.data();
+      if (keyData.pending === true || keyData.wrapping === KEY_WRAPPING || !keyData.encryptedKey) continue;
+
+      await openKeyDoc(keyRef, keyData, userId);
+      migrated++;
+    } catch (error) {
+      failed++;
+      console.warn(`Failed to migrate trip key for trip ${tripId}:`, error.message);
+    }
+  }
+
+  if (failed === 0) {
+    await clearLegacyMasterKey(userId);
+    console.log('Legacy master key removed after migrating trip keys');
+  }
+
+  return { migrated, failed };
 }
 
 /**
@@ -190,11 +431,422 @@ export async function enableTripEncryption(tripId, userId) {
   // Generate and share key
   await generateAndShareTripKey(tripId, userId);
 
-  // Mark trip as encrypted
+  // Mark trip as encrypted, keeping the key version written above
   const metadataRef = doc(db, 'trips', tripId, 'encryptionKeys', 'metadata');
   await setDoc(metadataRef, {
     enabled: true,
     enabledBy: userId,
     enabledAt: serverTimestamp(),
+    // Nothing was encrypted before envelopes, so there is nothing to upgrade
+    envelopeMigration: { status: 'complete' },
+  }, { merge: true });
+}
+
+/**
+ * Check whether the trip key needs rotating, either because a member was
+ * removed or left, or because an earlier rotation did not finish
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<boolean>}
+ */
+export async function isKeyRotationPending(tripId) {
+  try {
+    const metadataDoc = await getDoc(doc(db, 'trips', tripId, 'encryptionKeys', 'metadata'));
+    if (!metadataDoc.exists()) return false;
+    const metadata = metadataDoc.data();
+    return metadata.enabled === true &&
+      (metadata.rotationRequired === true || metadata.rotation?.status === 'in_progress');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether the trip still holds values encrypted before ciphertext
+ * envelopes. A pending key rotation upgrades them itself, so it comes first.
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<boolean>}
+ */
+export async function isEnvelopeMigrationPending(tripId) {
+  try {
+    const metadataDoc = await getDoc(doc(db, 'trips', tripId, 'encryptionKeys', 'metadata'));
+    if (!metadataDoc.exists()) return false;
+    const metadata = metadataDoc.data();
+    return metadata.enabled === true &&
+      metadata.envelopeMigration?.status !== 'complete' &&
+      metadata.rotationRequired !== true &&
+      metadata.rotation?.status !== 'in_progress';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Re-encrypt fields that are not yet on the keyring's current version, or
+ * are still legacy values without an envelope
+ * @param {Object} data - Document data
+ * @param {Array<string>} fields - Encrypted field names
+ * @param {Object} keyring - Trip keyring
+ * @returns {Object|null} Field updates, or null if nothing changed
+ */
+export function reencryptFields(data, fields, keyring) {
+  if (!data?.encrypted) return null;
+
+  const updates = {};
+  for (const field of fields) {
+    const value = data[field];
+    if (typeof value !== 'string' || !value ||
+      (decodeEnvelope(value) && getKeyVersion(value) === keyring.currentVersion)) {
+      continue;
+    }
+    try {
+      updates[field] = encrypt(decrypt(value, keyring), keyring);
+    } catch (error) {
+      console.warn(`Skipping ${field} during key rotation:`, error.message);
+    }
+  }
+  return Object.keys(updates).length > 0 ? updates : null;
+}
+
+/**
+ * Add the re-encryption marker to field updates
+ * @param {Object} updates - Re-encrypted field values
+ * @returns {Object}
+ */
+function markReencrypted(updates) {
+  return { ...updates, [REENCRYPTED_MARKER]: serverTimestamp() };
+}
+
+/**
+ * Collects updates into write batches, committing as each one fills
+ */
+function createBatchWriter() {
+  let batch = writeBatch(db);
+  let pending = 0;
+
+  return {
+    async update(ref, data) {
+      batch.update(ref, data);
+      pending++;
+      if (pending >= ROTATION_BATCH_LIMIT) await this.flush();
+    },
+    async flush() {
+      if (pending === 0) return;
+      await batch.commit();
+      batch = writeBatch(db);
+      pending = 0;
+    },
+  };
+}
+
+/**
+ * Re-encrypt one collection page by page, resuming after the saved cursor
+ * @param {Object} params
+ * @param {Object} params.collectionRef - Collection to process
+ * @param {Array<string>} params.fields - Encrypted field names
+ * @param {Object} params.keyring - Trip keyring
+ * @param {string|boolean} [params.cursor] - Last processed doc ID, or true if already done
+ * @param {Function} params.saveCursor - Persists the cursor after each page
+ * @param {Function} [params.onDoc] - Extra per-document work, such as subcollections
+ * @returns {Promise<number>} Documents re-encrypted
+ */
+async function reencryptCollection({ collectionRef, fields, keyring, cursor, saveCursor, onDoc }) {
+  if (cursor === true) return 0;
+
+  let lastId = cursor || null;
+  let updated = 0;
+
+  for (;;) {
+    const constraints = [orderBy(documentId()), limit(ROTATION_PAGE_SIZE)];
+    if (lastId) constraints.splice(1, 0, startAfter(lastId));
+    const snap = await getDocs(query(collectionRef, ...constraints));
+    if (snap.empty) break;
+
+    const writer = createBatchWriter();
+    for (const docSnap of snap.docs) {
+      const updates = reencryptFields(docSnap.data(), fields, keyring);
+      if (updates) {
+        await writer.update(docSnap.ref, markReencrypted(updates));
+        updated++;
+      }
+      if (onDoc) updated += await onDoc(docSnap, writer);
+    }
+    await writer.flush();
+
+    lastId = snap.docs[snap.docs.length - 1].id;
+    await saveCursor(lastId);
+
+    if (snap.docs.length < ROTATION_PAGE_SIZE) break;
+  }
+
+  await saveCursor(true);
+  return updated;
+}
+
+/**
+ * Re-encrypt all trip data with the keyring's current version
+ * Progress is saved per collection so an interrupted run resumes where it stopped
+ * @param {string} tripId - Trip ID
+ * @param {Object} keyring - Trip keyring
+ * @param {Object} cursors - Saved cursors by stage
+ * @param {Function} saveCursors - Persists the cursors object
+ * @param {Function} [onProgress] - Called with { stage, updated }
+ * @returns {Promise<number>} Documents re-encrypted
+ */
+async function reencryptTripData(tripId, keyring, cursors, saveCursors, onProgress) {
+  const progress = { ...cursors };
+  let updated = 0;
+
+  const stageCursor = (stage) => async (cursor) => {
+    progress[stage] = cursor;
+    await saveCursors({ ...progress });
+    if (onProgress) onProgress({ stage, updated });
+  };
+
+  if (progress.trip !== true) {
+    const tripRef = doc(db, 'trips', tripId);
+    const tripDoc = await getDoc(tripRef);
+    const updates = tripDoc.exists() ? reencryptFields(tripDoc.data(), ['name', 'category'], keyring) : null;
+    if (updates) {
+      await updateDoc(tripRef, markReencrypted(updates));
+      updated++;
+    }
+    await stageCursor('trip')(true);
+  }
+
+  // Comments and diary entries live under each itinerary item
+  const reencryptItemChildren = async (itemSnap, writer) => {
+    let count = 0;
+    for (const [name, fields] of [['comments', ['text']], ['travelDiaryEntries', ['notes']]]) {
+      const childSnap = await getDocs(collection(itemSnap.ref, name));
+      for (const child of childSnap.docs) {
+        const updates = reencryptFields(child.data(), fields, keyring);
+        if (updates) {
+          await writer.update(child.ref, markReencrypted(updates));
+          count++;
+        }
+      }
+    }
+    return count;
+  };
+
+  const stages = [
+    { stage: 'itinerary', fields: ['title', 'address', 'notes'], onDoc: reencryptItemChildren },
+    { stage: 'chat', fields: ['text'] },
+    { stage: 'activities', fields: ['message'] },
+  ];
+
+  for (const { stage, fields, onDoc } of stages) {
+    updated += await reencryptCollection({
+      collectionRef: collection(db, 'trips', tripId, stage),
+      fields,
+      keyring,
+      cursor: progress[stage],
+      saveCursor: stageCursor(stage),
+      onDoc,
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Check whether a rotation claim was abandoned before its key was distributed
+ * @param {Object} rotation - Rotation record from the metadata doc
+ * @returns {boolean}
+ */
+function isRotationClaimStale(rotation) {
+  const startedAt = rotation.startedAt?.toMillis?.();
+  return typeof startedAt === 'number' && Date.now() - startedAt > ROTATION_CLAIM_TIMEOUT_MS;
+}
+
+/**
+ * Claim the next key rotation on the metadata doc
+ *
+ * Succeeds only when no other session holds a live claim and no rotation is
+ * underway for the current version, so exactly one session generates the key.
+ * @param {Object} metadataRef - Trip encryption metadata doc
+ * @param {string} userId - User ID claiming the rotation
+ * @param {number} localVersion - Current version of this session's keyring
+ * @returns {Promise<{claimed: boolean, rotation: Object|null}>} Our claim, or the rotation that won
+ */
+async function claimKeyRotation(metadataRef, userId, localVersion) {
+  return runTransaction(db, async (transaction) => {
+    const metadataDoc = await transaction.get(metadataRef);
+    if (!metadataDoc.exists() || metadataDoc.data().enabled !== true) {
+      throw new Error('Trip encryption is not enabled');
+    }
+
+    const metadata = metadataDoc.data();
+    const current = metadata.rotation;
+    if (current?.status === 'claimed' && !isRotationClaimStale(current)) {
+      return { claimed: false, rotation: current };
+    }
+    if (current?.status === 'in_progress' && !metadata.rotationRequired) {
+      return { claimed: false, rotation: current };
+    }
+    if (current?.status !== 'claimed' && !metadata.rotationRequired) {
+      return { claimed: false, rotation: null };
+    }
+
+    const fromVersion = Math.max(localVersion, metadata.currentVersion || 1);
+    const rotation = {
+      status: 'claimed',
+      claimId: `${userId}-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      fromVersion,
+      toVersion: fromVersion + 1,
+      startedBy: userId,
+      startedAt: serverTimestamp(),
+      requestedAt: metadata.rotationRequestedAt?.toMillis?.() ?? null,
+      removedMembers: metadata.removedMembers || [],
+      cursors: {},
+    };
+    transaction.update(metadataRef, { rotation });
+    return { claimed: true, rotation };
+  });
+}
+
+/**
+ * Publish a claimed rotation's key version once its key has been distributed
+ *
+ * Only the removals seen when the rotation was claimed are cleared. A member
+ * removed since then may have been sent the new key, so the rotation flag
+ * stays set and another rotation runs. Fails if the claim was taken over meanwhile.
+ * @param {Object} metadataRef - Trip encryption metadata doc
+ * @param {Object} rotation - Our claimed rotation
+ */
+async function startClaimedRotation(metadataRef, rotation) {
+  await runTransaction(db, async (transaction) => {
+    const metadataDoc = await transaction.get(metadataRef);
+    const metadata = metadataDoc.data() || {};
+    if (metadata.rotation?.claimId !== rotation.claimId) {
+      throw new Error('Key rotation was taken over by another session');
+    }
+
+    const requestedAt = metadata.rotationRequestedAt?.toMillis?.() ?? null;
+    const removedSinceClaim = (metadata.removedMembers || []).filter(
+      (uid) => !rotation.removedMembers.includes(uid)
+    );
+    transaction.update(metadataRef, {
+      currentVersion: rotation.toVersion,
+      rotationRequired: requestedAt !== rotation.requestedAt || removedSinceClaim.length > 0,
+      removedMembers: removedSinceClaim,
+      'rotation.status': 'in_progress',
+    });
   });
 }
+
+/**
+ * Rotate the trip key after a member is removed or leaves
+ *
+ * Claims the rotation, generates the next key version, wraps it (with older
+ * versions) for the remaining members, then re-encrypts trip data in
+ * resumable batches. If another session already started the rotation and
+ * this user holds its key, that rotation is resumed instead; if its key has
+ * not been distributed yet, this session leaves the rotation to it.
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - User ID performing the rotation (usually trip owner)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage, updated }
+ * @returns {Promise<Object|null>} Trip keyring with the new current version, or null if another session is rotating
+ */
+export async function rotateTripKey(tripId, userId, { onProgress } = {}) {
+  const metadataRef = doc(db, 'trips', tripId, 'encryptionKeys', 'metadata');
+
+  let tripKey = await getTripEncryptionKey(tripId, userId);
+  if (!tripKey) {
+    throw new Error('Trip key not found. Cannot rotate.');
+  }
+
+  let { claimed, rotation } = await claimKeyRotation(metadataRef, userId, tripKey.currentVersion);
+
+  if (claimed) {
+    tripKey = createKeyring({ ...tripKey.keys, [rotation.toVersion]: generateKey() }, rotation.toVersion);
+
+    await distributeKeyring(tripId, userId, tripKey);
+    await storeLocalTripKey(tripId, userId, tripKey);
+    await startClaimedRotation(metadataRef, rotation);
+  } else {
+    if (rotation?.status !== 'in_progress') return null;
+
+    // The winning session may have shared the new version since our key was loaded
+    if (!tripKey.keys[rotation.toVersion]) {
+      tripKey = await getTripEncryptionKey(tripId, userId);
+    }
+    if (!tripKey?.keys[rotation.toVersion]) return null;
+    tripKey = createKeyring(tripKey.keys, rotation.toVersion);
+  }
+
+  const updated = await reencryptTripData(
+    tripId,
+    tripKey,
+    rotation.cursors || {},
+    (cursors) => updateDoc(metadataRef, { 'rotation.cursors': cursors }),
+    onProgress
+  );
+
+  // Rotation rewrites legacy values as envelopes too
+  await updateDoc(metadataRef, {
+    'rotation.status': 'complete',
+    'rotation.completedAt': serverTimestamp(),
+    'rotation.updatedDocs': updated,
+    'envelopeMigration.status': 'complete',
+  });
+
+  return tripKey;
+}
+
+/**
+ * Upgrade values encrypted before ciphertext envelopes, in place
+ *
+ * Each legacy value is decrypted and written back as an envelope on the
+ * current key version. Progress is saved per collection like a key rotation,
+ * so an interrupted run resumes where it stopped.
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - User ID running the migration (usually trip owner)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage, updated }
+ * @returns {Promise<number>} Documents upgraded
+ */
+export async function migrateTripEnvelopes(tripId, userId, { onProgress } = {}) {
+  const metadataRef = doc(db, 'trips', tripId, 'encryptionKeys', 'metadata');
+  const metadataDoc = await getDoc(metadataRef);
+
+  if (!metadataDoc.exists() || metadataDoc.data().enabled !== true) {
+    throw new Error('Trip encryption is not enabled');
+  }
+
+  const migration = metadataDoc.data().envelopeMigration || {};
+  if (migration.status === 'complete') return 0;
+
+  const tripKey = await getTripEncryptionKey(tripId, userId);
+  if (!tripKey) {
+    throw new Error('Trip key not found. Cannot upgrade encrypted data.');
+  }
+
+  if (migration.status !== 'in_progress') {
+    await updateDoc(metadataRef, {
+      envelopeMigration: {
+        status: 'in_progress',
+        startedBy: userId,
+        startedAt: serverTimestamp(),
+        cursors: {},
+      },
+    });
+  }
+
+  const updated = await reencryptTripData(
+    tripId,
+    tripKey,
+    migration.cursors || {},
+    (cursors) => updateDoc(metadataRef, { 'envelopeMigration.cursors': cursors }),
+    onProgress
+  );
+
+  await updateDoc(metadataRef, {
+    'envelopeMigration.status': 'complete',
+    'envelopeMigration.completedAt': serverTimestamp(),
+    'envelopeMigration.updatedDocs': updated,
+  });
+
+  return updated;
+}
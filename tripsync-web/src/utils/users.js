@@ -2,11 +2,12 @@
  * User Profile Utilities
  * 
  * Provides utilities for fetching and displaying user profile information
- * from Firestore. Handles single and batch user profile fetching, and
- * provides display name resolution with fallbacks.
+ * from Firestore. Handles single and batch user profile fetching,
+ * provides display name resolution with fallbacks, and reads the
+ * current user's blocked list.
  */
 
-import { doc, getDoc } from "firebase/firestore";
+import { collection, doc, getDoc, getDocs } from "firebase/firestore";
 import { db } from "../firebaseConfig";
 
 /**
@@ -56,3 +57,20 @@ export function getUserDisplayName(user) {
   return user.displayName || user.email || user.uid || "Unknown";
 }
 
+
+/**
+ * Fetch the IDs of the users a user has blocked
+ * Blocks are written by the blockUser/unblockUser Cloud Functions
+ * @param {string} uid - User ID
+ * @returns {Promise<Set<string>>}
+ */
+export async function getBlockedUserIds(uid) {
+  if (!uid) return new Set();
+  try {
+    const snap = await getDocs(collection(db, "users", uid, "blocked"));
+    return new Set(snap.docs.map((d) => d.id));
+  } catch (error) {
+    console.error("Error fetching blocked users:", error);
+    return new Set();
+  }
+}
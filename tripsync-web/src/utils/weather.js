@@ -1,10 +1,11 @@
 /**
  * Weather and Date Utility Functions
  * 
- * Provides utilities for date manipulation, Google Weather API response parsing,
- * forecast data enrichment with current and hourly weather, and precipitation
- * unit conversion. Handles various date formats and weather data structures
- * from Google's Weather API.
+ * Provides utilities for date manipulation, parsing of the normalized forecast
+ * schema served by the weather Cloud Functions, forecast data enrichment with
+ * current and hourly weather, and precipitation unit conversion. The functions
+ * normalize every weather provider to one schema, so nothing here depends on
+ * an upstream API's response shape.
  */
 
 /**
@@ -78,46 +79,37 @@ export function deg(node) {
   return null;
 }
 
-export function googleDailySummary(forecastDays, targetYmd) {
+/**
+ * Finds the normalized forecast day for a date and summarizes it
+ * @param {Array} forecastDays - Normalized days from the weatherDaily function
+ * @param {string} targetYmd - Date in YYYY-MM-DD format
+ * @returns {Object|null} { min, max, iconUri, raw } or null if the day is missing
+ */
+export function dailySummary(forecastDays, targetYmd) {
   if (!Array.isArray(forecastDays)) return null;
-  const [y, m, d] = targetYmd.split("-").map(Number);
 
-  const dayObj = forecastDays.find((fd) => {
-    if (typeof fd?.date === "string" && fd.date === targetYmd) return true;
-    const di = fd?.displayDate;
-    return di && di.year === y && di.month === m && di.day === d;
-  });
+  const dayObj = forecastDays.find((fd) => fd?.date === targetYmd);
   if (!dayObj) return null;
 
-  const min = Math.round(
-    deg(dayObj?.minTemperature) ?? deg(dayObj?.temperatureMin) ?? NaN
-  );
-  const max = Math.round(
-    deg(dayObj?.maxTemperature) ?? deg(dayObj?.temperatureMax) ?? NaN
-  );
-
-  const iconBase =
-    dayObj?.daytimeForecast?.weatherCondition?.iconBaseUri ??
-    dayObj?.nighttimeForecast?.weatherCondition?.iconBaseUri ??
-    dayObj?.weatherConditions?.[0]?.iconBaseUri ??
-    null;
+  const min = Math.round(deg(dayObj.minTemperature) ?? NaN);
+  const max = Math.round(deg(dayObj.maxTemperature) ?? NaN);
 
+  const iconBase = dayObj.weatherCondition?.iconBaseUri ?? null;
   const iconUri = iconBase ? `${iconBase}.svg` : null;
 
   if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
   return { min, max, iconUri, raw: dayObj };
 }
 
+/**
+ * Extracts display details from a normalized forecast day
+ * @param {Object} raw - Normalized day from the weatherDaily function
+ * @returns {Object} Condition, humidity, sun times, UV index, precipitation and wind details
+ */
 export function parseDailyDetails(raw) {
-  const condition =
-    coalesceText(
-      raw?.daytimeForecast?.weatherCondition,
-      raw?.nighttimeForecast?.weatherCondition,
-      raw?.weatherConditions?.[0],
-      raw?.summary
-    ) || "Weather details";
-
-  const condLower = (condition || "").toLowerCase();
+  const condition = coalesceText(raw?.weatherCondition) || "Weather details";
+
+  const condLower = condition.toLowerCase();
   const typeFromText =
     condLower.includes("snow") ? "Snow" :
     condLower.includes("sleet") ? "Sleet" :
@@ -125,101 +117,27 @@ export function parseDailyDetails(raw) {
     (condLower.includes("shower") || condLower.includes("rain") || condLower.includes("drizzle")) ? "Rain" :
     null;
 
-  const rhDay = numOrNull(raw?.daytimeForecast?.relativeHumidity);
-  const rhNight = numOrNull(raw?.nighttimeForecast?.relativeHumidity);
-  const rhAvg =
-    rhDay != null && rhNight != null
-      ? Math.round((rhDay + rhNight) / 2)
-      : rhDay != null
-      ? rhDay
-      : rhNight != null
-      ? rhNight
-      : null;
-
-  const uvFromDaily =
-    numOrNull(raw?.daytimeForecast?.uvIndex) ??
-    numOrNull(raw?.nighttimeForecast?.uvIndex) ??
-    numOrNull(raw?.uvIndex) ??
-    numOrNull(raw?.maxUvIndex) ??
-    null;
-
-  const sunrise =
-    asDate(raw?.sunEvents?.sunriseTime) ||
-    asDate(raw?.sunEvents?.sunriseTimeLocal) ||
-    asDate(raw?.sunriseTime) ||
-    asDate(raw?.sunriseTimeLocal) ||
-    asDate(raw?.astronomy?.sunriseTime) ||
-    asDate(raw?.astronomy?.sunriseTimeLocal) ||
-    null;
-
-  const sunset =
-    asDate(raw?.sunEvents?.sunsetTime) ||
-    asDate(raw?.sunEvents?.sunsetTimeLocal) ||
-    asDate(raw?.sunsetTime) ||
-    asDate(raw?.sunsetTimeLocal) ||
-    asDate(raw?.astronomy?.sunsetTime) ||
-    asDate(raw?.astronomy?.sunsetTimeLocal) ||
-    null;
-
-  let precipChance =
-    numOrNull(raw?.daytimeForecast?.precipitationChance) ??
-    numOrNull(raw?.nighttimeForecast?.precipitationChance) ??
-    numOrNull(raw?.precipitationChance) ??
-    null;
-
-  const dayProb = numOrNull(raw?.daytimeForecast?.precipitation?.probability?.percent);
-  const nightProb = numOrNull(raw?.nighttimeForecast?.precipitation?.probability?.percent);
-  if (dayProb != null) precipChance = Math.max(precipChance ?? 0, dayProb);
-  if (nightProb != null) precipChance = Math.max(precipChance ?? 0, nightProb);
-
-  const precipType =
-    coalesceText(
-      raw?.precipitationType,
-      raw?.daytimeForecast?.precipitationType,
-      raw?.nighttimeForecast?.precipitationType,
-      raw?.weatherConditions?.[0]?.precipitationType
-    ) || typeFromText;
-
-  const dayQpfQty = numOrNull(raw?.daytimeForecast?.precipitation?.qpf?.quantity);
-  const dayQpfUnit = (raw?.daytimeForecast?.precipitation?.qpf?.unit || "").toUpperCase();
-  const nightQpfQty = numOrNull(raw?.nighttimeForecast?.precipitation?.qpf?.quantity);
-  const nightQpfUnit = (raw?.nighttimeForecast?.precipitation?.qpf?.unit || "").toUpperCase();
-
-  let accumPrecipMm =
-    (numOrNull(raw?.precipitationAmount?.millimeters) ||
-      numOrNull(raw?.totalPrecipitation?.millimeters) ||
-      numOrNull(raw?.precipitationTotal?.millimeters) ||
-      null);
-
-  let accumPrecipIn =
-    (numOrNull(raw?.precipitationAmount?.inches) ||
-      numOrNull(raw?.totalPrecipitation?.inches) ||
-      numOrNull(raw?.precipitationTotal?.inches) ||
-      null);
-
-  const addQpf = (qty, unit) => {
-    if (qty == null) return;
-    if ((unit || "").includes("MILLIMETERS")) {
-      accumPrecipMm = (accumPrecipMm ?? 0) + qty;
-    } else {
-      accumPrecipIn = (accumPrecipIn ?? 0) + qty;
-    }
-  };
-  addQpf(dayQpfQty, dayQpfUnit);
-  addQpf(nightQpfQty, nightQpfUnit);
+  const qpfQty = raw?.precipitation?.qpf?.quantity;
+  const qpfUnit = (raw?.precipitation?.qpf?.unit || "").toUpperCase();
+  const hasQpf = qpfQty != null && numOrNull(qpfQty) != null;
 
   return {
     conditionText: condition,
-    humidity: rhAvg,
-    sunrise,
-    sunset,
-    uvIndex: uvFromDaily,
+    humidity: raw?.relativeHumidity != null ? numOrNull(raw.relativeHumidity) : null,
+    sunrise: asDate(raw?.sunrise),
+    sunset: asDate(raw?.sunset),
+    uvIndex: raw?.uvIndex != null ? numOrNull(raw.uvIndex) : null,
     visibility: null,
     visibilityUnit: null,
-    precipType,
-    precipChance,
-    precipMm: accumPrecipMm,
-    precipIn: accumPrecipIn,
+    precipType: raw?.precipitation?.probability?.type || typeFromText,
+    precipChance: raw?.precipitation?.probability?.percent != null
+      ? numOrNull(raw.precipitation.probability.percent)
+      : null,
+    precipMm: hasQpf && qpfUnit.includes("MILLIMETERS") ? numOrNull(qpfQty) : null,
+    precipIn: hasQpf && !qpfUnit.includes("MILLIMETERS") ? numOrNull(qpfQty) : null,
+    windSpeed: raw?.wind?.speed?.value != null ? numOrNull(raw.wind.speed.value) : null,
+    windGust: raw?.wind?.gust?.value != null ? numOrNull(raw.wind.gust.value) : null,
+    windUnit: raw?.wind?.speed?.unit || raw?.wind?.gust?.unit || null,
   };
 }
 
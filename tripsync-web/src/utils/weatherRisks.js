@@ -0,0 +1,194 @@
+/**
+ * Weather Risk Rules
+ *
+ * Flags itinerary stops whose daily forecast makes them risky, such as rain
+ * at an outdoor place, extreme temperatures, high UV or strong wind. Rules run
+ * against the per-item weather built in TripDetail (summary min/max plus the
+ * enriched daily details) and use per-user thresholds from SettingsContext.
+ *
+ * Thresholds are stored in metric units (°C, km/h) so they survive a change
+ * of the user's display units; readings are converted before comparison.
+ * Forecasts are cached per trip and shared by members with different display
+ * units, so readings are converted from the units recorded with the forecast.
+ */
+
+/**
+ * Default thresholds used when the user has not customized them
+ */
+export const DEFAULT_WEATHER_RISK_THRESHOLDS = {
+  enabled: true,
+  precipChance: 60,
+  heatC: 35,
+  coldC: 0,
+  uvIndex: 8,
+  windKmh: 50,
+};
+
+/**
+ * Google Places types treated as outdoor stops for rain, UV and wind rules
+ */
+export const OUTDOOR_PLACE_TYPES = [
+  "amusement_park",
+  "beach",
+  "botanical_garden",
+  "campground",
+  "dog_park",
+  "garden",
+  "golf_course",
+  "hiking_area",
+  "marina",
+  "national_park",
+  "park",
+  "picnic_ground",
+  "playground",
+  "rv_park",
+  "ski_resort",
+  "stadium",
+  "state_park",
+  "water_park",
+  "zoo",
+];
+
+const OUTDOOR_TYPE_SET = new Set(OUTDOOR_PLACE_TYPES);
+
+export function fahrenheitToCelsius(f) {
+  return ((f - 32) * 5) / 9;
+}
+
+export function celsiusToFahrenheit(c) {
+  return (c * 9) / 5 + 32;
+}
+
+export function mphToKmh(mph) {
+  return mph * 1.609344;
+}
+
+export function kmhToMph(kmh) {
+  return kmh / 1.609344;
+}
+
+/**
+ * Merges stored thresholds over the defaults, ignoring non-numeric values
+ * @param {Object} stored - Thresholds saved for the user
+ * @returns {Object} Complete thresholds object
+ */
+export function resolveRiskThresholds(stored) {
+  const out = { ...DEFAULT_WEATHER_RISK_THRESHOLDS };
+  if (!stored || typeof stored !== "object") return out;
+  if (typeof stored.enabled === "boolean") out.enabled = stored.enabled;
+  for (const key of ["precipChance", "heatC", "coldC", "uvIndex", "windKmh"]) {
+    const n = Number(stored[key]);
+    if (stored[key] != null && stored[key] !== "" && Number.isFinite(n)) out[key] = n;
+  }
+  return out;
+}
+
+/**
+ * Returns true if any of the place types is an outdoor type
+ * @param {Array<string>} types - Google Places types for the stop
+ */
+export function isOutdoorPlace(types) {
+  return Array.isArray(types) && types.some((t) => OUTDOOR_TYPE_SET.has(t));
+}
+
+function formatTemp(c, units) {
+  return units === "METRIC" ? `${Math.round(c)}°C` : `${Math.round(celsiusToFahrenheit(c))}°F`;
+}
+
+function formatWind(kmh, units) {
+  return units === "METRIC" ? `${Math.round(kmh)} km/h` : `${Math.round(kmhToMph(kmh))} mph`;
+}
+
+/**
+ * Evaluates the risk rules for one itinerary stop
+ * @param {Object} params
+ * @param {Object} params.item - Itinerary item (uses types)
+ * @param {Object} params.weather - Weather entry from weatherByItem (min, max, units, raw._enriched)
+ * @param {string} params.units - Display units for flag messages (METRIC or IMPERIAL); also the
+ *   forecast's units when it does not record its own
+ * @param {Object} [params.thresholds] - User thresholds, merged over the defaults
+ * @returns {Array<{id: string, severity: string, message: string}>} Flags, most severe first
+ */
+export function evaluateWeatherRisks({ item, weather, units, thresholds }) {
+  const t = resolveRiskThresholds(thresholds);
+  if (!t.enabled || !weather || weather.status !== "ready") return [];
+
+  const enriched = weather.raw?._enriched || {};
+  const outdoor = isOutdoorPlace(item?.types);
+  const forecastUnits = weather.units || units;
+  const toC = (v) => (forecastUnits === "METRIC" ? v : fahrenheitToCelsius(v));
+  const flags = [];
+
+  const chance = Number(enriched.precipChance);
+  if (outdoor && enriched.precipChance != null && Number.isFinite(chance) && chance >= t.precipChance) {
+    const kind = (enriched.precipType || "rain").toString().toLowerCase();
+    flags.push({
+      id: "precipitation",
+      severity: chance >= Math.min(100, t.precipChance + 25) ? "danger" : "warning",
+      message: `${Math.round(chance)}% chance of ${kind} at an outdoor stop`,
+    });
+  }
+
+  const max = Number(weather.max);
+  if (weather.max != null && Number.isFinite(max) && toC(max) >= t.heatC) {
+    flags.push({
+      id: "heat",
+      severity: "danger",
+      message: `Extreme heat: high of ${formatTemp(toC(max), units)}`,
+    });
+  }
+
+  const min = Number(weather.min);
+  if (weather.min != null && Number.isFinite(min) && toC(min) <= t.coldC) {
+    flags.push({
+      id: "cold",
+      severity: "warning",
+      message: `Extreme cold: low of ${formatTemp(toC(min), units)}`,
+    });
+  }
+
+  const uv = Number(enriched.uvIndex);
+  if (outdoor && enriched.uvIndex != null && Number.isFinite(uv) && uv >= t.uvIndex) {
+    flags.push({
+      id: "uv",
+      severity: uv >= 11 ? "danger" : "warning",
+      message: `High UV index (${Math.round(uv)}) at an outdoor stop`,
+    });
+  }
+
+  const windReading = Number(enriched.windGust ?? enriched.windSpeed);
+  if (outdoor && (enriched.windGust ?? enriched.windSpeed) != null && Number.isFinite(windReading)) {
+    const windKmh = (enriched.windUnit || "").toUpperCase().startsWith("MILES")
+      ? mphToKmh(windReading)
+      : windReading;
+    if (windKmh >= t.windKmh) {
+      flags.push({
+        id: "wind",
+        severity: "warning",
+        message: `Strong wind: up to ${formatWind(windKmh, units)}`,
+      });
+    }
+  }
+
+  return flags.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "danger" ? -1 : 1));
+}
+
+/**
+ * Counts flagged stops per itinerary day
+ * @param {Array<Object>} items - Itinerary items with id and day
+ * @param {Object} risksByItem - Map of item ID to flags from evaluateWeatherRisks
+ * @returns {Object} Map of day number to { stops, danger } counts
+ */
+export function summarizeRisksByDay(items, risksByItem) {
+  const byDay = {};
+  for (const item of items || []) {
+    const flags = risksByItem?.[item.id];
+    if (!flags?.length) continue;
+    const day = item.day ?? 1;
+    const entry = byDay[day] || { stops: 0, danger: 0 };
+    entry.stops += 1;
+    if (flags.some((f) => f.severity === "danger")) entry.danger += 1;
+    byDay[day] = entry;
+  }
+  return byDay;
+}